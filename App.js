@@ -3,19 +3,28 @@ import React, { useState, useEffect } from 'react';
 import { NavigationContainer, DefaultTheme as NavigationDefaultTheme } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
-import { Provider as PaperProvider, MD3LightTheme } from 'react-native-paper';
+import { Provider as PaperProvider, MD3LightTheme, Snackbar } from 'react-native-paper';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
-import { AppProvider } from './context/AppContext';
-import { supabase } from './supabase';
+import { AppProvider, useApp } from './context/AppContext';
+import { backend } from './data';
+import { setErrorReporter, backendErrorReporter } from './lib/logger';
+import { APP_SCHEME } from './lib/links';
 import LoginScreen from './screens/LoginScreen';
 import SignupScreen from './screens/SignupScreen';
 import HomeScreen from './screens/HomeScreen';
 import ProfileScreen from './screens/ProfileScreen';
 import CameraScreen from './screens/CameraScreen';
 import PostDetailScreen from './screens/PostDetailScreen';
+import TagFeedScreen from './screens/TagFeedScreen';
+import UserProfileScreen from './screens/UserProfileScreen';
+import LikersScreen from './screens/LikersScreen';
 import { Ionicons } from '@expo/vector-icons';
 import { Platform, StatusBar, View, Text } from 'react-native';
 
+// Errors logged in release builds are filed as client reports (see
+// db/migrations/0005_client_reports.sql); swap in another sink here
+if (!__DEV__) setErrorReporter(backendErrorReporter);
+
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
 
@@ -49,6 +58,53 @@ const navigationTheme = {
   },
 };
 
+// Post links (lib/links.js) open the post over the tabs. MainTabs goes
+// under it even on a cold start, so back lands on the feed.
+const linking = {
+  prefixes: [`${APP_SCHEME}://`],
+  config: {
+    initialRouteName: 'MainTabs',
+    screens: {
+      MainTabs: '',
+      PostDetail: 'post/:postId',
+    },
+  },
+};
+
+// Yellow header for the screens pushed over the tabs
+const detailHeaderOptions = {
+  headerShown: true,
+  headerBackTitleVisible: false,
+  headerTintColor: '#000000',
+  headerStyle: {
+    backgroundColor: '#FFD700', // Yellow Header
+    borderBottomWidth: 3,
+    borderBottomColor: '#000000',
+  },
+  headerTitleStyle: {
+    fontWeight: '900',
+    color: '#000000',
+    fontSize: 18,
+    fontFamily: Platform.OS === 'ios' ? 'Courier New' : 'monospace',
+  },
+};
+
+// App-wide messages from the context layer (e.g. a like that didn't go through)
+function NoticeSnackbar() {
+  const { notice, dismissNotice } = useApp();
+
+  return (
+    <Snackbar
+      visible={!!notice}
+      onDismiss={dismissNotice}
+      duration={3000}
+      style={{ marginBottom: 100, borderWidth: 3, borderColor: '#000', backgroundColor: '#000' }}
+    >
+      {notice}
+    </Snackbar>
+  );
+}
+
 function MainTabs() {
   return (
     <Tab.Navigator
@@ -93,7 +149,9 @@ function MainTabs() {
         name="Camera"
         component={CameraScreen}
         options={{
-          tabBarStyle: { display: 'none' }
+          tabBarStyle: { display: 'none' },
+          // Labels are hidden; screen readers would otherwise say "Camera"
+          tabBarAccessibilityLabel: 'New post',
         }}
       />
       <Tab.Screen name="Profile" component={ProfileScreen} />
@@ -105,11 +163,11 @@ export default function App() {
   const [session, setSession] = useState(null);
 
   useEffect(() => {
-    supabase.auth.getSession().then(({ data: { session } }) => {
+    backend.auth.getSession().then((session) => {
       setSession(session);
     });
 
-    supabase.auth.onAuthStateChange((_event, session) => {
+    return backend.auth.onAuthStateChange((_event, session) => {
       setSession(session);
     });
   }, []);
@@ -118,7 +176,7 @@ export default function App() {
     <SafeAreaProvider>
       <AppProvider>
         <PaperProvider theme={neoTheme}>
-          <NavigationContainer theme={navigationTheme}>
+          <NavigationContainer theme={navigationTheme} linking={linking}>
             <StatusBar barStyle="dark-content" backgroundColor="#f0f0f0" />
             <Stack.Navigator
               screenOptions={{
@@ -135,23 +193,22 @@ export default function App() {
                   <Stack.Screen
                     name="PostDetail"
                     component={PostDetailScreen}
-                    options={{
-                      headerShown: true,
-                      title: 'POST_DETAILS',
-                      headerBackTitleVisible: false,
-                      headerTintColor: '#000000',
-                      headerStyle: {
-                        backgroundColor: '#FFD700', // Yellow Header
-                        borderBottomWidth: 3,
-                        borderBottomColor: '#000000',
-                      },
-                      headerTitleStyle: {
-                        fontWeight: '900',
-                        color: '#000000',
-                        fontSize: 18,
-                        fontFamily: Platform.OS === 'ios' ? 'Courier New' : 'monospace',
-                      },
-                    }}
+                    options={{ ...detailHeaderOptions, title: 'POST_DETAILS' }}
+                  />
+                  <Stack.Screen
+                    name="TagFeed"
+                    component={TagFeedScreen}
+                    options={({ route }) => ({ ...detailHeaderOptions, title: `#${route.params.tag}` })}
+                  />
+                  <Stack.Screen
+                    name="UserProfile"
+                    component={UserProfileScreen}
+                    options={({ route }) => ({ ...detailHeaderOptions, title: `@${route.params.username}` })}
+                  />
+                  <Stack.Screen
+                    name="Likers"
+                    component={LikersScreen}
+                    options={{ ...detailHeaderOptions, title: 'LIKES' }}
                   />
                 </>
               ) : (
@@ -168,6 +225,7 @@ export default function App() {
               )}
             </Stack.Navigator>
           </NavigationContainer>
+          <NoticeSnackbar />
         </PaperProvider>
       </AppProvider>
     </SafeAreaProvider>
@@ -0,0 +1,40 @@
+// components/CaptionText.js
+import React from 'react';
+import { StyleSheet } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { parseCaption } from '../lib/captions';
+
+// A caption's text with its #tags and @mentions as tappable tokens. Meant
+// to be nested in the caption's <Text>, so it inherits its font. Tags open
+// the tag feed, mentions that user's profile.
+export default function CaptionText({ caption }) {
+  const navigation = useNavigation();
+
+  return parseCaption(caption).map((segment, index) => {
+    if (segment.type === 'text') return segment.text;
+    return (
+      <Text
+        key={index}
+        style={styles.token}
+        accessibilityRole="link"
+        onPress={() => {
+          if (segment.type === 'tag') {
+            navigation.navigate('TagFeed', { tag: segment.value });
+          } else {
+            navigation.navigate('UserProfile', { username: segment.text.slice(1) });
+          }
+        }}
+      >
+        {segment.text}
+      </Text>
+    );
+  });
+}
+
+const styles = StyleSheet.create({
+  token: {
+    fontWeight: '900',
+    color: '#4169E1', // Blue
+  },
+});
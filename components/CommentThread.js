@@ -0,0 +1,226 @@
+// components/CommentThread.js
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Text } from 'react-native-paper';
+import { Ionicons } from '@expo/vector-icons';
+import { useApp, useReplies } from '../context/AppContext';
+import { formatCommentAge } from '../lib/comments';
+import { MAX_BADGE_FONT_SCALE } from '../lib/accessibility';
+import CaptionText from './CaptionText';
+
+// One comment with its like, reply, pin and delete controls. Controls whose
+// handler is missing aren't shown.
+const CommentRow = ({ comment, onLike, onReply, onPin, onDelete }) => {
+  const username = comment.profiles?.username || 'user';
+  const pinned = !!comment.pinned_at;
+
+  return (
+    <View style={[styles.comment, !!comment.parent_id && styles.reply, pinned && styles.pinnedComment]}>
+      <View style={styles.commentHeader}>
+        <Text style={styles.commentUser}>@{username}</Text>
+        <Text style={styles.commentAge}>{formatCommentAge(comment.created_at)}</Text>
+        {pinned && (
+          <View style={styles.pinnedBadge}>
+            <Text style={styles.pinnedText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>PINNED</Text>
+          </View>
+        )}
+      </View>
+      <Text style={styles.commentBody}>
+        <CaptionText caption={comment.body} />
+      </Text>
+
+      <View style={styles.commentActions}>
+        <TouchableOpacity
+          onPress={onLike}
+          style={[styles.commentAction, comment.user_has_liked && styles.likedAction]}
+          accessibilityRole="button"
+          accessibilityLabel={`${comment.user_has_liked ? 'Liked' : 'Like'}, ${comment.likes_count || 0} ${comment.likes_count === 1 ? 'like' : 'likes'}`}
+          accessibilityState={{ selected: !!comment.user_has_liked }}
+        >
+          <Ionicons name={comment.user_has_liked ? 'heart' : 'heart-outline'} size={16} color="#000" />
+          {comment.likes_count > 0 && <Text style={styles.actionText}>{comment.likes_count}</Text>}
+        </TouchableOpacity>
+        {onReply && (
+          <TouchableOpacity
+            onPress={onReply}
+            style={styles.commentAction}
+            accessibilityRole="button"
+            accessibilityLabel={`Reply to @${username}`}
+          >
+            <Text style={styles.actionText}>REPLY</Text>
+          </TouchableOpacity>
+        )}
+        <View style={styles.actionSpacer} />
+        {onPin && (
+          <TouchableOpacity
+            onPress={onPin}
+            style={[styles.commentAction, pinned && styles.pinnedAction]}
+            accessibilityRole="button"
+            accessibilityLabel={pinned ? 'Unpin comment' : 'Pin comment'}
+            accessibilityState={{ selected: pinned }}
+          >
+            <Ionicons name={pinned ? 'pin' : 'pin-outline'} size={16} color="#000" />
+          </TouchableOpacity>
+        )}
+        {onDelete && (
+          <TouchableOpacity
+            onPress={onDelete}
+            style={styles.commentAction}
+            accessibilityRole="button"
+            accessibilityLabel={`Delete comment by @${username}`}
+          >
+            <Ionicons name="trash-outline" size={16} color="#000" />
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+// A top-level comment and, once expanded, its replies. The screen owns the
+// actions: onReply(comment, target) starts a reply to `target` in this
+// thread, canDelete(c) says whether the viewer may delete c, and onPin is
+// only passed for the post's author.
+export default function CommentThread({ comment, expanded, onToggleReplies, onLike, onReply, onPin, onDelete, canDelete }) {
+  const { fetchReplies } = useApp();
+  const { replies, hasMore, loaded } = useReplies(comment.id);
+  const [loadingReplies, setLoadingReplies] = useState(false);
+
+  useEffect(() => {
+    if (expanded && !loaded) loadReplies(true);
+  }, [expanded, loaded]);
+
+  const loadReplies = async (isInitial = false) => {
+    if (loadingReplies) return;
+    setLoadingReplies(true);
+    await fetchReplies(comment.id, isInitial);
+    setLoadingReplies(false);
+  };
+
+  const rowProps = (c) => ({
+    comment: c,
+    onLike: () => onLike(c),
+    // Replying to a reply continues the same thread
+    onReply: () => onReply(comment, c),
+    onDelete: canDelete(c) ? () => onDelete(c) : null,
+  });
+
+  const repliesCount = comment.replies_count || 0;
+
+  return (
+    <View>
+      <CommentRow {...rowProps(comment)} onPin={onPin && (() => onPin(comment))} />
+
+      {repliesCount > 0 && !expanded && (
+        <TouchableOpacity
+          onPress={onToggleReplies}
+          style={styles.repliesToggle}
+          accessibilityRole="button"
+          accessibilityLabel={`View ${repliesCount} ${repliesCount === 1 ? 'reply' : 'replies'}`}
+        >
+          <Text style={styles.repliesToggleText}>
+            VIEW {repliesCount} {repliesCount === 1 ? 'REPLY' : 'REPLIES'}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {expanded && (
+        <View style={styles.replies}>
+          {replies.map(reply => <CommentRow key={reply.id} {...rowProps(reply)} />)}
+          {loadingReplies ? (
+            <ActivityIndicator color="#000" style={styles.repliesLoading} />
+          ) : hasMore ? (
+            <TouchableOpacity
+              onPress={() => loadReplies()}
+              style={styles.repliesToggle}
+              accessibilityRole="button"
+              accessibilityLabel="View more replies"
+            >
+              <Text style={styles.repliesToggleText}>VIEW_MORE_REPLIES</Text>
+            </TouchableOpacity>
+          ) : null}
+          {repliesCount > 0 && (
+            <TouchableOpacity
+              onPress={onToggleReplies}
+              style={styles.repliesToggle}
+              accessibilityRole="button"
+              accessibilityLabel="Hide replies"
+            >
+              <Text style={styles.repliesToggleText}>HIDE_REPLIES</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  comment: {
+    padding: 12,
+    borderWidth: 3,
+    borderColor: '#000',
+    backgroundColor: '#fff',
+  },
+  reply: {
+    borderWidth: 2,
+    padding: 10,
+  },
+  pinnedComment: {
+    backgroundColor: '#FFF8D6', // Light yellow
+  },
+  commentHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  commentUser: { fontWeight: '900', color: '#000', flexShrink: 1 },
+  commentAge: { fontSize: 12, fontWeight: 'bold', color: '#666', marginLeft: 8, flex: 1 },
+  pinnedBadge: {
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 2,
+    borderColor: '#000',
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+  },
+  pinnedText: { fontSize: 10, fontWeight: '900', color: '#000' },
+  commentBody: { fontSize: 14, lineHeight: 20, color: '#000' },
+
+  commentActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+  },
+  commentAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    minHeight: 30,
+    minWidth: 30,
+    paddingHorizontal: 8,
+    justifyContent: 'center',
+    borderWidth: 2,
+    borderColor: '#000',
+    backgroundColor: '#fff',
+  },
+  likedAction: { backgroundColor: '#FF69B4' }, // Pink
+  pinnedAction: { backgroundColor: '#FFD700' }, // Yellow
+  actionText: { fontSize: 12, fontWeight: '900', color: '#000' },
+  actionSpacer: { flex: 1 },
+
+  replies: {
+    marginLeft: 20,
+    marginTop: 8,
+    gap: 8,
+    paddingLeft: 10,
+    borderLeftWidth: 3,
+    borderLeftColor: '#000',
+  },
+  repliesToggle: {
+    paddingVertical: 8,
+    paddingLeft: 20,
+  },
+  repliesToggleText: { fontSize: 12, fontWeight: '900', color: '#4169E1' }, // Blue
+  repliesLoading: { paddingVertical: 8 },
+});
@@ -0,0 +1,76 @@
+// components/EditedImage.js
+import React, { useState, useEffect } from 'react';
+import { Canvas, Group, Image as SkiaImage, ColorMatrix, rect, useImage } from '@shopify/react-native-skia';
+import { createEditingCopy } from '../lib/imageProcessing';
+import { fitRegion, colorMatrix } from '../lib/photoEdits';
+import { createLogger } from '../lib/logger';
+
+const log = createLogger('EditedImage');
+
+// Original uri -> promise of its editing copy, shared by every screen that
+// draws the photo during this session
+const editingCopies = new Map();
+
+// The photo at `uri` decoded for drawing with its edits, or null while it
+// loads. Drawn from an upright copy (lib/imageProcessing.js createEditingCopy)
+// so the preview matches the final render.
+export function useEditingImage(uri) {
+  const [copyUri, setCopyUri] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!editingCopies.has(uri)) {
+      editingCopies.set(uri, createEditingCopy(uri).catch((error) => {
+        editingCopies.delete(uri);
+        throw error;
+      }));
+    }
+    editingCopies.get(uri)
+      .then(copy => !cancelled && setCopyUri(copy.uri))
+      .catch(error => log.error('Error preparing photo for editing', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [uri]);
+
+  return useImage(copyUri);
+}
+
+// Draws `image` (useEditingImage) with `edits` (lib/photoEdits.js) applied,
+// its crop fitted and centered in a width x height box. wholeImage ignores
+// the crop, for drawing the crop frame over the full photo.
+export default function EditedImage({ image, edits, width, height, wholeImage = false }) {
+  if (!image || !width || !height) return null;
+
+  const frame = fitRegion(width, height, image.width(), image.height(), edits, wholeImage ? null : edits.crop);
+  const drawWidth = image.width() * frame.scale;
+  const drawHeight = image.height() * frame.scale;
+
+  return (
+    <Canvas style={{ width, height }}>
+      <Group clip={rect(frame.x, frame.y, frame.width, frame.height)}>
+        {/* Flipped, then rotated about its center, then placed */}
+        <Group
+          transform={[
+            { translateX: frame.centerX },
+            { translateY: frame.centerY },
+            { rotate: (edits.rotation * Math.PI) / 180 },
+            { scaleX: edits.flipH ? -1 : 1 },
+            { scaleY: edits.flipV ? -1 : 1 },
+          ]}
+        >
+          <SkiaImage
+            image={image}
+            x={-drawWidth / 2}
+            y={-drawHeight / 2}
+            width={drawWidth}
+            height={drawHeight}
+            fit="fill"
+          >
+            <ColorMatrix matrix={colorMatrix(edits)} />
+          </SkiaImage>
+        </Group>
+      </Group>
+    </Canvas>
+  );
+}
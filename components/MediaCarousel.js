@@ -0,0 +1,99 @@
+// components/MediaCarousel.js
+import React, { useState } from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import { Text } from 'react-native-paper';
+import { MAX_BADGE_FONT_SCALE } from '../lib/accessibility';
+
+// Swipeable pages for a carousel post, one per item, with dot indicators
+// and an "n/total" counter. Pages fill the carousel, which takes its height
+// from `style` (usually an aspectRatio). renderItem(item, index, active)
+// draws one page; `active` is false for pages swiped away, so videos can
+// pause. A single item renders without the pager. The counter and dots are
+// hidden from screen readers: item labels say where each one is.
+export default function MediaCarousel({ items, renderItem, style }) {
+  const [pageWidth, setPageWidth] = useState(0);
+  const [index, setIndex] = useState(0);
+
+  if (items.length <= 1) {
+    return <View style={style}>{items[0] && renderItem(items[0], 0, true)}</View>;
+  }
+
+  const onScrollEnd = ({ nativeEvent }) => {
+    if (!pageWidth) return;
+    const page = Math.round(nativeEvent.contentOffset.x / pageWidth);
+    setIndex(Math.max(0, Math.min(items.length - 1, page)));
+  };
+
+  return (
+    <View style={style} onLayout={({ nativeEvent }) => setPageWidth(nativeEvent.layout.width)}>
+      <ScrollView
+        horizontal
+        pagingEnabled
+        showsHorizontalScrollIndicator={false}
+        onMomentumScrollEnd={onScrollEnd}
+        style={StyleSheet.absoluteFill}
+      >
+        {pageWidth > 0 && items.map((item, i) => (
+          <View key={item.id || i} style={[styles.page, { width: pageWidth }]}>
+            {renderItem(item, i, i === index)}
+          </View>
+        ))}
+      </ScrollView>
+
+      <View style={styles.counter} pointerEvents="none" importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+        <Text style={styles.counterText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>{index + 1}/{items.length}</Text>
+      </View>
+
+      <View style={styles.dots} pointerEvents="none" importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+        {items.map((item, i) => (
+          <View key={item.id || i} style={[styles.dot, i === index && styles.activeDot]} />
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  page: {
+    height: '100%',
+  },
+  counter: {
+    position: 'absolute',
+    top: 10,
+    right: 10,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#000',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  counterText: {
+    fontSize: 12,
+    fontWeight: '900',
+    color: '#000',
+  },
+  dots: {
+    position: 'absolute',
+    bottom: 10,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 6,
+  },
+  dot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#fff',
+    borderWidth: 1.5,
+    borderColor: '#000',
+  },
+  activeDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: -1,
+    backgroundColor: '#FFD700', // Yellow
+  },
+});
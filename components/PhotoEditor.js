@@ -0,0 +1,468 @@
+// components/PhotoEditor.js
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  PanResponder,
+  ActivityIndicator,
+  Platform
+} from 'react-native';
+import { Text } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import EditedImage, { useEditingImage } from './EditedImage';
+import {
+  DEFAULT_EDITS,
+  CROP_PRESETS,
+  FILTERS,
+  MIN_CROP_SIZE,
+  presetCrop,
+  rotatedSize,
+  fitRegion,
+} from '../lib/photoEdits';
+
+const TABS = ['CROP', 'ADJUST', 'FILTERS'];
+const ADJUSTMENTS = [
+  { key: 'brightness', label: 'BRIGHTNESS' },
+  { key: 'contrast', label: 'CONTRAST' },
+  { key: 'saturation', label: 'SATURATION' },
+];
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+const THUMB_SIZE = 24;
+const FILTER_PREVIEW_SIZE = 64;
+
+// Adjustment change per screen reader swipe on a slider
+const SLIDER_STEP = 0.1;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// --- SLIDER ---
+// -1..1, centered on 0; drag the thumb or anywhere on the track
+const AdjustSlider = ({ label, value, onChange }) => {
+  const [trackWidth, setTrackWidth] = useState(0);
+  const startRef = useRef(0);
+  const latest = useRef({});
+  latest.current = { value, onChange, trackWidth };
+
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => {
+      startRef.current = latest.current.value;
+    },
+    onPanResponderMove: (_, { dx }) => {
+      const { trackWidth: width, onChange: change } = latest.current;
+      if (!width) return;
+      change(Math.round(clamp(startRef.current + (dx / width) * 2, -1, 1) * 100) / 100);
+    },
+  })).current;
+
+  return (
+    <View style={styles.sliderRow}>
+      <View style={styles.sliderLabels}>
+        <Text style={styles.sliderLabel}>{label}</Text>
+        <TouchableOpacity
+          onPress={() => onChange(0)}
+          disabled={value === 0}
+          accessibilityRole="button"
+          accessibilityLabel={`Reset ${label.toLowerCase()}`}
+          accessibilityState={{ disabled: value === 0 }}
+        >
+          <Text style={styles.sliderValue}>{value > 0 ? '+' : ''}{Math.round(value * 100)}</Text>
+        </TouchableOpacity>
+      </View>
+      <View
+        style={styles.sliderTrack}
+        onLayout={({ nativeEvent }) => setTrackWidth(nativeEvent.layout.width)}
+        {...panResponder.panHandlers}
+        accessible
+        accessibilityRole="adjustable"
+        accessibilityLabel={label.toLowerCase()}
+        accessibilityValue={{ min: -100, max: 100, now: Math.round(value * 100) }}
+        accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+        onAccessibilityAction={({ nativeEvent }) => {
+          const step = nativeEvent.actionName === 'increment' ? SLIDER_STEP : -SLIDER_STEP;
+          onChange(Math.round(clamp(value + step, -1, 1) * 100) / 100);
+        }}
+      >
+        <View style={styles.sliderLine} />
+        <View style={styles.sliderCenter} />
+        <View style={[styles.sliderThumb, { left: ((value + 1) / 2) * trackWidth - THUMB_SIZE / 2 }]} />
+      </View>
+    </View>
+  );
+};
+
+// Full-screen editor for one photo. Nothing touches the file: onDone gets
+// the edits (lib/photoEdits.js), which are applied when the post is shared.
+export default function PhotoEditor({ uri, initialEdits, onDone, onCancel }) {
+  const image = useEditingImage(uri);
+  const [edits, setEdits] = useState({ ...DEFAULT_EDITS, ...initialEdits });
+  const [tab, setTab] = useState('CROP');
+  const [box, setBox] = useState({ width: 0, height: 0 });
+
+  const imageWidth = image?.width() || 0;
+  const imageHeight = image?.height() || 0;
+  // The full photo as laid out in the crop tab, in box points
+  const frame = image && box.width
+    ? fitRegion(box.width, box.height, imageWidth, imageHeight, edits, null)
+    : null;
+
+  // The crop gestures are created once; they read the latest layout here
+  const latest = useRef({});
+  latest.current = { edits, frame };
+  const cropStartRef = useRef(FULL_CROP);
+
+  const setCrop = (crop) => setEdits(current => ({ ...current, crop }));
+
+  const movePan = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => {
+      cropStartRef.current = latest.current.edits.crop || FULL_CROP;
+    },
+    onPanResponderMove: (_, { dx, dy }) => {
+      const start = cropStartRef.current;
+      const { frame: current } = latest.current;
+      if (!current) return;
+      setCrop({
+        ...start,
+        x: clamp(start.x + dx / current.width, 0, 1 - start.width),
+        y: clamp(start.y + dy / current.height, 0, 1 - start.height),
+      });
+    },
+  })).current;
+
+  // Bottom-right handle; presets keep their ratio
+  const resizePan = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => {
+      cropStartRef.current = latest.current.edits.crop || FULL_CROP;
+    },
+    onPanResponderMove: (_, { dx, dy }) => {
+      const start = cropStartRef.current;
+      const { frame: current, edits: currentEdits } = latest.current;
+      if (!current) return;
+
+      const ratio = CROP_PRESETS.find(preset => preset.key === currentEdits.aspect)?.ratio;
+      let width = clamp(start.width + dx / current.width, MIN_CROP_SIZE, 1 - start.x);
+      let height;
+      if (ratio) {
+        // Same ratio in pixels: width * frameWidth = ratio * height * frameHeight
+        const toHeight = current.width / (ratio * current.height);
+        height = clamp(width * toHeight, MIN_CROP_SIZE, 1 - start.y);
+        width = height / toHeight;
+      } else {
+        height = clamp(start.height + dy / current.height, MIN_CROP_SIZE, 1 - start.y);
+      }
+      setCrop({ ...start, width, height });
+    },
+  })).current;
+
+  const selectPreset = (aspect) => {
+    setEdits(current => {
+      const size = rotatedSize(imageWidth, imageHeight, current.rotation);
+      // Free keeps the current crop to adjust from
+      const crop = aspect === 'free' ? current.crop : presetCrop(aspect, size.width, size.height);
+      return { ...current, aspect, crop };
+    });
+  };
+
+  // A quarter turn clockwise; the crop starts over from the preset
+  const rotate = () => {
+    setEdits(current => {
+      const rotation = (current.rotation + 90) % 360;
+      const size = rotatedSize(imageWidth, imageHeight, rotation);
+      return { ...current, rotation, crop: presetCrop(current.aspect, size.width, size.height) };
+    });
+  };
+
+  // Mirrors the photo as it is shown, whatever its rotation
+  const flip = () => {
+    setEdits(current => ({
+      ...current,
+      ...(current.rotation % 180 === 0 ? { flipH: !current.flipH } : { flipV: !current.flipV }),
+      crop: current.crop && { ...current.crop, x: 1 - current.crop.x - current.crop.width },
+    }));
+  };
+
+  const reset = () => setEdits(DEFAULT_EDITS);
+
+  const renderCropOverlay = () => {
+    const crop = edits.crop || FULL_CROP;
+    const left = frame.x + crop.x * frame.width;
+    const top = frame.y + crop.y * frame.height;
+    const width = crop.width * frame.width;
+    const height = crop.height * frame.height;
+
+    // Dragging only; screen readers crop with the presets instead
+    return (
+      <View style={StyleSheet.absoluteFill} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+        {/* Dim everything outside the crop */}
+        <View style={[styles.shade, { left: 0, right: 0, top: 0, height: top }]} />
+        <View style={[styles.shade, { left: 0, right: 0, top: top + height, bottom: 0 }]} />
+        <View style={[styles.shade, { left: 0, width: left, top, height }]} />
+        <View style={[styles.shade, { left: left + width, right: 0, top, height }]} />
+
+        <View style={[styles.cropFrame, { left, top, width, height }]} {...movePan.panHandlers}>
+          {/* Rule of thirds */}
+          <View style={[styles.gridLine, { left: '33.3%', top: 0, bottom: 0, width: 1 }]} />
+          <View style={[styles.gridLine, { left: '66.6%', top: 0, bottom: 0, width: 1 }]} />
+          <View style={[styles.gridLine, { top: '33.3%', left: 0, right: 0, height: 1 }]} />
+          <View style={[styles.gridLine, { top: '66.6%', left: 0, right: 0, height: 1 }]} />
+          <View style={styles.cropHandle} {...resizePan.panHandlers} />
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onCancel} style={styles.headerBtn} accessibilityRole="button" accessibilityLabel="Cancel editing">
+          <Ionicons name="close" size={26} color="#000" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} accessibilityRole="header">EDIT_PHOTO</Text>
+        <TouchableOpacity
+          onPress={() => onDone(edits)}
+          disabled={!image}
+          style={[styles.headerBtn, styles.doneBtn]}
+          accessibilityRole="button"
+          accessibilityLabel="Apply edits"
+          accessibilityState={{ disabled: !image }}
+        >
+          <Ionicons name="checkmark" size={26} color="#000" />
+        </TouchableOpacity>
+      </View>
+
+      <View
+        style={styles.canvasBox}
+        onLayout={({ nativeEvent }) => setBox({ width: nativeEvent.layout.width, height: nativeEvent.layout.height })}
+      >
+        {!image ? (
+          <ActivityIndicator size="large" color="#fff" />
+        ) : (
+          <>
+            <EditedImage
+              image={image}
+              edits={edits}
+              width={box.width}
+              height={box.height}
+              wholeImage={tab === 'CROP'}
+            />
+            {tab === 'CROP' && frame && renderCropOverlay()}
+          </>
+        )}
+      </View>
+
+      <View style={styles.toolPanel}>
+        {tab === 'CROP' && (
+          <View style={styles.cropTools}>
+            <View style={styles.chipRow}>
+              {CROP_PRESETS.map(preset => (
+                <TouchableOpacity
+                  key={preset.key}
+                  onPress={() => selectPreset(preset.key)}
+                  style={[styles.chip, edits.aspect === preset.key && styles.activeChip]}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Crop ${preset.label.toLowerCase()}`}
+                  accessibilityState={{ selected: edits.aspect === preset.key }}
+                >
+                  <Text style={styles.chipText}>{preset.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.chipRow}>
+              <TouchableOpacity onPress={rotate} style={styles.iconBtn} accessibilityRole="button" accessibilityLabel="Rotate">
+                <Ionicons name="refresh" size={22} color="#000" />
+                <Text style={styles.iconBtnText}>ROTATE</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={flip} style={styles.iconBtn} accessibilityRole="button" accessibilityLabel="Flip">
+                <Ionicons name="swap-horizontal" size={22} color="#000" />
+                <Text style={styles.iconBtnText}>FLIP</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {tab === 'ADJUST' && ADJUSTMENTS.map(adjustment => (
+          <AdjustSlider
+            key={adjustment.key}
+            label={adjustment.label}
+            value={edits[adjustment.key]}
+            onChange={value => setEdits(current => ({ ...current, [adjustment.key]: value }))}
+          />
+        ))}
+
+        {tab === 'FILTERS' && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterRow}>
+            {FILTERS.map(filter => (
+              <TouchableOpacity
+                key={filter.key}
+                onPress={() => setEdits(current => ({ ...current, filter: filter.key }))}
+                style={[styles.filterItem, edits.filter === filter.key && styles.activeFilter]}
+                accessibilityRole="button"
+                accessibilityLabel={`${filter.label.toLowerCase()} filter`}
+                accessibilityState={{ selected: edits.filter === filter.key }}
+              >
+                <View style={styles.filterPreview} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+                  <EditedImage
+                    image={image}
+                    edits={{ ...edits, filter: filter.key }}
+                    width={FILTER_PREVIEW_SIZE - 4}
+                    height={FILTER_PREVIEW_SIZE - 4}
+                  />
+                </View>
+                <Text style={styles.chipText}>{filter.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+      </View>
+
+      <View style={styles.tabBar} accessibilityRole="tablist">
+        {TABS.map(name => (
+          <TouchableOpacity
+            key={name}
+            onPress={() => setTab(name)}
+            style={[styles.tab, tab === name && styles.activeTab]}
+            accessibilityRole="tab"
+            accessibilityLabel={name.toLowerCase()}
+            accessibilityState={{ selected: tab === name }}
+          >
+            <Text style={styles.tabText}>{name}</Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity onPress={reset} style={styles.tab} accessibilityRole="button" accessibilityLabel="Reset all edits">
+          <Text style={styles.tabText}>RESET</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#f0f0f0' },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#FFD700',
+    borderBottomWidth: 3,
+    borderBottomColor: '#000',
+  },
+  headerTitle: { fontSize: 20, fontWeight: '900', fontFamily: Platform.OS === 'ios' ? 'Courier New' : 'monospace' },
+  headerBtn: {
+    width: 40,
+    height: 40,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  doneBtn: { backgroundColor: '#4169E1' }, // Blue
+
+  canvasBox: {
+    flex: 1,
+    backgroundColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderBottomWidth: 3,
+    borderBottomColor: '#000',
+  },
+  shade: { position: 'absolute', backgroundColor: 'rgba(0, 0, 0, 0.55)' },
+  cropFrame: { position: 'absolute', borderWidth: 2, borderColor: '#FFD700' },
+  gridLine: { position: 'absolute', backgroundColor: 'rgba(255, 215, 0, 0.6)' },
+  cropHandle: {
+    position: 'absolute',
+    right: -12,
+    bottom: -12,
+    width: 24,
+    height: 24,
+    backgroundColor: '#FFD700',
+    borderWidth: 2,
+    borderColor: '#000',
+  },
+
+  toolPanel: { minHeight: 150, padding: 15, justifyContent: 'center', backgroundColor: '#fff' },
+  cropTools: { gap: 12 },
+  chipRow: { flexDirection: 'row', justifyContent: 'center', gap: 10 },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#000',
+  },
+  activeChip: { backgroundColor: '#FFD700' },
+  chipText: { fontSize: 12, fontWeight: '900', color: '#000' },
+  iconBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    backgroundColor: '#FF69B4', // Pink
+    borderWidth: 2,
+    borderColor: '#000',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 2, height: 2 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  iconBtnText: { fontSize: 12, fontWeight: '900', color: '#000' },
+
+  sliderRow: { marginBottom: 10 },
+  sliderLabels: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 },
+  sliderLabel: { fontSize: 11, fontWeight: '900', color: '#000' },
+  sliderValue: { fontSize: 11, fontWeight: '900', color: '#4169E1' },
+  sliderTrack: {
+    height: THUMB_SIZE,
+    justifyContent: 'center',
+  },
+  sliderLine: { height: 3, backgroundColor: '#000' },
+  sliderCenter: {
+    position: 'absolute',
+    left: '50%',
+    width: 2,
+    height: 10,
+    backgroundColor: '#000',
+  },
+  sliderThumb: {
+    position: 'absolute',
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    backgroundColor: '#FFD700',
+    borderWidth: 2,
+    borderColor: '#000',
+  },
+
+  filterRow: { gap: 10 },
+  filterItem: { alignItems: 'center', gap: 4, padding: 3, borderWidth: 2, borderColor: 'transparent' },
+  activeFilter: { borderColor: '#000', backgroundColor: '#FFD700' },
+  filterPreview: {
+    width: FILTER_PREVIEW_SIZE,
+    height: FILTER_PREVIEW_SIZE,
+    backgroundColor: '#000',
+    borderWidth: 2,
+    borderColor: '#000',
+    overflow: 'hidden',
+  },
+
+  tabBar: { flexDirection: 'row', borderTopWidth: 3, borderTopColor: '#000', backgroundColor: '#fff' },
+  tab: { flex: 1, paddingVertical: 14, alignItems: 'center', borderRightWidth: 2, borderRightColor: '#000' },
+  activeTab: { backgroundColor: '#FFD700' },
+  tabText: { fontSize: 12, fontWeight: '900', color: '#000', letterSpacing: 1 },
+});
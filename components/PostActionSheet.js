@@ -0,0 +1,214 @@
+// components/PostActionSheet.js
+import React from 'react';
+import { View, StyleSheet, Modal, TouchableOpacity, TouchableWithoutFeedback, Alert } from 'react-native';
+import { Text } from 'react-native-paper';
+import { Ionicons } from '@expo/vector-icons';
+import { useApp } from '../context/AppContext';
+
+// Same values as the post_reports.reason check
+const REPORT_REASONS = [
+  { reason: 'spam', label: 'Spam' },
+  { reason: 'inappropriate', label: 'Inappropriate' },
+  { reason: 'other', label: 'Something else' },
+];
+
+// The "..." menu of a post, shown while `post` is set. The post's author
+// gets edit, archive and delete; everyone else report, hide, mute, copy
+// link and share. The screen decides what editing means (onEdit) and
+// what happens after a delete (onDeleted).
+export default function PostActionSheet({ post, onDismiss, onEdit, onDeleted }) {
+  const {
+    user,
+    profilesById,
+    deletePost,
+    archivePost,
+    hidePost,
+    reportPost,
+    muteUser,
+    copyPostLink,
+    sharePost,
+    showNotice,
+  } = useApp();
+
+  const isOwner = !!post && post.user_id === user?.id;
+  const username = post ? profilesById[post.user_id]?.username || 'user' : '';
+
+  // The sheet closes before the action runs so any alert it raises isn't
+  // stacked over the modal
+  const run = (action) => () => {
+    onDismiss();
+    action(post);
+  };
+
+  const handleResult = ({ success, error }, failure, notice) => {
+    if (!success) Alert.alert('Error', error || failure);
+    else if (notice) showNotice(notice);
+  };
+
+  const confirmDelete = (target) => {
+    Alert.alert(
+      "Delete Post",
+      "Are you sure you want to delete this post?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            const result = await deletePost(target.id);
+            handleResult(result, 'Failed to delete post.', 'Post deleted.');
+            if (result.success) onDeleted?.(target);
+          }
+        }
+      ]
+    );
+  };
+
+  const toggleArchive = async (target) => {
+    const archived = !target.archived_at;
+    handleResult(
+      await archivePost(target.id, archived),
+      archived ? 'Failed to archive post.' : 'Failed to restore post.',
+      archived ? 'Post archived. Only you can see it.' : 'Post restored.'
+    );
+  };
+
+  const chooseReportReason = (target) => {
+    Alert.alert(
+      "Report Post",
+      "Why are you reporting this post?",
+      [
+        ...REPORT_REASONS.map(({ reason, label }) => ({
+          text: label,
+          onPress: async () => handleResult(
+            await reportPost(target.id, reason),
+            'Failed to report post.',
+            "Thanks for reporting. You won't see this post again."
+          ),
+        })),
+        { text: "Cancel", style: "cancel" },
+      ]
+    );
+  };
+
+  const hide = async (target) => {
+    handleResult(await hidePost(target.id), 'Failed to hide post.', 'Post hidden.');
+  };
+
+  const confirmMute = (target) => {
+    Alert.alert(
+      `Mute @${username}`,
+      "Their posts won't show up in your feeds.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Mute",
+          onPress: async () => handleResult(
+            await muteUser(target.user_id),
+            'Failed to mute user.',
+            `@${username} muted.`
+          ),
+        }
+      ]
+    );
+  };
+
+  const copyLink = async (target) => {
+    handleResult(await copyPostLink(target.id), 'Failed to copy link.', 'Link copied.');
+  };
+
+  const share = async (target) => {
+    handleResult(await sharePost(target), 'Failed to share post.');
+  };
+
+  const items = isOwner ? [
+    { key: 'edit', icon: 'pencil', label: 'EDIT_CAPTION', onPress: run(target => onEdit(target)) },
+    post.archived_at
+      ? { key: 'archive', icon: 'archive', label: 'UNARCHIVE', onPress: run(toggleArchive) }
+      : { key: 'archive', icon: 'archive-outline', label: 'ARCHIVE', onPress: run(toggleArchive) },
+    { key: 'delete', icon: 'trash-outline', label: 'DELETE', destructive: true, onPress: run(confirmDelete) },
+  ] : post ? [
+    { key: 'report', icon: 'flag-outline', label: 'REPORT', destructive: true, onPress: run(chooseReportReason) },
+    { key: 'hide', icon: 'eye-off-outline', label: 'HIDE_POST', onPress: run(hide) },
+    { key: 'mute', icon: 'volume-mute-outline', label: `MUTE @${username}`, onPress: run(confirmMute) },
+    { key: 'copy', icon: 'link-outline', label: 'COPY_LINK', onPress: run(copyLink) },
+    { key: 'share', icon: 'share-outline', label: 'SHARE', onPress: run(share) },
+  ] : [];
+
+  return (
+    <Modal
+      visible={!!post}
+      transparent
+      animationType="slide"
+      onRequestClose={onDismiss}
+    >
+      <TouchableWithoutFeedback onPress={onDismiss} accessible={false}>
+        <View style={styles.backdrop} />
+      </TouchableWithoutFeedback>
+
+      <View style={styles.sheet} accessibilityViewIsModal accessibilityRole="menu">
+        {items.map(item => (
+          <TouchableOpacity
+            key={item.key}
+            onPress={item.onPress}
+            style={[styles.item, item.destructive && styles.destructiveItem]}
+            accessibilityRole="menuitem"
+            accessibilityLabel={item.label.replace(/_/g, ' ').toLowerCase()}
+          >
+            <Ionicons name={item.icon} size={22} color="#000" />
+            <Text style={styles.itemText}>{item.label}</Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          onPress={onDismiss}
+          style={[styles.item, styles.cancelItem]}
+          accessibilityRole="button"
+          accessibilityLabel="Close menu"
+        >
+          <Text style={styles.itemText}>CANCEL</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  sheet: {
+    padding: 20,
+    paddingBottom: 40,
+    gap: 10,
+    backgroundColor: '#f0f0f0',
+    borderTopWidth: 3,
+    borderColor: '#000',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 14,
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#000',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  destructiveItem: {
+    backgroundColor: '#FF69B4', // Pink
+  },
+  cancelItem: {
+    justifyContent: 'center',
+    backgroundColor: '#FFD700', // Yellow
+  },
+  itemText: {
+    fontSize: 16,
+    fontWeight: '900',
+    color: '#000',
+  },
+});
@@ -0,0 +1,115 @@
+// components/PostGrid.js
+import React from 'react';
+import { View, StyleSheet, FlatList, Dimensions, TouchableOpacity } from 'react-native';
+import { Image } from 'expo-image';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { postThumbnailUrl, postMediaAccessibilityLabel } from '../lib/media';
+
+const { width } = Dimensions.get('window');
+const COLUMN_COUNT = 2; // Chunky 2-column grid
+const IMAGE_SIZE = (width - 60) / COLUMN_COUNT; // Adjust for padding
+
+// Thumbnails of `posts` that open the post on tap. Other props go to the
+// FlatList (e.g. scrollEnabled={false} inside a ScrollView, onEndReached).
+export default function PostGrid({ posts, ...listProps }) {
+  const navigation = useNavigation();
+
+  const renderPost = ({ item }) => (
+    <TouchableOpacity
+      style={styles.gridItem}
+      onPress={() => navigation.navigate('PostDetail', { postId: item.id })}
+      activeOpacity={0.9}
+      accessibilityRole="imagebutton"
+      accessibilityLabel={item.archived_at ? `Archived. ${postMediaAccessibilityLabel(item)}` : postMediaAccessibilityLabel(item)}
+      accessibilityHint="Opens the post"
+    >
+      <Image
+        source={postThumbnailUrl(item) ? { uri: postThumbnailUrl(item) } : null}
+        style={styles.gridImage}
+        contentFit="cover"
+        transition={200}
+        placeholder={require('../assets/adaptive-icon.png')}
+      />
+      {/* Carousels get a stack badge, single videos a play badge */}
+      {item.media_count > 1 ? (
+        <View style={styles.mediaBadge}>
+          <Ionicons name="copy" size={14} color="#000" />
+        </View>
+      ) : item.media_type === 'video' && (
+        <View style={styles.mediaBadge}>
+          <Ionicons name="play" size={16} color="#000" />
+        </View>
+      )}
+      {/* Only the author sees their archived posts */}
+      {item.archived_at && (
+        <View style={styles.archivedBadge}>
+          <Ionicons name="archive" size={14} color="#000" />
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <FlatList
+      data={posts}
+      renderItem={renderPost}
+      keyExtractor={(item) => item.id.toString()}
+      numColumns={COLUMN_COUNT}
+      contentContainerStyle={styles.gridContainer}
+      columnWrapperStyle={styles.gridColumnWrapper}
+      {...listProps}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  gridContainer: {
+    gap: 15,
+  },
+  gridColumnWrapper: {
+    gap: 15,
+  },
+  gridItem: {
+    width: IMAGE_SIZE,
+    height: IMAGE_SIZE,
+    borderWidth: 3,
+    borderColor: '#000',
+    backgroundColor: '#fff',
+    marginBottom: 15,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 4, height: 4 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  gridImage: {
+    width: '100%',
+    height: '100%',
+    backgroundColor: '#eee',
+  },
+  archivedBadge: {
+    position: 'absolute',
+    top: 5,
+    left: 5,
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 2,
+    borderColor: '#000',
+    width: 24,
+    height: 24,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  mediaBadge: {
+    position: 'absolute',
+    top: 5,
+    right: 5,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#000',
+    width: 24,
+    height: 24,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
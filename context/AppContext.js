@@ -1,8 +1,33 @@
 // context/AppContext.js
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { supabase } from '../supabase';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useMemo } from 'react';
+import { Alert, AppState, Share } from 'react-native';
+import * as Clipboard from 'expo-clipboard';
+import { backend } from '../data';
+import { loadFeedCache, saveFeedCache, clearFeedCache } from '../lib/feedCache';
+import { sweepOrphanedMedia } from '../lib/mediaSweep';
+import { createLogger } from '../lib/logger';
+import { prepareMedia } from '../lib/imageProcessing';
+import { MAX_POST_MEDIA, MAX_ALT_TEXT_LENGTH } from '../lib/media';
+import { MAX_COMMENT_LENGTH } from '../lib/comments';
+import { captionTags } from '../lib/captions';
+import { postLink } from '../lib/links';
+import {
+  loadOutbox,
+  saveOutbox,
+  enqueueMutation,
+  replayOutbox,
+  pendingPostIds,
+  isNetworkError,
+  isOnline,
+  onReconnect,
+  createOutboxId,
+  discardOutboxMedia,
+} from '../lib/outbox';
+import { createUploadManager, createUploadJob } from '../lib/uploadManager';
+import { loadDrafts, saveDrafts, storeDraftMedia, discardDraftMedia } from '../lib/drafts';
 
 const AppContext = createContext();
+const log = createLogger('AppContext');
 
 // Action types
 const SET_USER = 'SET_USER';
@@ -11,52 +36,524 @@ const UPDATE_POST_LIKE = 'UPDATE_POST_LIKE';
 const ADD_POSTS = 'ADD_POSTS';
 const SET_LOADING = 'SET_LOADING';
 const DELETE_POST = 'DELETE_POST';
+const HYDRATE_FEED = 'HYDRATE_FEED';
+const PREPEND_POST = 'PREPEND_POST';
+const SET_OUTBOX = 'SET_OUTBOX';
+const QUEUE_NEW_POST = 'QUEUE_NEW_POST';
+const SHOW_NEW_POSTS = 'SHOW_NEW_POSTS';
+const APPLY_REMOTE_LIKE = 'APPLY_REMOTE_LIKE';
+const UPSERT_POSTS = 'UPSERT_POSTS';
+const SET_PROFILE = 'SET_PROFILE';
+const SET_PROFILE_POSTS = 'SET_PROFILE_POSTS';
+const RESET_STORE = 'RESET_STORE';
+const SET_NOTICE = 'SET_NOTICE';
+const SET_UPLOADS = 'SET_UPLOADS';
+const UPLOAD_COMPLETE = 'UPLOAD_COMPLETE';
+const SET_DRAFTS = 'SET_DRAFTS';
+const SET_TAG_FEED = 'SET_TAG_FEED';
+const SET_COMMENTS = 'SET_COMMENTS';
+const ADD_COMMENT = 'ADD_COMMENT';
+const REMOVE_COMMENT = 'REMOVE_COMMENT';
+const SET_REPLIES = 'SET_REPLIES';
+const UPDATE_COMMENT_LIKE = 'UPDATE_COMMENT_LIKE';
+const SET_PINNED_COMMENT = 'SET_PINNED_COMMENT';
+const SET_LIKERS = 'SET_LIKERS';
+const UPDATE_CAPTION = 'UPDATE_CAPTION';
+const SET_POST_ARCHIVED = 'SET_POST_ARCHIVED';
+const HIDE_POSTS = 'HIDE_POSTS';
+
+const PAGE_SIZE = 10;
+const COMMENTS_PAGE_SIZE = 20;
+const REPLIES_PAGE_SIZE = 10;
+const LIKERS_PAGE_SIZE = 20;
+// How many feed pages are kept on device for instant startup
+const CACHED_PAGES = 3;
 
 // Initial state
+// Posts and profiles are stored once, by id; the feed and profile grids are
+// lists of ids into them, so every screen sees the same post.
 const initialState = {
   user: null,
-  posts: [],
+  postsById: {},
+  profilesById: {},
+  feedIds: [],
+  // userId -> ids of that user's posts, newest first
+  profilePostIds: {},
+  // Lowercased tag -> { ids, nextCursor, hasMore } of the posts tagged with
+  // it, loaded page by page like the feed
+  tagFeeds: {},
+  // Comments are stored by id like posts; postId -> { ids, nextCursor,
+  // hasMore, pinnedId } of the top-level ones loaded for that post, newest
+  // first. The pinned comment is kept out of ids.
+  commentsById: {},
+  postComments: {},
+  // commentId -> { ids, nextCursor, hasMore } of its replies, oldest first
+  commentReplies: {},
+  // postId -> { ids, nextCursor, hasMore } of the users who liked it, newest
+  // like first. The users are in profilesById, with viewer_follows.
+  postLikers: {},
   loading: true,
   loadingMore: false,
   hasMore: true,
+  // Keyset cursor ({ created_at, id }) of the last post loaded into the feed
+  nextCursor: null,
+  // Where the feed currently comes from: 'none', 'cache' (stale) or 'server'
+  feedSource: 'none',
+  // Mutations waiting for connectivity (see lib/outbox.js)
+  outbox: [],
+  // New posts on their way up, with progress (see lib/uploadManager.js)
+  uploads: [],
+  // Upload job id -> id of the post it created, for screens that wait on one
+  uploadResults: {},
+  // Unfinished posts saved on this device, newest first (see lib/drafts.js)
+  drafts: [],
+  // Posts other users created since the feed was loaded, shown on demand
+  newPostIds: [],
+  // Short message for the app-wide snackbar (e.g. a like that failed)
+  notice: null,
 };
 
+// The only place like counts are adjusted. Idempotent: setting the state a
+// post already has is a no-op, so a rollback can't double count.
+function withLike(post, liked) {
+  if (!!post.user_has_liked === liked) return post;
+  return {
+    ...post,
+    user_has_liked: liked,
+    likes_count: Math.max(0, (post.likes_count || 0) + (liked ? 1 : -1))
+  };
+}
+
+function withLikeDelta(post, delta) {
+  return { ...post, likes_count: Math.max(0, (post.likes_count || 0) + delta) };
+}
+
+// Merges server rows into the entity maps. Rows from the feed view embed
+// the author as `profiles`; that moves into profilesById. Fields a row
+// doesn't carry (e.g. likes_count on a plain posts row) are kept.
+function upsertPosts(state, posts) {
+  if (posts.length === 0) return state;
+
+  const postsById = { ...state.postsById };
+  const profilesById = { ...state.profilesById };
+  posts.forEach(({ profiles: author, ...post }) => {
+    postsById[post.id] = { ...postsById[post.id], ...post };
+    if (author?.username) {
+      profilesById[post.user_id] = { ...profilesById[post.user_id], id: post.user_id, ...author };
+    }
+  });
+  return { ...state, postsById, profilesById };
+}
+
+// Same as upsertPosts, for comments rows (feed_comments embeds the author)
+function upsertComments(state, comments) {
+  if (comments.length === 0) return state;
+
+  const commentsById = { ...state.commentsById };
+  const profilesById = { ...state.profilesById };
+  comments.forEach(({ profiles: author, ...comment }) => {
+    commentsById[comment.id] = { ...commentsById[comment.id], ...comment };
+    if (author?.username) {
+      profilesById[comment.user_id] = { ...profilesById[comment.user_id], id: comment.user_id, ...author };
+    }
+  });
+  return { ...state, commentsById, profilesById };
+}
+
+function withCommentDelta(post, delta) {
+  return { ...post, comments_count: Math.max(0, (post.comments_count || 0) + delta) };
+}
+
+function withReplyDelta(comment, delta) {
+  return { ...comment, replies_count: Math.max(0, (comment.replies_count || 0) + delta) };
+}
+
+function updateComment(state, commentId, update) {
+  const comment = state.commentsById[commentId];
+  if (!comment) return state;
+  return { ...state, commentsById: { ...state.commentsById, [commentId]: update(comment) } };
+}
+
+// Top-level ids in the order comments_page returns them
+const byNewestComment = (commentsById) => (a, b) =>
+  commentsById[b].created_at.localeCompare(commentsById[a].created_at) || (b > a ? 1 : b < a ? -1 : 0);
+
+function updatePost(state, postId, update) {
+  const post = state.postsById[postId];
+  if (!post) return state;
+  return { ...state, postsById: { ...state.postsById, [postId]: update(post) } };
+}
+
+const uniqueIds = (ids) => [...new Set(ids)];
+
+// Takes posts out of the home and tag feeds; they stay in postsById (and
+// on profiles) for whatever else shows them
+function withoutFeedPosts(state, postIds) {
+  const removed = new Set(postIds);
+  if (removed.size === 0) return state;
+
+  const tagFeeds = {};
+  Object.keys(state.tagFeeds).forEach(tag => {
+    tagFeeds[tag] = { ...state.tagFeeds[tag], ids: state.tagFeeds[tag].ids.filter(id => !removed.has(id)) };
+  });
+  return {
+    ...state,
+    feedIds: state.feedIds.filter(id => !removed.has(id)),
+    newPostIds: state.newPostIds.filter(id => !removed.has(id)),
+    tagFeeds,
+  };
+}
+
 // Reducer
 function appReducer(state, action) {
   switch (action.type) {
     case SET_USER:
       return { ...state, user: action.payload };
 
+    case RESET_STORE:
+      return { ...initialState, user: state.user, loading: state.loading };
+
+    case UPSERT_POSTS:
+      return upsertPosts(state, action.payload);
+
     case SET_POSTS:
-      return { ...state, posts: action.payload, hasMore: true };
+      return {
+        ...upsertPosts(state, action.payload),
+        feedIds: uniqueIds(action.payload.map(post => post.id)),
+        hasMore: true,
+        nextCursor: null,
+        feedSource: 'none',
+        newPostIds: [],
+      };
+
+    case HYDRATE_FEED:
+      // Never let a cached snapshot overwrite data from the server
+      if (state.feedSource === 'server') return state;
+      return {
+        ...upsertPosts(state, action.payload.posts),
+        feedIds: uniqueIds(action.payload.posts.map(post => post.id)),
+        hasMore: action.payload.hasMore,
+        nextCursor: action.payload.nextCursor,
+        feedSource: 'cache',
+      };
 
     case ADD_POSTS:
-      // Filter out duplicates just in case
-      const newPosts = action.payload.filter(
-        newPost => !state.posts.some(existingPost => existingPost.id === newPost.id)
+      return {
+        ...upsertPosts(state, action.payload),
+        feedIds: uniqueIds([...state.feedIds, ...action.payload.map(post => post.id)]),
+      };
+
+    case PREPEND_POST: {
+      const { id } = action.payload;
+      return {
+        ...upsertPosts(state, [action.payload]),
+        feedIds: [id, ...state.feedIds.filter(postId => postId !== id)],
+        newPostIds: state.newPostIds.filter(postId => postId !== id),
+      };
+    }
+
+    case QUEUE_NEW_POST: {
+      const { id } = action.payload;
+      if (state.feedIds.includes(id) || state.newPostIds.includes(id)) {
+        return state;
+      }
+      return {
+        ...upsertPosts(state, [action.payload]),
+        newPostIds: [id, ...state.newPostIds],
+      };
+    }
+
+    case SHOW_NEW_POSTS:
+      return {
+        ...state,
+        feedIds: uniqueIds([...state.newPostIds, ...state.feedIds]),
+        newPostIds: [],
+      };
+
+    case APPLY_REMOTE_LIKE:
+      return updatePost(state, action.payload.postId, post =>
+        withLikeDelta(post, action.payload.delta)
       );
-      return { ...state, posts: [...state.posts, ...newPosts] };
 
     case UPDATE_POST_LIKE:
+      return updatePost(state, action.payload.postId, post =>
+        withLike(post, action.payload.liked)
+      );
+
+    case DELETE_POST: {
+      const postId = action.payload;
+      const { [postId]: _deleted, ...postsById } = state.postsById;
+      const profilePostIds = {};
+      Object.keys(state.profilePostIds).forEach(userId => {
+        profilePostIds[userId] = state.profilePostIds[userId].filter(id => id !== postId);
+      });
+      const tagFeeds = {};
+      Object.keys(state.tagFeeds).forEach(tag => {
+        tagFeeds[tag] = { ...state.tagFeeds[tag], ids: state.tagFeeds[tag].ids.filter(id => id !== postId) };
+      });
+      const postComments = { ...state.postComments };
+      delete postComments[postId];
+      const postLikers = { ...state.postLikers };
+      delete postLikers[postId];
+      const commentsById = {};
+      Object.values(state.commentsById).forEach(comment => {
+        if (comment.post_id !== postId) commentsById[comment.id] = comment;
+      });
+      const commentReplies = {};
+      Object.keys(state.commentReplies).forEach(commentId => {
+        if (commentsById[commentId]) commentReplies[commentId] = state.commentReplies[commentId];
+      });
       return {
         ...state,
-        posts: state.posts.map(post =>
-          post.id === action.payload.postId
-            ? {
-              ...post,
-              user_has_liked: action.payload.liked,
-              likes_count: action.payload.liked
-                ? (post.likes_count || 0) + 1
-                : Math.max(0, (post.likes_count || 1) - 1)
-            }
-            : post
-        )
+        postsById,
+        feedIds: state.feedIds.filter(id => id !== postId),
+        newPostIds: state.newPostIds.filter(id => id !== postId),
+        profilePostIds,
+        tagFeeds,
+        commentsById,
+        postComments,
+        commentReplies,
+        postLikers,
       };
+    }
 
-    case DELETE_POST:
+    // Tag feeds the post no longer belongs to drop it; feeds for tags it
+    // gained pick it up on their next refresh
+    case UPDATE_CAPTION: {
+      const { postId, caption, editedAt } = action.payload;
+      const tags = captionTags(caption);
+      const tagFeeds = {};
+      Object.keys(state.tagFeeds).forEach(tag => {
+        tagFeeds[tag] = tags.includes(tag)
+          ? state.tagFeeds[tag]
+          : { ...state.tagFeeds[tag], ids: state.tagFeeds[tag].ids.filter(id => id !== postId) };
+      });
+      return {
+        ...updatePost(state, postId, post => ({ ...post, caption, edited_at: editedAt })),
+        tagFeeds,
+      };
+    }
+
+    // Archived posts leave the feeds; restored ones come back on refresh
+    case SET_POST_ARCHIVED: {
+      const { postId, archivedAt } = action.payload;
+      const next = updatePost(state, postId, post => ({ ...post, archived_at: archivedAt }));
+      return archivedAt ? withoutFeedPosts(next, [postId]) : next;
+    }
+
+    case HIDE_POSTS:
+      return withoutFeedPosts(state, action.payload);
+
+    case SET_COMMENTS: {
+      const { postId, comments, pinned, nextCursor, hasMore, append } = action.payload;
+      const list = state.postComments[postId];
+      const ids = comments.map(comment => comment.id);
+      return {
+        ...upsertComments(state, pinned ? [pinned, ...comments] : comments),
+        postComments: {
+          ...state.postComments,
+          [postId]: {
+            ids: append ? uniqueIds([...(list?.ids || []), ...ids]) : ids,
+            nextCursor,
+            hasMore,
+            pinnedId: append ? list?.pinnedId || null : pinned?.id || null,
+          },
+        },
+      };
+    }
+
+    case SET_LIKERS: {
+      const { postId, likers, nextCursor, hasMore, append } = action.payload;
+      const profilesById = { ...state.profilesById };
+      likers.forEach(({ id, username, viewer_follows }) => {
+        profilesById[id] = { ...profilesById[id], id, username, viewer_follows };
+      });
+      const ids = likers.map(liker => liker.id);
+      return {
+        ...state,
+        profilesById,
+        postLikers: {
+          ...state.postLikers,
+          [postId]: {
+            ids: append ? uniqueIds([...(state.postLikers[postId]?.ids || []), ...ids]) : ids,
+            nextCursor,
+            hasMore,
+          },
+        },
+      };
+    }
+
+    case SET_REPLIES: {
+      const { commentId, replies, nextCursor, hasMore, append } = action.payload;
+      const ids = replies.map(reply => reply.id);
+      return {
+        ...upsertComments(state, replies),
+        commentReplies: {
+          ...state.commentReplies,
+          [commentId]: {
+            ids: append ? uniqueIds([...(state.commentReplies[commentId]?.ids || []), ...ids]) : ids,
+            nextCursor,
+            hasMore,
+          },
+        },
+      };
+    }
+
+    // Idempotent, so a comment can arrive both from addComment and realtime
+    case ADD_COMMENT: {
+      const comment = action.payload;
+      if (state.commentsById[comment.id]) return state;
+
+      let next = upsertComments(state, [comment]);
+      if (comment.parent_id) {
+        // Newest reply goes last, unless older ones are still to be loaded
+        const replies = state.commentReplies[comment.parent_id];
+        if (replies && !replies.hasMore) {
+          next = {
+            ...next,
+            commentReplies: {
+              ...state.commentReplies,
+              [comment.parent_id]: { ...replies, ids: [...replies.ids, comment.id] },
+            },
+          };
+        }
+        next = updateComment(next, comment.parent_id, parent => withReplyDelta(parent, 1));
+      } else {
+        const list = state.postComments[comment.post_id];
+        if (list) {
+          next = {
+            ...next,
+            postComments: { ...state.postComments, [comment.post_id]: { ...list, ids: [comment.id, ...list.ids] } },
+          };
+        }
+      }
+      return updatePost(next, comment.post_id, post => withCommentDelta(post, 1));
+    }
+
+    // Replies go with their comment, as in the database
+    case REMOVE_COMMENT: {
+      const comment = state.commentsById[action.payload];
+      if (!comment) return state;
+
+      const removedIds = new Set([comment.id, ...(state.commentReplies[comment.id]?.ids || [])]);
+      const commentsById = {};
+      Object.values(state.commentsById).forEach(c => {
+        if (!removedIds.has(c.id)) commentsById[c.id] = c;
+      });
+      const commentReplies = { ...state.commentReplies };
+      delete commentReplies[comment.id];
+      const parentReplies = commentReplies[comment.parent_id];
+      if (parentReplies) {
+        commentReplies[comment.parent_id] = { ...parentReplies, ids: parentReplies.ids.filter(id => id !== comment.id) };
+      }
+      const list = state.postComments[comment.post_id];
+
+      let next = {
+        ...state,
+        commentsById,
+        commentReplies,
+        postComments: list
+          ? {
+            ...state.postComments,
+            [comment.post_id]: {
+              ...list,
+              ids: list.ids.filter(id => id !== comment.id),
+              pinnedId: list.pinnedId === comment.id ? null : list.pinnedId,
+            },
+          }
+          : state.postComments,
+      };
+      if (comment.parent_id) {
+        next = updateComment(next, comment.parent_id, parent => withReplyDelta(parent, -1));
+      }
+      const removedCount = 1 + (comment.parent_id ? 0 : comment.replies_count || 0);
+      return updatePost(next, comment.post_id, post => withCommentDelta(post, -removedCount));
+    }
+
+    case UPDATE_COMMENT_LIKE:
+      return updateComment(state, action.payload.commentId, comment =>
+        withLike(comment, action.payload.liked)
+      );
+
+    // Pins commentId (pinnedAt set) in place of the post's earlier pin, or
+    // unpins it. An unpinned comment goes back into the list.
+    case SET_PINNED_COMMENT: {
+      const { postId, commentId, pinnedAt, comment } = action.payload;
+      let next = comment ? upsertComments(state, [comment]) : state;
+      const list = next.postComments[postId];
+      const unpinnedId = pinnedAt ? (list?.pinnedId === commentId ? null : list?.pinnedId) : commentId;
+
+      next = updateComment(next, commentId, c => ({ ...c, pinned_at: pinnedAt }));
+      if (unpinnedId && unpinnedId !== commentId) {
+        next = updateComment(next, unpinnedId, c => ({ ...c, pinned_at: null }));
+      }
+      if (!list || (!pinnedAt && list.pinnedId !== commentId)) return next;
+
+      const ids = list.ids.filter(id => id !== commentId && id !== unpinnedId);
+      if (unpinnedId && next.commentsById[unpinnedId]) ids.push(unpinnedId);
+      return {
+        ...next,
+        postComments: {
+          ...next.postComments,
+          [postId]: {
+            ...list,
+            ids: ids.sort(byNewestComment(next.commentsById)),
+            pinnedId: pinnedAt ? commentId : null,
+          },
+        },
+      };
+    }
+
+    case SET_PROFILE:
       return {
         ...state,
-        posts: state.posts.filter(post => post.id !== action.payload)
+        profilesById: {
+          ...state.profilesById,
+          [action.payload.id]: { ...state.profilesById[action.payload.id], ...action.payload },
+        },
+      };
+
+    case SET_PROFILE_POSTS:
+      return {
+        ...upsertPosts(state, action.payload.posts),
+        profilePostIds: {
+          ...state.profilePostIds,
+          [action.payload.userId]: action.payload.posts.map(post => post.id),
+        },
+      };
+
+    case SET_TAG_FEED: {
+      const { tag, posts, nextCursor, hasMore, append } = action.payload;
+      const ids = posts.map(post => post.id);
+      return {
+        ...upsertPosts(state, posts),
+        tagFeeds: {
+          ...state.tagFeeds,
+          [tag]: {
+            ids: append ? uniqueIds([...(state.tagFeeds[tag]?.ids || []), ...ids]) : ids,
+            nextCursor,
+            hasMore,
+          },
+        },
+      };
+    }
+
+    case SET_NOTICE:
+      return { ...state, notice: action.payload };
+
+    case SET_OUTBOX:
+      return { ...state, outbox: action.payload };
+
+    case SET_UPLOADS:
+      return { ...state, uploads: action.payload };
+
+    case SET_DRAFTS:
+      return { ...state, drafts: action.payload };
+
+    case UPLOAD_COMPLETE:
+      return {
+        ...state,
+        uploadResults: { ...state.uploadResults, [action.payload.uploadId]: action.payload.postId },
       };
 
     case SET_LOADING:
@@ -65,58 +562,168 @@ function appReducer(state, action) {
     case 'SET_LOADING_MORE':
       return { ...state, loadingMore: action.payload };
 
-    case 'SET_HAS_MORE':
-      return { ...state, hasMore: action.payload };
+    case 'SET_FEED_CURSOR':
+      return {
+        ...state,
+        nextCursor: action.payload.nextCursor,
+        hasMore: action.payload.hasMore,
+        feedSource: 'server',
+      };
 
     default:
       return state;
   }
 }
 
+// Re-attaches the author (as `profiles`, the shape screens render) to a
+// stored post
+function selectPost(state, postId) {
+  const post = state.postsById[postId];
+  if (!post) return null;
+  const author = state.profilesById[post.user_id];
+  return author ? { ...post, profiles: { username: author.username } } : post;
+}
+
+function selectPosts(state, ids) {
+  return ids.map(id => selectPost(state, id)).filter(Boolean);
+}
+
+function selectComments(state, ids) {
+  return ids
+    .map(id => state.commentsById[id])
+    .filter(Boolean)
+    .map(comment => {
+      const author = state.profilesById[comment.user_id];
+      return author ? { ...comment, profiles: { username: author.username } } : comment;
+    });
+}
+
 // Provider component
 export function AppProvider({ children }) {
   const [state, dispatch] = useReducer(appReducer, initialState);
+  const userIdRef = useRef(null);
+  const outboxRef = useRef([]);
+  const draftsRef = useRef([]);
+  // Draft saves and discards run one at a time, in order
+  const draftWorkRef = useRef(Promise.resolve());
+  const replayingIdsRef = useRef(new Set());
+  const feedSubscriptionRef = useRef(null);
+  // Latest posts for realtime handlers, which outlive the render that
+  // subscribed them
+  const postsByIdRef = useRef(state.postsById);
+  postsByIdRef.current = state.postsById;
+  // postId -> { confirmed, desired, running } for like requests in flight
+  const likeRequestsRef = useRef({});
+  // commentId -> the same, for comment likes
+  const commentLikeRequestsRef = useRef({});
+  const uploadManagerRef = useRef(null);
+  if (!uploadManagerRef.current) {
+    uploadManagerRef.current = createUploadManager({
+      onChange: (jobs) => dispatch({ type: SET_UPLOADS, payload: jobs }),
+      onComplete: (job, postId) => handleUploadComplete(job, postId),
+      onCancelledPost: (job, postId) => handleCancelledUploadPost(postId),
+    });
+  }
+  const uploadManager = uploadManagerRef.current;
 
   useEffect(() => {
     // Get initial user
     initializeAuth();
 
+    // Replay queued mutations and resume uploads when the device
+    // reconnects or comes back to the foreground
+    const resumeQueuedWork = () => {
+      flushOutbox();
+      uploadManager.resume();
+    };
+    const unsubscribeNetInfo = onReconnect(resumeQueuedWork);
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') resumeQueuedWork();
+    });
+
     // Listen for auth state changes (login, logout, signup)
-    const { data: { subscription } } = supabase.auth.onAuthStateChange(
+    const unsubscribeAuth = backend.auth.onAuthStateChange(
       async (event, session) => {
-        console.log('Auth state changed:', event);
+        log.info('Auth state changed', { event });
         if (session?.user) {
+          const userChanged = userIdRef.current !== session.user.id;
+          userIdRef.current = session.user.id;
           dispatch({ type: SET_USER, payload: session.user });
           // Clear posts when user changes to force fresh fetch
-          if (event === 'SIGNED_IN') {
-            dispatch({ type: SET_POSTS, payload: [] });
+          if (event === 'SIGNED_IN' && userChanged) {
+            dispatch({ type: RESET_STORE });
+            hydrateFeed(session.user.id);
+            restoreQueuedWork(session.user.id);
           }
         } else {
+          if (event === 'SIGNED_OUT') {
+            clearFeedCache(userIdRef.current);
+          }
+          userIdRef.current = null;
+          unsubscribeFromFeed();
+          // Queued mutations, uploads and drafts stay on disk for the next sign-in
+          outboxRef.current = [];
+          dispatch({ type: SET_OUTBOX, payload: [] });
+          draftsRef.current = [];
+          dispatch({ type: SET_DRAFTS, payload: [] });
+          uploadManager.unload();
           dispatch({ type: SET_USER, payload: null });
-          dispatch({ type: SET_POSTS, payload: [] });
+          dispatch({ type: RESET_STORE });
         }
         dispatch({ type: SET_LOADING, payload: false });
       }
     );
 
     return () => {
-      subscription?.unsubscribe();
+      unsubscribeAuth();
+      unsubscribeFromFeed();
+      unsubscribeNetInfo();
+      appStateSubscription.remove();
     };
   }, []);
 
   const initializeAuth = async () => {
     try {
-      const { data: { session } } = await supabase.auth.getSession();
+      const session = await backend.auth.getSession();
       if (session?.user) {
+        userIdRef.current = session.user.id;
+        // Show the last known feed before anything hits the network
+        await hydrateFeed(session.user.id);
         dispatch({ type: SET_USER, payload: session.user });
+        restoreQueuedWork(session.user.id);
       }
       dispatch({ type: SET_LOADING, payload: false });
     } catch (error) {
-      console.error('Error getting session:', error);
+      log.error('Error getting session', error);
       dispatch({ type: SET_LOADING, payload: false });
     }
   };
 
+  const hydrateFeed = async (userId) => {
+    const cached = await loadFeedCache(userId);
+    if (cached?.posts.length > 0 && userIdRef.current === userId) {
+      dispatch({ type: HYDRATE_FEED, payload: cached });
+    }
+  };
+
+  const serverFeedPosts = useMemo(
+    () => selectPosts(state, state.feedIds),
+    [state.feedIds, state.postsById, state.profilesById]
+  );
+
+  // Persist the feed (including like state) once it reflects the server
+  useEffect(() => {
+    if (!state.user || state.feedSource !== 'server') return;
+
+    const timeout = setTimeout(() => {
+      saveFeedCache(state.user.id, serverFeedPosts, {
+        hasMore: state.hasMore,
+        limit: PAGE_SIZE * CACHED_PAGES,
+      });
+    }, 500);
+    return () => clearTimeout(timeout);
+  }, [state.user, serverFeedPosts, state.hasMore, state.feedSource]);
+
   const setPosts = (posts) => {
     dispatch({ type: SET_POSTS, payload: posts });
   };
@@ -129,103 +736,258 @@ export function AppProvider({ children }) {
     dispatch({ type: UPDATE_POST_LIKE, payload: { postId, liked } });
   };
 
-  const toggleLike = async (postId, currentlyLiked) => {
-    if (!state.user) return { success: false, error: 'User not logged in' };
+  // --- OUTBOX ---
+  // outboxRef is the source of truth so listeners registered on mount see
+  // the latest queue; state.outbox mirrors it for rendering.
+  const setOutbox = (entries) => {
+    outboxRef.current = entries;
+    dispatch({ type: SET_OUTBOX, payload: entries });
+    saveOutbox(userIdRef.current, entries);
+  };
+
+  const queueMutation = (mutation) => {
+    setOutbox(enqueueMutation(outboxRef.current, mutation, replayingIdsRef.current));
+  };
+
+  const restoreQueuedWork = async (userId) => {
+    const [entries, drafts] = await Promise.all([
+      loadOutbox(userId),
+      loadDrafts(userId),
+      uploadManager.load(userId),
+    ]);
+    if (userIdRef.current !== userId) return;
+
+    draftsRef.current = drafts;
+    dispatch({ type: SET_DRAFTS, payload: drafts });
 
+    // Posts queued offline by older versions went through the outbox
+    const legacyUploads = entries.filter(e => e.type === 'create_post');
+    outboxRef.current = entries.filter(e => e.type !== 'create_post');
+    dispatch({ type: SET_OUTBOX, payload: outboxRef.current });
+    if (legacyUploads.length > 0) {
+      saveOutbox(userId, outboxRef.current);
+      await Promise.all(legacyUploads.map(migrateLegacyUpload));
+    }
+
+    await flushOutbox();
+    // Queued deletes have run by now, so their files count as orphans
+    sweepMedia();
+  };
+
+  const migrateLegacyUpload = async ({ localId, payload, post }) => {
     try {
-      if (currentlyLiked) {
-        // Unlike
-        const { error } = await supabase
-          .from('likes')
-          .delete()
-          .eq('post_id', postId)
-          .eq('user_id', state.user.id);
+      const job = await createUploadJob({
+        id: localId,
+        userId: userIdRef.current,
+        items: [{
+          uri: payload.mediaUri,
+          thumbnailUri: payload.thumbnailUri,
+          posterUri: payload.posterUri,
+          width: payload.width,
+          height: payload.height,
+          mediaType: payload.mediaType,
+          videoDuration: payload.videoDuration,
+        }],
+        caption: payload.caption,
+        post,
+      });
+      uploadManager.enqueue(job);
+    } catch (error) {
+      log.error('Error migrating queued upload', error);
+    } finally {
+      discardOutboxMedia(payload);
+    }
+  };
 
-        if (error) throw error;
+  // Server posts don't know about likes in flight or queued likes and
+  // deletes yet
+  const applyPendingMutations = (posts) => {
+    const entries = outboxRef.current;
+    const deleted = new Set(
+      entries.filter(e => e.type === 'delete_post').map(e => e.postId)
+    );
+    return posts
+      .filter(post => !deleted.has(post.id))
+      .map(post => {
+        const request = likeRequestsRef.current[post.id];
+        if (request) return withLike(post, request.desired);
 
-        // Update local state after success
-        updatePostLike(postId, false);
-        return { success: true, liked: false };
-      } else {
-        // Like
-        const { error } = await supabase
-          .from('likes')
-          .insert([{ post_id: postId, user_id: state.user.id }]);
+        const pendingLike = entries.find(
+          e => (e.type === 'like' || e.type === 'unlike') && e.postId === post.id
+        );
+        return pendingLike ? withLike(post, pendingLike.type === 'like') : post;
+      });
+  };
 
-        if (error) throw error;
+  const replayHandlers = {
+    like: (entry) => sendLike(entry.postId, true),
+    unlike: (entry) => sendLike(entry.postId, false),
+    delete_post: (entry) => removePost(entry.postId),
+  };
+
+  const flushOutbox = async () => {
+    if (replayingIdsRef.current.size > 0 || outboxRef.current.length === 0) return;
+    if (!userIdRef.current || !(await isOnline())) return;
+
+    const batch = outboxRef.current;
+    replayingIdsRef.current = new Set(batch.map(e => e.id));
+    try {
+      const { remaining, failed } = await replayOutbox(batch, replayHandlers);
 
-        // Update local state after success
-        updatePostLike(postId, true);
-        return { success: true, liked: true };
+      // Keep whatever was queued while the batch was replaying
+      const settled = new Set(batch.filter(e => !remaining.includes(e)).map(e => e.id));
+      setOutbox(outboxRef.current.filter(e => !settled.has(e.id)));
+
+      failed.forEach(({ entry, error }) => {
+        log.error('Error replaying queued mutation', error, { type: entry.type, postId: entry.postId });
+        // Undo the like state that was applied when the tap was queued
+        if (entry.type === 'like' || entry.type === 'unlike') {
+          updatePostLike(entry.postId, entry.type === 'unlike');
+        }
+      });
+      if (failed.some(({ entry }) => entry.type === 'delete_post')) {
+        Alert.alert('Sync Error', 'Some changes you made offline could not be saved.');
       }
-    } catch (error) {
-      console.error('Error toggling like:', error);
-      return { success: false, error: error.message };
+    } finally {
+      replayingIdsRef.current = new Set();
     }
   };
 
-  const fetchPostWithLikes = async (postId) => {
-    if (!state.user) {
-      console.log('fetchPostWithLikes: No user logged in');
-      return null;
+  // --- SERVER MUTATIONS ---
+  // These throw on failure so callers can tell network errors (queue and
+  // retry later) from rejections (report to the user).
+  const sendLike = async (postId, liked) => {
+    if (liked) {
+      await backend.likes.add(postId, userIdRef.current);
+    } else {
+      await backend.likes.remove(postId, userIdRef.current);
     }
+  };
 
-    try {
-      console.log('Fetching post:', postId);
-      // Fetch post details
-      const { data: postData, error: postError } = await supabase
-        .from('posts')
-        .select(`
-          *,
-          profiles:user_id (username)
-        `)
-        .eq('id', postId)
-        .single();
+  // The post and its likes go in one server-side transaction; the media
+  // files are removed afterwards and swept later if that fails.
+  const removePost = async (postId) => {
+    const mediaPaths = await backend.posts.remove(postId);
 
-      if (postError) {
-        console.error('Supabase error fetching post:', postError);
-        throw postError;
+    if (mediaPaths.length > 0) {
+      try {
+        await backend.media.remove(mediaPaths);
+      } catch (storageError) {
+        log.warn('Error deleting media, will sweep later', storageError, { postId });
+        sweepMedia({ force: true });
       }
+    }
+  };
 
-      if (!postData) {
-        console.error('No post data found for ID:', postId);
-        return null;
+  const sweepMedia = async (options) => {
+    try {
+      await sweepOrphanedMedia(userIdRef.current, {
+        ...options,
+        keepPaths: uploadManager.pendingPaths(),
+      });
+    } catch (error) {
+      log.warn('Error sweeping orphaned media', error);
+    }
+  };
+
+  // Runs `send` right away when possible; queues `mutation` instead when
+  // offline, on a network error, or when earlier mutations for the same
+  // post are still queued (so they replay in order).
+  const sendOrQueue = async (postId, send, mutation) => {
+    const queuedForPost = pendingPostIds(outboxRef.current).has(postId);
+    if (!queuedForPost && (await isOnline())) {
+      try {
+        await send();
+        return { queued: false };
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
       }
+    }
+    queueMutation(mutation);
+    return { queued: true };
+  };
 
-      // Get total likes count
-      const { count, error: countError } = await supabase
-        .from('likes')
-        .select('*', { count: 'exact', head: true })
-        .eq('post_id', postId);
+  const showNotice = (message) => {
+    dispatch({ type: SET_NOTICE, payload: message });
+  };
 
-      if (countError) console.error('Error fetching likes count:', countError);
+  const dismissNotice = () => {
+    dispatch({ type: SET_NOTICE, payload: null });
+  };
 
-      // Check if current user has liked
-      console.log(`Checking like for Post: ${postId}, User: ${state.user.id}`);
-      const { data: userLike, error: likeError } = await supabase
-        .from('likes')
-        .select('id')
-        .eq('post_id', postId)
-        .eq('user_id', state.user.id)
-        .maybeSingle();
+  // Flips the heart immediately. Requests for one post run one at a time and
+  // always send the latest state, so rapid taps collapse into at most one
+  // follow-up request (and none if they cancel out).
+  const toggleLike = (postId, currentlyLiked) => {
+    if (!state.user) return { success: false, error: 'User not logged in' };
 
-      if (likeError) console.error('Error fetching user like:', likeError);
-      console.log('User like result:', userLike);
+    const requests = likeRequestsRef.current;
+    if (!requests[postId]) {
+      requests[postId] = { confirmed: !!currentlyLiked, desired: !!currentlyLiked, running: false };
+    }
+    const request = requests[postId];
+    request.desired = !request.desired;
+    updatePostLike(postId, request.desired);
 
-      return {
+    if (!request.running) syncLike(postId);
+    return { success: true, liked: request.desired };
+  };
+
+  const syncLike = async (postId) => {
+    const request = likeRequestsRef.current[postId];
+    request.running = true;
+
+    try {
+      while (request.desired !== request.confirmed) {
+        const liked = request.desired;
+        // Offline or behind queued mutations this lands in the outbox,
+        // which counts as done here
+        await sendOrQueue(
+          postId,
+          () => sendLike(postId, liked),
+          { type: liked ? 'like' : 'unlike', postId }
+        );
+        request.confirmed = liked;
+      }
+    } catch (error) {
+      log.error('Error toggling like', error, { postId });
+      // Roll back to what the server has
+      updatePostLike(postId, request.confirmed);
+      showNotice(request.confirmed ? "Couldn't unlike post. Try again." : "Couldn't like post. Try again.");
+    } finally {
+      delete likeRequestsRef.current[postId];
+    }
+  };
+
+  const fetchPostWithLikes = async (postId) => {
+    if (!state.user) return null;
+
+    try {
+      // feed_posts already carries likes_count and user_has_liked for the
+      // requesting user (see db/migrations/0001_feed_posts_view.sql)
+      const postData = await backend.posts.getFeedPost(postId);
+
+      if (!postData) {
+        log.warn('Post not found', undefined, { postId });
+        return null;
+      }
+
+      const [post] = applyPendingMutations([{
         ...postData,
-        likes_count: count || 0,
-        user_has_liked: !!userLike
-      };
+        likes_count: postData.likes_count || 0,
+        user_has_liked: !!postData.user_has_liked
+      }]);
+      if (post) dispatch({ type: UPSERT_POSTS, payload: [post] });
+      return post || null;
     } catch (error) {
-      console.error('Error fetching post details:', error.message);
+      log.error('Error fetching post details', error, { postId });
       return null;
     }
   };
 
-  const fetchPosts = async (isInitial = false, currentUser = null) => {
+  const fetchPosts = async (isInitial = false) => {
     if (state.loading && !isInitial) return;
-    if (!isInitial && !state.hasMore) return;
+    if (!isInitial && (state.loadingMore || !state.hasMore || !state.nextCursor)) return;
 
     try {
       if (isInitial) {
@@ -234,121 +996,774 @@ export function AppProvider({ children }) {
         dispatch({ type: 'SET_LOADING_MORE', payload: true });
       }
 
-      const { data: { user } } = await supabase.auth.getUser();
-      const userId = currentUser?.id || user?.id;
-
-      const PAGE_SIZE = 10;
-      const from = isInitial ? 0 : state.posts.length;
-      const to = from + PAGE_SIZE - 1;
-
-      const { data, error } = await supabase
-        .from('posts')
-        .select(`
-          *,
-          profiles:user_id (username)
-        `)
-        .order('created_at', { ascending: false })
-        .range(from, to);
-
-      if (error) throw error;
-
-      // Fetch likes for each post
-      const postsWithLikes = await Promise.all(data.map(async (post) => {
-        const { count } = await supabase
-          .from('likes')
-          .select('*', { count: 'exact', head: true })
-          .eq('post_id', post.id);
-
-        const { data: userLike } = await supabase
-          .from('likes')
-          .select('id')
-          .eq('post_id', post.id)
-          .eq('user_id', userId)
-          .maybeSingle();
-
-        return {
-          ...post,
-          likes_count: count || 0,
-          user_has_liked: !!userLike
-        };
-      }));
+      const cursor = isInitial ? null : state.nextCursor;
+
+      // Page after the last (created_at, id) we have; like counts and the
+      // viewer's like flag come back with the page
+      const data = await backend.posts.feedPage({ pageSize: PAGE_SIZE, cursor });
+
+      const postsWithLikes = applyPendingMutations((data?.posts || []).map(post => ({
+        ...post,
+        likes_count: post.likes_count || 0,
+        user_has_liked: !!post.user_has_liked
+      })));
 
       if (isInitial) {
         dispatch({ type: SET_POSTS, payload: postsWithLikes });
-        // If we got fewer than PAGE_SIZE, there are no more posts
-        dispatch({ type: 'SET_HAS_MORE', payload: data.length === PAGE_SIZE });
       } else {
         dispatch({ type: ADD_POSTS, payload: postsWithLikes });
-        // If we got fewer than PAGE_SIZE, there are no more posts
-        dispatch({ type: 'SET_HAS_MORE', payload: data.length === PAGE_SIZE });
       }
+      dispatch({
+        type: 'SET_FEED_CURSOR',
+        payload: { nextCursor: data?.next_cursor || null, hasMore: !!data?.has_more }
+      });
 
     } catch (error) {
-      console.error('Error fetching posts:', error);
+      log.error('Error fetching feed', error, { isInitial });
     } finally {
       dispatch({ type: SET_LOADING, payload: false });
       dispatch({ type: 'SET_LOADING_MORE', payload: false });
     }
   };
 
-  const deletePost = async (postId, imageUrl) => {
+  // --- REALTIME ---
+  const fetchFeedPost = async (postId) => {
+    const data = await backend.posts.getFeedPost(postId);
+    return data ? applyPendingMutations([data])[0] || null : null;
+  };
+
+  const handleRemotePostInsert = async (row) => {
+    try {
+      const post = await fetchFeedPost(row.id);
+      if (!post || post.user_muted_author) return;
+      // Our own posts go straight to the top; others wait behind the pill
+      dispatch({
+        type: row.user_id === userIdRef.current ? PREPEND_POST : QUEUE_NEW_POST,
+        payload: post
+      });
+    } catch (error) {
+      log.warn('Error loading new post', error, { postId: row.id });
+    }
+  };
+
+  // Only the caption and archived_at change after a post is shared; each is
+  // applied only if it differs from the loaded post
+  const handleRemotePostUpdate = (row) => {
+    const post = row?.id && postsByIdRef.current[row.id];
+    if (!post) return;
+
+    if (row.caption !== post.caption || !!row.edited_at !== !!post.edited_at) {
+      dispatch({
+        type: UPDATE_CAPTION,
+        payload: { postId: row.id, caption: row.caption, editedAt: row.edited_at },
+      });
+    }
+    if (!!row.archived_at !== !!post.archived_at) {
+      dispatch({
+        type: SET_POST_ARCHIVED,
+        payload: { postId: row.id, archivedAt: row.archived_at ?? null },
+      });
+    }
+  };
+
+  // Someone else's post was archived: to everyone but its author it is gone
+  const handleRemotePostArchived = ({ id, user_id } = {}) => {
+    if (!id || user_id === userIdRef.current) return;
+    dispatch({ type: DELETE_POST, payload: id });
+  };
+
+  const handleRemoteLike = (delta) => (row) => {
+    // Our own likes were already applied locally
+    if (!row?.post_id || row.user_id === userIdRef.current) return;
+    dispatch({ type: APPLY_REMOTE_LIKE, payload: { postId: row.post_id, delta } });
+  };
+
+  // Keeps the feed live while it is mounted; returns the unsubscribe
+  // function. Also torn down on sign-out.
+  const subscribeToFeed = () => {
+    unsubscribeFromFeed();
+
+    feedSubscriptionRef.current = backend.realtime.subscribeToFeed({
+      onPostInsert: handleRemotePostInsert,
+      onPostUpdate: handleRemotePostUpdate,
+      onPostArchived: handleRemotePostArchived,
+      onPostDelete: (old) => {
+        if (old?.id) dispatch({ type: DELETE_POST, payload: old.id });
+      },
+      onLikeInsert: handleRemoteLike(1),
+      onLikeDelete: handleRemoteLike(-1),
+    });
+
+    return unsubscribeFromFeed;
+  };
+
+  const unsubscribeFromFeed = () => {
+    if (feedSubscriptionRef.current) {
+      feedSubscriptionRef.current();
+      feedSubscriptionRef.current = null;
+    }
+  };
+
+  const showNewPosts = () => {
+    dispatch({ type: SHOW_NEW_POSTS });
+  };
+
+  const deletePost = async (postId) => {
     if (!state.user) return { success: false, error: 'User not authenticated' };
 
+    // A post that never made it to the server just stops uploading
+    if (state.uploads.some(job => job.id === postId)) {
+      await uploadManager.cancel(postId);
+      return { success: true, queued: false };
+    }
+
     try {
-      // First, delete the image from storage
-      if (imageUrl) {
-        // Extract the file path from the URL
-        const urlParts = imageUrl.split('/posts/');
-        if (urlParts.length > 1) {
-          const filePath = urlParts[1].split('?')[0]; // Remove query params if any
-          const { error: storageError } = await supabase.storage
-            .from('posts')
-            .remove([filePath]);
+      const { queued } = await sendOrQueue(
+        postId,
+        () => removePost(postId),
+        { type: 'delete_post', postId }
+      );
 
-          if (storageError) {
-            console.error('Error deleting image:', storageError);
-          }
+      // Update local state
+      dispatch({ type: DELETE_POST, payload: postId });
+
+      return { success: true, queued };
+    } catch (error) {
+      log.error('Error deleting post', error, { postId });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Owner only. Not queued offline: the editor keeps the text so it can be
+  // saved again. Tags and mentions are re-parsed from the new caption.
+  const editCaption = async (postId, caption) => {
+    if (!state.user) return { success: false, error: 'User not authenticated' };
+    const text = caption.trim();
+
+    try {
+      const { caption: saved, edited_at: editedAt } = await backend.posts.updateCaption(postId, text);
+      dispatch({ type: UPDATE_CAPTION, payload: { postId, caption: saved, editedAt } });
+      return { success: true };
+    } catch (error) {
+      log.error('Error editing caption', error, { postId });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Owner only. Archived posts are hidden from everyone else and leave the
+  // author's feeds too; their profile keeps them so they can be restored.
+  const archivePost = async (postId, archived = true) => {
+    if (!state.user) return { success: false, error: 'User not authenticated' };
+
+    try {
+      const archivedAt = await backend.posts.setArchived(postId, archived);
+      dispatch({ type: SET_POST_ARCHIVED, payload: { postId, archivedAt: archivedAt ?? null } });
+      return { success: true };
+    } catch (error) {
+      log.error('Error archiving post', error, { postId, archived });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Keeps the post out of the viewer's feeds from now on
+  const hidePost = async (postId) => {
+    if (!state.user) return { success: false, error: 'User not authenticated' };
+
+    try {
+      await backend.posts.hide(postId, state.user.id);
+      dispatch({ type: HIDE_POSTS, payload: [postId] });
+      return { success: true };
+    } catch (error) {
+      log.error('Error hiding post', error, { postId });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // reason: 'spam' | 'inappropriate' | 'other'. A reported post is hidden
+  // from the reporter as well.
+  const reportPost = async (postId, reason) => {
+    if (!state.user) return { success: false, error: 'User not authenticated' };
+
+    try {
+      await backend.posts.report(postId, reason);
+      dispatch({ type: HIDE_POSTS, payload: [postId] });
+      return { success: true };
+    } catch (error) {
+      log.error('Error reporting post', error, { postId, reason });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Drops every loaded post by the user from the feeds; later pages and
+  // realtime posts leave them out too
+  const muteUser = async (userId) => {
+    if (!state.user) return { success: false, error: 'User not authenticated' };
+
+    try {
+      await backend.mutes.add(userId, state.user.id);
+      const postIds = Object.values(state.postsById)
+        .filter(post => post.user_id === userId)
+        .map(post => post.id);
+      dispatch({ type: HIDE_POSTS, payload: postIds });
+      return { success: true };
+    } catch (error) {
+      log.error('Error muting user', error, { userId });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const copyPostLink = async (postId) => {
+    try {
+      await Clipboard.setStringAsync(postLink(postId));
+      return { success: true };
+    } catch (error) {
+      log.error('Error copying post link', error, { postId });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Opens the system share sheet with the post's link
+  const sharePost = async (post) => {
+    const username = state.profilesById[post.user_id]?.username;
+    try {
+      await Share.share({
+        message: username ? `@${username}'s post: ${postLink(post.id)}` : postLink(post.id),
+      });
+      return { success: true };
+    } catch (error) {
+      log.error('Error sharing post', error, { postId: post.id });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Hands the post to the upload manager and resolves once it is queued
+  // with { success, uploadId }; progress shows up in `uploads` (useUpload).
+  // media: up to MAX_POST_MEDIA items in post order, each
+  // { uri, type: 'photo' | 'video', duration (seconds), width, height, edits, altText }.
+  // width/height are optional for videos (the poster frame is measured
+  // otherwise); photos are measured while processing, after their edits
+  // (lib/photoEdits.js) are applied.
+  const createPost = async ({ media, caption }) => {
+    if (!state.user) return { success: false, error: 'User not authenticated' };
+    if (!media?.length) return { success: false, error: 'Add a photo or video' };
+    if (media.length > MAX_POST_MEDIA) {
+      return { success: false, error: `A post can have at most ${MAX_POST_MEDIA} photos and videos` };
+    }
+
+    try {
+      // Photos are downscaled and stripped of EXIF, and every item gets its
+      // thumbnail (and poster frame) before the post is queued. One at a
+      // time: decoding several full-size photos at once can run out of memory.
+      const items = [];
+      for (const item of media) {
+        const prepared = await prepareMedia({
+          uri: item.uri,
+          mediaType: item.type,
+          width: item.width,
+          height: item.height,
+          edits: item.edits,
+        });
+        items.push({
+          ...prepared,
+          mediaType: item.type,
+          videoDuration: item.duration || null,
+          altText: item.altText?.trim().slice(0, MAX_ALT_TEXT_LENGTH) || null,
+        });
+      }
+
+      const localId = `local-${createOutboxId()}`;
+      const job = await createUploadJob({
+        id: localId,
+        userId: state.user.id,
+        items,
+        caption,
+        // Shown as pending at the top of the feed until the upload finishes
+        post: {
+          id: localId,
+          user_id: state.user.id,
+          caption,
+          created_at: new Date().toISOString(),
+          profiles: { username: state.user.user_metadata?.username },
+          likes_count: 0,
+          user_has_liked: false,
+          pending: true,
+        },
+      });
+      uploadManager.enqueue(job);
+      return { success: true, uploadId: localId };
+    } catch (error) {
+      log.error('Error preparing post', error, { count: media.length });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // --- DRAFTS ---
+  // draftsRef is the source of truth, like outboxRef
+  const setDrafts = (drafts) => {
+    draftsRef.current = drafts;
+    dispatch({ type: SET_DRAFTS, payload: drafts });
+    saveDrafts(userIdRef.current, drafts);
+  };
+
+  const queueDraftWork = (work) => {
+    const result = draftWorkRef.current.then(work);
+    draftWorkRef.current = result.catch(() => {});
+    return result;
+  };
+
+  // Creates or replaces draft `id` (lib/drafts.js createDraftId) with the
+  // post being composed, copying its media to the device. Resolves with
+  // { success, error }.
+  const saveDraft = ({ id, caption, media }) => queueDraftWork(async () => {
+    const userId = userIdRef.current;
+    if (!userId) return { success: false, error: 'User not authenticated' };
+
+    try {
+      const stored = await storeDraftMedia(id, media);
+      if (userIdRef.current !== userId) return { success: false, error: 'User changed' };
+
+      const draft = { id, caption, media: stored, updatedAt: new Date().toISOString() };
+      setDrafts([draft, ...draftsRef.current.filter(d => d.id !== id)]);
+      return { success: true };
+    } catch (error) {
+      log.error('Error saving draft', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  const discardDraft = (id) => queueDraftWork(async () => {
+    if (draftsRef.current.some(d => d.id === id)) {
+      setDrafts(draftsRef.current.filter(d => d.id !== id));
+    }
+    await discardDraftMedia(id);
+    return { success: true };
+  });
+
+  const handleUploadComplete = async (job, postId) => {
+    dispatch({ type: UPLOAD_COMPLETE, payload: { uploadId: job.id, postId } });
+    try {
+      const post = await fetchFeedPost(postId);
+      if (post) dispatch({ type: PREPEND_POST, payload: post });
+    } catch (error) {
+      log.warn('Error loading uploaded post', error, { postId });
+    }
+  };
+
+  // The user cancelled after the post row went in; delete it like any other
+  // post, so a network failure leaves the delete in the outbox to retry
+  const handleCancelledUploadPost = async (postId) => {
+    try {
+      await sendOrQueue(postId, () => removePost(postId), { type: 'delete_post', postId });
+    } catch (error) {
+      log.warn('Error deleting cancelled upload', error, { postId });
+    }
+  };
+
+  const cancelUpload = (uploadId) => uploadManager.cancel(uploadId);
+
+  const retryUpload = (uploadId) => uploadManager.retry(uploadId);
+
+  // Returns null while the profile row doesn't exist yet (right after signup)
+  const fetchProfile = async (userId) => {
+    try {
+      const profile = await backend.profiles.getById(userId);
+      if (profile) dispatch({ type: SET_PROFILE, payload: profile });
+      return profile;
+    } catch (error) {
+      log.error('Error fetching profile', error, { userId });
+      return null;
+    }
+  };
+
+  // Resolves with the profile, or null if no user has that username
+  const fetchProfileByUsername = async (username) => {
+    try {
+      const profile = await backend.profiles.getByUsername(username);
+      if (profile) dispatch({ type: SET_PROFILE, payload: profile });
+      return profile;
+    } catch (error) {
+      log.error('Error fetching profile', error, { username });
+      return null;
+    }
+  };
+
+  // Usernames starting with `prefix`, for mention autocomplete. Failures
+  // just mean no suggestions.
+  const searchProfiles = async (prefix) => {
+    try {
+      return await backend.profiles.search(prefix);
+    } catch (error) {
+      log.warn('Error searching profiles', error);
+      return [];
+    }
+  };
+
+  // First page of a tag's posts, or the next one after what is loaded
+  const fetchTagPosts = async (tag, isInitial = false) => {
+    const key = tag.toLowerCase();
+    const feed = state.tagFeeds[key];
+    if (!isInitial && (!feed?.hasMore || !feed.nextCursor)) return { success: true };
+
+    try {
+      const data = await backend.posts.tagPage({
+        tag: key,
+        pageSize: PAGE_SIZE,
+        cursor: isInitial ? null : feed.nextCursor,
+      });
+      dispatch({
+        type: SET_TAG_FEED,
+        payload: {
+          tag: key,
+          posts: applyPendingMutations((data?.posts || []).map(post => ({
+            ...post,
+            likes_count: post.likes_count || 0,
+            user_has_liked: !!post.user_has_liked
+          }))),
+          nextCursor: data?.next_cursor || null,
+          hasMore: !!data?.has_more,
+          append: !isInitial,
+        }
+      });
+      return { success: true };
+    } catch (error) {
+      log.error('Error fetching tag posts', error, { tag: key, isInitial });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // --- COMMENTS ---
+  // Fetched comments don't know about likes in flight yet
+  const applyPendingCommentLikes = (comments) => comments.map(comment => {
+    const request = commentLikeRequestsRef.current[comment.id];
+    return request ? withLike(comment, request.desired) : comment;
+  });
+
+  // First page of a post's top-level comments (newest first) and its pinned
+  // comment, or the next page after what is loaded
+  const fetchComments = async (postId, isInitial = false) => {
+    const list = state.postComments[postId];
+    if (!isInitial && (!list?.hasMore || !list.nextCursor)) return { success: true };
+
+    try {
+      const data = await backend.comments.page({
+        postId,
+        pageSize: COMMENTS_PAGE_SIZE,
+        cursor: isInitial ? null : list.nextCursor,
+      });
+      dispatch({
+        type: SET_COMMENTS,
+        payload: {
+          postId,
+          comments: applyPendingCommentLikes(data?.comments || []),
+          pinned: data?.pinned ? applyPendingCommentLikes([data.pinned])[0] : null,
+          nextCursor: data?.next_cursor || null,
+          hasMore: !!data?.has_more,
+          append: !isInitial,
+        }
+      });
+      return { success: true };
+    } catch (error) {
+      log.error('Error fetching comments', error, { postId, isInitial });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // First page of a comment's replies (oldest first), or the next one
+  const fetchReplies = async (commentId, isInitial = false) => {
+    const replies = state.commentReplies[commentId];
+    if (!isInitial && (!replies?.hasMore || !replies.nextCursor)) return { success: true };
+
+    try {
+      const data = await backend.comments.replies({
+        commentId,
+        pageSize: REPLIES_PAGE_SIZE,
+        cursor: isInitial ? null : replies.nextCursor,
+      });
+      dispatch({
+        type: SET_REPLIES,
+        payload: {
+          commentId,
+          replies: applyPendingCommentLikes(data?.replies || []),
+          nextCursor: data?.next_cursor || null,
+          hasMore: !!data?.has_more,
+          append: !isInitial,
         }
+      });
+      return { success: true };
+    } catch (error) {
+      log.error('Error fetching replies', error, { commentId, isInitial });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Not queued offline: the composer keeps the text so it can be resent.
+  // With parentId the comment is a reply to that top-level comment.
+  const addComment = async (postId, body, parentId = null) => {
+    if (!state.user) return { success: false, error: 'User not authenticated' };
+    const text = body.trim();
+    if (!text) return { success: false, error: 'Write a comment first' };
+    if (text.length > MAX_COMMENT_LENGTH) {
+      return { success: false, error: `Comments can be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    try {
+      const comment = await backend.comments.add(postId, state.user.id, text, parentId);
+      if (comment) dispatch({ type: ADD_COMMENT, payload: comment });
+      return { success: true, comment };
+    } catch (error) {
+      log.error('Error adding comment', error, { postId, parentId });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Allowed for the comment's author and the post's owner
+  const deleteComment = async (commentId) => {
+    if (!state.user) return { success: false, error: 'User not authenticated' };
+
+    try {
+      await backend.comments.remove(commentId);
+      dispatch({ type: REMOVE_COMMENT, payload: commentId });
+      return { success: true };
+    } catch (error) {
+      log.error('Error deleting comment', error, { commentId });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // The post's author pins one top-level comment; pinning another replaces it
+  const pinComment = async (postId, commentId, pinned = true) => {
+    if (!state.user) return { success: false, error: 'User not authenticated' };
+
+    try {
+      await backend.comments.pin(commentId, pinned);
+      dispatch({
+        type: SET_PINNED_COMMENT,
+        payload: { postId, commentId, pinnedAt: pinned ? new Date().toISOString() : null },
+      });
+      return { success: true };
+    } catch (error) {
+      log.error('Error pinning comment', error, { commentId, pinned });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Same optimistic flow as toggleLike, minus the outbox: a like that
+  // can't be sent is rolled back
+  const toggleCommentLike = (commentId, currentlyLiked) => {
+    if (!state.user) return { success: false, error: 'User not logged in' };
+
+    const requests = commentLikeRequestsRef.current;
+    if (!requests[commentId]) {
+      requests[commentId] = { confirmed: !!currentlyLiked, desired: !!currentlyLiked, running: false };
+    }
+    const request = requests[commentId];
+    request.desired = !request.desired;
+    dispatch({ type: UPDATE_COMMENT_LIKE, payload: { commentId, liked: request.desired } });
+
+    if (!request.running) syncCommentLike(commentId);
+    return { success: true, liked: request.desired };
+  };
+
+  const syncCommentLike = async (commentId) => {
+    const request = commentLikeRequestsRef.current[commentId];
+    request.running = true;
+
+    try {
+      while (request.desired !== request.confirmed) {
+        const liked = request.desired;
+        if (liked) {
+          await backend.commentLikes.add(commentId, userIdRef.current);
+        } else {
+          await backend.commentLikes.remove(commentId, userIdRef.current);
+        }
+        request.confirmed = liked;
       }
+    } catch (error) {
+      log.error('Error toggling comment like', error, { commentId });
+      dispatch({ type: UPDATE_COMMENT_LIKE, payload: { commentId, liked: request.confirmed } });
+      showNotice(request.confirmed ? "Couldn't unlike comment. Try again." : "Couldn't like comment. Try again.");
+    } finally {
+      delete commentLikeRequestsRef.current[commentId];
+    }
+  };
 
-      // Delete all likes associated with the post
-      await supabase
-        .from('likes')
-        .delete()
-        .eq('post_id', postId);
+  const handleRemoteCommentInsert = async (row) => {
+    // Our own comments were already added locally
+    if (!row?.id || row.user_id === userIdRef.current) return;
+    try {
+      // The realtime row doesn't carry the author's username
+      const comment = await backend.comments.getById(row.id);
+      if (comment) dispatch({ type: ADD_COMMENT, payload: comment });
+    } catch (error) {
+      log.warn('Error loading new comment', error, { commentId: row.id });
+    }
+  };
 
-      // Delete the post from database
-      const { error: deleteError } = await supabase
-        .from('posts')
-        .delete()
-        .eq('id', postId)
-        .eq('user_id', state.user.id); // Ensure user owns the post
+  // Comments only change when they are pinned or unpinned
+  const handleRemoteCommentUpdate = async (row) => {
+    if (!row?.id) return;
+    const payload = { postId: row.post_id, commentId: row.id, pinnedAt: row.pinned_at || null };
+    if (!row.pinned_at) {
+      dispatch({ type: SET_PINNED_COMMENT, payload });
+      return;
+    }
+    try {
+      // The newly pinned comment may not be loaded yet
+      const comment = await backend.comments.getById(row.id);
+      if (comment) dispatch({ type: SET_PINNED_COMMENT, payload: { ...payload, comment } });
+    } catch (error) {
+      log.warn('Error loading pinned comment', error, { commentId: row.id });
+    }
+  };
 
-      if (deleteError) throw deleteError;
+  // Keeps one post's comments live while its screen is open; returns the
+  // unsubscribe function
+  const subscribeToComments = (postId) => backend.realtime.subscribeToComments(postId, {
+    onCommentInsert: handleRemoteCommentInsert,
+    onCommentUpdate: handleRemoteCommentUpdate,
+    onCommentDelete: (old) => {
+      if (old?.id) dispatch({ type: REMOVE_COMMENT, payload: old.id });
+    },
+  });
 
-      // Update local state
-      dispatch({ type: DELETE_POST, payload: postId });
+  // --- LIKERS & FOLLOWS ---
+  // First page of the users who liked a post, or the next one
+  const fetchLikers = async (postId, isInitial = false) => {
+    const list = state.postLikers[postId];
+    if (!isInitial && (!list?.hasMore || !list.nextCursor)) return { success: true };
 
+    try {
+      const data = await backend.likes.likersPage({
+        postId,
+        pageSize: LIKERS_PAGE_SIZE,
+        cursor: isInitial ? null : list.nextCursor,
+      });
+      dispatch({
+        type: SET_LIKERS,
+        payload: {
+          postId,
+          likers: data?.likers || [],
+          nextCursor: data?.next_cursor || null,
+          hasMore: !!data?.has_more,
+          append: !isInitial,
+        }
+      });
       return { success: true };
     } catch (error) {
-      console.error('Error deleting post:', error);
+      log.error('Error fetching likers', error, { postId, isInitial });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Optimistic: the button flips right away and rolls back if the request
+  // fails. Not queued offline.
+  const toggleFollow = async (userId, currentlyFollowing) => {
+    if (!state.user) return { success: false, error: 'User not logged in' };
+    if (userId === state.user.id) return { success: false, error: "You can't follow yourself" };
+
+    const following = !currentlyFollowing;
+    dispatch({ type: SET_PROFILE, payload: { id: userId, viewer_follows: following } });
+    try {
+      if (following) {
+        await backend.follows.add(userId, state.user.id);
+      } else {
+        await backend.follows.remove(userId, state.user.id);
+      }
+      return { success: true, following };
+    } catch (error) {
+      log.error('Error toggling follow', error, { userId });
+      dispatch({ type: SET_PROFILE, payload: { id: userId, viewer_follows: !following } });
+      showNotice(following ? "Couldn't follow user. Try again." : "Couldn't unfollow user. Try again.");
       return { success: false, error: error.message };
     }
   };
 
+  const fetchUserPosts = async (userId) => {
+    try {
+      const posts = await backend.posts.listByUser(userId);
+      dispatch({
+        type: SET_PROFILE_POSTS,
+        payload: { userId, posts: applyPendingMutations(posts || []) }
+      });
+    } catch (error) {
+      log.error('Error fetching user posts', error, { userId });
+    }
+  };
+
+  // Posts still uploading are shown above the server feed
+  const localPosts = useMemo(
+    () => state.uploads.map(job => job.post),
+    [state.uploads]
+  );
+  const feedPosts = useMemo(
+    () => (localPosts.length > 0 ? [...localPosts, ...serverFeedPosts] : serverFeedPosts),
+    [localPosts, serverFeedPosts]
+  );
+  const pendingIds = useMemo(
+    () => new Set([...pendingPostIds(state.outbox), ...state.uploads.map(job => job.id)]),
+    [state.outbox, state.uploads]
+  );
+
   const value = {
     user: state.user,
-    posts: state.posts,
+    feedPosts,
+    postsById: state.postsById,
+    profilesById: state.profilesById,
+    profilePostIds: state.profilePostIds,
+    tagFeeds: state.tagFeeds,
+    commentsById: state.commentsById,
+    postComments: state.postComments,
+    commentReplies: state.commentReplies,
+    postLikers: state.postLikers,
     loading: state.loading,
     loadingMore: state.loadingMore,
     hasMore: state.hasMore,
+    nextCursor: state.nextCursor,
+    feedStale: state.feedSource === 'cache',
+    feedSynced: state.feedSource === 'server',
+    pendingPostIds: pendingIds,
+    newPostsCount: state.newPostIds.length,
+    notice: state.notice,
+    uploads: state.uploads,
+    uploadResults: state.uploadResults,
+    drafts: state.drafts,
     setPosts,
     addPosts,
     toggleLike,
     fetchPostWithLikes,
     updatePostLike,
     deletePost,
+    editCaption,
+    archivePost,
+    hidePost,
+    reportPost,
+    muteUser,
+    copyPostLink,
+    sharePost,
+    createPost,
+    cancelUpload,
+    retryUpload,
+    saveDraft,
+    discardDraft,
     fetchPosts,
+    fetchProfile,
+    fetchProfileByUsername,
+    searchProfiles,
+    fetchTagPosts,
+    fetchUserPosts,
+    fetchComments,
+    fetchReplies,
+    addComment,
+    deleteComment,
+    pinComment,
+    toggleCommentLike,
+    subscribeToComments,
+    fetchLikers,
+    toggleFollow,
+    subscribeToFeed,
+    showNewPosts,
+    showNotice,
+    dismissNotice,
   };
 
   return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
@@ -362,3 +1777,94 @@ export function useApp() {
   }
   return context;
 }
+
+// --- SELECTOR HOOKS ---
+// Screens read posts and profiles through these instead of keeping copies.
+
+// Feed posts in order, including local posts still waiting to upload
+export function useFeedPosts() {
+  return useApp().feedPosts;
+}
+
+export function usePost(postId) {
+  const { postsById, profilesById } = useApp();
+  return useMemo(
+    () => selectPost({ postsById, profilesById }, postId),
+    [postsById, profilesById, postId]
+  );
+}
+
+export function useProfile(userId) {
+  const { profilesById } = useApp();
+  return profilesById[userId] || null;
+}
+
+export function useProfilePosts(userId) {
+  const { postsById, profilesById, profilePostIds } = useApp();
+  const ids = profilePostIds[userId];
+  return useMemo(
+    () => selectPosts({ postsById, profilesById }, ids || []),
+    [postsById, profilesById, ids]
+  );
+}
+
+// Posts tagged `tag` in order, and whether more can be loaded
+export function useTagPosts(tag) {
+  const { postsById, profilesById, tagFeeds } = useApp();
+  const feed = tagFeeds[tag.toLowerCase()];
+  const posts = useMemo(
+    () => selectPosts({ postsById, profilesById }, feed?.ids || []),
+    [postsById, profilesById, feed?.ids]
+  );
+  return { posts, hasMore: !!feed?.hasMore, loaded: !!feed };
+}
+
+// A post's loaded top-level comments, newest first, whether older ones
+// exist, and its pinned comment (null if none)
+export function useComments(postId) {
+  const { commentsById, profilesById, postComments } = useApp();
+  const list = postComments[postId];
+  const comments = useMemo(
+    () => selectComments({ commentsById, profilesById }, list?.ids || []),
+    [commentsById, profilesById, list?.ids]
+  );
+  const pinned = useMemo(
+    () => (list?.pinnedId ? selectComments({ commentsById, profilesById }, [list.pinnedId])[0] || null : null),
+    [commentsById, profilesById, list?.pinnedId]
+  );
+  return { comments, pinned, hasMore: !!list?.hasMore, loaded: !!list };
+}
+
+// A comment's loaded replies, oldest first, and whether more exist
+export function useReplies(commentId) {
+  const { commentsById, profilesById, commentReplies } = useApp();
+  const replies = commentReplies[commentId];
+  const loadedReplies = useMemo(
+    () => selectComments({ commentsById, profilesById }, replies?.ids || []),
+    [commentsById, profilesById, replies?.ids]
+  );
+  return { replies: loadedReplies, hasMore: !!replies?.hasMore, loaded: !!replies };
+}
+
+// The profiles of a post's loaded likers, newest like first, and whether
+// more can be loaded
+export function useLikers(postId) {
+  const { profilesById, postLikers } = useApp();
+  const list = postLikers[postId];
+  const likers = useMemo(
+    () => (list?.ids || []).map(id => profilesById[id]).filter(Boolean),
+    [profilesById, list?.ids]
+  );
+  return { likers, hasMore: !!list?.hasMore, loaded: !!list };
+}
+
+// An upload started with createPost: { job, postId }. job is null once the
+// upload is over; postId is set if it created a post (as opposed to being
+// cancelled).
+export function useUpload(uploadId) {
+  const { uploads, uploadResults } = useApp();
+  return {
+    job: uploads.find(job => job.id === uploadId) || null,
+    postId: uploadResults[uploadId] || null,
+  };
+}
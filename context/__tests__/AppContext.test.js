@@ -0,0 +1,173 @@
+// context/__tests__/AppContext.test.js
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import NetInfo from '@react-native-community/netinfo';
+import { setBackend } from '../../data';
+import { createMemoryBackend } from '../../data/memoryBackend';
+import { AppProvider, useApp } from '../AppContext';
+
+jest.mock('../../supabase', () => ({ supabase: {}, supabaseUrl: 'https://example.supabase.co' }));
+
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: 'file:///documents/',
+  getInfoAsync: jest.fn(() => Promise.resolve({ exists: false })),
+  readAsStringAsync: jest.fn(() => Promise.reject(new Error('No log file'))),
+  writeAsStringAsync: jest.fn(() => Promise.resolve()),
+  deleteAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('expo-image', () => ({
+  Image: { prefetch: jest.fn(() => Promise.resolve(true)) },
+}));
+
+// Pulls in Skia, which needs the native module
+jest.mock('../../lib/imageProcessing', () => ({ prepareMedia: jest.fn() }));
+
+jest.mock('../../lib/logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+const seed = {
+  profiles: [
+    { id: 'user-1', username: 'alice' },
+    { id: 'user-2', username: 'bob' },
+  ],
+  posts: [{ id: 'p1', user_id: 'user-2', caption: 'hi', created_at: '2024-01-01T00:00:00.000Z' }],
+  session: { user: { id: 'user-1' } },
+};
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+let renderer = null;
+
+beforeEach(() => {
+  NetInfo.addEventListener.mockReturnValue(jest.fn());
+});
+
+afterEach(() => {
+  act(() => renderer?.unmount());
+  renderer = null;
+});
+
+// Renders the provider on `backend` with the feed loaded; returns a getter
+// for the latest context value
+async function renderApp(backend) {
+  setBackend(backend);
+  let app;
+  const Probe = () => {
+    app = useApp();
+    return null;
+  };
+  await act(async () => {
+    renderer = create(<AppProvider><Probe /></AppProvider>);
+  });
+  await act(() => app.fetchPosts(true));
+  return () => app;
+}
+
+const postOf = (app) => app().postsById.p1;
+
+describe('toggleLike', () => {
+  it('updates the post right away and sends one request', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+    const add = jest.spyOn(backend.likes, 'add');
+    const app = await renderApp(backend);
+
+    await act(async () => {
+      app().toggleLike('p1', false);
+    });
+
+    expect(postOf(app)).toMatchObject({ user_has_liked: true, likes_count: 1 });
+    expect(add).toHaveBeenCalledTimes(1);
+    expect(add).toHaveBeenCalledWith('p1', 'user-1');
+  });
+
+  it('collapses taps made while a request is in flight into one follow-up', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+    const like = deferred();
+    const add = jest.spyOn(backend.likes, 'add').mockReturnValue(like.promise);
+    const remove = jest.spyOn(backend.likes, 'remove');
+    const app = await renderApp(backend);
+
+    await act(async () => {
+      app().toggleLike('p1', false);
+    });
+    // Unlike, like, unlike while the first like is still on its way
+    act(() => {
+      app().toggleLike('p1', true);
+    });
+    act(() => {
+      app().toggleLike('p1', false);
+    });
+    act(() => {
+      app().toggleLike('p1', true);
+    });
+
+    expect(postOf(app)).toMatchObject({ user_has_liked: false, likes_count: 0 });
+    expect(add).toHaveBeenCalledTimes(1);
+
+    await act(async () => {
+      like.resolve();
+    });
+
+    expect(add).toHaveBeenCalledTimes(1);
+    expect(remove).toHaveBeenCalledTimes(1);
+    expect(postOf(app)).toMatchObject({ user_has_liked: false, likes_count: 0 });
+  });
+
+  it('sends nothing more when the taps cancel out', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+    const like = deferred();
+    const add = jest.spyOn(backend.likes, 'add').mockReturnValue(like.promise);
+    const remove = jest.spyOn(backend.likes, 'remove');
+    const app = await renderApp(backend);
+
+    await act(async () => {
+      app().toggleLike('p1', false);
+    });
+    act(() => {
+      app().toggleLike('p1', true);
+    });
+    act(() => {
+      app().toggleLike('p1', false);
+    });
+    await act(async () => {
+      like.resolve();
+    });
+
+    expect(add).toHaveBeenCalledTimes(1);
+    expect(remove).not.toHaveBeenCalled();
+    expect(postOf(app)).toMatchObject({ user_has_liked: true, likes_count: 1 });
+  });
+
+  it('rolls back to the server state and tells the user when the server rejects', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+    jest.spyOn(backend.likes, 'add').mockRejectedValue(new Error('permission denied'));
+    const app = await renderApp(backend);
+
+    await act(async () => {
+      app().toggleLike('p1', false);
+    });
+
+    expect(postOf(app)).toMatchObject({ user_has_liked: false, likes_count: 0 });
+    expect(app().notice).toBe("Couldn't like post. Try again.");
+  });
+
+  it('queues the like in the outbox on a network failure and keeps it', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+    jest.spyOn(backend.likes, 'add').mockRejectedValue(new TypeError('Network request failed'));
+    const app = await renderApp(backend);
+
+    await act(async () => {
+      app().toggleLike('p1', false);
+    });
+
+    expect(postOf(app)).toMatchObject({ user_has_liked: true, likes_count: 1 });
+    expect(app().pendingPostIds.has('p1')).toBe(true);
+    expect(app().notice).toBeNull();
+  });
+});
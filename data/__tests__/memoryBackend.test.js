@@ -0,0 +1,231 @@
+// data/__tests__/memoryBackend.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createMemoryBackend } from '../memoryBackend';
+
+const seed = {
+  profiles: [
+    { id: 'user-1', username: 'alice' },
+    { id: 'user-2', username: 'bob' },
+  ],
+};
+
+// Posts one minute apart, p1 the oldest
+const postsSeed = (count) => ({
+  ...seed,
+  posts: Array.from({ length: count }, (_, i) => ({
+    id: `p${i + 1}`,
+    user_id: 'user-1',
+    caption: `post ${i + 1}`,
+    created_at: new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString(),
+  })),
+});
+
+describe('auth', () => {
+  it('signs up into a session and tells auth listeners', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+    const listener = jest.fn();
+    backend.auth.onAuthStateChange(listener);
+
+    const { user } = await backend.auth.signUp({ email: 'c@example.com', password: 'secret', username: 'carol' });
+
+    expect(user).toMatchObject({ email: 'c@example.com', user_metadata: { username: 'carol' } });
+    expect(await backend.auth.getUser()).toEqual(user);
+    expect(listener).toHaveBeenCalledWith('SIGNED_IN', expect.objectContaining({ user }));
+  });
+
+  it('rejects a wrong password and an email that is already registered', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+    await backend.auth.signUp({ email: 'c@example.com', password: 'secret', username: 'carol' });
+    await backend.auth.signOut();
+
+    await expect(backend.auth.signIn({ email: 'c@example.com', password: 'wrong' }))
+      .rejects.toMatchObject({ code: 'invalid_credentials' });
+    await expect(backend.auth.signUp({ email: 'c@example.com', password: 'other', username: 'carol2' }))
+      .rejects.toMatchObject({ code: 'user_already_exists' });
+    expect(await backend.auth.getSession()).toBeNull();
+  });
+});
+
+describe('profiles.getByUsername', () => {
+  it('finds a mixed-case mention of a lowercase username', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+
+    expect(await backend.profiles.getByUsername('Alice')).toMatchObject({ id: 'user-1', username: 'alice' });
+    expect(await backend.profiles.getByUsername('BOB')).toMatchObject({ id: 'user-2' });
+  });
+
+  it('resolves null for unknown usernames', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+
+    expect(await backend.profiles.getByUsername('carol')).toBeNull();
+  });
+});
+
+describe('profiles.create', () => {
+  it('rejects a username that differs from a taken one only in case', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+
+    await expect(backend.profiles.create({ id: 'user-3', username: 'Alice', email: 'a2@example.com' }))
+      .rejects.toMatchObject({ code: '23505' });
+    expect(await backend.profiles.getById('user-3')).toBeNull();
+  });
+});
+
+describe('posts.feedPage', () => {
+  it('pages newest first and continues after the cursor', async () => {
+    const backend = createMemoryBackend({ persist: false, seed: postsSeed(5) });
+
+    const first = await backend.posts.feedPage({ pageSize: 2 });
+    const second = await backend.posts.feedPage({ pageSize: 2, cursor: first.next_cursor });
+    const last = await backend.posts.feedPage({ pageSize: 2, cursor: second.next_cursor });
+
+    expect(first.posts.map(p => p.id)).toEqual(['p5', 'p4']);
+    expect(first).toMatchObject({ has_more: true, next_cursor: { id: 'p4' } });
+    expect(second.posts.map(p => p.id)).toEqual(['p3', 'p2']);
+    expect(last.posts.map(p => p.id)).toEqual(['p1']);
+    expect(last).toMatchObject({ has_more: false, next_cursor: null });
+  });
+
+  it('returns feed_posts-shaped rows', async () => {
+    const backend = createMemoryBackend({ persist: false, seed: postsSeed(1) });
+
+    const { posts } = await backend.posts.feedPage({ pageSize: 10 });
+
+    expect(posts[0]).toMatchObject({
+      id: 'p1',
+      profiles: { username: 'alice' },
+      likes_count: 0,
+      user_has_liked: false,
+    });
+  });
+});
+
+describe('likes', () => {
+  it('counts a like once and reports it for the signed-in user', async () => {
+    const backend = createMemoryBackend({
+      persist: false,
+      seed: { ...postsSeed(1), session: { user: { id: 'user-2' } } },
+    });
+
+    await backend.likes.add('p1', 'user-2');
+    await backend.likes.add('p1', 'user-2');
+
+    expect(await backend.posts.getFeedPost('p1')).toMatchObject({ likes_count: 1, user_has_liked: true });
+
+    await backend.likes.remove('p1', 'user-2');
+
+    expect(await backend.posts.getFeedPost('p1')).toMatchObject({ likes_count: 0, user_has_liked: false });
+  });
+});
+
+describe('persistence', () => {
+  afterEach(() => AsyncStorage.clear());
+
+  it('restores tables and the session from the AsyncStorage snapshot', async () => {
+    const backend = createMemoryBackend();
+    const { user } = await backend.auth.signUp({ email: 'c@example.com', password: 'secret', username: 'carol' });
+    await backend.profiles.create({ id: user.id, username: 'carol', email: 'c@example.com' });
+
+    const restored = createMemoryBackend();
+
+    expect(await restored.auth.getUser()).toEqual(user);
+    expect(await restored.profiles.getById(user.id)).toMatchObject({ username: 'carol' });
+  });
+});
+
+describe('posts.create', () => {
+  const row = {
+    user_id: 'user-1',
+    caption: 'hello',
+    media_type: 'photo',
+    media_path: 'user-1/1.jpg',
+    media: [{ media_type: 'photo', media_path: 'user-1/1.jpg' }],
+  };
+
+  it('returns the first post when a retry sends the same client_key', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+
+    const first = await backend.posts.create({ ...row, client_key: 'job-1' });
+    const retry = await backend.posts.create({ ...row, client_key: 'job-1' });
+
+    expect(retry).toBe(first);
+    expect(await backend.posts.listByUser('user-1')).toHaveLength(1);
+  });
+
+  it('creates separate posts for different client keys', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+
+    const first = await backend.posts.create({ ...row, client_key: 'job-1' });
+    const second = await backend.posts.create({ ...row, client_key: 'job-2' });
+
+    expect(second).not.toBe(first);
+    expect(await backend.posts.listByUser('user-1')).toHaveLength(2);
+  });
+});
+
+describe('posts.setArchived', () => {
+  it('tells feed subscribers about a newly archived post once', async () => {
+    const backend = createMemoryBackend({
+      persist: false,
+      seed: { ...seed, session: { user: { id: 'user-1' } } },
+    });
+    const postId = await backend.posts.create({ user_id: 'user-1', caption: 'hi', media: [] });
+    const handlers = { onPostUpdate: jest.fn(), onPostArchived: jest.fn() };
+    backend.realtime.subscribeToFeed(handlers);
+
+    await backend.posts.setArchived(postId, true);
+    await backend.posts.setArchived(postId, true);
+    await backend.posts.setArchived(postId, false);
+
+    expect(handlers.onPostArchived).toHaveBeenCalledTimes(1);
+    expect(handlers.onPostArchived).toHaveBeenCalledWith({ id: postId, user_id: 'user-1' });
+    expect(handlers.onPostUpdate).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('ids', () => {
+  it('are strings, so ids from route params match', async () => {
+    const backend = createMemoryBackend({ persist: false, seed });
+
+    const postId = await backend.posts.create({ user_id: 'user-1', caption: 'hi', media: [] });
+
+    expect(typeof postId).toBe('string');
+    expect(await backend.posts.getFeedPost(`${postId}`)).toMatchObject({ id: postId });
+  });
+
+  it('break created_at ties by their number, like feed_page, so cursors skip nothing', async () => {
+    const createdAt = '2024-01-01T00:00:00.000Z';
+    const backend = createMemoryBackend({
+      persist: false,
+      seed: {
+        ...seed,
+        posts: ['9', '10', '11'].map(id => ({ id, user_id: 'user-1', caption: id, created_at: createdAt })),
+      },
+    });
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await backend.posts.feedPage({ pageSize: 1, cursor });
+      seen.push(...page.posts.map(p => p.id));
+      cursor = page.next_cursor;
+    } while (cursor);
+
+    expect(seen).toEqual(['11', '10', '9']);
+  });
+
+  it('are converted to strings in snapshots from older builds', async () => {
+    await AsyncStorage.setItem('memory_backend:db', JSON.stringify({
+      profiles: seed.profiles,
+      posts: [{ id: 1, user_id: 'user-1', caption: 'old', created_at: '2024-01-01T00:00:00.000Z' }],
+      likes: [{ id: 2, post_id: 1, user_id: 'user-2', created_at: '2024-01-01T00:00:00.000Z' }],
+      nextId: 3,
+    }));
+    const backend = createMemoryBackend();
+
+    expect(await backend.posts.getFeedPost('1')).toMatchObject({ id: '1', likes_count: 1 });
+    expect(await backend.posts.create({ user_id: 'user-1', caption: 'new', media: [] })).toBe('3');
+
+    await AsyncStorage.clear();
+  });
+});
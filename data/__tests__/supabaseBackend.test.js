@@ -0,0 +1,41 @@
+// data/__tests__/supabaseBackend.test.js
+import { supabase } from '../../supabase';
+import { supabaseBackend } from '../supabaseBackend';
+
+jest.mock('../../supabase', () => ({
+  supabase: { from: jest.fn(), rpc: jest.fn() },
+  supabaseUrl: 'https://example.supabase.co',
+}));
+
+// A query builder that records its filters and resolves with `result`
+const queryBuilder = (result) => {
+  const query = {};
+  ['select', 'eq', 'ilike', 'order', 'limit'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.maybeSingle = jest.fn(async () => result);
+  return query;
+};
+
+describe('profiles.getByUsername', () => {
+  it('matches a mixed-case mention regardless of case', async () => {
+    const query = queryBuilder({ data: { id: 'user-1', username: 'alice' }, error: null });
+    supabase.from.mockReturnValue(query);
+
+    const profile = await supabaseBackend.profiles.getByUsername('Alice');
+
+    expect(supabase.from).toHaveBeenCalledWith('profiles');
+    expect(query.ilike).toHaveBeenCalledWith('username', 'Alice');
+    expect(query.eq).not.toHaveBeenCalled();
+    expect(profile).toEqual({ id: 'user-1', username: 'alice' });
+  });
+
+  it('escapes LIKE wildcards so only the exact username matches', async () => {
+    const query = queryBuilder({ data: null, error: null });
+    supabase.from.mockReturnValue(query);
+
+    await supabaseBackend.profiles.getByUsername('a_ice%');
+
+    expect(query.ilike).toHaveBeenCalledWith('username', 'a\\_ice\\%');
+  });
+});
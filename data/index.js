@@ -0,0 +1,20 @@
+// data/index.js
+import { supabaseBackend } from './supabaseBackend';
+import { memoryBackend } from './memoryBackend';
+
+// Every screen and the app context reach auth, tables and media storage
+// through `backend`. It is picked once at startup from EXPO_PUBLIC_BACKEND:
+// 'supabase' (default) for the hosted project, 'memory' to run fully on
+// device with no network.
+const backends = {
+  supabase: supabaseBackend,
+  memory: memoryBackend,
+};
+
+export let backend = backends[process.env.EXPO_PUBLIC_BACKEND] || supabaseBackend;
+
+// Swap the implementation before the app renders, e.g. in tests:
+// setBackend(createMemoryBackend({ persist: false, seed }))
+export function setBackend(nextBackend) {
+  backend = nextBackend;
+}
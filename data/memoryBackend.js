@@ -0,0 +1,728 @@
+// data/memoryBackend.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { captionTags, captionMentions } from '../lib/captions';
+
+// Local stand-in for supabaseBackend with the same interface, for tests and
+// for running the app without the hosted project. Tables live in memory and
+// are snapshotted to AsyncStorage; uploaded media is copied into the app's
+// document directory and served from there. There is no RLS: every row is
+// visible to every local account.
+
+const DB_KEY = 'memory_backend:db';
+const MEDIA_DIR = `${FileSystem.documentDirectory}memory-backend/`;
+// Nobody reads local reports; keep only the latest few
+const MAX_REPORTS = 20;
+// Same limit as the create_post RPC
+const MAX_POST_MEDIA = 10;
+// Same limit as the comments.body check
+const MAX_COMMENT_LENGTH = 1000;
+
+const emptyDb = () => ({
+  users: [], // { id, email, password, user_metadata }
+  profiles: [],
+  posts: [],
+  postMedia: [], // { id, post_id, position, ...media columns of posts }
+  likes: [],
+  comments: [], // { id, post_id, user_id, body, parent_id, pinned_at, created_at }
+  commentLikes: [], // { comment_id, user_id, created_at }
+  follows: [], // { follower_id, following_id, created_at }
+  mutes: [], // { muter_id, muted_id, created_at }
+  hiddenPosts: [], // { user_id, post_id, created_at }
+  postReports: [], // { id, post_id, reporter_id, reason, created_at }
+  hashtags: [], // { id, tag }
+  postHashtags: [], // { post_id, hashtag_id }
+  postMentions: [], // { post_id, user_id }
+  reports: [],
+  session: null,
+  nextId: 1,
+});
+
+// Columns holding a row id. Ids are strings, like Supabase's UUIDs, so an id
+// from route params or a link matches with ===.
+const ID_COLUMNS = ['id', 'post_id', 'parent_id', 'comment_id', 'hashtag_id'];
+
+// Snapshots from older builds stored numeric ids
+function stringifyIds(db) {
+  Object.values(db).forEach(table => {
+    if (!Array.isArray(table)) return;
+    table.forEach(row => {
+      ID_COLUMNS.forEach(column => {
+        if (typeof row[column] === 'number') row[column] = String(row[column]);
+      });
+    });
+  });
+  return db;
+}
+
+const backendError = (message, code) => Object.assign(new Error(message), { code });
+
+const clone = (value) => (value == null ? value : JSON.parse(JSON.stringify(value)));
+
+// Generated ids are counters, so "10" sorts after "9"; other ids (seeded
+// ones, user ids) compare as text
+const compareIds = (a, b) => {
+  const [x, y] = /^\d+$/.test(a) && /^\d+$/.test(b) ? [Number(a), Number(b)] : [a, b];
+  return x > y ? 1 : x < y ? -1 : 0;
+};
+
+// Descending (created_at, id), the same order feed_page uses
+const byNewest = (a, b) =>
+  b.created_at.localeCompare(a.created_at) || compareIds(b.id, a.id);
+
+const byOldest = (a, b) => byNewest(b, a);
+
+const mediaPaths = (item) => [item.media_path, item.thumbnail_path, item.poster_path];
+
+// One feed_page-shaped page of `rows` after `cursor`, newest first or,
+// like comment_replies_page, oldest first
+function pageOf(rows, pageSize, cursor, { oldestFirst = false } = {}) {
+  const ordered = [...rows].sort(oldestFirst ? byOldest : byNewest).filter(row =>
+    !cursor ||
+    (oldestFirst ? byOldest(row, cursor) > 0 : byNewest(row, cursor) > 0)
+  );
+  const page = ordered.slice(0, pageSize);
+  const hasMore = ordered.length > pageSize;
+  const last = page[page.length - 1];
+
+  return {
+    page,
+    has_more: hasMore,
+    next_cursor: hasMore ? { created_at: last.created_at, id: last.id } : null,
+  };
+}
+
+// persist: false keeps everything in memory (tests); seed pre-fills tables
+export function createMemoryBackend({ persist = true, seed = null } = {}) {
+  let db = null;
+  let ready = null;
+  const authListeners = new Set();
+  const feedListeners = new Set();
+  const commentListeners = new Set(); // { postId, handlers }
+
+  const load = () => {
+    if (!ready) {
+      ready = (async () => {
+        const raw = persist ? await AsyncStorage.getItem(DB_KEY) : null;
+        // Snapshots from older builds may lack newer tables
+        db = stringifyIds({ ...emptyDb(), ...(raw ? JSON.parse(raw) : clone(seed)) });
+      })();
+    }
+    return ready.then(() => db);
+  };
+
+  const save = async () => {
+    if (persist) await AsyncStorage.setItem(DB_KEY, JSON.stringify(db));
+  };
+
+  const nextId = () => String(db.nextId++);
+
+  const emitAuth = (event) => {
+    const session = clone(db.session);
+    authListeners.forEach(listener => listener(event, session));
+  };
+
+  const emitFeed = (handler, row) => {
+    feedListeners.forEach(handlers => handlers[handler]?.(clone(row)));
+  };
+
+  const emitComment = (handler, row) => {
+    commentListeners.forEach(({ postId, handlers }) => {
+      if (postId === row.post_id) handlers[handler]?.(clone(row));
+    });
+  };
+
+  const currentUserId = () => db.session?.user.id || null;
+
+  // Same shape as a feed_posts row
+  const toFeedPost = (post) => {
+    const postLikes = db.likes.filter(like => like.post_id === post.id);
+    const author = db.profiles.find(profile => profile.id === post.user_id);
+    const items = db.postMedia
+      .filter(item => item.post_id === post.id)
+      .sort((a, b) => a.position - b.position)
+      .map(({ post_id, ...item }) => clone(item));
+    return {
+      ...clone(post),
+      profiles: { username: author?.username || null },
+      likes_count: postLikes.length,
+      user_has_liked: postLikes.some(like => like.user_id === currentUserId()),
+      media: items,
+      comments_count: db.comments.filter(comment => comment.post_id === post.id).length,
+      user_muted_author: db.mutes.some(m => m.muter_id === currentUserId() && m.muted_id === post.user_id),
+    };
+  };
+
+  // The one policy kept from the hosted schema: archived posts are only
+  // visible to their author
+  const isVisible = (post) => !post.archived_at || post.user_id === currentUserId();
+
+  // What feed_page leaves out: archived posts, posts the user hid and posts
+  // by users they muted
+  const inFeed = (post) =>
+    !post.archived_at &&
+    !db.hiddenPosts.some(h => h.user_id === currentUserId() && h.post_id === post.id) &&
+    !db.mutes.some(m => m.muter_id === currentUserId() && m.muted_id === post.user_id);
+
+  // Same shape as a feed_comments row
+  const toFeedComment = (comment) => {
+    const author = db.profiles.find(profile => profile.id === comment.user_id);
+    const commentLikes = db.commentLikes.filter(like => like.comment_id === comment.id);
+    return {
+      ...clone(comment),
+      profiles: { username: author?.username || null },
+      likes_count: commentLikes.length,
+      user_has_liked: commentLikes.some(like => like.user_id === currentUserId()),
+      replies_count: db.comments.filter(c => c.parent_id === comment.id).length,
+    };
+  };
+
+  // Deletes comments along with their replies and likes, like the foreign
+  // keys do; returns every row removed
+  const removeComments = (isRemoved) => {
+    const parentIds = new Set(db.comments.filter(isRemoved).map(c => c.id));
+    const removed = db.comments.filter(c => parentIds.has(c.id) || parentIds.has(c.parent_id));
+    const removedIds = new Set(removed.map(c => c.id));
+    db.comments = db.comments.filter(c => !removedIds.has(c.id));
+    db.commentLikes = db.commentLikes.filter(like => !removedIds.has(like.comment_id));
+    return removed;
+  };
+
+  // Same as the sync_post_tags RPC: the post's tags and mentions become the
+  // ones in its caption
+  const syncPostTags = (post) => {
+    const hashtagIds = captionTags(post.caption).map((tag) => {
+      let hashtag = db.hashtags.find(h => h.tag === tag);
+      if (!hashtag) {
+        hashtag = { id: nextId(), tag };
+        db.hashtags.push(hashtag);
+      }
+      return hashtag.id;
+    });
+    const mentioned = new Set(captionMentions(post.caption));
+
+    db.postHashtags = [
+      ...db.postHashtags.filter(row => row.post_id !== post.id),
+      ...hashtagIds.map(hashtag_id => ({ post_id: post.id, hashtag_id })),
+    ];
+    db.postMentions = [
+      ...db.postMentions.filter(row => row.post_id !== post.id),
+      ...db.profiles
+        .filter(profile => mentioned.has(profile.username.toLowerCase()))
+        .map(profile => ({ post_id: post.id, user_id: profile.id })),
+    ];
+  };
+
+  const sessionFor = (user) => ({
+    access_token: `local-${user.id}`,
+    user: { id: user.id, email: user.email, user_metadata: user.user_metadata },
+  });
+
+  const auth = {
+    async getSession() {
+      await load();
+      return clone(db.session);
+    },
+
+    async getUser() {
+      await load();
+      return clone(db.session?.user || null);
+    },
+
+    onAuthStateChange(callback) {
+      authListeners.add(callback);
+      load().then(() => {
+        if (authListeners.has(callback)) callback('INITIAL_SESSION', clone(db.session));
+      });
+      return () => authListeners.delete(callback);
+    },
+
+    async signIn({ email, password }) {
+      await load();
+      const user = db.users.find(u => u.email === email && u.password === password);
+      if (!user) throw backendError('Invalid login credentials', 'invalid_credentials');
+
+      db.session = sessionFor(user);
+      await save();
+      emitAuth('SIGNED_IN');
+      return { user: clone(db.session.user), session: clone(db.session) };
+    },
+
+    async signUp({ email, password, username }) {
+      await load();
+      if (db.users.some(u => u.email === email)) {
+        throw backendError('User already registered', 'user_already_exists');
+      }
+
+      const user = {
+        id: `local-user-${nextId()}`,
+        email,
+        password,
+        user_metadata: { username },
+      };
+      db.users.push(user);
+      db.session = sessionFor(user);
+      await save();
+      emitAuth('SIGNED_IN');
+      return { user: clone(db.session.user), session: clone(db.session) };
+    },
+
+    async signOut() {
+      await load();
+      db.session = null;
+      await save();
+      emitAuth('SIGNED_OUT');
+    },
+  };
+
+  const profiles = {
+    async getById(userId) {
+      await load();
+      return clone(db.profiles.find(profile => profile.id === userId) || null);
+    },
+
+    async getByUsername(username) {
+      await load();
+      // Ignores case, like the supabase backend
+      const wanted = username.toLowerCase();
+      return clone(db.profiles.find(profile => profile.username.toLowerCase() === wanted) || null);
+    },
+
+    async create({ id, username, email }) {
+      await load();
+      // Usernames are unique ignoring case, like profiles_username_lower_key
+      const taken = username.toLowerCase();
+      if (db.profiles.some(profile => profile.id === id || profile.username.toLowerCase() === taken)) {
+        throw backendError('duplicate key value violates unique constraint', '23505');
+      }
+      db.profiles.push({ id, username, email, created_at: new Date().toISOString() });
+      await save();
+    },
+
+    async search(prefix, limit = 8) {
+      await load();
+      const lowerPrefix = prefix.toLowerCase();
+      return db.profiles
+        .filter(profile => profile.username.toLowerCase().startsWith(lowerPrefix))
+        .sort((a, b) => a.username.localeCompare(b.username))
+        .slice(0, limit)
+        .map(({ id, username }) => ({ id, username }));
+    },
+  };
+
+  const posts = {
+    async feedPage({ pageSize, cursor }) {
+      await load();
+      const { page, ...rest } = pageOf(db.posts.filter(inFeed), pageSize, cursor);
+      return { posts: page.map(toFeedPost), ...rest };
+    },
+
+    async tagPage({ tag, pageSize, cursor }) {
+      await load();
+      const hashtag = db.hashtags.find(h => h.tag === tag.toLowerCase());
+      const postIds = new Set(db.postHashtags
+        .filter(row => row.hashtag_id === hashtag?.id)
+        .map(row => row.post_id));
+      const { page, ...rest } = pageOf(db.posts.filter(post => postIds.has(post.id) && inFeed(post)), pageSize, cursor);
+      return { posts: page.map(toFeedPost), ...rest };
+    },
+
+    async getFeedPost(postId) {
+      await load();
+      const post = db.posts.find(p => p.id === postId && isVisible(p));
+      return post ? toFeedPost(post) : null;
+    },
+
+    async listByUser(userId) {
+      await load();
+      return clone(db.posts.filter(post => post.user_id === userId && isVisible(post)).sort(byNewest));
+    },
+
+    // Same contract as the create_post RPC: the posts row plus its items;
+    // a client_key the user already used returns that post's id
+    async create({ media = [], ...row }) {
+      await load();
+      if (media.length > MAX_POST_MEDIA) {
+        throw backendError(`A post can have at most ${MAX_POST_MEDIA} media items`, '22023');
+      }
+      const userId = row.user_id ?? currentUserId();
+      const existing = row.client_key != null &&
+        db.posts.find(p => p.user_id === userId && p.client_key === row.client_key);
+      if (existing) return existing.id;
+
+      const post = {
+        ...clone(row),
+        id: nextId(),
+        media_count: Math.max(media.length, 1),
+        created_at: new Date().toISOString(),
+      };
+      db.posts.push(post);
+      media.forEach((item, position) => {
+        db.postMedia.push({ ...clone(item), id: nextId(), post_id: post.id, position });
+      });
+      syncPostTags(post);
+      await save();
+      emitFeed('onPostInsert', post);
+      return post.id;
+    },
+
+    // Same contract as the update_post_caption RPC
+    async updateCaption(postId, caption) {
+      await load();
+      const post = db.posts.find(p => p.id === postId && p.user_id === currentUserId());
+      if (!post) throw backendError('Post not found or not owned by user', 'P0002');
+
+      post.caption = caption;
+      post.edited_at = new Date().toISOString();
+      syncPostTags(post);
+      await save();
+      emitFeed('onPostUpdate', post);
+      return { caption, edited_at: post.edited_at };
+    },
+
+    // Same contract as the archive_post RPC
+    async setArchived(postId, archived) {
+      await load();
+      const post = db.posts.find(p => p.id === postId && p.user_id === currentUserId());
+      if (!post) throw backendError('Post not found or not owned by user', 'P0002');
+
+      const newlyArchived = archived && !post.archived_at;
+      post.archived_at = archived ? post.archived_at || new Date().toISOString() : null;
+      await save();
+      emitFeed('onPostUpdate', post);
+      if (newlyArchived) emitFeed('onPostArchived', { id: post.id, user_id: post.user_id });
+      return post.archived_at;
+    },
+
+    async hide(postId, userId) {
+      await load();
+      if (db.hiddenPosts.some(h => h.user_id === userId && h.post_id === postId)) return;
+
+      db.hiddenPosts.push({ user_id: userId, post_id: postId, created_at: new Date().toISOString() });
+      await save();
+    },
+
+    // Same contract as the report_post RPC: the first report stays, and the
+    // post is hidden from the reporter
+    async report(postId, reason) {
+      await load();
+      const userId = currentUserId();
+      if (!db.postReports.some(r => r.post_id === postId && r.reporter_id === userId)) {
+        db.postReports.push({
+          id: nextId(),
+          post_id: postId,
+          reporter_id: userId,
+          reason,
+          created_at: new Date().toISOString(),
+        });
+      }
+      await posts.hide(postId, userId);
+    },
+
+    // Same contract as the delete_post RPC: owner only, cascades to media
+    // items, likes, comments, tags and mentions, returns every storage path of the post
+    async remove(postId) {
+      await load();
+      const post = db.posts.find(p => p.id === postId && p.user_id === currentUserId());
+      if (!post) throw backendError('Post not found or not owned by user', 'P0002');
+
+      const items = db.postMedia.filter(item => item.post_id === postId);
+      db.posts = db.posts.filter(p => p !== post);
+      db.postMedia = db.postMedia.filter(item => item.post_id !== postId);
+      db.likes = db.likes.filter(like => like.post_id !== postId);
+      removeComments(comment => comment.post_id === postId);
+      db.postHashtags = db.postHashtags.filter(row => row.post_id !== postId);
+      db.postMentions = db.postMentions.filter(row => row.post_id !== postId);
+      db.hiddenPosts = db.hiddenPosts.filter(row => row.post_id !== postId);
+      db.postReports = db.postReports.filter(row => row.post_id !== postId);
+      await save();
+      emitFeed('onPostDelete', { id: post.id });
+      return [...new Set([post, ...items].flatMap(mediaPaths).filter(Boolean))];
+    },
+
+    async listMediaPaths(userId) {
+      await load();
+      const postIds = new Set(db.posts.filter(post => post.user_id === userId).map(post => post.id));
+      return [
+        ...db.posts.filter(post => postIds.has(post.id)),
+        ...db.postMedia.filter(item => postIds.has(item.post_id)),
+      ]
+        .flatMap(mediaPaths)
+        .filter(Boolean);
+    },
+  };
+
+  const likes = {
+    async add(postId, userId) {
+      await load();
+      if (db.likes.some(like => like.post_id === postId && like.user_id === userId)) return;
+
+      const like = { id: nextId(), post_id: postId, user_id: userId, created_at: new Date().toISOString() };
+      db.likes.push(like);
+      await save();
+      emitFeed('onLikeInsert', like);
+    },
+
+    async remove(postId, userId) {
+      await load();
+      const removed = db.likes.filter(like => like.post_id === postId && like.user_id === userId);
+      db.likes = db.likes.filter(like => !removed.includes(like));
+      await save();
+      removed.forEach(like => emitFeed('onLikeDelete', like));
+    },
+
+    // Same contract as the post_likers_page RPC
+    async likersPage({ postId, pageSize, cursor }) {
+      await load();
+      const likers = db.likes
+        .filter(like => like.post_id === postId)
+        .map(like => ({ id: like.user_id, created_at: like.created_at }));
+      const { page, ...rest } = pageOf(likers, pageSize, cursor);
+      return {
+        likers: page.map(liker => ({
+          ...liker,
+          username: db.profiles.find(profile => profile.id === liker.id)?.username || null,
+          viewer_follows: db.follows.some(f => f.follower_id === currentUserId() && f.following_id === liker.id),
+        })),
+        ...rest,
+      };
+    },
+  };
+
+  const follows = {
+    async add(followingId, followerId) {
+      await load();
+      if (followingId === followerId) {
+        throw backendError('new row for relation "follows" violates check constraint', '23514');
+      }
+      if (db.follows.some(f => f.follower_id === followerId && f.following_id === followingId)) return;
+
+      db.follows.push({ follower_id: followerId, following_id: followingId, created_at: new Date().toISOString() });
+      await save();
+    },
+
+    async remove(followingId, followerId) {
+      await load();
+      db.follows = db.follows.filter(f => !(f.follower_id === followerId && f.following_id === followingId));
+      await save();
+    },
+  };
+
+  const mutes = {
+    async add(mutedId, muterId) {
+      await load();
+      if (mutedId === muterId) {
+        throw backendError('new row for relation "mutes" violates check constraint', '23514');
+      }
+      if (db.mutes.some(m => m.muter_id === muterId && m.muted_id === mutedId)) return;
+
+      db.mutes.push({ muter_id: muterId, muted_id: mutedId, created_at: new Date().toISOString() });
+      await save();
+    },
+
+    async remove(mutedId, muterId) {
+      await load();
+      db.mutes = db.mutes.filter(m => !(m.muter_id === muterId && m.muted_id === mutedId));
+      await save();
+    },
+  };
+
+  const comments = {
+    async page({ postId, pageSize, cursor }) {
+      await load();
+      const topLevel = db.comments.filter(c => c.post_id === postId && !c.parent_id);
+      const { page, ...rest } = pageOf(topLevel.filter(c => !c.pinned_at), pageSize, cursor);
+      const pinned = cursor ? null : topLevel.find(c => c.pinned_at);
+      return { comments: page.map(toFeedComment), ...rest, pinned: pinned ? toFeedComment(pinned) : null };
+    },
+
+    async replies({ commentId, pageSize, cursor }) {
+      await load();
+      const replies = db.comments.filter(c => c.parent_id === commentId);
+      const { page, ...rest } = pageOf(replies, pageSize, cursor, { oldestFirst: true });
+      return { replies: page.map(toFeedComment), ...rest };
+    },
+
+    async getById(commentId) {
+      await load();
+      const comment = db.comments.find(c => c.id === commentId);
+      return comment ? toFeedComment(comment) : null;
+    },
+
+    // Same checks as the comments table, its trigger and RLS policies
+    async add(postId, userId, body, parentId = null) {
+      await load();
+      if (!db.posts.some(post => post.id === postId)) {
+        throw backendError('insert or update on table "comments" violates foreign key constraint', '23503');
+      }
+      if (parentId) {
+        const parent = db.comments.find(c => c.id === parentId);
+        if (!parent || parent.post_id !== postId) {
+          throw backendError('Parent comment not found on this post', 'P0002');
+        }
+        if (parent.parent_id) throw backendError("Replies can't have replies", '22023');
+      }
+      const length = body.trim().length;
+      if (length < 1 || length > MAX_COMMENT_LENGTH) {
+        throw backendError('new row for relation "comments" violates check constraint', '23514');
+      }
+
+      const comment = {
+        id: nextId(),
+        post_id: postId,
+        user_id: userId,
+        body,
+        parent_id: parentId,
+        pinned_at: null,
+        created_at: new Date().toISOString(),
+      };
+      db.comments.push(comment);
+      await save();
+      emitComment('onCommentInsert', comment);
+      return toFeedComment(comment);
+    },
+
+    async remove(commentId) {
+      await load();
+      const comment = db.comments.find(c => c.id === commentId);
+      const post = comment && db.posts.find(p => p.id === comment.post_id);
+      if (!comment || (comment.user_id !== currentUserId() && post?.user_id !== currentUserId())) {
+        throw backendError('Comment not found or not deletable by user', 'P0002');
+      }
+
+      const removed = removeComments(c => c.id === comment.id);
+      await save();
+      removed.forEach(row => emitComment('onCommentDelete', row));
+    },
+
+    // Same contract as the pin_comment RPC
+    async pin(commentId, pinned) {
+      await load();
+      const comment = db.comments.find(c => c.id === commentId && !c.parent_id);
+      const post = comment && db.posts.find(p => p.id === comment.post_id);
+      if (!post || post.user_id !== currentUserId()) {
+        throw backendError('Comment not found or post not owned by user', 'P0002');
+      }
+
+      const changed = [];
+      db.comments.forEach(c => {
+        const pinnedAt = c === comment && pinned ? new Date().toISOString() : null;
+        const affected = c === comment || (pinned && c.post_id === comment.post_id && c.pinned_at);
+        if (affected && c.pinned_at !== pinnedAt) {
+          c.pinned_at = pinnedAt;
+          changed.push(c);
+        }
+      });
+      await save();
+      changed.forEach(row => emitComment('onCommentUpdate', row));
+    },
+  };
+
+  const commentLikes = {
+    async add(commentId, userId) {
+      await load();
+      if (db.commentLikes.some(like => like.comment_id === commentId && like.user_id === userId)) return;
+      if (!db.comments.some(c => c.id === commentId)) {
+        throw backendError('insert or update on table "comment_likes" violates foreign key constraint', '23503');
+      }
+      db.commentLikes.push({ comment_id: commentId, user_id: userId, created_at: new Date().toISOString() });
+      await save();
+    },
+
+    async remove(commentId, userId) {
+      await load();
+      db.commentLikes = db.commentLikes.filter(like => !(like.comment_id === commentId && like.user_id === userId));
+      await save();
+    },
+  };
+
+  const media = {
+    // Same contract as the resumable supabase upload: an existing path
+    // counts as uploaded
+    async upload(path, fileUri, contentType, { onProgress, signal } = {}) {
+      if (signal?.aborted) {
+        throw Object.assign(new Error('Upload cancelled'), { name: 'AbortError' });
+      }
+      const target = `${MEDIA_DIR}${path}`;
+      if (!(await FileSystem.getInfoAsync(target)).exists) {
+        await FileSystem.makeDirectoryAsync(target.slice(0, target.lastIndexOf('/')), { intermediates: true });
+        await FileSystem.copyAsync({ from: fileUri, to: target });
+      }
+      onProgress?.(1);
+    },
+
+    // Media is served straight from disk
+    getPublicUrl(path) {
+      return `${MEDIA_DIR}${path}`;
+    },
+
+    async remove(paths) {
+      await Promise.all(paths.map(path =>
+        FileSystem.deleteAsync(`${MEDIA_DIR}${path}`, { idempotent: true })
+      ));
+    },
+
+    async list(folder) {
+      const dir = `${MEDIA_DIR}${folder}/`;
+      const info = await FileSystem.getInfoAsync(dir);
+      if (!info.exists) return [];
+
+      const names = await FileSystem.readDirectoryAsync(dir);
+      return Promise.all(names.map(async (name) => {
+        const file = await FileSystem.getInfoAsync(`${dir}${name}`);
+        return {
+          path: `${folder}/${name}`,
+          created_at: new Date((file.modificationTime || 0) * 1000).toISOString(),
+        };
+      }));
+    },
+  };
+
+  const realtime = {
+    subscribeToFeed(handlers) {
+      feedListeners.add(handlers);
+      return () => feedListeners.delete(handlers);
+    },
+
+    subscribeToComments(postId, handlers) {
+      const listener = { postId, handlers };
+      commentListeners.add(listener);
+      return () => commentListeners.delete(listener);
+    },
+  };
+
+  const reports = {
+    async send({ kind, reference, platform, osVersion, entries }) {
+      await load();
+      db.reports.push({
+        id: nextId(),
+        user_id: currentUserId(),
+        kind,
+        reference,
+        platform,
+        os_version: osVersion,
+        entries: clone(entries),
+        created_at: new Date().toISOString(),
+      });
+      db.reports = db.reports.slice(-MAX_REPORTS);
+      await save();
+    },
+  };
+
+  return {
+    name: 'memory',
+    auth,
+    profiles,
+    posts,
+    likes,
+    follows,
+    mutes,
+    comments,
+    commentLikes,
+    media,
+    realtime,
+    reports,
+  };
+}
+
+export const memoryBackend = createMemoryBackend();
@@ -0,0 +1,577 @@
+// data/supabaseBackend.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { decode } from 'base64-arraybuffer';
+import { supabase, supabaseUrl } from '../supabase';
+
+// Hosted backend. Every method resolves with plain data and throws the
+// Supabase error (which keeps its `code`) on failure.
+
+const MEDIA_BUCKET = 'posts';
+
+// Resumable (TUS) uploads. Supabase only accepts 6 MB chunks, except for
+// the last one. The upload URL of an unfinished file is kept per storage
+// path so the next attempt continues from the server's offset.
+const TUS_ENDPOINT = `${supabaseUrl}/storage/v1/upload/resumable`;
+const UPLOAD_CHUNK_SIZE = 6 * 1024 * 1024;
+const UPLOAD_URL_KEY_PREFIX = 'tus_upload:';
+
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+const uploadError = (response) => Object.assign(
+  new Error(response.text || `Upload failed with status ${response.status}`),
+  { code: String(response.status) }
+);
+
+// fetch can't report upload progress, XMLHttpRequest can. Rejects like
+// fetch on network failures; aborting rejects with an AbortError.
+function xhrRequest({ method, url, headers, body = null, signal, onUploadProgress }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(Object.assign(new Error('Upload cancelled'), { name: 'AbortError' }));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    if (onUploadProgress) {
+      xhr.upload.onprogress = (event) => onUploadProgress(event.loaded);
+    }
+    xhr.onload = () => resolve({
+      status: xhr.status,
+      text: xhr.responseText,
+      header: (name) => xhr.getResponseHeader(name),
+    });
+    xhr.onerror = () => reject(new TypeError('Network request failed'));
+    xhr.ontimeout = xhr.onerror;
+    xhr.onabort = () => reject(Object.assign(new Error('Upload cancelled'), { name: 'AbortError' }));
+    signal?.addEventListener('abort', () => xhr.abort());
+    xhr.send(body);
+  });
+}
+
+const tusMetadata = (fields) => Object.entries(fields)
+  .map(([key, value]) => `${key} ${btoa(value)}`)
+  .join(',');
+
+const auth = {
+  async getSession() {
+    return unwrap(await supabase.auth.getSession()).session;
+  },
+
+  // null when signed out (getUser reports a missing session as an error)
+  async getUser() {
+    const { data } = await supabase.auth.getUser();
+    return data?.user || null;
+  },
+
+  // callback(event, session); returns the unsubscribe function
+  onAuthStateChange(callback) {
+    const { data: { subscription } } = supabase.auth.onAuthStateChange(callback);
+    return () => subscription?.unsubscribe();
+  },
+
+  async signIn({ email, password }) {
+    return unwrap(await supabase.auth.signInWithPassword({ email, password }));
+  },
+
+  async signUp({ email, password, username }) {
+    return unwrap(await supabase.auth.signUp({
+      email,
+      password,
+      options: {
+        data: {
+          username: username,
+        }
+      }
+    }));
+  },
+
+  async signOut() {
+    unwrap(await supabase.auth.signOut());
+  },
+};
+
+// `text` as a LIKE pattern that matches only itself
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+const profiles = {
+  async getById(userId) {
+    return unwrap(await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', userId)
+      .maybeSingle());
+  },
+
+  // Ignores case, like the mention lookup in create_post
+  // (db/migrations/0009_caption_tags.sql), so "@Alice" finds alice
+  async getByUsername(username) {
+    return unwrap(await supabase
+      .from('profiles')
+      .select('*')
+      .ilike('username', escapeLike(username))
+      .maybeSingle());
+  },
+
+  async create({ id, username, email }) {
+    unwrap(await supabase
+      .from('profiles')
+      .insert([{ id, username, email }]));
+  },
+
+  // Up to `limit` profiles whose username starts with `prefix`, ignoring
+  // case, for mention autocomplete: [{ id, username }]
+  async search(prefix, limit = 8) {
+    const pattern = `${escapeLike(prefix)}%`;
+    return unwrap(await supabase
+      .from('profiles')
+      .select('id, username')
+      .ilike('username', pattern)
+      .order('username')
+      .limit(limit)) || [];
+  },
+};
+
+const posts = {
+  // { posts, has_more, next_cursor } (db/migrations/0002_feed_keyset_pagination.sql)
+  async feedPage({ pageSize, cursor }) {
+    return unwrap(await supabase.rpc('feed_page', {
+      page_size: pageSize,
+      cursor_created_at: cursor?.created_at ?? null,
+      cursor_id: cursor?.id ?? null,
+    }));
+  },
+
+  // feedPage for the posts tagged `tag` (db/migrations/0009_caption_tags.sql)
+  async tagPage({ tag, pageSize, cursor }) {
+    return unwrap(await supabase.rpc('tag_feed_page', {
+      target_tag: tag,
+      page_size: pageSize,
+      cursor_created_at: cursor?.created_at ?? null,
+      cursor_id: cursor?.id ?? null,
+    }));
+  },
+
+  // A single post in feed shape, with likes_count and user_has_liked
+  async getFeedPost(postId) {
+    return unwrap(await supabase
+      .from('feed_posts')
+      .select('*')
+      .eq('id', postId)
+      .maybeSingle());
+  },
+
+  async listByUser(userId) {
+    return unwrap(await supabase
+      .from('posts')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })) || [];
+  },
+
+  // `row` is the posts row (the cover) plus `media`, its items in order
+  // (db/migrations/0008_post_media.sql). The caption's tags and mentions
+  // are stored with it (0009). Returns the new post's id, or the existing
+  // one when the user already created a post with the row's client_key
+  // (0016).
+  async create({ media = [], ...post }) {
+    return unwrap(await supabase.rpc('create_post', { post, media }));
+  },
+
+  // Replaces the caller's post's caption, re-parsing its tags and mentions
+  // (db/migrations/0014_edit_caption.sql). Returns { caption, edited_at }.
+  async updateCaption(postId, caption) {
+    return unwrap(await supabase.rpc('update_post_caption', {
+      target_post_id: postId,
+      new_caption: caption,
+    }));
+  },
+
+  // Archives the caller's post, hiding it from everyone else, or restores
+  // it (db/migrations/0015_post_moderation.sql). Returns the new archived_at.
+  async setArchived(postId, archived) {
+    return unwrap(await supabase.rpc('archive_post', {
+      target_post_id: postId,
+      archived,
+    }));
+  },
+
+  // Keeps the post out of the user's feeds
+  async hide(postId, userId) {
+    const { error } = await supabase
+      .from('hidden_posts')
+      .insert([{ user_id: userId, post_id: postId }]);
+
+    // 23505: already hidden, e.g. from another device
+    if (error && error.code !== '23505') throw error;
+  },
+
+  // reason: 'spam' | 'inappropriate' | 'other'. Also hides the post from
+  // the reporter.
+  async report(postId, reason) {
+    unwrap(await supabase.rpc('report_post', {
+      target_post_id: postId,
+      report_reason: reason,
+    }));
+  },
+
+  // Deletes the caller's post, its media items, likes and comments in one
+  // transaction (db/migrations/0004_atomic_post_deletion.sql). Returns the
+  // storage paths that belonged to it: every item's original, thumbnail
+  // and poster frame.
+  async remove(postId) {
+    return unwrap(await supabase.rpc('delete_post', { target_post_id: postId })) || [];
+  },
+
+  // Every storage path still referenced by one of the user's posts
+  async listMediaPaths(userId) {
+    const data = unwrap(await supabase
+      .from('posts')
+      .select('media_path, thumbnail_path, poster_path, post_media(media_path, thumbnail_path, poster_path)')
+      .eq('user_id', userId));
+    return (data || [])
+      .flatMap(row => [row, ...(row.post_media || [])])
+      .flatMap(item => [item.media_path, item.thumbnail_path, item.poster_path])
+      .filter(Boolean);
+  },
+};
+
+const likes = {
+  async add(postId, userId) {
+    const { error } = await supabase
+      .from('likes')
+      .insert([{ post_id: postId, user_id: userId }]);
+
+    // 23505: already liked, e.g. from another device
+    if (error && error.code !== '23505') throw error;
+  },
+
+  async remove(postId, userId) {
+    unwrap(await supabase
+      .from('likes')
+      .delete()
+      .eq('post_id', postId)
+      .eq('user_id', userId));
+  },
+
+  // The users who liked a post, newest like first:
+  // { likers: [{ id, username, created_at, viewer_follows }], has_more,
+  // next_cursor } (db/migrations/0013_likers_and_follows.sql)
+  async likersPage({ postId, pageSize, cursor }) {
+    return unwrap(await supabase.rpc('post_likers_page', {
+      target_post_id: postId,
+      page_size: pageSize,
+      cursor_created_at: cursor?.created_at ?? null,
+      cursor_id: cursor?.id ?? null,
+    }));
+  },
+};
+
+const follows = {
+  async add(followingId, followerId) {
+    const { error } = await supabase
+      .from('follows')
+      .insert([{ follower_id: followerId, following_id: followingId }]);
+
+    // 23505: already following, e.g. from another device
+    if (error && error.code !== '23505') throw error;
+  },
+
+  async remove(followingId, followerId) {
+    unwrap(await supabase
+      .from('follows')
+      .delete()
+      .eq('follower_id', followerId)
+      .eq('following_id', followingId));
+  },
+};
+
+// Muted users' posts are left out of feed pages (0015)
+const mutes = {
+  async add(mutedId, muterId) {
+    const { error } = await supabase
+      .from('mutes')
+      .insert([{ muter_id: muterId, muted_id: mutedId }]);
+
+    // 23505: already muted, e.g. from another device
+    if (error && error.code !== '23505') throw error;
+  },
+
+  async remove(mutedId, muterId) {
+    unwrap(await supabase
+      .from('mutes')
+      .delete()
+      .eq('muter_id', muterId)
+      .eq('muted_id', mutedId));
+  },
+};
+
+const comments = {
+  // A page of a post's top-level comments, newest first:
+  // { comments, has_more, next_cursor, pinned } (db/migrations/0011_comments.sql).
+  // The pinned comment isn't part of the pages; it comes with the first
+  // one (0012_comment_threads.sql).
+  async page({ postId, pageSize, cursor }) {
+    return unwrap(await supabase.rpc('comments_page', {
+      target_post_id: postId,
+      page_size: pageSize,
+      cursor_created_at: cursor?.created_at ?? null,
+      cursor_id: cursor?.id ?? null,
+    }));
+  },
+
+  // A page of a comment's replies, oldest first: { replies, has_more, next_cursor }
+  async replies({ commentId, pageSize, cursor }) {
+    return unwrap(await supabase.rpc('comment_replies_page', {
+      target_comment_id: commentId,
+      page_size: pageSize,
+      cursor_created_at: cursor?.created_at ?? null,
+      cursor_id: cursor?.id ?? null,
+    }));
+  },
+
+  // A single comment with its author as `profiles`, or null
+  async getById(commentId) {
+    return unwrap(await supabase
+      .from('feed_comments')
+      .select('*')
+      .eq('id', commentId)
+      .maybeSingle());
+  },
+
+  // Returns the new comment in the same shape as getById. With parentId it
+  // is a reply to that top-level comment.
+  async add(postId, userId, body, parentId = null) {
+    const { id } = unwrap(await supabase
+      .from('comments')
+      .insert([{ post_id: postId, user_id: userId, body, parent_id: parentId }])
+      .select('id')
+      .single());
+    return comments.getById(id);
+  },
+
+  // Only the comment's author and the post's owner may delete it
+  async remove(commentId) {
+    const deleted = unwrap(await supabase
+      .from('comments')
+      .delete()
+      .eq('id', commentId)
+      .select('id'));
+
+    // RLS hides rows the caller can't delete instead of raising
+    if (!deleted?.length) {
+      throw Object.assign(new Error('Comment not found or not deletable by user'), { code: 'P0002' });
+    }
+  },
+
+  // Post owner only; pinning replaces the post's earlier pin
+  async pin(commentId, pinned) {
+    unwrap(await supabase.rpc('pin_comment', { target_comment_id: commentId, pinned }));
+  },
+};
+
+const commentLikes = {
+  async add(commentId, userId) {
+    const { error } = await supabase
+      .from('comment_likes')
+      .insert([{ comment_id: commentId, user_id: userId }]);
+
+    // 23505: already liked, e.g. from another device
+    if (error && error.code !== '23505') throw error;
+  },
+
+  async remove(commentId, userId) {
+    unwrap(await supabase
+      .from('comment_likes')
+      .delete()
+      .eq('comment_id', commentId)
+      .eq('user_id', userId));
+  },
+};
+
+const media = {
+  // Uploads the local file at `fileUri` to `path` in the posts bucket, one
+  // chunk in memory at a time. onProgress(fraction) follows the bytes sent;
+  // aborting `signal` stops after the current request. Calling it again for
+  // the same path resumes, and a path that already exists counts as
+  // uploaded: callers pick a fresh path per file, so it was an earlier
+  // attempt.
+  async upload(path, fileUri, contentType, { onProgress, signal } = {}) {
+    const { size } = await FileSystem.getInfoAsync(fileUri);
+    const session = await auth.getSession();
+    const headers = {
+      authorization: `Bearer ${session?.access_token}`,
+      'tus-resumable': '1.0.0',
+    };
+    const uploadUrlKey = `${UPLOAD_URL_KEY_PREFIX}${path}`;
+
+    let uploadUrl = await AsyncStorage.getItem(uploadUrlKey);
+    let offset = 0;
+    if (uploadUrl) {
+      const head = await xhrRequest({ method: 'HEAD', url: uploadUrl, headers, signal });
+      if (head.status === 200) {
+        offset = Number(head.header('upload-offset')) || 0;
+      } else {
+        uploadUrl = null; // Expired or unknown: start over
+      }
+    }
+
+    if (!uploadUrl) {
+      const created = await xhrRequest({
+        method: 'POST',
+        url: TUS_ENDPOINT,
+        headers: {
+          ...headers,
+          'upload-length': String(size),
+          'upload-metadata': tusMetadata({
+            bucketName: MEDIA_BUCKET,
+            objectName: path,
+            contentType,
+            cacheControl: '3600',
+          }),
+          'x-upsert': 'false',
+        },
+        signal,
+      });
+      if (created.status === 409) {
+        onProgress?.(1);
+        return;
+      }
+      if (created.status !== 201) throw uploadError(created);
+
+      uploadUrl = created.header('location');
+      await AsyncStorage.setItem(uploadUrlKey, uploadUrl);
+    }
+
+    while (offset < size) {
+      const length = Math.min(UPLOAD_CHUNK_SIZE, size - offset);
+      const chunk = decode(await FileSystem.readAsStringAsync(fileUri, {
+        encoding: 'base64',
+        position: offset,
+        length,
+      }));
+
+      const chunkStart = offset;
+      const patched = await xhrRequest({
+        method: 'PATCH',
+        url: uploadUrl,
+        headers: {
+          ...headers,
+          'upload-offset': String(chunkStart),
+          'content-type': 'application/offset+octet-stream',
+        },
+        body: chunk,
+        signal,
+        onUploadProgress: (loaded) => onProgress?.((chunkStart + loaded) / size),
+      });
+      if (patched.status !== 204) throw uploadError(patched);
+
+      offset = Number(patched.header('upload-offset'));
+      onProgress?.(offset / size);
+    }
+
+    await AsyncStorage.removeItem(uploadUrlKey);
+  },
+
+  getPublicUrl(path) {
+    const { data: { publicUrl } } = supabase.storage
+      .from(MEDIA_BUCKET)
+      .getPublicUrl(path);
+    return publicUrl;
+  },
+
+  async remove(paths) {
+    unwrap(await supabase.storage
+      .from(MEDIA_BUCKET)
+      .remove(paths));
+  },
+
+  // Files directly inside `folder`: [{ path, created_at }]
+  async list(folder) {
+    const files = [];
+    const pageSize = 1000;
+    for (let offset = 0; ; offset += pageSize) {
+      const page = unwrap(await supabase.storage
+        .from(MEDIA_BUCKET)
+        .list(folder, { limit: pageSize, offset }));
+
+      page
+        .filter(item => item.id) // folders have no id
+        .forEach(item => files.push({ path: `${folder}/${item.name}`, created_at: item.created_at }));
+      if (page.length < pageSize) return files;
+    }
+  },
+};
+
+const realtime = {
+  // handlers: { onPostInsert(row), onPostUpdate(row), onPostArchived({ id,
+  // user_id }), onPostDelete(oldRow), onLikeInsert(row), onLikeDelete(oldRow) }.
+  // Returns the unsubscribe function.
+  subscribeToFeed({ onPostInsert, onPostUpdate, onPostArchived, onPostDelete, onLikeInsert, onLikeDelete }) {
+    const channel = supabase
+      .channel('feed-changes')
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'posts' }, ({ new: row }) => onPostInsert(row))
+      // Caption edits and archiving
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'posts' }, ({ new: row }) => onPostUpdate(row))
+      // Archived posts can't be read by anyone else, so they hear about
+      // them here (db/migrations/0017_archive_broadcast.sql)
+      .on('broadcast', { event: 'post_archived' }, ({ payload }) => onPostArchived(payload))
+      .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'posts' }, ({ old }) => onPostDelete(old))
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'likes' }, ({ new: row }) => onLikeInsert(row))
+      .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'likes' }, ({ old }) => onLikeDelete(old))
+      .subscribe();
+
+    return () => supabase.removeChannel(channel);
+  },
+
+  // Comment changes on one post; handlers: { onCommentInsert(row),
+  // onCommentUpdate(row), onCommentDelete(oldRow) }. Returns the
+  // unsubscribe function.
+  subscribeToComments(postId, { onCommentInsert, onCommentUpdate, onCommentDelete }) {
+    const channel = supabase
+      .channel(`comments:${postId}`)
+      .on('postgres_changes', {
+        event: 'INSERT', schema: 'public', table: 'comments', filter: `post_id=eq.${postId}`,
+      }, ({ new: row }) => onCommentInsert(row))
+      // Pins
+      .on('postgres_changes', {
+        event: 'UPDATE', schema: 'public', table: 'comments', filter: `post_id=eq.${postId}`,
+      }, ({ new: row }) => onCommentUpdate(row))
+      // Realtime can't filter DELETE events; keep this post's
+      .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'comments' }, ({ old }) => {
+        if (old?.post_id === postId) onCommentDelete(old);
+      })
+      .subscribe();
+
+    return () => supabase.removeChannel(channel);
+  },
+};
+
+const reports = {
+  // Insert-only (db/migrations/0005_client_reports.sql); rows can't be read back
+  async send({ kind, reference, platform, osVersion, entries }) {
+    unwrap(await supabase
+      .from('client_reports')
+      .insert([{ kind, reference, platform, os_version: osVersion, entries }]));
+  },
+};
+
+export const supabaseBackend = {
+  name: 'supabase',
+  auth,
+  profiles,
+  posts,
+  likes,
+  follows,
+  mutes,
+  comments,
+  commentLikes,
+  media,
+  realtime,
+  reports,
+};
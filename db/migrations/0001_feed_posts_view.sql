@@ -0,0 +1,30 @@
+-- 0001_feed_posts_view.sql
+-- One row per post with the author's username, the total like count and
+-- whether the requesting user (auth.uid()) has liked it. The feed and the
+-- post detail screen read from this view so a whole page costs one request.
+
+create index if not exists likes_post_id_idx on public.likes (post_id);
+create index if not exists likes_post_id_user_id_idx on public.likes (post_id, user_id);
+
+create or replace view public.feed_posts
+with (security_invoker = true) -- RLS of posts/likes/profiles still applies
+as
+select
+  p.*,
+  json_build_object('username', pr.username) as profiles,
+  lc.likes_count,
+  exists (
+    select 1
+    from public.likes l
+    where l.post_id = p.id
+      and l.user_id = auth.uid()
+  ) as user_has_liked
+from public.posts p
+left join public.profiles pr on pr.id = p.user_id
+cross join lateral (
+  select count(*)::int as likes_count
+  from public.likes l
+  where l.post_id = p.id
+) lc;
+
+grant select on public.feed_posts to authenticated;
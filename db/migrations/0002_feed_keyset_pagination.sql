@@ -0,0 +1,48 @@
+-- 0002_feed_keyset_pagination.sql
+-- Cursor based feed paging on (created_at, id). Offsets shift whenever posts
+-- are inserted or deleted mid-scroll; a cursor always continues right after
+-- the last post the client has seen.
+
+create index if not exists posts_created_at_id_idx
+  on public.posts (created_at desc, id desc);
+
+-- Returns { posts: [...], has_more: bool, next_cursor: { created_at, id } | null }.
+-- Pass the previous page's next_cursor to get the following page, or no
+-- cursor for the first one. One extra row is read to know whether more exist.
+create or replace function public.feed_page(
+  page_size int default 10,
+  cursor_created_at timestamptz default null,
+  cursor_id public.posts.id%type default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with page as (
+    select
+      fp.*,
+      row_number() over (order by fp.created_at desc, fp.id desc) as rn
+    from public.feed_posts fp
+    where cursor_created_at is null
+       or (fp.created_at, fp.id) < (cursor_created_at, cursor_id)
+    order by fp.created_at desc, fp.id desc
+    limit page_size + 1
+  )
+  select jsonb_build_object(
+    'posts', coalesce(
+      (select jsonb_agg(to_jsonb(page) - 'rn' order by page.rn)
+       from page where page.rn <= page_size),
+      '[]'::jsonb
+    ),
+    'has_more', exists (select 1 from page where page.rn > page_size),
+    'next_cursor', (
+      select jsonb_build_object('created_at', page.created_at, 'id', page.id)
+      from page
+      where page.rn = page_size
+        and exists (select 1 from page where page.rn > page_size)
+    )
+  );
+$$;
+
+grant execute on function public.feed_page to authenticated;
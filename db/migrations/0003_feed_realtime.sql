@@ -0,0 +1,10 @@
+-- 0003_feed_realtime.sql
+-- Broadcast post and like changes to subscribed clients (see
+-- subscribeToFeed in context/AppContext.js). Subscribers still only get
+-- rows their RLS policies let them read.
+
+-- DELETE events only carry the primary key by default; the feed needs
+-- likes.post_id and likes.user_id to adjust counts in place.
+alter table public.likes replica identity full;
+
+alter publication supabase_realtime add table public.posts, public.likes;
@@ -0,0 +1,58 @@
+-- 0004_atomic_post_deletion.sql
+-- Posts record the storage path of their media instead of clients parsing
+-- it back out of the public URL, and deleting a post is one server-side
+-- statement that takes its likes (and any later child rows) with it.
+
+alter table public.posts add column if not exists media_path text;
+
+-- Backfill from the public URL: .../object/public/posts/<path>[?query]
+update public.posts
+set media_path = split_part(split_part(image_url, '/posts/', 2), '?', 1)
+where media_path is null
+  and image_url like '%/posts/%';
+
+alter table public.likes drop constraint if exists likes_post_id_fkey;
+alter table public.likes
+  add constraint likes_post_id_fkey
+  foreign key (post_id) references public.posts (id) on delete cascade;
+
+-- Deletes the caller's post and everything hanging off it in one
+-- transaction and returns the storage paths the client must remove.
+-- Storage objects can't be deleted from SQL (the storage API owns them);
+-- if that follow-up removal fails, sweepOrphanedMedia picks them up.
+create or replace function public.delete_post(target_post_id public.posts.id%type)
+returns text[]
+language plpgsql
+security invoker
+as $$
+declare
+  deleted_paths text[];
+begin
+  delete from public.posts
+  where id = target_post_id
+    and user_id = auth.uid()
+  returning array_remove(array[media_path], null) into deleted_paths;
+
+  if not found then
+    raise exception 'Post not found or not owned by user'
+      using errcode = 'P0002';
+  end if;
+
+  return deleted_paths;
+end;
+$$;
+
+grant execute on function public.delete_post to authenticated;
+
+-- Objects in the posts bucket that no post references, for an operator
+-- sweeping the whole bucket with the service role. Clients sweep their own
+-- folder through the storage API instead.
+create or replace view public.orphaned_post_media as
+select o.name as path, o.created_at
+from storage.objects o
+where o.bucket_id = 'posts'
+  and not exists (
+    select 1 from public.posts p where p.media_path = o.name
+  );
+
+revoke all on public.orphaned_post_media from anon, authenticated;
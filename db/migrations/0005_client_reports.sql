@@ -0,0 +1,32 @@
+-- 0005_client_reports.sql
+-- Log bundles and error reports sent from devices (lib/logger.js). Clients
+-- can only insert; support reads them with the service role. Entries are
+-- redacted on the device before they are sent. Clients can't read rows
+-- back, so a diagnostics bundle carries a short reference generated on the
+-- device that the user can quote to support.
+
+create table if not exists public.client_reports (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users (id) on delete set null default auth.uid(),
+  kind text not null check (kind in ('diagnostics', 'error')),
+  reference text,
+  platform text,
+  os_version text,
+  entries jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists client_reports_created_at_idx
+  on public.client_reports (created_at desc);
+create index if not exists client_reports_reference_idx
+  on public.client_reports (reference);
+
+alter table public.client_reports enable row level security;
+
+drop policy if exists "Users can send their own reports" on public.client_reports;
+create policy "Users can send their own reports"
+  on public.client_reports for insert
+  to authenticated
+  with check (user_id = auth.uid());
+
+grant insert on public.client_reports to authenticated;
@@ -0,0 +1,40 @@
+-- 0006_post_dimensions.sql
+-- Pixel size of the uploaded media, so the feed and grid can reserve the
+-- right aspect ratio before the image loads. Null for posts uploaded before
+-- client-side processing (lib/imageProcessing.js) and for videos whose size
+-- the device didn't report.
+
+alter table public.posts add column if not exists width int;
+alter table public.posts add column if not exists height int;
+
+alter table public.posts drop constraint if exists posts_dimensions_check;
+alter table public.posts
+  add constraint posts_dimensions_check
+  check ((width is null) = (height is null) and (width is null or (width > 0 and height > 0)));
+
+-- p.* is expanded when a view is created, so feed_posts has to be rebuilt
+-- to pick up columns added since 0001 (media_path, width, height).
+drop view if exists public.feed_posts;
+
+create view public.feed_posts
+with (security_invoker = true) -- RLS of posts/likes/profiles still applies
+as
+select
+  p.*,
+  json_build_object('username', pr.username) as profiles,
+  lc.likes_count,
+  exists (
+    select 1
+    from public.likes l
+    where l.post_id = p.id
+      and l.user_id = auth.uid()
+  ) as user_has_liked
+from public.posts p
+left join public.profiles pr on pr.id = p.user_id
+cross join lateral (
+  select count(*)::int as likes_count
+  from public.likes l
+  where l.post_id = p.id
+) lc;
+
+grant select on public.feed_posts to authenticated;
@@ -0,0 +1,70 @@
+-- 0007_post_thumbnails.sql
+-- Small thumbnails (every post) and poster frames (videos) generated on the
+-- device and stored next to the original in the posts bucket. Grids, feed
+-- placeholders and search results load these instead of the full media.
+
+alter table public.posts add column if not exists thumbnail_url text;
+alter table public.posts add column if not exists thumbnail_path text;
+alter table public.posts add column if not exists poster_url text;
+alter table public.posts add column if not exists poster_path text;
+
+-- Rebuilt to pick up the new columns (see 0006)
+drop view if exists public.feed_posts;
+
+create view public.feed_posts
+with (security_invoker = true) -- RLS of posts/likes/profiles still applies
+as
+select
+  p.*,
+  json_build_object('username', pr.username) as profiles,
+  lc.likes_count,
+  exists (
+    select 1
+    from public.likes l
+    where l.post_id = p.id
+      and l.user_id = auth.uid()
+  ) as user_has_liked
+from public.posts p
+left join public.profiles pr on pr.id = p.user_id
+cross join lateral (
+  select count(*)::int as likes_count
+  from public.likes l
+  where l.post_id = p.id
+) lc;
+
+grant select on public.feed_posts to authenticated;
+
+-- Same contract as in 0004, now returning the derived files as well
+create or replace function public.delete_post(target_post_id public.posts.id%type)
+returns text[]
+language plpgsql
+security invoker
+as $$
+declare
+  deleted_paths text[];
+begin
+  delete from public.posts
+  where id = target_post_id
+    and user_id = auth.uid()
+  returning array_remove(array[media_path, thumbnail_path, poster_path], null)
+    into deleted_paths;
+
+  if not found then
+    raise exception 'Post not found or not owned by user'
+      using errcode = 'P0002';
+  end if;
+
+  return deleted_paths;
+end;
+$$;
+
+create or replace view public.orphaned_post_media as
+select o.name as path, o.created_at
+from storage.objects o
+where o.bucket_id = 'posts'
+  and not exists (
+    select 1 from public.posts p
+    where o.name in (p.media_path, p.thumbnail_path, p.poster_path)
+  );
+
+revoke all on public.orphaned_post_media from anon, authenticated;
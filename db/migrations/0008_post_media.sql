@@ -0,0 +1,180 @@
+-- 0008_post_media.sql
+-- Carousel posts: up to 10 photos and videos in a fixed order. Each item is
+-- a post_media row with the same media columns as posts. The posts row
+-- keeps a copy of the first item as the cover, so grids, thumbnails and
+-- older clients keep working off posts alone, plus media_count for the
+-- grid's "multiple" badge.
+
+create table if not exists public.post_media (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  position smallint not null check (position between 0 and 9),
+  media_type text not null default 'photo' check (media_type in ('photo', 'video')),
+  image_url text not null,
+  media_path text,
+  thumbnail_url text,
+  thumbnail_path text,
+  poster_url text,
+  poster_path text,
+  video_duration int,
+  width int,
+  height int,
+  unique (post_id, position),
+  check ((width is null) = (height is null) and (width is null or (width > 0 and height > 0)))
+);
+
+alter table public.posts add column if not exists media_count smallint not null default 1;
+
+-- Posts from before carousels become their own single item
+insert into public.post_media (
+  post_id, position, media_type, image_url, media_path, thumbnail_url, thumbnail_path,
+  poster_url, poster_path, video_duration, width, height
+)
+select
+  p.id, 0, coalesce(p.media_type, 'photo'), p.image_url, p.media_path, p.thumbnail_url, p.thumbnail_path,
+  p.poster_url, p.poster_path, p.video_duration, p.width, p.height
+from public.posts p
+where p.image_url is not null
+  and not exists (select 1 from public.post_media m where m.post_id = p.id);
+
+alter table public.post_media enable row level security;
+
+-- Visible wherever the post is (the subquery runs under the posts policies)
+drop policy if exists "Post media is visible with its post" on public.post_media;
+create policy "Post media is visible with its post"
+  on public.post_media for select
+  to authenticated
+  using (exists (select 1 from public.posts p where p.id = post_id));
+
+drop policy if exists "Users can add media to their own posts" on public.post_media;
+create policy "Users can add media to their own posts"
+  on public.post_media for insert
+  to authenticated
+  with check (exists (select 1 from public.posts p where p.id = post_id and p.user_id = auth.uid()));
+
+grant select, insert on public.post_media to authenticated;
+
+-- Inserts a post and its media in one transaction, so realtime subscribers
+-- never see a post without its items. `post` holds the posts columns (the
+-- cover), `media` the items in display order. Returns the new post's id.
+create or replace function public.create_post(post jsonb, media jsonb default '[]'::jsonb)
+returns public.posts.id%type
+language plpgsql
+security invoker
+as $$
+declare
+  new_post_id public.posts.id%type;
+begin
+  if jsonb_array_length(media) > 10 then
+    raise exception 'A post can have at most 10 media items'
+      using errcode = '22023';
+  end if;
+
+  insert into public.posts (
+    user_id, caption, media_type, image_url, media_path, thumbnail_url, thumbnail_path,
+    poster_url, poster_path, video_duration, width, height, media_count
+  )
+  select
+    coalesce(r.user_id, auth.uid()), r.caption, r.media_type, r.image_url, r.media_path,
+    r.thumbnail_url, r.thumbnail_path, r.poster_url, r.poster_path, r.video_duration,
+    r.width, r.height, greatest(jsonb_array_length(media), 1)
+  from jsonb_populate_record(null::public.posts, post) r
+  returning id into new_post_id;
+
+  insert into public.post_media (
+    post_id, position, media_type, image_url, media_path, thumbnail_url, thumbnail_path,
+    poster_url, poster_path, video_duration, width, height
+  )
+  select
+    new_post_id, (m.ordinality - 1)::smallint, coalesce(r.media_type, 'photo'), r.image_url, r.media_path,
+    r.thumbnail_url, r.thumbnail_path, r.poster_url, r.poster_path, r.video_duration, r.width, r.height
+  from jsonb_array_elements(media) with ordinality as m(item, ordinality)
+  cross join lateral jsonb_populate_record(null::public.post_media, m.item) r;
+
+  return new_post_id;
+end;
+$$;
+
+grant execute on function public.create_post to authenticated;
+
+-- Rebuilt for media_count (see 0006), and with each post's items inline as
+-- `media`, ordered by position
+drop view if exists public.feed_posts;
+
+create view public.feed_posts
+with (security_invoker = true) -- RLS of posts/likes/profiles still applies
+as
+select
+  p.*,
+  json_build_object('username', pr.username) as profiles,
+  lc.likes_count,
+  exists (
+    select 1
+    from public.likes l
+    where l.post_id = p.id
+      and l.user_id = auth.uid()
+  ) as user_has_liked,
+  coalesce(pm.media, '[]'::jsonb) as media
+from public.posts p
+left join public.profiles pr on pr.id = p.user_id
+cross join lateral (
+  select count(*)::int as likes_count
+  from public.likes l
+  where l.post_id = p.id
+) lc
+cross join lateral (
+  select jsonb_agg(to_jsonb(m) - 'post_id' order by m.position) as media
+  from public.post_media m
+  where m.post_id = p.id
+) pm;
+
+grant select on public.feed_posts to authenticated;
+
+-- Same contract as in 0007, now including every item's files. The items'
+-- paths are read before the cascade removes them; the cover's files are
+-- also its first item's, hence the distinct.
+create or replace function public.delete_post(target_post_id public.posts.id%type)
+returns text[]
+language plpgsql
+security invoker
+as $$
+declare
+  item_paths text[];
+  deleted_paths text[];
+begin
+  select coalesce(array_agg(path), '{}')
+    into item_paths
+  from public.post_media m
+  cross join lateral unnest(array[m.media_path, m.thumbnail_path, m.poster_path]) as path
+  where m.post_id = target_post_id
+    and path is not null;
+
+  delete from public.posts
+  where id = target_post_id
+    and user_id = auth.uid()
+  returning array_remove(array[media_path, thumbnail_path, poster_path], null)
+    into deleted_paths;
+
+  if not found then
+    raise exception 'Post not found or not owned by user'
+      using errcode = 'P0002';
+  end if;
+
+  return array(select distinct unnest(deleted_paths || item_paths));
+end;
+$$;
+
+create or replace view public.orphaned_post_media as
+select o.name as path, o.created_at
+from storage.objects o
+where o.bucket_id = 'posts'
+  and not exists (
+    select 1 from public.posts p
+    where o.name in (p.media_path, p.thumbnail_path, p.poster_path)
+  )
+  and not exists (
+    select 1 from public.post_media m
+    where o.name in (m.media_path, m.thumbnail_path, m.poster_path)
+  );
+
+revoke all on public.orphaned_post_media from anon, authenticated;
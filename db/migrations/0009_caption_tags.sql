@@ -0,0 +1,249 @@
+-- 0009_caption_tags.sql
+-- #tags and @mentions parsed out of captions when a post is created, so
+-- tag feeds and "posts mentioning me" are plain joins. Parsing happens
+-- here rather than on the client, with the same rules as lib/captions.js.
+-- Tags and usernames are matched case-insensitively; tags are stored
+-- lowercased.
+
+create table if not exists public.hashtags (
+  id bigint generated always as identity primary key,
+  tag text not null unique check (tag = lower(tag) and tag ~ '^[a-z0-9_]{1,50}$')
+);
+
+create table if not exists public.post_hashtags (
+  post_id uuid not null references public.posts (id) on delete cascade,
+  hashtag_id bigint not null references public.hashtags (id) on delete cascade,
+  primary key (post_id, hashtag_id)
+);
+
+-- Tag feeds look posts up by tag
+create index if not exists post_hashtags_hashtag_id_idx
+  on public.post_hashtags (hashtag_id, post_id);
+
+-- Only mentions of existing users are kept
+create table if not exists public.post_mentions (
+  post_id uuid not null references public.posts (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  primary key (post_id, user_id)
+);
+
+create index if not exists post_mentions_user_id_idx
+  on public.post_mentions (user_id, post_id);
+
+create index if not exists profiles_username_lower_idx
+  on public.profiles (lower(username) text_pattern_ops);
+
+-- The distinct lowercased tokens starting with `prefix` ('#' or '@') in a
+-- caption. A token starts at the beginning or after a character that
+-- can't be part of one, and runs over letters, digits and underscores.
+create or replace function public.caption_tokens(caption text, prefix text)
+returns setof text
+language sql
+immutable
+as $$
+  select distinct lower(m[2])
+  from regexp_matches(
+    coalesce(caption, ''),
+    '(^|[^A-Za-z0-9_])' || prefix || '([A-Za-z0-9_]{1,50})',
+    'g'
+  ) as m;
+$$;
+
+alter table public.hashtags enable row level security;
+alter table public.post_hashtags enable row level security;
+alter table public.post_mentions enable row level security;
+
+drop policy if exists "Hashtags are visible to everyone" on public.hashtags;
+create policy "Hashtags are visible to everyone"
+  on public.hashtags for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Users can add hashtags" on public.hashtags;
+create policy "Users can add hashtags"
+  on public.hashtags for insert
+  to authenticated
+  with check (true);
+
+-- Tags and mentions are visible wherever their post is, and only the
+-- post's author can change them
+drop policy if exists "Post hashtags are visible with their post" on public.post_hashtags;
+create policy "Post hashtags are visible with their post"
+  on public.post_hashtags for select
+  to authenticated
+  using (exists (select 1 from public.posts p where p.id = post_id));
+
+drop policy if exists "Users can tag their own posts" on public.post_hashtags;
+create policy "Users can tag their own posts"
+  on public.post_hashtags for all
+  to authenticated
+  using (exists (select 1 from public.posts p where p.id = post_id and p.user_id = auth.uid()))
+  with check (exists (select 1 from public.posts p where p.id = post_id and p.user_id = auth.uid()));
+
+drop policy if exists "Post mentions are visible with their post" on public.post_mentions;
+create policy "Post mentions are visible with their post"
+  on public.post_mentions for select
+  to authenticated
+  using (exists (select 1 from public.posts p where p.id = post_id));
+
+drop policy if exists "Users can mention from their own posts" on public.post_mentions;
+create policy "Users can mention from their own posts"
+  on public.post_mentions for all
+  to authenticated
+  using (exists (select 1 from public.posts p where p.id = post_id and p.user_id = auth.uid()))
+  with check (exists (select 1 from public.posts p where p.id = post_id and p.user_id = auth.uid()));
+
+grant select, insert on public.hashtags to authenticated;
+grant select, insert, delete on public.post_hashtags to authenticated;
+grant select, insert, delete on public.post_mentions to authenticated;
+
+-- Replaces a post's tags and mentions with the ones in its caption. Owner
+-- only; call it again whenever the caption changes.
+create or replace function public.sync_post_tags(target_post_id public.posts.id%type)
+returns void
+language plpgsql
+security invoker
+as $$
+declare
+  post_caption text;
+begin
+  select caption into post_caption
+  from public.posts
+  where id = target_post_id
+    and user_id = auth.uid();
+
+  if not found then
+    raise exception 'Post not found or not owned by user'
+      using errcode = 'P0002';
+  end if;
+
+  insert into public.hashtags (tag)
+  select t from public.caption_tokens(post_caption, '#') t
+  on conflict (tag) do nothing;
+
+  delete from public.post_hashtags where post_id = target_post_id;
+  insert into public.post_hashtags (post_id, hashtag_id)
+  select target_post_id, h.id
+  from public.hashtags h
+  where h.tag in (select public.caption_tokens(post_caption, '#'));
+
+  delete from public.post_mentions where post_id = target_post_id;
+  insert into public.post_mentions (post_id, user_id)
+  select target_post_id, pr.id
+  from public.profiles pr
+  where lower(pr.username) in (select public.caption_tokens(post_caption, '@'));
+end;
+$$;
+
+grant execute on function public.sync_post_tags to authenticated;
+
+-- Same contract as in 0008, now also storing the caption's tags and
+-- mentions in the same transaction
+create or replace function public.create_post(post jsonb, media jsonb default '[]'::jsonb)
+returns public.posts.id%type
+language plpgsql
+security invoker
+as $$
+declare
+  new_post_id public.posts.id%type;
+begin
+  if jsonb_array_length(media) > 10 then
+    raise exception 'A post can have at most 10 media items'
+      using errcode = '22023';
+  end if;
+
+  insert into public.posts (
+    user_id, caption, media_type, image_url, media_path, thumbnail_url, thumbnail_path,
+    poster_url, poster_path, video_duration, width, height, media_count
+  )
+  select
+    coalesce(r.user_id, auth.uid()), r.caption, r.media_type, r.image_url, r.media_path,
+    r.thumbnail_url, r.thumbnail_path, r.poster_url, r.poster_path, r.video_duration,
+    r.width, r.height, greatest(jsonb_array_length(media), 1)
+  from jsonb_populate_record(null::public.posts, post) r
+  returning id into new_post_id;
+
+  insert into public.post_media (
+    post_id, position, media_type, image_url, media_path, thumbnail_url, thumbnail_path,
+    poster_url, poster_path, video_duration, width, height
+  )
+  select
+    new_post_id, (m.ordinality - 1)::smallint, coalesce(r.media_type, 'photo'), r.image_url, r.media_path,
+    r.thumbnail_url, r.thumbnail_path, r.poster_url, r.poster_path, r.video_duration, r.width, r.height
+  from jsonb_array_elements(media) with ordinality as m(item, ordinality)
+  cross join lateral jsonb_populate_record(null::public.post_media, m.item) r;
+
+  perform public.sync_post_tags(new_post_id);
+
+  return new_post_id;
+end;
+$$;
+
+-- Existing posts (run as the migration's role, so no RLS and no auth.uid())
+insert into public.hashtags (tag)
+select distinct t
+from public.posts p
+cross join lateral public.caption_tokens(p.caption, '#') t
+on conflict (tag) do nothing;
+
+insert into public.post_hashtags (post_id, hashtag_id)
+select p.id, h.id
+from public.posts p
+cross join lateral public.caption_tokens(p.caption, '#') t
+join public.hashtags h on h.tag = t
+on conflict do nothing;
+
+insert into public.post_mentions (post_id, user_id)
+select p.id, pr.id
+from public.posts p
+cross join lateral public.caption_tokens(p.caption, '@') t
+join public.profiles pr on lower(pr.username) = t
+on conflict do nothing;
+
+-- feed_page (0002) restricted to posts tagged `target_tag`, with the same
+-- cursor and result shape
+create or replace function public.tag_feed_page(
+  target_tag text,
+  page_size int default 10,
+  cursor_created_at timestamptz default null,
+  cursor_id public.posts.id%type default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with page as (
+    select
+      fp.*,
+      row_number() over (order by fp.created_at desc, fp.id desc) as rn
+    from public.feed_posts fp
+    where exists (
+        select 1
+        from public.post_hashtags ph
+        join public.hashtags h on h.id = ph.hashtag_id
+        where ph.post_id = fp.id
+          and h.tag = lower(target_tag)
+      )
+      and (cursor_created_at is null
+        or (fp.created_at, fp.id) < (cursor_created_at, cursor_id))
+    order by fp.created_at desc, fp.id desc
+    limit page_size + 1
+  )
+  select jsonb_build_object(
+    'posts', coalesce(
+      (select jsonb_agg(to_jsonb(page) - 'rn' order by page.rn)
+       from page where page.rn <= page_size),
+      '[]'::jsonb
+    ),
+    'has_more', exists (select 1 from page where page.rn > page_size),
+    'next_cursor', (
+      select jsonb_build_object('created_at', page.created_at, 'id', page.id)
+      from page
+      where page.rn = page_size
+        and exists (select 1 from page where page.rn > page_size)
+    )
+  );
+$$;
+
+grant execute on function public.tag_feed_page to authenticated;
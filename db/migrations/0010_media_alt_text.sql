@@ -0,0 +1,89 @@
+-- 0010_media_alt_text.sql
+-- Optional alt text for each photo and video, read out by screen readers.
+-- Like the other media columns it is kept on every post_media item and,
+-- for the cover, on the posts row.
+
+alter table public.posts add column if not exists alt_text text;
+alter table public.post_media add column if not exists alt_text text;
+
+alter table public.posts drop constraint if exists posts_alt_text_length;
+alter table public.posts
+  add constraint posts_alt_text_length check (char_length(alt_text) <= 1000);
+
+alter table public.post_media drop constraint if exists post_media_alt_text_length;
+alter table public.post_media
+  add constraint post_media_alt_text_length check (char_length(alt_text) <= 1000);
+
+-- Same contract as in 0009, now copying alt_text
+create or replace function public.create_post(post jsonb, media jsonb default '[]'::jsonb)
+returns public.posts.id%type
+language plpgsql
+security invoker
+as $$
+declare
+  new_post_id public.posts.id%type;
+begin
+  if jsonb_array_length(media) > 10 then
+    raise exception 'A post can have at most 10 media items'
+      using errcode = '22023';
+  end if;
+
+  insert into public.posts (
+    user_id, caption, media_type, image_url, media_path, thumbnail_url, thumbnail_path,
+    poster_url, poster_path, video_duration, width, height, alt_text, media_count
+  )
+  select
+    coalesce(r.user_id, auth.uid()), r.caption, r.media_type, r.image_url, r.media_path,
+    r.thumbnail_url, r.thumbnail_path, r.poster_url, r.poster_path, r.video_duration,
+    r.width, r.height, nullif(btrim(r.alt_text), ''), greatest(jsonb_array_length(media), 1)
+  from jsonb_populate_record(null::public.posts, post) r
+  returning id into new_post_id;
+
+  insert into public.post_media (
+    post_id, position, media_type, image_url, media_path, thumbnail_url, thumbnail_path,
+    poster_url, poster_path, video_duration, width, height, alt_text
+  )
+  select
+    new_post_id, (m.ordinality - 1)::smallint, coalesce(r.media_type, 'photo'), r.image_url, r.media_path,
+    r.thumbnail_url, r.thumbnail_path, r.poster_url, r.poster_path, r.video_duration, r.width, r.height,
+    nullif(btrim(r.alt_text), '')
+  from jsonb_array_elements(media) with ordinality as m(item, ordinality)
+  cross join lateral jsonb_populate_record(null::public.post_media, m.item) r;
+
+  perform public.sync_post_tags(new_post_id);
+
+  return new_post_id;
+end;
+$$;
+
+-- Rebuilt so p.* picks up alt_text (see 0006); otherwise unchanged from 0008
+drop view if exists public.feed_posts;
+
+create view public.feed_posts
+with (security_invoker = true) -- RLS of posts/likes/profiles still applies
+as
+select
+  p.*,
+  json_build_object('username', pr.username) as profiles,
+  lc.likes_count,
+  exists (
+    select 1
+    from public.likes l
+    where l.post_id = p.id
+      and l.user_id = auth.uid()
+  ) as user_has_liked,
+  coalesce(pm.media, '[]'::jsonb) as media
+from public.posts p
+left join public.profiles pr on pr.id = p.user_id
+cross join lateral (
+  select count(*)::int as likes_count
+  from public.likes l
+  where l.post_id = p.id
+) lc
+cross join lateral (
+  select jsonb_agg(to_jsonb(m) - 'post_id' order by m.position) as media
+  from public.post_media m
+  where m.post_id = p.id
+) pm;
+
+grant select on public.feed_posts to authenticated;
@@ -0,0 +1,141 @@
+-- 0011_comments.sql
+-- Comments on posts. Anyone who can see a post can comment on it; a
+-- comment can be deleted by its author and by the post's owner. Comments
+-- go with their post (delete_post needs no change) and are broadcast so an
+-- open post detail screen stays live.
+
+create table if not exists public.comments (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  user_id uuid not null default auth.uid() references public.profiles (id) on delete cascade,
+  body text not null check (char_length(btrim(body)) between 1 and 1000),
+  created_at timestamptz not null default now()
+);
+
+-- Comment pages are read per post, newest first
+create index if not exists comments_post_id_created_at_id_idx
+  on public.comments (post_id, created_at desc, id desc);
+
+alter table public.comments enable row level security;
+
+drop policy if exists "Comments are visible with their post" on public.comments;
+create policy "Comments are visible with their post"
+  on public.comments for select
+  to authenticated
+  using (exists (select 1 from public.posts p where p.id = post_id));
+
+drop policy if exists "Users can comment on visible posts" on public.comments;
+create policy "Users can comment on visible posts"
+  on public.comments for insert
+  to authenticated
+  with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.posts p where p.id = post_id)
+  );
+
+drop policy if exists "Authors and post owners can delete comments" on public.comments;
+create policy "Authors and post owners can delete comments"
+  on public.comments for delete
+  to authenticated
+  using (
+    user_id = auth.uid()
+    or exists (select 1 from public.posts p where p.id = post_id and p.user_id = auth.uid())
+  );
+
+-- DELETE events need post_id to find the screen showing the comment
+alter table public.comments replica identity full;
+
+alter publication supabase_realtime add table public.comments;
+
+-- A comment in the shape clients render: the row plus its author as
+-- `profiles`, like feed_posts
+create or replace view public.feed_comments
+with (security_invoker = true) -- RLS of comments/profiles still applies
+as
+select
+  c.*,
+  json_build_object('username', pr.username) as profiles
+from public.comments c
+left join public.profiles pr on pr.id = c.user_id;
+
+grant select on public.feed_comments to authenticated;
+
+-- Same contract as feed_page, for one post's comments:
+-- { comments: [...], has_more, next_cursor: { created_at, id } | null }
+create or replace function public.comments_page(
+  target_post_id public.posts.id%type,
+  page_size int default 20,
+  cursor_created_at timestamptz default null,
+  cursor_id public.comments.id%type default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with page as (
+    select
+      fc.*,
+      row_number() over (order by fc.created_at desc, fc.id desc) as rn
+    from public.feed_comments fc
+    where fc.post_id = target_post_id
+      and (cursor_created_at is null
+        or (fc.created_at, fc.id) < (cursor_created_at, cursor_id))
+    order by fc.created_at desc, fc.id desc
+    limit page_size + 1
+  )
+  select jsonb_build_object(
+    'comments', coalesce(
+      (select jsonb_agg(to_jsonb(page) - 'rn' order by page.rn)
+       from page where page.rn <= page_size),
+      '[]'::jsonb
+    ),
+    'has_more', exists (select 1 from page where page.rn > page_size),
+    'next_cursor', (
+      select jsonb_build_object('created_at', page.created_at, 'id', page.id)
+      from page
+      where page.rn = page_size
+        and exists (select 1 from page where page.rn > page_size)
+    )
+  );
+$$;
+
+grant execute on function public.comments_page to authenticated;
+
+-- Rebuilt with comments_count for the feed cards; otherwise unchanged from 0010
+drop view if exists public.feed_posts;
+
+create view public.feed_posts
+with (security_invoker = true) -- RLS of posts/likes/profiles still applies
+as
+select
+  p.*,
+  json_build_object('username', pr.username) as profiles,
+  lc.likes_count,
+  exists (
+    select 1
+    from public.likes l
+    where l.post_id = p.id
+      and l.user_id = auth.uid()
+  ) as user_has_liked,
+  coalesce(pm.media, '[]'::jsonb) as media,
+  cc.comments_count
+from public.posts p
+left join public.profiles pr on pr.id = p.user_id
+cross join lateral (
+  select count(*)::int as likes_count
+  from public.likes l
+  where l.post_id = p.id
+) lc
+cross join lateral (
+  select jsonb_agg(to_jsonb(m) - 'post_id' order by m.position) as media
+  from public.post_media m
+  where m.post_id = p.id
+) pm
+cross join lateral (
+  select count(*)::int as comments_count
+  from public.comments c
+  where c.post_id = p.id
+) cc;
+
+grant select on public.feed_posts to authenticated;
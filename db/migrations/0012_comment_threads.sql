@@ -0,0 +1,260 @@
+-- 0012_comment_threads.sql
+-- One level of replies under a comment, likes on comments, and one pinned
+-- comment per post chosen by the post's author.
+
+-- A reply's parent is a top-level comment on the same post; replies go
+-- with their parent
+alter table public.comments
+  add column if not exists parent_id uuid references public.comments (id) on delete cascade;
+
+-- Set on the post's pinned comment, null everywhere else
+alter table public.comments add column if not exists pinned_at timestamptz;
+
+create index if not exists comments_parent_id_created_at_id_idx
+  on public.comments (parent_id, created_at, id)
+  where parent_id is not null;
+
+create unique index if not exists comments_one_pinned_per_post_idx
+  on public.comments (post_id)
+  where pinned_at is not null;
+
+create or replace function public.check_comment_parent()
+returns trigger
+language plpgsql
+as $$
+declare
+  parent public.comments%rowtype;
+begin
+  if new.parent_id is null then
+    return new;
+  end if;
+
+  select * into parent from public.comments where id = new.parent_id;
+  if not found or parent.post_id <> new.post_id then
+    raise exception 'Parent comment not found on this post'
+      using errcode = 'P0002';
+  end if;
+  if parent.parent_id is not null then
+    raise exception 'Replies can''t have replies'
+      using errcode = '22023';
+  end if;
+  if new.pinned_at is not null then
+    raise exception 'Replies can''t be pinned'
+      using errcode = '22023';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists comments_check_parent on public.comments;
+create trigger comments_check_parent
+  before insert or update of parent_id, pinned_at on public.comments
+  for each row execute function public.check_comment_parent();
+
+-- Comments stay immutable for their authors; post owners may only change
+-- pinned_at, and only through pin_comment below
+revoke update on public.comments from authenticated;
+grant update (pinned_at) on public.comments to authenticated;
+
+drop policy if exists "Post owners can pin comments" on public.comments;
+create policy "Post owners can pin comments"
+  on public.comments for update
+  to authenticated
+  using (exists (select 1 from public.posts p where p.id = post_id and p.user_id = auth.uid()))
+  with check (exists (select 1 from public.posts p where p.id = post_id and p.user_id = auth.uid()));
+
+-- Pins a top-level comment on the caller's post, replacing any earlier
+-- pin, or unpins it when `pinned` is false
+create or replace function public.pin_comment(
+  target_comment_id public.comments.id%type,
+  pinned boolean default true
+)
+returns void
+language plpgsql
+security invoker
+as $$
+declare
+  target public.comments%rowtype;
+begin
+  select c.* into target
+  from public.comments c
+  join public.posts p on p.id = c.post_id
+  where c.id = target_comment_id
+    and c.parent_id is null
+    and p.user_id = auth.uid();
+
+  if not found then
+    raise exception 'Comment not found or post not owned by user'
+      using errcode = 'P0002';
+  end if;
+
+  if pinned then
+    update public.comments
+    set pinned_at = null
+    where post_id = target.post_id
+      and pinned_at is not null
+      and id <> target.id;
+  end if;
+
+  update public.comments
+  set pinned_at = case when pinned then now() end
+  where id = target.id;
+end;
+$$;
+
+grant execute on function public.pin_comment to authenticated;
+
+create table if not exists public.comment_likes (
+  comment_id uuid not null references public.comments (id) on delete cascade,
+  user_id uuid not null default auth.uid() references public.profiles (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (comment_id, user_id)
+);
+
+alter table public.comment_likes enable row level security;
+
+drop policy if exists "Comment likes are visible with their comment" on public.comment_likes;
+create policy "Comment likes are visible with their comment"
+  on public.comment_likes for select
+  to authenticated
+  using (exists (select 1 from public.comments c where c.id = comment_id));
+
+drop policy if exists "Users can like comments" on public.comment_likes;
+create policy "Users can like comments"
+  on public.comment_likes for insert
+  to authenticated
+  with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.comments c where c.id = comment_id)
+  );
+
+drop policy if exists "Users can unlike comments" on public.comment_likes;
+create policy "Users can unlike comments"
+  on public.comment_likes for delete
+  to authenticated
+  using (user_id = auth.uid());
+
+-- Rebuilt so c.* picks up parent_id and pinned_at, with the like and reply
+-- counts the comment rows show
+drop view if exists public.feed_comments;
+
+create view public.feed_comments
+with (security_invoker = true) -- RLS of comments/comment_likes/profiles still applies
+as
+select
+  c.*,
+  json_build_object('username', pr.username) as profiles,
+  lc.likes_count,
+  exists (
+    select 1
+    from public.comment_likes l
+    where l.comment_id = c.id
+      and l.user_id = auth.uid()
+  ) as user_has_liked,
+  rc.replies_count
+from public.comments c
+left join public.profiles pr on pr.id = c.user_id
+cross join lateral (
+  select count(*)::int as likes_count
+  from public.comment_likes l
+  where l.comment_id = c.id
+) lc
+cross join lateral (
+  select count(*)::int as replies_count
+  from public.comments r
+  where r.parent_id = c.id
+) rc;
+
+grant select on public.feed_comments to authenticated;
+
+-- Same as in 0011, for top-level comments only. The pinned comment is left
+-- out of the pages and comes once, as `pinned`, with the first page.
+create or replace function public.comments_page(
+  target_post_id public.posts.id%type,
+  page_size int default 20,
+  cursor_created_at timestamptz default null,
+  cursor_id public.comments.id%type default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with page as (
+    select
+      fc.*,
+      row_number() over (order by fc.created_at desc, fc.id desc) as rn
+    from public.feed_comments fc
+    where fc.post_id = target_post_id
+      and fc.parent_id is null
+      and fc.pinned_at is null
+      and (cursor_created_at is null
+        or (fc.created_at, fc.id) < (cursor_created_at, cursor_id))
+    order by fc.created_at desc, fc.id desc
+    limit page_size + 1
+  )
+  select jsonb_build_object(
+    'comments', coalesce(
+      (select jsonb_agg(to_jsonb(page) - 'rn' order by page.rn)
+       from page where page.rn <= page_size),
+      '[]'::jsonb
+    ),
+    'has_more', exists (select 1 from page where page.rn > page_size),
+    'next_cursor', (
+      select jsonb_build_object('created_at', page.created_at, 'id', page.id)
+      from page
+      where page.rn = page_size
+        and exists (select 1 from page where page.rn > page_size)
+    ),
+    'pinned', (
+      select to_jsonb(fc)
+      from public.feed_comments fc
+      where cursor_created_at is null
+        and fc.post_id = target_post_id
+        and fc.pinned_at is not null
+    )
+  );
+$$;
+
+-- A comment's replies, oldest first so they read as a conversation:
+-- { replies: [...], has_more, next_cursor }
+create or replace function public.comment_replies_page(
+  target_comment_id public.comments.id%type,
+  page_size int default 10,
+  cursor_created_at timestamptz default null,
+  cursor_id public.comments.id%type default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with page as (
+    select
+      fc.*,
+      row_number() over (order by fc.created_at, fc.id) as rn
+    from public.feed_comments fc
+    where fc.parent_id = target_comment_id
+      and (cursor_created_at is null
+        or (fc.created_at, fc.id) > (cursor_created_at, cursor_id))
+    order by fc.created_at, fc.id
+    limit page_size + 1
+  )
+  select jsonb_build_object(
+    'replies', coalesce(
+      (select jsonb_agg(to_jsonb(page) - 'rn' order by page.rn)
+       from page where page.rn <= page_size),
+      '[]'::jsonb
+    ),
+    'has_more', exists (select 1 from page where page.rn > page_size),
+    'next_cursor', (
+      select jsonb_build_object('created_at', page.created_at, 'id', page.id)
+      from page
+      where page.rn = page_size
+        and exists (select 1 from page where page.rn > page_size)
+    )
+  );
+$$;
+
+grant execute on function public.comment_replies_page to authenticated;
@@ -0,0 +1,93 @@
+-- 0013_likers_and_follows.sql
+-- Who liked a post, newest first, and follows between users so the likers
+-- list can offer a follow button.
+
+alter table public.likes add column if not exists created_at timestamptz not null default now();
+
+-- Likers pages are read per post, newest first
+create index if not exists likes_post_id_created_at_user_id_idx
+  on public.likes (post_id, created_at desc, user_id desc);
+
+create table if not exists public.follows (
+  follower_id uuid not null default auth.uid() references public.profiles (id) on delete cascade,
+  following_id uuid not null references public.profiles (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (follower_id, following_id),
+  check (follower_id <> following_id)
+);
+
+create index if not exists follows_following_id_idx
+  on public.follows (following_id, follower_id);
+
+alter table public.follows enable row level security;
+
+drop policy if exists "Follows are visible to everyone" on public.follows;
+create policy "Follows are visible to everyone"
+  on public.follows for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Users can follow others" on public.follows;
+create policy "Users can follow others"
+  on public.follows for insert
+  to authenticated
+  with check (follower_id = auth.uid());
+
+drop policy if exists "Users can unfollow" on public.follows;
+create policy "Users can unfollow"
+  on public.follows for delete
+  to authenticated
+  using (follower_id = auth.uid());
+
+-- Same contract as feed_page, for the users who liked a post:
+-- { likers: [{ id, username, created_at, viewer_follows }], has_more,
+--   next_cursor: { created_at, id } | null }
+-- id is the liker's user id and created_at when they liked the post.
+create or replace function public.post_likers_page(
+  target_post_id public.posts.id%type,
+  page_size int default 20,
+  cursor_created_at timestamptz default null,
+  cursor_id uuid default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with page as (
+    select
+      pr.id,
+      pr.username,
+      l.created_at,
+      exists (
+        select 1
+        from public.follows f
+        where f.follower_id = auth.uid()
+          and f.following_id = pr.id
+      ) as viewer_follows,
+      row_number() over (order by l.created_at desc, l.user_id desc) as rn
+    from public.likes l
+    join public.profiles pr on pr.id = l.user_id
+    where l.post_id = target_post_id
+      and (cursor_created_at is null
+        or (l.created_at, l.user_id) < (cursor_created_at, cursor_id))
+    order by l.created_at desc, l.user_id desc
+    limit page_size + 1
+  )
+  select jsonb_build_object(
+    'likers', coalesce(
+      (select jsonb_agg(to_jsonb(page) - 'rn' order by page.rn)
+       from page where page.rn <= page_size),
+      '[]'::jsonb
+    ),
+    'has_more', exists (select 1 from page where page.rn > page_size),
+    'next_cursor', (
+      select jsonb_build_object('created_at', page.created_at, 'id', page.id)
+      from page
+      where page.rn = page_size
+        and exists (select 1 from page where page.rn > page_size)
+    )
+  );
+$$;
+
+grant execute on function public.post_likers_page to authenticated;
@@ -0,0 +1,89 @@
+-- 0014_edit_caption.sql
+-- Post authors can change a post's caption after sharing it. The tags and
+-- mentions follow the new caption, and edited_at records the last edit.
+-- The media stays as it was shared.
+
+alter table public.posts add column if not exists edited_at timestamptz;
+
+-- Only the caption (and its edited_at) can be changed, and only by the
+-- author, through update_post_caption below
+revoke update on public.posts from authenticated;
+grant update (caption, edited_at) on public.posts to authenticated;
+
+drop policy if exists "Users can edit their own posts" on public.posts;
+create policy "Users can edit their own posts"
+  on public.posts for update
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- Replaces the caller's post's caption and its tags and mentions in one
+-- transaction. Returns { caption, edited_at }.
+create or replace function public.update_post_caption(
+  target_post_id public.posts.id%type,
+  new_caption text
+)
+returns jsonb
+language plpgsql
+security invoker
+as $$
+declare
+  edited timestamptz;
+begin
+  update public.posts
+  set caption = new_caption,
+      edited_at = now()
+  where id = target_post_id
+    and user_id = auth.uid()
+  returning edited_at into edited;
+
+  if not found then
+    raise exception 'Post not found or not owned by user'
+      using errcode = 'P0002';
+  end if;
+
+  perform public.sync_post_tags(target_post_id);
+
+  return jsonb_build_object('caption', new_caption, 'edited_at', edited);
+end;
+$$;
+
+grant execute on function public.update_post_caption to authenticated;
+
+-- Rebuilt so p.* picks up edited_at; otherwise unchanged from 0011
+drop view if exists public.feed_posts;
+
+create view public.feed_posts
+with (security_invoker = true) -- RLS of posts/likes/profiles still applies
+as
+select
+  p.*,
+  json_build_object('username', pr.username) as profiles,
+  lc.likes_count,
+  exists (
+    select 1
+    from public.likes l
+    where l.post_id = p.id
+      and l.user_id = auth.uid()
+  ) as user_has_liked,
+  coalesce(pm.media, '[]'::jsonb) as media,
+  cc.comments_count
+from public.posts p
+left join public.profiles pr on pr.id = p.user_id
+cross join lateral (
+  select count(*)::int as likes_count
+  from public.likes l
+  where l.post_id = p.id
+) lc
+cross join lateral (
+  select jsonb_agg(to_jsonb(m) - 'post_id' order by m.position) as media
+  from public.post_media m
+  where m.post_id = p.id
+) pm
+cross join lateral (
+  select count(*)::int as comments_count
+  from public.comments c
+  where c.post_id = p.id
+) cc;
+
+grant select on public.feed_posts to authenticated;
@@ -0,0 +1,290 @@
+-- 0015_post_moderation.sql
+-- What the post menu needs:
+--   * authors can archive a post, which hides it from everyone else
+--   * viewers can report a post, hide it from their own feeds, and mute its
+--     author, which keeps all of that user's posts out of their feeds
+-- Reports are insert-only; moderators read them with the service role.
+
+alter table public.posts add column if not exists archived_at timestamptz;
+
+-- Authors may also set archived_at, through archive_post below
+grant update (caption, edited_at, archived_at) on public.posts to authenticated;
+
+-- Restrictive, so it narrows whatever select policies posts already has
+drop policy if exists "Archived posts are only visible to their author" on public.posts;
+create policy "Archived posts are only visible to their author"
+  on public.posts as restrictive for select
+  to authenticated
+  using (archived_at is null or user_id = auth.uid());
+
+-- Archives the caller's post, or restores it when `archived` is false.
+-- Returns the new archived_at.
+create or replace function public.archive_post(
+  target_post_id public.posts.id%type,
+  archived boolean default true
+)
+returns timestamptz
+language plpgsql
+security invoker
+as $$
+declare
+  result timestamptz;
+begin
+  update public.posts
+  set archived_at = case when archived then coalesce(archived_at, now()) end
+  where id = target_post_id
+    and user_id = auth.uid()
+  returning archived_at into result;
+
+  if not found then
+    raise exception 'Post not found or not owned by user'
+      using errcode = 'P0002';
+  end if;
+
+  return result;
+end;
+$$;
+
+grant execute on function public.archive_post to authenticated;
+
+create table if not exists public.hidden_posts (
+  user_id uuid not null default auth.uid() references public.profiles (id) on delete cascade,
+  post_id uuid not null references public.posts (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, post_id)
+);
+
+alter table public.hidden_posts enable row level security;
+
+drop policy if exists "Users see what they hid" on public.hidden_posts;
+create policy "Users see what they hid"
+  on public.hidden_posts for select
+  to authenticated
+  using (user_id = auth.uid());
+
+drop policy if exists "Users can hide posts" on public.hidden_posts;
+create policy "Users can hide posts"
+  on public.hidden_posts for insert
+  to authenticated
+  with check (user_id = auth.uid());
+
+drop policy if exists "Users can unhide posts" on public.hidden_posts;
+create policy "Users can unhide posts"
+  on public.hidden_posts for delete
+  to authenticated
+  using (user_id = auth.uid());
+
+create table if not exists public.mutes (
+  muter_id uuid not null default auth.uid() references public.profiles (id) on delete cascade,
+  muted_id uuid not null references public.profiles (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (muter_id, muted_id),
+  check (muter_id <> muted_id)
+);
+
+alter table public.mutes enable row level security;
+
+drop policy if exists "Users see who they muted" on public.mutes;
+create policy "Users see who they muted"
+  on public.mutes for select
+  to authenticated
+  using (muter_id = auth.uid());
+
+drop policy if exists "Users can mute others" on public.mutes;
+create policy "Users can mute others"
+  on public.mutes for insert
+  to authenticated
+  with check (muter_id = auth.uid());
+
+drop policy if exists "Users can unmute" on public.mutes;
+create policy "Users can unmute"
+  on public.mutes for delete
+  to authenticated
+  using (muter_id = auth.uid());
+
+create table if not exists public.post_reports (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  reporter_id uuid not null default auth.uid() references public.profiles (id) on delete cascade,
+  reason text not null check (reason in ('spam', 'inappropriate', 'other')),
+  created_at timestamptz not null default now(),
+  unique (post_id, reporter_id)
+);
+
+create index if not exists post_reports_created_at_idx
+  on public.post_reports (created_at desc);
+
+alter table public.post_reports enable row level security;
+
+drop policy if exists "Users can report posts" on public.post_reports;
+create policy "Users can report posts"
+  on public.post_reports for insert
+  to authenticated
+  with check (reporter_id = auth.uid());
+
+-- Reports the post and hides it from the reporter's feeds. Reporting the
+-- same post again keeps the first report.
+create or replace function public.report_post(
+  target_post_id public.posts.id%type,
+  report_reason text
+)
+returns void
+language plpgsql
+security invoker
+as $$
+begin
+  insert into public.post_reports (post_id, reporter_id, reason)
+  values (target_post_id, auth.uid(), report_reason)
+  on conflict (post_id, reporter_id) do nothing;
+
+  insert into public.hidden_posts (user_id, post_id)
+  values (auth.uid(), target_post_id)
+  on conflict do nothing;
+end;
+$$;
+
+grant execute on function public.report_post to authenticated;
+
+-- Rebuilt so p.* picks up archived_at, and with user_muted_author so posts
+-- arriving over realtime can be checked against the viewer's mutes
+drop view if exists public.feed_posts;
+
+create view public.feed_posts
+with (security_invoker = true) -- RLS of posts/likes/profiles still applies
+as
+select
+  p.*,
+  json_build_object('username', pr.username) as profiles,
+  lc.likes_count,
+  exists (
+    select 1
+    from public.likes l
+    where l.post_id = p.id
+      and l.user_id = auth.uid()
+  ) as user_has_liked,
+  coalesce(pm.media, '[]'::jsonb) as media,
+  cc.comments_count,
+  exists (
+    select 1
+    from public.mutes m
+    where m.muter_id = auth.uid()
+      and m.muted_id = p.user_id
+  ) as user_muted_author
+from public.posts p
+left join public.profiles pr on pr.id = p.user_id
+cross join lateral (
+  select count(*)::int as likes_count
+  from public.likes l
+  where l.post_id = p.id
+) lc
+cross join lateral (
+  select jsonb_agg(to_jsonb(m) - 'post_id' order by m.position) as media
+  from public.post_media m
+  where m.post_id = p.id
+) pm
+cross join lateral (
+  select count(*)::int as comments_count
+  from public.comments c
+  where c.post_id = p.id
+) cc;
+
+grant select on public.feed_posts to authenticated;
+
+-- Same as in 0002, leaving out archived posts (the caller's own too), posts
+-- the caller hid and posts by users they muted
+create or replace function public.feed_page(
+  page_size int default 10,
+  cursor_created_at timestamptz default null,
+  cursor_id public.posts.id%type default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with page as (
+    select
+      fp.*,
+      row_number() over (order by fp.created_at desc, fp.id desc) as rn
+    from public.feed_posts fp
+    where (cursor_created_at is null
+        or (fp.created_at, fp.id) < (cursor_created_at, cursor_id))
+      and fp.archived_at is null
+      and not fp.user_muted_author
+      and not exists (
+        select 1
+        from public.hidden_posts h
+        where h.user_id = auth.uid()
+          and h.post_id = fp.id
+      )
+    order by fp.created_at desc, fp.id desc
+    limit page_size + 1
+  )
+  select jsonb_build_object(
+    'posts', coalesce(
+      (select jsonb_agg(to_jsonb(page) - 'rn' order by page.rn)
+       from page where page.rn <= page_size),
+      '[]'::jsonb
+    ),
+    'has_more', exists (select 1 from page where page.rn > page_size),
+    'next_cursor', (
+      select jsonb_build_object('created_at', page.created_at, 'id', page.id)
+      from page
+      where page.rn = page_size
+        and exists (select 1 from page where page.rn > page_size)
+    )
+  );
+$$;
+
+-- Same as in 0009, leaving out the same posts as feed_page
+create or replace function public.tag_feed_page(
+  target_tag text,
+  page_size int default 10,
+  cursor_created_at timestamptz default null,
+  cursor_id public.posts.id%type default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with page as (
+    select
+      fp.*,
+      row_number() over (order by fp.created_at desc, fp.id desc) as rn
+    from public.feed_posts fp
+    where exists (
+        select 1
+        from public.post_hashtags ph
+        join public.hashtags h on h.id = ph.hashtag_id
+        where ph.post_id = fp.id
+          and h.tag = lower(target_tag)
+      )
+      and (cursor_created_at is null
+        or (fp.created_at, fp.id) < (cursor_created_at, cursor_id))
+      and fp.archived_at is null
+      and not fp.user_muted_author
+      and not exists (
+        select 1
+        from public.hidden_posts h
+        where h.user_id = auth.uid()
+          and h.post_id = fp.id
+      )
+    order by fp.created_at desc, fp.id desc
+    limit page_size + 1
+  )
+  select jsonb_build_object(
+    'posts', coalesce(
+      (select jsonb_agg(to_jsonb(page) - 'rn' order by page.rn)
+       from page where page.rn <= page_size),
+      '[]'::jsonb
+    ),
+    'has_more', exists (select 1 from page where page.rn > page_size),
+    'next_cursor', (
+      select jsonb_build_object('created_at', page.created_at, 'id', page.id)
+      from page
+      where page.rn = page_size
+        and exists (select 1 from page where page.rn > page_size)
+    )
+  );
+$$;
@@ -0,0 +1,64 @@
+-- 0016_idempotent_post_creation.sql
+-- A retried upload must not create the post twice. The upload manager
+-- sends its job id as client_key; when the first create_post went through
+-- but its response was lost, the retry gets the existing post's id back
+-- instead of a second post pointing at the same storage objects.
+
+alter table public.posts add column if not exists client_key text;
+
+-- Posts created before this migration have no key; nulls never conflict
+create unique index if not exists posts_user_id_client_key_idx
+  on public.posts (user_id, client_key);
+
+-- Same contract as in 0010, except that a post whose client_key the user
+-- already used is returned as is, without inserting anything
+create or replace function public.create_post(post jsonb, media jsonb default '[]'::jsonb)
+returns public.posts.id%type
+language plpgsql
+security invoker
+as $$
+declare
+  new_post_id public.posts.id%type;
+begin
+  if jsonb_array_length(media) > 10 then
+    raise exception 'A post can have at most 10 media items'
+      using errcode = '22023';
+  end if;
+
+  insert into public.posts (
+    user_id, caption, media_type, image_url, media_path, thumbnail_url, thumbnail_path,
+    poster_url, poster_path, video_duration, width, height, alt_text, media_count, client_key
+  )
+  select
+    coalesce(r.user_id, auth.uid()), r.caption, r.media_type, r.image_url, r.media_path,
+    r.thumbnail_url, r.thumbnail_path, r.poster_url, r.poster_path, r.video_duration,
+    r.width, r.height, nullif(btrim(r.alt_text), ''), greatest(jsonb_array_length(media), 1),
+    r.client_key
+  from jsonb_populate_record(null::public.posts, post) r
+  on conflict (user_id, client_key) do nothing
+  returning id into new_post_id;
+
+  if new_post_id is null then
+    select p.id into new_post_id
+    from public.posts p, jsonb_populate_record(null::public.posts, post) r
+    where p.user_id = coalesce(r.user_id, auth.uid())
+      and p.client_key = r.client_key;
+    return new_post_id;
+  end if;
+
+  insert into public.post_media (
+    post_id, position, media_type, image_url, media_path, thumbnail_url, thumbnail_path,
+    poster_url, poster_path, video_duration, width, height, alt_text
+  )
+  select
+    new_post_id, (m.ordinality - 1)::smallint, coalesce(r.media_type, 'photo'), r.image_url, r.media_path,
+    r.thumbnail_url, r.thumbnail_path, r.poster_url, r.poster_path, r.video_duration, r.width, r.height,
+    nullif(btrim(r.alt_text), '')
+  from jsonb_array_elements(media) with ordinality as m(item, ordinality)
+  cross join lateral jsonb_populate_record(null::public.post_media, m.item) r;
+
+  perform public.sync_post_tags(new_post_id);
+
+  return new_post_id;
+end;
+$$;
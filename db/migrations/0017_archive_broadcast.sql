@@ -0,0 +1,29 @@
+-- 0017_archive_broadcast.sql
+-- Once a post is archived only its author can read the row (0015), so
+-- nobody else gets its postgres_changes UPDATE. The archive is broadcast on
+-- the feed's channel instead, carrying just the post's id and author, and
+-- clients drop the post when it arrives.
+
+create or replace function public.broadcast_post_archived()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if new.archived_at is not null and old.archived_at is null then
+    perform realtime.send(
+      jsonb_build_object('id', new.id, 'user_id', new.user_id),
+      'post_archived',
+      'feed-changes', -- the channel supabaseBackend.realtime.subscribeToFeed joins
+      false
+    );
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists posts_broadcast_archived on public.posts;
+create trigger posts_broadcast_archived
+  after update of archived_at on public.posts
+  for each row execute function public.broadcast_post_archived();
@@ -0,0 +1,13 @@
+-- 0018_unique_usernames.sql
+-- Mentions and profile links look usernames up ignoring case, so "Alice"
+-- and "alice" have to be the same username. Until now only the exact
+-- spelling was unique, and a lookup matching two profiles failed.
+--
+-- Creating the index fails if profiles already differ only in case; find
+-- them with
+--   select lower(username), array_agg(username)
+--   from public.profiles group by 1 having count(*) > 1;
+-- and rename all but one before running this.
+
+create unique index if not exists profiles_username_lower_key
+  on public.profiles (lower(username));
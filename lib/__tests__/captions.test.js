@@ -0,0 +1,73 @@
+// lib/__tests__/captions.test.js
+import { parseCaption, captionTags, captionMentions, mentionQueryAt, completeMention } from '../captions';
+
+describe('parseCaption', () => {
+  it('splits a caption into text, tags and mentions in order', () => {
+    expect(parseCaption('Sunset with @Alice #Beach!')).toEqual([
+      { type: 'text', text: 'Sunset with ' },
+      { type: 'mention', text: '@Alice', value: 'alice' },
+      { type: 'text', text: ' ' },
+      { type: 'tag', text: '#Beach', value: 'beach' },
+      { type: 'text', text: '!' },
+    ]);
+  });
+
+  it('only starts tokens at the beginning or after a non-word character', () => {
+    expect(parseCaption('#first mail@example.com a#b (#third)').filter(s => s.type !== 'text')).toEqual([
+      { type: 'tag', text: '#first', value: 'first' },
+      { type: 'tag', text: '#third', value: 'third' },
+    ]);
+  });
+
+  it('keeps lone prefixes and empty captions as text', () => {
+    expect(parseCaption('# @ #!')).toEqual([{ type: 'text', text: '# @ #!' }]);
+    expect(parseCaption('')).toEqual([]);
+    expect(parseCaption(null)).toEqual([]);
+  });
+
+  it('stops a token after 50 characters, like caption_tokens', () => {
+    const [tag] = parseCaption(`#${'a'.repeat(60)}`);
+
+    expect(tag.value).toHaveLength(50);
+  });
+});
+
+describe('captionTags and captionMentions', () => {
+  it('list distinct lowercased values', () => {
+    const caption = '#Beach #beach @Bob and @bob at #sunset';
+
+    expect(captionTags(caption)).toEqual(['beach', 'sunset']);
+    expect(captionMentions(caption)).toEqual(['bob']);
+  });
+});
+
+describe('mentionQueryAt', () => {
+  it('finds the mention being typed before the cursor', () => {
+    expect(mentionQueryAt('hi @al', 6)).toEqual({ start: 3, query: 'al' });
+    expect(mentionQueryAt('@', 1)).toEqual({ start: 0, query: '' });
+  });
+
+  it('only looks at the text before the cursor', () => {
+    expect(mentionQueryAt('hi @alice there', 6)).toEqual({ start: 3, query: 'al' });
+  });
+
+  it('returns null outside a mention', () => {
+    expect(mentionQueryAt('hi @alice there', 15)).toBeNull();
+    expect(mentionQueryAt('mail@exa', 8)).toBeNull();
+    expect(mentionQueryAt('#tag', 4)).toBeNull();
+  });
+});
+
+describe('completeMention', () => {
+  it('replaces the partial username and adds a space', () => {
+    const text = 'hi @al';
+
+    expect(completeMention(text, mentionQueryAt(text, 6), 'alice')).toBe('hi @alice ');
+  });
+
+  it('replaces the rest of the word after the cursor without doubling the space', () => {
+    const text = 'hi @alx there';
+
+    expect(completeMention(text, mentionQueryAt(text, 5), 'alice')).toBe('hi @alice there');
+  });
+});
@@ -0,0 +1,91 @@
+// lib/__tests__/drafts.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { loadDrafts, saveDrafts, storeDraftMedia, discardDraftMedia } from '../drafts';
+
+// A document directory that only keeps file names
+jest.mock('expo-file-system/legacy', () => {
+  const files = new Set();
+  return {
+    documentDirectory: 'file:///documents/',
+    mockFiles: files,
+    makeDirectoryAsync: jest.fn(async () => {}),
+    getInfoAsync: jest.fn(async (uri) => ({ exists: files.has(uri) })),
+    copyAsync: jest.fn(async ({ to }) => { files.add(to); }),
+    readDirectoryAsync: jest.fn(async (dir) =>
+      [...files].filter(uri => uri.startsWith(dir)).map(uri => uri.slice(dir.length))
+    ),
+    deleteAsync: jest.fn(async (uri) => {
+      [...files].filter(file => file.startsWith(uri)).forEach(file => files.delete(file));
+    }),
+  };
+});
+
+jest.mock('../logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+const DIR = 'file:///documents/drafts/d1/';
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  FileSystem.mockFiles.clear();
+  await AsyncStorage.clear();
+});
+
+describe('loadDrafts and saveDrafts', () => {
+  it('persist drafts per user and remove them once empty', async () => {
+    const drafts = [{ id: 'd1', caption: 'hi', updatedAt: '2024-01-01T00:00:00.000Z', media: [] }];
+
+    await saveDrafts('user-1', drafts);
+
+    expect(await loadDrafts('user-1')).toEqual(drafts);
+    expect(await loadDrafts('user-2')).toEqual([]);
+
+    await saveDrafts('user-1', []);
+
+    expect(await AsyncStorage.getItem('drafts:user-1')).toBeNull();
+  });
+
+  it('ignores stored drafts that are unreadable', async () => {
+    await AsyncStorage.setItem('drafts:user-1', '{not json');
+
+    expect(await loadDrafts('user-1')).toEqual([]);
+  });
+});
+
+describe('storeDraftMedia', () => {
+  it('copies media into the draft folder named after each item', async () => {
+    const stored = await storeDraftMedia('d1', [
+      { id: 'm1', uri: 'file:///cache/Camera/photo.jpg?x=1', type: 'photo' },
+      { id: 'm2', uri: 'file:///cache/Camera/clip.mov', type: 'video' },
+    ]);
+
+    expect(stored.map(item => item.uri)).toEqual([`${DIR}m1.jpg`, `${DIR}m2.mov`]);
+    expect(stored[1]).toMatchObject({ id: 'm2', type: 'video' });
+    expect(FileSystem.copyAsync).toHaveBeenCalledTimes(2);
+  });
+
+  it('copies each item once across saves and deletes the files of removed items', async () => {
+    const first = await storeDraftMedia('d1', [
+      { id: 'm1', uri: 'file:///cache/photo.jpg' },
+      { id: 'm2', uri: 'file:///cache/other.jpg' },
+    ]);
+
+    const second = await storeDraftMedia('d1', [first[0], { id: 'm3', uri: 'file:///cache/new.jpg' }]);
+
+    expect(second.map(item => item.uri)).toEqual([`${DIR}m1.jpg`, `${DIR}m3.jpg`]);
+    expect(FileSystem.copyAsync).toHaveBeenCalledTimes(3);
+    expect([...FileSystem.mockFiles].sort()).toEqual([`${DIR}m1.jpg`, `${DIR}m3.jpg`]);
+  });
+});
+
+describe('discardDraftMedia', () => {
+  it('deletes the draft folder', async () => {
+    await storeDraftMedia('d1', [{ id: 'm1', uri: 'file:///cache/photo.jpg' }]);
+
+    await discardDraftMedia('d1');
+
+    expect(FileSystem.mockFiles.size).toBe(0);
+  });
+});
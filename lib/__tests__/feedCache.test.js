@@ -0,0 +1,80 @@
+// lib/__tests__/feedCache.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Image } from 'expo-image';
+import { loadFeedCache, saveFeedCache, clearFeedCache } from '../feedCache';
+
+jest.mock('expo-image', () => ({
+  Image: { prefetch: jest.fn(() => Promise.resolve(true)) },
+}));
+
+jest.mock('../logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+const post = (n, extra = {}) => ({
+  id: `p${n}`,
+  created_at: new Date(Date.UTC(2024, 0, 1, 0, 10 - n)).toISOString(),
+  media_type: 'photo',
+  image_url: `https://cdn.example.com/p${n}.jpg`,
+  ...extra,
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await AsyncStorage.clear();
+});
+
+describe('saveFeedCache', () => {
+  it('round-trips the posts and paging state per user', async () => {
+    const posts = [post(1), post(2)];
+
+    await saveFeedCache('user-1', posts, { hasMore: false, limit: 10 });
+
+    expect(await loadFeedCache('user-1')).toMatchObject({
+      posts,
+      hasMore: false,
+      nextCursor: { id: 'p2', created_at: posts[1].created_at },
+    });
+    expect(await loadFeedCache('user-2')).toBeNull();
+  });
+
+  it('keeps the newest posts and rebuilds the cursor from the last one kept', async () => {
+    const posts = [post(1), post(2), post(3)];
+
+    await saveFeedCache('user-1', posts, { hasMore: false, limit: 2 });
+
+    const cached = await loadFeedCache('user-1');
+    expect(cached.posts.map(p => p.id)).toEqual(['p1', 'p2']);
+    expect(cached.hasMore).toBe(true);
+    expect(cached.nextCursor).toEqual({ created_at: posts[1].created_at, id: 'p2' });
+  });
+
+  it('prefetches photos and video posters of the kept posts', async () => {
+    const video = post(2, { media_type: 'video', image_url: 'https://cdn.example.com/p2.mp4', poster_url: 'https://cdn.example.com/p2_poster.jpg' });
+
+    await saveFeedCache('user-1', [post(1), video, post(3)], { hasMore: true, limit: 2 });
+
+    expect(Image.prefetch).toHaveBeenCalledWith(
+      ['https://cdn.example.com/p1.jpg', 'https://cdn.example.com/p2_poster.jpg'],
+      'disk'
+    );
+  });
+});
+
+describe('loadFeedCache', () => {
+  it('ignores snapshots from another cache version or that are unreadable', async () => {
+    await AsyncStorage.setItem('feed_cache:user-1', JSON.stringify({ version: 0, posts: [] }));
+    await AsyncStorage.setItem('feed_cache:user-2', '{not json');
+
+    expect(await loadFeedCache('user-1')).toBeNull();
+    expect(await loadFeedCache('user-2')).toBeNull();
+  });
+
+  it('returns nothing once the cache is cleared', async () => {
+    await saveFeedCache('user-1', [post(1)], { hasMore: false, limit: 10 });
+
+    await clearFeedCache('user-1');
+
+    expect(await loadFeedCache('user-1')).toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+// lib/__tests__/logger.test.js
+import { backend } from '../../data';
+import { redact, sendDiagnostics } from '../logger';
+
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: 'file:///documents/',
+  readAsStringAsync: jest.fn(() => Promise.reject(new Error('No log file'))),
+  writeAsStringAsync: jest.fn(() => Promise.resolve()),
+}));
+
+// The native module isn't there under jest; node's crypto has the same call
+jest.mock('expo-crypto', () => ({ randomUUID: () => require('crypto').randomUUID() }));
+
+jest.mock('../../data', () => ({
+  backend: { reports: { send: jest.fn(() => Promise.resolve()) } },
+}));
+
+describe('redact', () => {
+  it('hashes usernames instead of storing them', () => {
+    const { username } = redact({ username: 'alice' });
+
+    expect(username).toMatch(/^<id:[0-9a-z]+>$/);
+    expect(username).not.toContain('alice');
+  });
+
+  it('gives the same username the same tag regardless of case', () => {
+    expect(redact({ username: 'Alice' }).username).toBe(redact({ username: 'alice' }).username);
+    expect(redact({ username: 'bob' }).username).not.toBe(redact({ username: 'alice' }).username);
+  });
+
+  it('hashes usernames nested in logged rows', () => {
+    const redacted = redact({ post: { profiles: { username: 'alice' } } });
+
+    expect(JSON.stringify(redacted)).not.toContain('alice');
+  });
+
+  it('still redacts secrets, emails and ids', () => {
+    const id = '123e4567-e89b-12d3-a456-426614174000';
+    const redacted = redact({ email: 'a@b.co', password: 'hunter2', note: `user ${id} a@b.co` });
+
+    expect(redacted.email).toBe('<redacted>');
+    expect(redacted.password).toBe('<redacted>');
+    expect(redacted.note).not.toContain(id);
+    expect(redacted.note).toContain('<email>');
+  });
+});
+
+describe('sendDiagnostics', () => {
+  it('files the report under a UUID reference and returns it', async () => {
+    const reference = await sendDiagnostics();
+
+    expect(reference).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i);
+    expect(backend.reports.send).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: 'diagnostics', reference })
+    );
+  });
+
+  it('gives every report its own reference', async () => {
+    expect(await sendDiagnostics()).not.toBe(await sendDiagnostics());
+  });
+});
@@ -0,0 +1,136 @@
+// lib/__tests__/outbox.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  enqueueMutation,
+  pendingPostIds,
+  isNetworkError,
+  replayOutbox,
+  loadOutbox,
+  saveOutbox,
+} from '../outbox';
+
+jest.mock('../logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+const types = (entries) => entries.map(e => `${e.type}:${e.postId}`);
+
+describe('enqueueMutation', () => {
+  it('appends entries with an id and creation time', () => {
+    const entries = enqueueMutation([], { type: 'like', postId: 'p1' });
+
+    expect(entries).toEqual([
+      expect.objectContaining({ type: 'like', postId: 'p1', id: expect.any(String), createdAt: expect.any(String) }),
+    ]);
+  });
+
+  it('cancels a like against a queued unlike of the same post', () => {
+    let entries = enqueueMutation([], { type: 'like', postId: 'p1' });
+    entries = enqueueMutation(entries, { type: 'like', postId: 'p2' });
+    entries = enqueueMutation(entries, { type: 'unlike', postId: 'p1' });
+
+    expect(types(entries)).toEqual(['like:p2']);
+  });
+
+  it('queues a repeated like only once', () => {
+    let entries = enqueueMutation([], { type: 'like', postId: 'p1' });
+    entries = enqueueMutation(entries, { type: 'like', postId: 'p1' });
+
+    expect(types(entries)).toEqual(['like:p1']);
+  });
+
+  it('drops queued likes of a post that is deleted', () => {
+    let entries = enqueueMutation([], { type: 'like', postId: 'p1' });
+    entries = enqueueMutation(entries, { type: 'like', postId: 'p2' });
+    entries = enqueueMutation(entries, { type: 'delete_post', postId: 'p1' });
+
+    expect(types(entries)).toEqual(['like:p2', 'delete_post:p1']);
+  });
+
+  it('never folds into entries that are being replayed', () => {
+    const replaying = enqueueMutation([], { type: 'like', postId: 'p1' });
+    const locked = new Set([replaying[0].id]);
+
+    const unliked = enqueueMutation(replaying, { type: 'unlike', postId: 'p1' }, locked);
+    const deleted = enqueueMutation(replaying, { type: 'delete_post', postId: 'p1' }, locked);
+
+    expect(types(unliked)).toEqual(['like:p1', 'unlike:p1']);
+    expect(types(deleted)).toEqual(['like:p1', 'delete_post:p1']);
+  });
+});
+
+describe('pendingPostIds', () => {
+  it('lists the posts with queued work', () => {
+    const entries = [{ type: 'like', postId: 'p1' }, { type: 'delete_post', postId: 'p2' }];
+
+    expect(pendingPostIds(entries)).toEqual(new Set(['p1', 'p2']));
+  });
+});
+
+describe('isNetworkError', () => {
+  it('tells connectivity failures from server rejections', () => {
+    expect(isNetworkError(new TypeError('Network request failed'))).toBe(true);
+    expect(isNetworkError(new Error('Failed to fetch'))).toBe(true);
+    expect(isNetworkError(new Error('Request timed out'))).toBe(true);
+    expect(isNetworkError(new Error('Post not found or not owned by user'))).toBe(false);
+  });
+});
+
+describe('replayOutbox', () => {
+  const entries = [
+    { id: '1', type: 'like', postId: 'p1' },
+    { id: '2', type: 'delete_post', postId: 'p2' },
+    { id: '3', type: 'unlike', postId: 'p3' },
+  ];
+
+  it('runs every entry in order', async () => {
+    const calls = [];
+    const record = (entry) => { calls.push(entry.id); };
+
+    const result = await replayOutbox(entries, { like: record, unlike: record, delete_post: record });
+
+    expect(calls).toEqual(['1', '2', '3']);
+    expect(result).toEqual({ remaining: [], failed: [] });
+  });
+
+  it('stops at a network failure and keeps the rest for later', async () => {
+    const offline = jest.fn(() => Promise.reject(new TypeError('Network request failed')));
+    const like = jest.fn();
+
+    const result = await replayOutbox(entries, { like, unlike: like, delete_post: offline });
+
+    expect(result.remaining).toEqual(entries.slice(1));
+    expect(like).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops rejected entries and reports them', async () => {
+    const rejection = new Error('Post not found or not owned by user');
+    const ok = jest.fn();
+
+    const result = await replayOutbox(entries, {
+      like: ok,
+      unlike: ok,
+      delete_post: () => Promise.reject(rejection),
+    });
+
+    expect(result).toEqual({ remaining: [], failed: [{ entry: entries[1], error: rejection }] });
+    expect(ok).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('loadOutbox and saveOutbox', () => {
+  beforeEach(() => AsyncStorage.clear());
+
+  it('persist the queue per user and remove it once empty', async () => {
+    const entries = enqueueMutation([], { type: 'like', postId: 'p1' });
+
+    await saveOutbox('user-1', entries);
+
+    expect(await loadOutbox('user-1')).toEqual(entries);
+    expect(await loadOutbox('user-2')).toEqual([]);
+
+    await saveOutbox('user-1', []);
+
+    expect(await AsyncStorage.getItem('outbox:user-1')).toBeNull();
+  });
+});
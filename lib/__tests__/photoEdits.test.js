@@ -0,0 +1,142 @@
+// lib/__tests__/photoEdits.test.js
+import {
+  DEFAULT_EDITS,
+  isEdited,
+  rotatedSize,
+  presetCrop,
+  cropPixels,
+  fitRegion,
+  colorMatrix,
+  hasColorEdits,
+} from '../photoEdits';
+
+// An RGBA pixel in 0..1 through a 4x5 color matrix
+const apply = (matrix, pixel) =>
+  [0, 1, 2, 3].map(row =>
+    pixel.reduce((sum, value, col) => sum + matrix[row * 5 + col] * value, matrix[row * 5 + 4])
+  );
+
+const expectPixel = (actual, expected) => {
+  actual.forEach((value, index) => expect(value).toBeCloseTo(expected[index], 5));
+};
+
+describe('isEdited', () => {
+  it('ignores the crop preset on its own but not a crop or color change', () => {
+    expect(isEdited(null)).toBe(false);
+    expect(isEdited(DEFAULT_EDITS)).toBe(false);
+    expect(isEdited({ ...DEFAULT_EDITS, aspect: '1:1' })).toBe(false);
+    expect(isEdited({ ...DEFAULT_EDITS, crop: { x: 0, y: 0, width: 0.5, height: 1 } })).toBe(true);
+    expect(isEdited({ ...DEFAULT_EDITS, rotation: 90 })).toBe(true);
+    expect(isEdited({ ...DEFAULT_EDITS, filter: 'mono' })).toBe(true);
+  });
+
+  it('treats missing fields from older drafts as defaults', () => {
+    expect(isEdited({ flipH: false })).toBe(false);
+  });
+});
+
+describe('rotatedSize', () => {
+  it('swaps the sides for quarter turns only', () => {
+    expect(rotatedSize(400, 300, 0)).toEqual({ width: 400, height: 300 });
+    expect(rotatedSize(400, 300, 90)).toEqual({ width: 300, height: 400 });
+    expect(rotatedSize(400, 300, 180)).toEqual({ width: 400, height: 300 });
+    expect(rotatedSize(400, 300, 270)).toEqual({ width: 300, height: 400 });
+  });
+});
+
+describe('presetCrop', () => {
+  it('takes the largest centered square out of a landscape photo', () => {
+    const crop = presetCrop('1:1', 400, 300);
+
+    expect(crop.x).toBeCloseTo(0.125);
+    expect(crop.y).toBe(0);
+    expect(crop.width).toBeCloseTo(0.75);
+    expect(crop.height).toBe(1);
+  });
+
+  it('takes a centered 4:5 band out of a square photo', () => {
+    const crop = presetCrop('4:5', 1000, 1000);
+
+    expect(crop).toEqual({ x: expect.any(Number), y: 0, width: 0.8, height: 1 });
+    expect(crop.x).toBeCloseTo(0.1);
+  });
+
+  it('trims the height when the photo is narrower than the ratio', () => {
+    const crop = presetCrop('16:9', 900, 900);
+
+    expect(crop.width).toBe(1);
+    expect(crop.height).toBeCloseTo(0.5625);
+    expect(crop.y).toBeCloseTo(0.21875);
+  });
+
+  it('keeps the whole image for free-form', () => {
+    expect(presetCrop('free', 400, 300)).toBeNull();
+  });
+});
+
+describe('cropPixels', () => {
+  it('converts to whole pixels that stay inside the image', () => {
+    expect(cropPixels({ x: 0.125, y: 0, width: 0.75, height: 1 }, 400, 300))
+      .toEqual({ originX: 50, originY: 0, width: 300, height: 300 });
+    expect(cropPixels({ x: 0.333, y: 0.333, width: 0.667, height: 0.667 }, 100, 100))
+      .toEqual({ originX: 33, originY: 33, width: 67, height: 67 });
+    expect(cropPixels({ x: 0.5, y: 0.5, width: 0.506, height: 0.506 }, 100, 100))
+      .toEqual({ originX: 50, originY: 50, width: 50, height: 50 });
+  });
+});
+
+describe('fitRegion', () => {
+  it('letterboxes the whole image in the box', () => {
+    const fit = fitRegion(200, 200, 400, 200, DEFAULT_EDITS);
+
+    expect(fit).toMatchObject({ scale: 0.5, x: 0, y: 50, width: 200, height: 100, centerX: 100, centerY: 100 });
+  });
+
+  it('fits the rotated image', () => {
+    const fit = fitRegion(200, 200, 400, 200, { ...DEFAULT_EDITS, rotation: 90 });
+
+    expect(fit).toMatchObject({ scale: 0.5, x: 50, y: 0, width: 100, height: 200 });
+  });
+
+  it('scales the crop up to the box and moves the image center with it', () => {
+    const fit = fitRegion(100, 100, 200, 200, DEFAULT_EDITS, { x: 0.5, y: 0.5, width: 0.5, height: 0.5 });
+
+    expect(fit).toMatchObject({ scale: 1, x: 0, y: 0, width: 100, height: 100, centerX: 0, centerY: 0 });
+  });
+});
+
+describe('colorMatrix', () => {
+  const pixel = [0.2, 0.5, 0.8, 1];
+
+  it('leaves pixels alone without color edits', () => {
+    expect(hasColorEdits(DEFAULT_EDITS)).toBe(false);
+    expectPixel(apply(colorMatrix(DEFAULT_EDITS), pixel), pixel);
+  });
+
+  it('turns pixels gray with the mono filter or no saturation', () => {
+    const luma = 0.2126 * 0.2 + 0.7152 * 0.5 + 0.0722 * 0.8;
+
+    expectPixel(apply(colorMatrix({ ...DEFAULT_EDITS, filter: 'mono' }), pixel), [luma, luma, luma, 1]);
+    expectPixel(apply(colorMatrix({ ...DEFAULT_EDITS, saturation: -1 }), pixel), [luma, luma, luma, 1]);
+  });
+
+  it('brightens by a quarter at full brightness and keeps alpha', () => {
+    const edits = { ...DEFAULT_EDITS, brightness: 1 };
+
+    expect(hasColorEdits(edits)).toBe(true);
+    expectPixel(apply(colorMatrix(edits), pixel), [0.45, 0.75, 1.05, 1]);
+  });
+
+  it('applies the sliders after the filter', () => {
+    const edits = { ...DEFAULT_EDITS, filter: 'mono', brightness: 1 };
+    const luma = 0.2126 * 0.2 + 0.7152 * 0.5 + 0.0722 * 0.8;
+
+    expectPixel(apply(colorMatrix(edits), pixel), [luma + 0.25, luma + 0.25, luma + 0.25, 1]);
+  });
+
+  it('spreads values around mid-gray with contrast', () => {
+    const edits = { ...DEFAULT_EDITS, contrast: 1 };
+
+    expectPixel(apply(colorMatrix(edits), [0.5, 0.25, 0.75, 1]), [0.5, 0, 1, 1]);
+  });
+});
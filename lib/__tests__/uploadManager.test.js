@@ -0,0 +1,201 @@
+// lib/__tests__/uploadManager.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { backend } from '../../data';
+import { createUploadManager } from '../uploadManager';
+
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: 'file:///documents/',
+  deleteAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+jest.mock('../../data', () => ({
+  backend: {
+    media: { upload: jest.fn(), remove: jest.fn(), getPublicUrl: jest.fn() },
+    posts: { create: jest.fn() },
+  },
+}));
+
+const job = (id) => ({
+  id,
+  files: [
+    { key: 'media', item: 0, uri: `file:///${id}.jpg`, path: `user-1/${id}.jpg`, contentType: 'image/jpeg', size: 10, done: false },
+    { key: 'thumbnail', item: 0, uri: `file:///${id}_thumb.jpg`, path: `user-1/${id}_thumb.jpg`, contentType: 'image/jpeg', size: 2, done: false },
+  ],
+  row: { user_id: 'user-1', caption: 'hi', media: [] },
+  post: { id },
+});
+
+// Lets pending promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+const createManager = () => {
+  const callbacks = { onChange: jest.fn(), onComplete: jest.fn(), onCancelledPost: jest.fn() };
+  // The jobs as of the latest onChange
+  const jobs = () => callbacks.onChange.mock.calls.at(-1)?.[0] || [];
+  return { manager: createUploadManager(callbacks), jobs, ...callbacks };
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  backend.media.upload.mockResolvedValue();
+  backend.media.remove.mockResolvedValue();
+  backend.posts.create.mockResolvedValue('post-1');
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('enqueue', () => {
+  it('uploads every file, then creates the post keyed by the job id', async () => {
+    const { manager, jobs, onComplete } = createManager();
+    await manager.load('user-1');
+
+    manager.enqueue(job('job-1'));
+    await flush();
+
+    expect(backend.media.upload.mock.calls.map(call => call[0])).toEqual(['user-1/job-1.jpg', 'user-1/job-1_thumb.jpg']);
+    expect(backend.posts.create).toHaveBeenCalledWith(expect.objectContaining({ caption: 'hi', client_key: 'job-1' }));
+    expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }), 'post-1');
+    expect(jobs()).toEqual([]);
+    expect(await AsyncStorage.getItem('uploads:user-1')).toBeNull();
+  });
+});
+
+describe('load', () => {
+  it('resumes a job from the last run, skipping files that are already up', async () => {
+    const saved = job('job-1');
+    saved.files[0].done = true;
+    await AsyncStorage.setItem('uploads:user-1', JSON.stringify([{ ...saved, status: 'uploading', attempts: 0 }]));
+    const { manager, onComplete } = createManager();
+
+    await manager.load('user-1');
+    await flush();
+
+    expect(backend.media.upload.mock.calls.map(call => call[0])).toEqual(['user-1/job-1_thumb.jpg']);
+    expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }), 'post-1');
+  });
+
+  it('leaves failed jobs for the user to retry', async () => {
+    await AsyncStorage.setItem('uploads:user-1', JSON.stringify([{ ...job('job-1'), status: 'failed', attempts: 3 }]));
+    const { manager, jobs } = createManager();
+
+    await manager.load('user-1');
+    await flush();
+
+    expect(backend.media.upload).not.toHaveBeenCalled();
+    expect(jobs()).toEqual([expect.objectContaining({ id: 'job-1', status: 'failed' })]);
+  });
+});
+
+describe('retries', () => {
+  it('backs off after a rejection and fails the job after three attempts', async () => {
+    jest.useFakeTimers();
+    backend.posts.create.mockRejectedValue(new Error('violates row-level security policy'));
+    const { manager, jobs } = createManager();
+    await manager.load('user-1');
+
+    manager.enqueue(job('job-1'));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(jobs()[0]).toMatchObject({ status: 'waiting', attempts: 1, error: 'violates row-level security policy' });
+    expect(jobs()[0].retryAt).toBeGreaterThan(Date.now());
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(backend.posts.create).toHaveBeenCalledTimes(3);
+    expect(jobs()[0]).toMatchObject({ status: 'failed', attempts: 3, retryAt: null });
+
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(backend.posts.create).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps waiting through network failures and resumes right away when asked', async () => {
+    jest.useFakeTimers();
+    backend.posts.create.mockRejectedValue(new TypeError('Network request failed'));
+    const { manager, jobs, onComplete } = createManager();
+    await manager.load('user-1');
+
+    manager.enqueue(job('job-1'));
+    await jest.advanceTimersByTimeAsync(0);
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+
+    expect(backend.posts.create.mock.calls.length).toBeGreaterThan(3);
+    expect(jobs()[0]).toMatchObject({ status: 'waiting', error: null });
+
+    backend.posts.create.mockResolvedValue('post-1');
+    manager.resume();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }), 'post-1');
+    // The files went up once; only the post row was retried
+    expect(backend.media.upload).toHaveBeenCalledTimes(2);
+  });
+
+  it('starts a failed job over on retry', async () => {
+    await AsyncStorage.setItem('uploads:user-1', JSON.stringify([{ ...job('job-1'), status: 'failed', attempts: 3 }]));
+    const { manager, onComplete } = createManager();
+    await manager.load('user-1');
+
+    manager.retry('job-1');
+    await flush();
+
+    expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }), 'post-1');
+  });
+});
+
+describe('cancel', () => {
+  it('stops the upload in flight and removes the files already up', async () => {
+    const thumbnail = deferred();
+    backend.media.upload
+      .mockResolvedValueOnce()
+      .mockImplementationOnce((path, uri, type, { signal }) => {
+        signal.addEventListener('abort', () => thumbnail.resolve());
+        return thumbnail.promise.then(() => {
+          throw Object.assign(new Error('Upload cancelled'), { name: 'AbortError' });
+        });
+      });
+    const { manager, jobs, onComplete } = createManager();
+    await manager.load('user-1');
+
+    manager.enqueue(job('job-1'));
+    await flush();
+    await manager.cancel('job-1');
+    await flush();
+
+    expect(jobs()).toEqual([]);
+    expect(backend.media.remove).toHaveBeenCalledWith(['user-1/job-1.jpg']);
+    expect(backend.posts.create).not.toHaveBeenCalled();
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+
+  it('hands a post created after the cancel to onCancelledPost', async () => {
+    const create = deferred();
+    backend.posts.create.mockReturnValue(create.promise);
+    const { manager, onComplete, onCancelledPost } = createManager();
+    await manager.load('user-1');
+
+    manager.enqueue(job('job-1'));
+    await flush();
+    expect(backend.posts.create).toHaveBeenCalled();
+
+    await manager.cancel('job-1');
+    create.resolve('post-1');
+    await flush();
+
+    expect(onCancelledPost).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }), 'post-1');
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+});
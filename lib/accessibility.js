@@ -0,0 +1,7 @@
+// lib/accessibility.js
+
+// Text follows the OS font size setting everywhere. Labels drawn over
+// media or inside fixed-size controls (counters, badges, chips) stop
+// growing at this multiple so they don't cover the photo or overflow
+// their box; everything else scales without a cap.
+export const MAX_BADGE_FONT_SCALE = 1.3;
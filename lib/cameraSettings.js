@@ -0,0 +1,39 @@
+// lib/cameraSettings.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger } from './logger';
+
+const log = createLogger('cameraSettings');
+
+// Camera preferences, remembered per device rather than per account. Zoom
+// isn't kept: every session starts zoomed out.
+const CAMERA_SETTINGS_KEY = 'camera_settings';
+
+export const FLASH_MODES = ['off', 'on', 'auto', 'torch'];
+// Self-timer delays in seconds; 0 is off
+export const TIMER_DELAYS = [0, 3, 10];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  facing: 'back',
+  flash: 'off',
+  timer: 0,
+  grid: false,
+};
+
+export async function loadCameraSettings() {
+  try {
+    const raw = await AsyncStorage.getItem(CAMERA_SETTINGS_KEY);
+    const saved = raw ? JSON.parse(raw) : {};
+    return { ...DEFAULT_CAMERA_SETTINGS, ...saved };
+  } catch (error) {
+    log.error('Error reading camera settings', error);
+    return DEFAULT_CAMERA_SETTINGS;
+  }
+}
+
+export async function saveCameraSettings(settings) {
+  try {
+    await AsyncStorage.setItem(CAMERA_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    log.error('Error writing camera settings', error);
+  }
+}
@@ -0,0 +1,57 @@
+// lib/captions.js
+
+// #tags and @mentions in captions. A token starts at the beginning of the
+// caption or after a character that can't be part of one, and runs over
+// letters, digits and underscores. Tags and mentions are matched
+// case-insensitively, so both are compared lowercased. The server applies
+// the same rules when a post is created (caption_tokens in
+// db/migrations/0009_caption_tags.sql).
+const TOKEN_PATTERN = /(^|[^A-Za-z0-9_])([#@])([A-Za-z0-9_]{1,50})/g;
+// An @mention being typed right before the cursor
+const MENTION_QUERY_PATTERN = /(^|[^A-Za-z0-9_])@([A-Za-z0-9_]{0,50})$/;
+
+// The caption split into plain text and tokens, in order:
+// [{ type: 'text' | 'tag' | 'mention', text, value }]. `text` is what to
+// show; `value` is the lowercased tag or username without its prefix.
+export function parseCaption(caption) {
+  const segments = [];
+  const text = caption || '';
+  let last = 0;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const start = match.index + match[1].length;
+    if (start > last) segments.push({ type: 'text', text: text.slice(last, start) });
+    segments.push({
+      type: match[2] === '#' ? 'tag' : 'mention',
+      text: `${match[2]}${match[3]}`,
+      value: match[3].toLowerCase(),
+    });
+    last = start + match[2].length + match[3].length;
+  }
+  if (last < text.length) segments.push({ type: 'text', text: text.slice(last) });
+  return segments;
+}
+
+const tokenValues = (caption, type) => [
+  ...new Set(parseCaption(caption).filter(segment => segment.type === type).map(segment => segment.value)),
+];
+
+export const captionTags = (caption) => tokenValues(caption, 'tag');
+export const captionMentions = (caption) => tokenValues(caption, 'mention');
+
+// The partial username after an @ that ends at `cursor`, for autocomplete:
+// { start, query } where start is the index of the @; null when the cursor
+// isn't in a mention.
+export function mentionQueryAt(text, cursor) {
+  const match = text.slice(0, cursor).match(MENTION_QUERY_PATTERN);
+  if (!match) return null;
+  return { start: match.index + match[1].length, query: match[2] };
+}
+
+// `text` with the mention being typed at `mention` (mentionQueryAt)
+// completed to `username`, followed by a space
+export function completeMention(text, mention, username) {
+  const end = mention.start + 1 + mention.query.length;
+  const rest = text.slice(end).replace(/^[A-Za-z0-9_]*/, '');
+  return `${text.slice(0, mention.start)}@${username} ${rest.replace(/^ /, '')}`;
+}
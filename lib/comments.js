@@ -0,0 +1,18 @@
+// lib/comments.js
+
+// Longest comment that can be posted (db/migrations/0011_comments.sql)
+export const MAX_COMMENT_LENGTH = 1000;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Compact age of a comment: NOW, 5M, 3H, 2D, then the date
+export function formatCommentAge(createdAt, now = Date.now()) {
+  const age = now - new Date(createdAt).getTime();
+  if (age < MINUTE) return 'NOW';
+  if (age < HOUR) return `${Math.floor(age / MINUTE)}M`;
+  if (age < DAY) return `${Math.floor(age / HOUR)}H`;
+  if (age < 7 * DAY) return `${Math.floor(age / DAY)}D`;
+  return new Date(createdAt).toLocaleDateString();
+}
@@ -0,0 +1,78 @@
+// lib/drafts.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { createLogger } from './logger';
+
+const log = createLogger('drafts');
+
+// Unfinished posts kept on the device, per user, newest first. Draft shape:
+//   { id, caption, updatedAt,
+//     media: [{ id, uri, type, duration, width, height, edits, altText }] } // as composed in CameraScreen
+// Each draft's media is copied into its own folder in the document
+// directory: the camera and picker caches can be purged at any time.
+const DRAFTS_KEY_PREFIX = 'drafts:';
+const DRAFTS_MEDIA_DIR = `${FileSystem.documentDirectory}drafts/`;
+
+const draftsKey = (userId) => `${DRAFTS_KEY_PREFIX}${userId}`;
+const draftDir = (draftId) => `${DRAFTS_MEDIA_DIR}${draftId}/`;
+
+export const createDraftId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export async function loadDrafts(userId) {
+  if (!userId) return [];
+
+  try {
+    const raw = await AsyncStorage.getItem(draftsKey(userId));
+    const drafts = raw ? JSON.parse(raw) : [];
+    return Array.isArray(drafts) ? drafts : [];
+  } catch (error) {
+    log.error('Error reading drafts', error);
+    return [];
+  }
+}
+
+export async function saveDrafts(userId, drafts) {
+  if (!userId) return;
+
+  try {
+    if (drafts.length === 0) {
+      await AsyncStorage.removeItem(draftsKey(userId));
+    } else {
+      await AsyncStorage.setItem(draftsKey(userId), JSON.stringify(drafts));
+    }
+  } catch (error) {
+    log.error('Error writing drafts', error);
+  }
+}
+
+// Copies the items that aren't in the draft's folder yet (named after the
+// item id, so each is copied once) and deletes the files of items that were
+// removed. Resolves with `media` pointing at the copies.
+export async function storeDraftMedia(draftId, media) {
+  const dir = draftDir(draftId);
+  await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+
+  const stored = await Promise.all(media.map(async (item) => {
+    if (item.uri.startsWith(dir)) return item;
+
+    const extension = item.uri.split('?')[0].split('.').pop();
+    const target = `${dir}${item.id}.${extension}`;
+    if (!(await FileSystem.getInfoAsync(target)).exists) {
+      await FileSystem.copyAsync({ from: item.uri, to: target });
+    }
+    return { ...item, uri: target };
+  }));
+
+  const kept = new Set(stored.map(item => item.uri.slice(dir.length)));
+  const names = await FileSystem.readDirectoryAsync(dir);
+  await Promise.all(names
+    .filter(name => !kept.has(name))
+    .map(name => FileSystem.deleteAsync(`${dir}${name}`, { idempotent: true }).catch(() => {})));
+
+  return stored;
+}
+
+export async function discardDraftMedia(draftId) {
+  await FileSystem.deleteAsync(draftDir(draftId), { idempotent: true }).catch(() => {});
+}
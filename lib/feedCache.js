@@ -0,0 +1,79 @@
+// lib/feedCache.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Image } from 'expo-image';
+import { createLogger } from './logger';
+import { postMediaItems } from './media';
+
+const log = createLogger('feedCache');
+
+// Feed snapshots are stored per user so an account switch never shows
+// somebody else's feed.
+const CACHE_KEY_PREFIX = 'feed_cache:';
+const CACHE_VERSION = 1;
+
+const cacheKey = (userId) => `${CACHE_KEY_PREFIX}${userId}`;
+
+// Cursor pointing right after the given post, same shape feed_page returns
+const cursorAfter = (post) =>
+  post ? { created_at: post.created_at, id: post.id } : null;
+
+export async function loadFeedCache(userId) {
+  if (!userId) return null;
+
+  try {
+    const raw = await AsyncStorage.getItem(cacheKey(userId));
+    if (!raw) return null;
+
+    const cached = JSON.parse(raw);
+    if (cached?.version !== CACHE_VERSION || !Array.isArray(cached.posts)) {
+      return null;
+    }
+    return cached;
+  } catch (error) {
+    log.warn('Error reading feed cache', error);
+    return null;
+  }
+}
+
+// Keeps the newest `limit` posts (with their like state). When posts are
+// dropped the cursor is rebuilt from the last kept post, so paging from a
+// cached feed carries on exactly where the cache ends.
+export async function saveFeedCache(userId, posts, { hasMore, limit }) {
+  if (!userId) return;
+
+  const kept = posts.slice(0, limit);
+  const truncated = posts.length > kept.length;
+  const snapshot = {
+    version: CACHE_VERSION,
+    savedAt: new Date().toISOString(),
+    posts: kept,
+    hasMore: truncated || hasMore,
+    nextCursor: cursorAfter(kept[kept.length - 1]),
+  };
+
+  try {
+    await AsyncStorage.setItem(cacheKey(userId), JSON.stringify(snapshot));
+  } catch (error) {
+    log.warn('Error writing feed cache', error);
+  }
+
+  // Warm the expo-image disk cache so cached cards render offline, every
+  // page of a carousel included; videos at least get their poster frame
+  const imageUrls = kept
+    .flatMap(postMediaItems)
+    .map(item => (item.media_type === 'video' ? item.poster_url : item.image_url))
+    .filter(Boolean);
+  if (imageUrls.length > 0) {
+    Image.prefetch(imageUrls, 'disk').catch(() => {});
+  }
+}
+
+export async function clearFeedCache(userId) {
+  if (!userId) return;
+
+  try {
+    await AsyncStorage.removeItem(cacheKey(userId));
+  } catch (error) {
+    log.warn('Error clearing feed cache', error);
+  }
+}
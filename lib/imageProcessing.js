@@ -0,0 +1,120 @@
+// lib/imageProcessing.js
+import { ImageManipulator, SaveFormat, FlipType } from 'expo-image-manipulator';
+import * as VideoThumbnails from 'expo-video-thumbnails';
+import * as FileSystem from 'expo-file-system/legacy';
+import { Skia, ImageFormat } from '@shopify/react-native-skia';
+import { rotatedSize, cropPixels, colorMatrix, hasColorEdits } from './photoEdits';
+
+// Every image is re-encoded before upload, even when it is already small:
+// decoding applies the EXIF orientation to the pixels, and the saved JPEG
+// carries no EXIF at all, so GPS and device metadata never leave the phone.
+const MAX_EDGE = 1440;
+const JPEG_QUALITY = 0.8;
+// Grid tiles and feed placeholders
+const THUMBNAIL_EDGE = 320;
+const THUMBNAIL_QUALITY = 0.7;
+// Only drawn on screen while editing
+const EDITING_COPY_QUALITY = 0.9;
+
+// Upright JPEG in the cache directory with its longest edge at most
+// `maxEdge`: { uri, width, height }. `edits` (lib/photoEdits.js) flips,
+// rotates and crops the full-size photo before it is scaled down.
+async function renderJpeg(uri, maxEdge, quality, edits = null) {
+  const context = ImageManipulator.manipulate(uri);
+  let image = await context.renderAsync();
+
+  if (edits) {
+    // Measured upright, which is what the crop was drawn on
+    const rotated = rotatedSize(image.width, image.height, edits.rotation);
+    image.release();
+    if (edits.flipH) context.flip(FlipType.Horizontal);
+    if (edits.flipV) context.flip(FlipType.Vertical);
+    if (edits.rotation) context.rotate(edits.rotation);
+    if (edits.crop) context.crop(cropPixels(edits.crop, rotated.width, rotated.height));
+    image = await context.renderAsync();
+  }
+
+  const { width, height } = image;
+  if (Math.max(width, height) > maxEdge) {
+    image.release();
+    context.resize(width >= height ? { width: maxEdge } : { height: maxEdge });
+    image = await context.renderAsync();
+  }
+
+  try {
+    const result = await image.saveAsync({ compress: quality, format: SaveFormat.JPEG });
+    return { uri: result.uri, width: result.width, height: result.height };
+  } finally {
+    image.release();
+    context.release();
+  }
+}
+
+export async function processImage(uri, edits = null) {
+  const image = await renderJpeg(uri, MAX_EDGE, JPEG_QUALITY, edits);
+  return edits && hasColorEdits(edits) ? applyColor(image, colorMatrix(edits)) : image;
+}
+
+// Redraws a JPEG through a color matrix. Runs on the already downscaled
+// photo; the result is encoded without EXIF like everything renderJpeg saves.
+async function applyColor(image, matrix) {
+  const source = Skia.Image.MakeImageFromEncoded(await Skia.Data.fromURI(image.uri));
+  const surface = Skia.Surface.Make(image.width, image.height);
+  if (!source || !surface) throw new Error('Could not apply photo filters');
+
+  const paint = Skia.Paint();
+  paint.setColorFilter(Skia.ColorFilter.MakeMatrix(matrix));
+  surface.getCanvas().drawImage(source, 0, 0, paint);
+  surface.flush();
+
+  const target = `${FileSystem.cacheDirectory}${Date.now()}_edited.jpg`;
+  const base64 = surface.makeImageSnapshot().encodeToBase64(ImageFormat.JPEG, Math.round(JPEG_QUALITY * 100));
+  await FileSystem.writeAsStringAsync(target, base64, { encoding: FileSystem.EncodingType.Base64 });
+  await FileSystem.deleteAsync(image.uri, { idempotent: true }).catch(() => {});
+  return { uri: target, width: image.width, height: image.height };
+}
+
+// Upright, EXIF-free copy the photo editor draws from, so its preview and
+// the final render agree on orientation
+export function createEditingCopy(uri) {
+  return renderJpeg(uri, MAX_EDGE, EDITING_COPY_QUALITY);
+}
+
+export function createThumbnail(uri) {
+  return renderJpeg(uri, THUMBNAIL_EDGE, THUMBNAIL_QUALITY);
+}
+
+// First frame of a video as a full-size JPEG
+export async function createPosterFrame(videoUri) {
+  const frame = await VideoThumbnails.getThumbnailAsync(videoUri, { time: 0, quality: 1 });
+  return processImage(frame.uri);
+}
+
+// Everything an upload needs besides the caption. Photos are replaced by
+// their processed version; videos are uploaded as recorded and get a poster
+// frame, whose size stands in for the video's when the caller doesn't know
+// it. Photo `edits` (lib/photoEdits.js) are applied here, and only here.
+// Resolves with { uri, width, height, thumbnailUri, posterUri }.
+export async function prepareMedia({ uri, mediaType, width = null, height = null, edits = null }) {
+  if (mediaType === 'video') {
+    const poster = await createPosterFrame(uri);
+    const thumbnail = await createThumbnail(poster.uri);
+    return {
+      uri,
+      width: width || poster.width,
+      height: height || poster.height,
+      thumbnailUri: thumbnail.uri,
+      posterUri: poster.uri,
+    };
+  }
+
+  const image = await processImage(uri, edits);
+  const thumbnail = await createThumbnail(image.uri);
+  return {
+    uri: image.uri,
+    width: image.width,
+    height: image.height,
+    thumbnailUri: thumbnail.uri,
+    posterUri: null,
+  };
+}
@@ -0,0 +1,7 @@
+// lib/links.js
+
+// Links that open the app (the scheme in app.json). App.js maps their paths
+// to screens, so a copied or shared post link opens PostDetail.
+export const APP_SCHEME = 'socialmediaapp';
+
+export const postLink = (postId) => `${APP_SCHEME}://post/${postId}`;
@@ -0,0 +1,175 @@
+// lib/logger.js
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Crypto from 'expo-crypto';
+import { backend } from '../data';
+
+// Leveled logging with a ring buffer of recent entries that survives app
+// restarts, so "send diagnostics" can show support what actually happened
+// on a device. User identifiers are redacted before anything is stored.
+//
+//   const log = createLogger('CameraScreen');
+//   log.error('Upload failed', error, { mediaType });
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = __DEV__ ? 'debug' : 'info';
+
+const BUFFER_SIZE = 300;
+const LOG_FILE = `${FileSystem.documentDirectory}logs.json`;
+const PERSIST_DELAY_MS = 2000;
+
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+const EMAIL_PATTERN = /[^\s@/]+@[^\s@/]+\.[a-z]{2,}/gi;
+const SECRET_KEYS = new Set(['password', 'access_token', 'refresh_token', 'token', 'email']);
+// Identifiers that aren't UUIDs; hashed like ids. Usernames match without
+// case, so they are lowercased first.
+const IDENTIFIER_KEYS = new Set(['username']);
+// Cap on reports backendErrorReporter sends per app launch, so an error in
+// a render loop can't flood the table
+const MAX_ERROR_REPORTS = 10;
+
+let buffer = [];
+let persistTimeout = null;
+let errorReporter = null;
+let errorReportsSent = 0;
+
+// Short stable tag for an identifier, so entries about the same user can be
+// correlated without exposing the id itself
+function tagFor(value) {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) | 0;
+  }
+  return `<id:${(hash >>> 0).toString(36).slice(0, 5)}>`;
+}
+
+function redactString(value) {
+  return value
+    .replace(UUID_PATTERN, match => tagFor(match.toLowerCase()))
+    .replace(EMAIL_PATTERN, '<email>');
+}
+
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value == null || typeof value !== 'object' || depth > 4) return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    if (SECRET_KEYS.has(key)) result[key] = '<redacted>';
+    else if (IDENTIFIER_KEYS.has(key) && typeof value[key] === 'string') result[key] = tagFor(value[key].toLowerCase());
+    else result[key] = redact(value[key], depth + 1);
+  });
+  return result;
+}
+
+function serializeError(error) {
+  if (!error) return undefined;
+  if (!(error instanceof Error) && typeof error === 'object') {
+    // Supabase errors are plain objects with message/code/details
+    return { message: error.message, code: error.code, details: error.details };
+  }
+  return {
+    name: error.name,
+    message: error.message ?? String(error),
+    code: error.code,
+    stack: error.stack?.split('\n').slice(0, 6).join('\n'),
+  };
+}
+
+const restored = FileSystem.readAsStringAsync(LOG_FILE)
+  .then(raw => {
+    const saved = JSON.parse(raw);
+    if (Array.isArray(saved)) buffer = [...saved, ...buffer].slice(-BUFFER_SIZE);
+  })
+  .catch(() => {}); // No log file yet
+
+function schedulePersist() {
+  if (persistTimeout) return;
+  persistTimeout = setTimeout(async () => {
+    persistTimeout = null;
+    await restored;
+    FileSystem.writeAsStringAsync(LOG_FILE, JSON.stringify(buffer)).catch(() => {});
+  }, PERSIST_DELAY_MS);
+}
+
+function write(level, scope, message, error, context) {
+  if (LEVELS[level] < LEVELS[MIN_LEVEL]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    scope,
+    message: redactString(String(message)),
+    ...(error !== undefined && { error: redact(serializeError(error)) }),
+    ...(context !== undefined && { context: redact(context) }),
+  };
+
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) buffer = buffer.slice(-BUFFER_SIZE);
+  schedulePersist();
+
+  if (__DEV__) {
+    const consoleMethod = level === 'debug' ? 'log' : level;
+    console[consoleMethod](`[${scope}] ${entry.message}`, ...[error, context].filter(arg => arg !== undefined));
+  }
+
+  if (level === 'error' && errorReporter) {
+    const reporter = errorReporter;
+    Promise.resolve().then(() => reporter(entry)).catch(() => {});
+  }
+}
+
+// error is optional on every level; pass undefined to skip it
+export function createLogger(scope) {
+  return {
+    debug: (message, context) => write('debug', scope, message, undefined, context),
+    info: (message, context) => write('info', scope, message, undefined, context),
+    warn: (message, error, context) => write('warn', scope, message, error, context),
+    error: (message, error, context) => write('error', scope, message, error, context),
+  };
+}
+
+// Sink called with every (already redacted) error entry, e.g. a crash
+// reporting service. Pass null to turn reporting off.
+export function setErrorReporter(reporter) {
+  errorReporter = reporter;
+}
+
+// Error sink that files each error entry as a client report
+export function backendErrorReporter(entry) {
+  if (errorReportsSent >= MAX_ERROR_REPORTS) return;
+  errorReportsSent++;
+  return backend.reports.send({
+    kind: 'error',
+    platform: Platform.OS,
+    osVersion: String(Platform.Version),
+    entries: [entry],
+  });
+}
+
+// Snapshot of the ring buffer plus basic device details for support
+export async function getDiagnostics() {
+  await restored;
+  return {
+    createdAt: new Date().toISOString(),
+    platform: Platform.OS,
+    osVersion: String(Platform.Version),
+    entries: [...buffer],
+  };
+}
+
+// Uploads the ring buffer for support. Resolves with a reference the user
+// can quote, since reports can't be read back from the device; a random
+// UUID, so no two reports share one.
+export async function sendDiagnostics() {
+  const { platform, osVersion, entries } = await getDiagnostics();
+  const reference = Crypto.randomUUID();
+  await backend.reports.send({ kind: 'diagnostics', reference, platform, osVersion, entries });
+  return reference;
+}
+
+export async function clearLogs() {
+  buffer = [];
+  await FileSystem.deleteAsync(LOG_FILE, { idempotent: true });
+}
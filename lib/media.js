@@ -0,0 +1,90 @@
+// lib/media.js
+
+// Longest clip the camera records or the picker accepts, in seconds
+export const MAX_VIDEO_DURATION = 60;
+
+// Photos and videos in one carousel post (db/migrations/0008_post_media.sql)
+export const MAX_POST_MEDIA = 10;
+
+// Longest alt text a photo or video can have (db/migrations/0010_media_alt_text.sql)
+export const MAX_ALT_TEXT_LENGTH = 1000;
+
+const TYPES_BY_EXTENSION = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  heic: 'image/heic',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  m4v: 'video/x-m4v',
+  mov: 'video/quicktime',
+};
+
+const FALLBACK = {
+  photo: { extension: 'jpg', mimeType: 'image/jpeg' },
+  video: { extension: 'mp4', mimeType: 'video/mp4' },
+};
+
+// Storage extension and Content-Type for a local media file. Camera and
+// picker URIs keep the container's extension (.jpg, .mov, .mp4, ...);
+// anything unrecognised falls back to the default for the media type.
+export function mediaFileType(uri, mediaType) {
+  const extension = uri.split('?')[0].split('.').pop().toLowerCase();
+  const mimeType = TYPES_BY_EXTENSION[extension];
+  if (mimeType && mimeType.startsWith(mediaType === 'video' ? 'video/' : 'image/')) {
+    return { extension, mimeType };
+  }
+  return FALLBACK[mediaType] || FALLBACK.photo;
+}
+
+// Feed cards stay between 4:5 portrait and 1.91:1 landscape; the detail
+// screen shows the full frame
+export const FEED_ASPECT_RANGE = [4 / 5, 1.91];
+
+// width / height of a post's media, for sizing its frame before it loads.
+// Posts without recorded dimensions get a square frame.
+export function mediaAspectRatio(post, [min, max] = [0, Infinity]) {
+  if (!post?.width || !post?.height) return 1;
+  return Math.min(max, Math.max(min, post.width / post.height));
+}
+
+// Smallest image that represents a post, for grids, placeholders and search
+// results. Video URLs can't be rendered as images, so older videos without
+// a thumbnail or poster frame have none.
+export function postThumbnailUrl(post) {
+  if (post.thumbnail_url) return post.thumbnail_url;
+  return post.media_type === 'video' ? post.poster_url || null : post.image_url;
+}
+
+// A post's photos and videos in display order. Each item has the media
+// columns of a post (media_type, image_url, thumbnail_url, poster_url,
+// width, height, ...). Posts without an item list, from before carousels,
+// are their own single item.
+export function postMediaItems(post) {
+  return post.media?.length ? post.media : [post];
+}
+
+// What a screen reader says for one of a post's items: its kind, where it
+// is in a carousel and its alt text, e.g. "Video 2 of 3, 0:12. A dog on a
+// beach". `count` is the number of items in the post.
+export function mediaAccessibilityLabel(item, index = 0, count = 1) {
+  const kind = item.media_type === 'video' ? 'Video' : 'Photo';
+  const position = count > 1 ? ` ${index + 1} of ${count}` : '';
+  const duration = item.video_duration ? `, ${formatDuration(item.video_duration)}` : '';
+  const description = item.alt_text ? `. ${item.alt_text}` : ', no description';
+  return `${kind}${position}${duration}${description}`;
+}
+
+// Every item of a post, for a control that shows the whole carousel. Plain
+// posts rows only carry the cover, which is then described as the first of
+// media_count.
+export function postMediaAccessibilityLabel(post) {
+  if (!post.media?.length) return mediaAccessibilityLabel(post, 0, post.media_count || 1);
+  return post.media.map((item, index) => mediaAccessibilityLabel(item, index, post.media.length)).join('. ');
+}
+
+// 75 -> "1:15"
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,40 @@
+// lib/mediaSweep.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { backend } from '../data';
+
+// Removes files in the user's folder of the posts bucket that no post
+// references any more, e.g. when the storage cleanup after a delete failed
+// or an upload never got its post row.
+const LAST_SWEEP_KEY_PREFIX = 'media_sweep:';
+const SWEEP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Uploads land in storage before their post row is inserted; leave recent
+// files alone so an upload in progress is never swept.
+const MIN_ORPHAN_AGE_MS = 60 * 60 * 1000;
+
+// Returns the removed paths. Runs at most once a day unless `force` is set.
+// `keepPaths` belong to uploads that haven't created their post yet.
+export async function sweepOrphanedMedia(userId, { force = false, keepPaths = [] } = {}) {
+  if (!userId) return [];
+
+  const lastSweepKey = `${LAST_SWEEP_KEY_PREFIX}${userId}`;
+  const lastSweep = Number(await AsyncStorage.getItem(lastSweepKey)) || 0;
+  if (!force && Date.now() - lastSweep < SWEEP_INTERVAL_MS) return [];
+
+  const [files, referencedPaths] = await Promise.all([
+    backend.media.list(userId),
+    backend.posts.listMediaPaths(userId),
+  ]);
+
+  const referenced = new Set([...referencedPaths, ...keepPaths]);
+  const cutoff = Date.now() - MIN_ORPHAN_AGE_MS;
+  const orphans = files
+    .filter(file => !referenced.has(file.path))
+    .filter(file => new Date(file.created_at).getTime() < cutoff)
+    .map(file => file.path);
+
+  if (orphans.length > 0) {
+    await backend.media.remove(orphans);
+  }
+  await AsyncStorage.setItem(lastSweepKey, String(Date.now()));
+  return orphans;
+}
@@ -0,0 +1,140 @@
+// lib/outbox.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import * as FileSystem from 'expo-file-system/legacy';
+import { createLogger } from './logger';
+
+const log = createLogger('outbox');
+
+// Mutations made while offline, persisted per user and replayed in order
+// once connectivity returns. Entry shapes:
+//   { id, type: 'like' | 'unlike', postId }
+//   { id, type: 'delete_post', postId }
+// New posts go through lib/uploadManager.js instead. Older versions queued
+// them here as { type: 'create_post', localId, payload, post }; those are
+// handed over to the upload manager when the outbox is restored.
+const OUTBOX_KEY_PREFIX = 'outbox:';
+// Where those older versions kept the media of queued posts
+const OUTBOX_MEDIA_DIR = `${FileSystem.documentDirectory}outbox/`;
+
+const outboxKey = (userId) => `${OUTBOX_KEY_PREFIX}${userId}`;
+
+const OPPOSITE = { like: 'unlike', unlike: 'like' };
+
+export const createOutboxId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export async function loadOutbox(userId) {
+  if (!userId) return [];
+
+  try {
+    const raw = await AsyncStorage.getItem(outboxKey(userId));
+    const entries = raw ? JSON.parse(raw) : [];
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    log.error('Error reading outbox', error);
+    return [];
+  }
+}
+
+export async function saveOutbox(userId, entries) {
+  if (!userId) return;
+
+  try {
+    if (entries.length === 0) {
+      await AsyncStorage.removeItem(outboxKey(userId));
+    } else {
+      await AsyncStorage.setItem(outboxKey(userId), JSON.stringify(entries));
+    }
+  } catch (error) {
+    log.error('Error writing outbox', error);
+  }
+}
+
+// Deletes the files a legacy create_post entry copied into the outbox
+export async function discardOutboxMedia(payload) {
+  const uris = [payload.mediaUri, payload.thumbnailUri, payload.posterUri]
+    .filter(uri => uri?.startsWith(OUTBOX_MEDIA_DIR));
+  await Promise.all(uris.map(uri =>
+    FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {})
+  ));
+}
+
+// Returns a new outbox with `mutation` appended, folding it into entries
+// that are still waiting for the same post:
+//  - a like and an unlike of the same post cancel each other out
+//  - deleting a post drops its queued likes
+// Entries in `lockedIds` are being replayed right now and are never folded.
+export function enqueueMutation(entries, mutation, lockedIds = new Set()) {
+  const entry = { id: createOutboxId(), createdAt: new Date().toISOString(), ...mutation };
+  const foldable = (e) => !lockedIds.has(e.id);
+
+  if (OPPOSITE[entry.type]) {
+    const oppositeIndex = entries.findIndex(
+      e => foldable(e) && e.type === OPPOSITE[entry.type] && e.postId === entry.postId
+    );
+    if (oppositeIndex !== -1) {
+      return entries.filter((_, index) => index !== oppositeIndex);
+    }
+    if (entries.some(e => foldable(e) && e.type === entry.type && e.postId === entry.postId)) {
+      return entries;
+    }
+    return [...entries, entry];
+  }
+
+  if (entry.type === 'delete_post') {
+    const remaining = entries.filter(
+      e => !(foldable(e) && OPPOSITE[e.type] && e.postId === entry.postId)
+    );
+    return [...remaining, entry];
+  }
+
+  return [...entries, entry];
+}
+
+// Post IDs that still have queued work
+export function pendingPostIds(entries) {
+  return new Set(entries.map(e => e.postId));
+}
+
+export function isNetworkError(error) {
+  const message = String(error?.message || error || '');
+  return /network request failed|failed to fetch|network error|timed? ?out/i.test(message);
+}
+
+export async function isOnline() {
+  const netState = await NetInfo.fetch();
+  return !!netState.isConnected && netState.isInternetReachable !== false;
+}
+
+// Calls `callback` each time the device comes back online. Returns the
+// unsubscribe function.
+export function onReconnect(callback) {
+  let wasOnline = true;
+  return NetInfo.addEventListener(netState => {
+    const online = !!netState.isConnected && netState.isInternetReachable !== false;
+    if (online && !wasOnline) callback();
+    wasOnline = online;
+  });
+}
+
+// Runs `handlers[entry.type]` for each entry in order. Stops at the first
+// network failure and keeps that entry and everything after it; entries the
+// server rejects are dropped and reported in `failed`.
+export async function replayOutbox(entries, handlers) {
+  const failed = [];
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    try {
+      await handlers[entry.type](entry);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        return { remaining: entries.slice(index), failed };
+      }
+      failed.push({ entry, error });
+    }
+  }
+
+  return { remaining: [], failed };
+}
@@ -0,0 +1,185 @@
+// lib/photoEdits.js
+
+// Non-destructive photo edits, stored on a composed media item next to its
+// original and only applied when the post is shared
+// (lib/imageProcessing.js prepareMedia). Geometry is applied in this order:
+// flips, then a clockwise rotation, then the crop. The crop is a rectangle
+// in 0..1 coordinates of the flipped and rotated image; null keeps it whole.
+export const DEFAULT_EDITS = {
+  flipH: false,
+  flipV: false,
+  rotation: 0, // 0 | 90 | 180 | 270, clockwise
+  aspect: 'free',
+  crop: null, // { x, y, width, height }
+  brightness: 0, // -1..1
+  contrast: 0, // -1..1
+  saturation: 0, // -1..1
+  filter: 'none',
+};
+
+// width / height, null for free-form
+export const CROP_PRESETS = [
+  { key: '1:1', label: '1:1', ratio: 1 },
+  { key: '4:5', label: '4:5', ratio: 4 / 5 },
+  { key: '16:9', label: '16:9', ratio: 16 / 9 },
+  { key: 'free', label: 'FREE', ratio: null },
+];
+
+// Smallest crop edge, as a fraction of the image
+export const MIN_CROP_SIZE = 0.1;
+
+export function isEdited(edits) {
+  if (!edits) return false;
+  return Object.keys(DEFAULT_EDITS).some(key =>
+    key !== 'aspect' && JSON.stringify(edits[key] ?? DEFAULT_EDITS[key]) !== JSON.stringify(DEFAULT_EDITS[key])
+  );
+}
+
+// Size of a width x height image once rotated
+export function rotatedSize(width, height, rotation) {
+  return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+}
+
+// Largest centered crop with the preset's ratio, or null (the whole image)
+// for free-form
+export function presetCrop(aspect, width, height) {
+  const ratio = CROP_PRESETS.find(preset => preset.key === aspect)?.ratio;
+  if (!ratio) return null;
+
+  const cropWidth = width / height > ratio ? (height * ratio) / width : 1;
+  const cropHeight = width / height > ratio ? 1 : width / ratio / height;
+  return { x: (1 - cropWidth) / 2, y: (1 - cropHeight) / 2, width: cropWidth, height: cropHeight };
+}
+
+// Crop in pixels of the rotated image, for expo-image-manipulator
+export function cropPixels(crop, width, height) {
+  const originX = Math.round(crop.x * width);
+  const originY = Math.round(crop.y * height);
+  return {
+    originX,
+    originY,
+    width: Math.min(width - originX, Math.round(crop.width * width)),
+    height: Math.min(height - originY, Math.round(crop.height * height)),
+  };
+}
+
+// Where to draw a width x height photo with `edits` inside a box so that
+// `region` (0..1 coordinates of the rotated image; the crop, or the whole
+// image) fits the box, centered. Returns the region's rectangle in the box
+// and the scale from image pixels to box points.
+export function fitRegion(boxWidth, boxHeight, width, height, edits, region = null) {
+  const rotated = rotatedSize(width, height, edits.rotation);
+  const area = region || { x: 0, y: 0, width: 1, height: 1 };
+  const regionWidth = area.width * rotated.width;
+  const regionHeight = area.height * rotated.height;
+  const scale = Math.min(boxWidth / regionWidth, boxHeight / regionHeight);
+
+  const x = (boxWidth - regionWidth * scale) / 2;
+  const y = (boxHeight - regionHeight * scale) / 2;
+  return {
+    scale,
+    x,
+    y,
+    width: regionWidth * scale,
+    height: regionHeight * scale,
+    // Center of the whole rotated image, which the drawing rotates around
+    centerX: x - area.x * rotated.width * scale + (rotated.width * scale) / 2,
+    centerY: y - area.y * rotated.height * scale + (rotated.height * scale) / 2,
+  };
+}
+
+// --- COLOR ---
+// 4x5 row-major color matrices with offsets in 0..1, the format Skia's
+// ColorMatrix takes
+
+const IDENTITY = [
+  1, 0, 0, 0, 0,
+  0, 1, 0, 0, 0,
+  0, 0, 1, 0, 0,
+  0, 0, 0, 1, 0,
+];
+
+// Rec. 709 luma
+const LUMA = [0.2126, 0.7152, 0.0722];
+
+const saturationMatrix = (amount) => {
+  const [r, g, b] = LUMA.map(weight => weight * (1 - amount));
+  return [
+    r + amount, g, b, 0, 0,
+    r, g + amount, b, 0, 0,
+    r, g, b + amount, 0, 0,
+    0, 0, 0, 1, 0,
+  ];
+};
+
+const contrastMatrix = (amount) => {
+  const offset = 0.5 * (1 - amount);
+  return [
+    amount, 0, 0, 0, offset,
+    0, amount, 0, 0, offset,
+    0, 0, amount, 0, offset,
+    0, 0, 0, 1, 0,
+  ];
+};
+
+const brightnessMatrix = (offset) => [
+  1, 0, 0, 0, offset,
+  0, 1, 0, 0, offset,
+  0, 0, 1, 0, offset,
+  0, 0, 0, 1, 0,
+];
+
+const channelMatrix = ([r, g, b], [rOffset, gOffset, bOffset] = [0, 0, 0]) => [
+  r, 0, 0, 0, rOffset,
+  0, g, 0, 0, gOffset,
+  0, 0, b, 0, bOffset,
+  0, 0, 0, 1, 0,
+];
+
+// The matrix applying `b` and then `a`
+function concat(a, b) {
+  const result = [];
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 5; col++) {
+      let value = col === 4 ? a[row * 5 + 4] : 0;
+      for (let k = 0; k < 4; k++) {
+        value += a[row * 5 + k] * b[k * 5 + col];
+      }
+      result.push(value);
+    }
+  }
+  return result;
+}
+
+export const FILTERS = [
+  { key: 'none', label: 'NONE', matrix: IDENTITY },
+  { key: 'mono', label: 'MONO', matrix: saturationMatrix(0) },
+  {
+    key: 'sepia',
+    label: 'SEPIA',
+    matrix: [
+      0.393, 0.769, 0.189, 0, 0,
+      0.349, 0.686, 0.168, 0, 0,
+      0.272, 0.534, 0.131, 0, 0,
+      0, 0, 0, 1, 0,
+    ],
+  },
+  { key: 'vivid', label: 'VIVID', matrix: concat(contrastMatrix(1.1), saturationMatrix(1.4)) },
+  { key: 'fade', label: 'FADE', matrix: concat(brightnessMatrix(0.06), contrastMatrix(0.8)) },
+  { key: 'cool', label: 'COOL', matrix: channelMatrix([0.92, 1, 1.08], [0, 0.01, 0.04]) },
+  { key: 'warm', label: 'WARM', matrix: channelMatrix([1.08, 1, 0.9], [0.04, 0.01, 0]) },
+];
+
+// The filter followed by the brightness, contrast and saturation sliders
+export function colorMatrix(edits) {
+  const filter = FILTERS.find(f => f.key === edits.filter) || FILTERS[0];
+  return [
+    saturationMatrix(1 + edits.saturation),
+    contrastMatrix(1 + edits.contrast),
+    brightnessMatrix(edits.brightness * 0.25),
+  ].reduce((matrix, step) => concat(step, matrix), filter.matrix);
+}
+
+export function hasColorEdits(edits) {
+  return edits.filter !== 'none' || edits.brightness !== 0 || edits.contrast !== 0 || edits.saturation !== 0;
+}
@@ -0,0 +1,304 @@
+// lib/uploadManager.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { backend } from '../data';
+import { isNetworkError, isOnline } from './outbox';
+import { mediaFileType } from './media';
+import { createLogger } from './logger';
+
+const log = createLogger('uploadManager');
+
+// New posts waiting to reach the server, one job per post, persisted per
+// user and run one at a time. Every file goes up through the backend's
+// resumable upload, so a retry after a dropped connection, a backgrounded
+// app or a restart continues where the last attempt stopped. Job shape:
+//   { id, status, attempts, error, retryAt,
+//     files: [{ key: 'media' | 'thumbnail' | 'poster', item, uri, path, contentType, size, done }],
+//     row,    // posts row plus its `media` items, created once every file is up
+//     post }  // local preview shown in the feed meanwhile
+// status: 'queued' | 'uploading' | 'waiting' (offline or backing off) | 'failed'
+const UPLOADS_KEY_PREFIX = 'uploads:';
+// Job media is copied here; the camera cache may be purged before it's sent
+const UPLOAD_MEDIA_DIR = `${FileSystem.documentDirectory}uploads/`;
+
+// Rejected attempts (not network failures) before a job needs the user
+const MAX_ATTEMPTS = 3;
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+const uploadsKey = (userId) => `${UPLOADS_KEY_PREFIX}${userId}`;
+
+// Exponential backoff with jitter: ~2s, 4s, 8s, ... capped at a minute.
+// Whole milliseconds: timers drop the fraction, and one firing just before
+// retryAt would leave the job waiting with nothing scheduled.
+const retryDelay = (attempt) =>
+  Math.round(Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt) * (0.75 + Math.random() * 0.5));
+
+async function copyIntoJob(jobId, uri, name) {
+  const dir = `${UPLOAD_MEDIA_DIR}${jobId}/`;
+  await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+  const target = `${dir}${name}`;
+  await FileSystem.copyAsync({ from: uri, to: target });
+  const { size } = await FileSystem.getInfoAsync(target);
+  return { uri: target, size: size || 0 };
+}
+
+async function discardJobMedia(job) {
+  await FileSystem.deleteAsync(`${UPLOAD_MEDIA_DIR}${job.id}/`, { idempotent: true }).catch(() => {});
+}
+
+// Builds a job from prepared media (lib/imageProcessing.js prepareMedia),
+// copying the files into the job's own folder. `items` are in post order,
+// each with its mediaType, altText (or null) and, for videos,
+// videoDuration; `post` is the
+// local preview and must carry the job's id.
+// Storage paths are fixed here so every retry targets the same objects:
+// <user>/<stamp>.<ext>, <stamp>_thumb.jpg and, for videos, <stamp>_poster.jpg
+// for the first item, <stamp>_<n>.<ext>, <stamp>_<n>_thumb.jpg, ... for the rest
+export async function createUploadJob({ id, userId, items, caption, post }) {
+  const stamp = `${userId}/${Date.now()}`;
+  const sources = items.flatMap((media, index) => {
+    const { extension, mimeType } = mediaFileType(media.uri, media.mediaType);
+    const baseName = index === 0 ? stamp : `${stamp}_${index}`;
+    return [
+      { key: 'media', item: index, uri: media.uri, path: `${baseName}.${extension}`, contentType: mimeType },
+      media.thumbnailUri && { key: 'thumbnail', item: index, uri: media.thumbnailUri, path: `${baseName}_thumb.jpg`, contentType: 'image/jpeg' },
+      media.posterUri && { key: 'poster', item: index, uri: media.posterUri, path: `${baseName}_poster.jpg`, contentType: 'image/jpeg' },
+    ].filter(Boolean);
+  });
+
+  const files = await Promise.all(sources.map(async (source) => {
+    const copy = await copyIntoJob(id, source.uri, source.path.split('/').pop());
+    return { ...source, uri: copy.uri, size: copy.size, done: false };
+  }));
+  const fileOf = (index, key) => files.find(file => file.item === index && file.key === key) || null;
+
+  // The same columns describe a post_media row and the post's cover
+  const describe = (media, index, urlOf) => ({
+    media_type: media.mediaType,
+    image_url: urlOf(fileOf(index, 'media')),
+    thumbnail_url: fileOf(index, 'thumbnail') && urlOf(fileOf(index, 'thumbnail')),
+    poster_url: fileOf(index, 'poster') && urlOf(fileOf(index, 'poster')),
+    video_duration: media.mediaType === 'video' ? media.videoDuration || null : null,
+    width: media.width || null,
+    height: media.height || null,
+    alt_text: media.altText || null,
+  });
+  const remoteItems = items.map((media, index) => ({
+    ...describe(media, index, file => backend.media.getPublicUrl(file.path)),
+    media_path: fileOf(index, 'media').path,
+    thumbnail_path: fileOf(index, 'thumbnail')?.path || null,
+    poster_path: fileOf(index, 'poster')?.path || null,
+  }));
+  const localItems = items.map((media, index) => describe(media, index, file => file.uri));
+
+  return {
+    id,
+    files,
+    row: { user_id: userId, caption, ...remoteItems[0], media: remoteItems },
+    post: { ...post, ...localItems[0], media: localItems, media_count: items.length },
+  };
+}
+
+// onChange(jobs) gets every update, each job with a `progress` of 0..1;
+// onComplete(job, postId) runs once a job's post row exists, and
+// onCancelledPost(job, postId) instead when the job was cancelled while that
+// row was being created, which leaves deleting the post to the caller.
+export function createUploadManager({ onChange, onComplete, onCancelledPost }) {
+  let userId = null;
+  let jobs = [];
+  let progress = {}; // jobId -> 0..1, not persisted
+  let running = null; // { id, controller }
+  let retryTimer = null;
+  const cancelledIds = new Set();
+
+  const notify = () => onChange(jobs.map(job => ({ ...job, progress: progress[job.id] || 0 })));
+
+  const setJobs = (next) => {
+    jobs = next;
+    notify();
+    const key = userId && uploadsKey(userId);
+    if (!key) return;
+    const write = jobs.length > 0
+      ? AsyncStorage.setItem(key, JSON.stringify(jobs))
+      : AsyncStorage.removeItem(key);
+    write.catch(error => log.error('Error writing uploads', error));
+  };
+
+  const updateJob = (id, changes) => {
+    setJobs(jobs.map(job => (job.id === id ? { ...job, ...changes } : job)));
+  };
+
+  // Only re-render on whole percent steps
+  const setProgress = (id, value) => {
+    const previous = progress[id] || 0;
+    progress[id] = Math.min(1, value);
+    if (Math.floor(progress[id] * 100) !== Math.floor(previous * 100)) notify();
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    const retryTimes = jobs.filter(job => job.status === 'waiting').map(job => job.retryAt);
+    if (retryTimes.length === 0) return;
+
+    retryTimer = setTimeout(() => {
+      setJobs(jobs.map(job => (
+        job.status === 'waiting' && job.retryAt <= Date.now()
+          ? { ...job, status: 'queued', retryAt: null }
+          : job
+      )));
+      runNext();
+    }, Math.max(0, Math.min(...retryTimes) - Date.now()));
+  };
+
+  const perform = async (job, signal) => {
+    const total = job.files.reduce((sum, file) => sum + file.size, 0) || 1;
+    let sent = job.files.filter(file => file.done).reduce((sum, file) => sum + file.size, 0);
+    setProgress(job.id, sent / total);
+
+    for (const file of job.files) {
+      if (file.done) continue;
+      await backend.media.upload(file.path, file.uri, file.contentType, {
+        signal,
+        onProgress: (fraction) => setProgress(job.id, (sent + fraction * file.size) / total),
+      });
+      sent += file.size;
+      // Recorded so a retry skips the files that are already up
+      const current = jobs.find(j => j.id === job.id);
+      if (current) {
+        updateJob(job.id, {
+          files: current.files.map(f => (f.path === file.path ? { ...f, done: true } : f)),
+        });
+      }
+    }
+
+    // The job id makes a retry after a lost response return the post the
+    // first attempt created (db/migrations/0016_idempotent_post_creation.sql)
+    return backend.posts.create({ ...job.row, client_key: job.id });
+  };
+
+  const runNext = async () => {
+    if (running || !userId) return;
+    const job = jobs.find(j => j.status === 'queued');
+    if (!job) return;
+
+    const controller = new AbortController();
+    running = { id: job.id, controller };
+    updateJob(job.id, { status: 'uploading', error: null });
+
+    try {
+      if (!(await isOnline())) throw new TypeError('Network request failed');
+      const postId = await perform(job, controller.signal);
+      // Cancelled while the post row was being inserted
+      if (cancelledIds.has(job.id)) {
+        onCancelledPost(job, postId);
+        return;
+      }
+
+      delete progress[job.id];
+      setJobs(jobs.filter(j => j.id !== job.id));
+      discardJobMedia(job);
+      onComplete(job, postId);
+    } catch (error) {
+      // Cancelled, or the user signed out: the job is already gone
+      if (controller.signal.aborted) return;
+
+      const attempts = (jobs.find(j => j.id === job.id)?.attempts || 0) + 1;
+      if (isNetworkError(error)) {
+        // Offline can last for days; keep waiting, reconnecting resumes early
+        updateJob(job.id, { status: 'waiting', attempts, retryAt: Date.now() + retryDelay(attempts) });
+      } else if (attempts < MAX_ATTEMPTS) {
+        log.warn('Upload rejected, retrying', error, { attempts });
+        updateJob(job.id, { status: 'waiting', attempts, retryAt: Date.now() + retryDelay(attempts), error: error.message });
+      } else {
+        log.error('Upload failed', error, { attempts });
+        updateJob(job.id, { status: 'failed', attempts, retryAt: null, error: error.message });
+      }
+      scheduleRetry();
+    } finally {
+      if (running?.id === job.id) running = null;
+      runNext();
+    }
+  };
+
+  // Forgets the jobs in memory; they stay on disk for the next sign-in
+  const unload = () => {
+    running?.controller.abort();
+    running = null;
+    clearTimeout(retryTimer);
+    userId = null;
+    jobs = [];
+    progress = {};
+    notify();
+  };
+
+  return {
+    async load(nextUserId) {
+      unload();
+      userId = nextUserId;
+
+      let saved = [];
+      try {
+        const raw = await AsyncStorage.getItem(uploadsKey(nextUserId));
+        saved = raw ? JSON.parse(raw) : [];
+      } catch (error) {
+        log.error('Error reading uploads', error);
+      }
+      if (userId !== nextUserId) return;
+
+      // Whatever was in flight when the app quit picks up from its resume point
+      jobs = [
+        ...saved.map(job => (job.status === 'failed' ? job : { ...job, status: 'queued', retryAt: null })),
+        ...jobs, // enqueued while loading
+      ];
+      setJobs(jobs);
+      runNext();
+    },
+
+    unload,
+
+    enqueue(job) {
+      setJobs([...jobs, { ...job, status: 'queued', attempts: 0, error: null, retryAt: null }]);
+      runNext();
+    },
+
+    // Removes the job and whatever it already uploaded; anything left behind
+    // is picked up by the media sweep
+    async cancel(id) {
+      const job = jobs.find(j => j.id === id);
+      if (!job) return;
+
+      cancelledIds.add(id);
+      if (running?.id === id) running.controller.abort();
+      delete progress[id];
+      setJobs(jobs.filter(j => j.id !== id));
+      scheduleRetry();
+      await discardJobMedia(job);
+
+      const uploadedPaths = job.files.filter(file => file.done).map(file => file.path);
+      if (uploadedPaths.length > 0) {
+        backend.media.remove(uploadedPaths).catch(() => {});
+      }
+    },
+
+    retry(id) {
+      updateJob(id, { status: 'queued', attempts: 0, error: null, retryAt: null });
+      scheduleRetry();
+      runNext();
+    },
+
+    // Back online or in the foreground: don't sit out the backoff
+    resume() {
+      if (jobs.some(job => job.status === 'waiting')) {
+        setJobs(jobs.map(job => (job.status === 'waiting' ? { ...job, status: 'queued', retryAt: null } : job)));
+        scheduleRetry();
+      }
+      runNext();
+    },
+
+    // Storage paths of unfinished jobs, which the media sweep must not touch
+    pendingPaths() {
+      return jobs.flatMap(job => job.files.map(file => file.path));
+    },
+  };
+}
@@ -10,133 +10,774 @@ import {
   ScrollView,
   Dimensions,
   Keyboard,
-  TouchableOpacity
+  TouchableOpacity,
+  Pressable,
+  Animated,
+  PanResponder
 } from 'react-native';
 import { Button, TextInput, Text } from 'react-native-paper';
-import { CameraView, useCameraPermissions } from 'expo-camera';
+import { CameraView, useCameraPermissions, useMicrophonePermissions } from 'expo-camera';
+import { VideoView, useVideoPlayer } from 'expo-video';
 import * as ImagePicker from 'expo-image-picker';
-import * as FileSystem from 'expo-file-system/legacy';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { decode } from 'base64-arraybuffer';
-import { supabase } from '../supabase';
 import { useIsFocused } from '@react-navigation/native';
+import { useApp, useUpload } from '../context/AppContext';
 import { Ionicons } from '@expo/vector-icons';
+import { createLogger } from '../lib/logger';
+import { MAX_VIDEO_DURATION, MAX_POST_MEDIA, MAX_ALT_TEXT_LENGTH, formatDuration } from '../lib/media';
+import { MAX_BADGE_FONT_SCALE } from '../lib/accessibility';
+import { createDraftId } from '../lib/drafts';
+import { isEdited } from '../lib/photoEdits';
+import { mentionQueryAt, completeMention } from '../lib/captions';
+import {
+  DEFAULT_CAMERA_SETTINGS,
+  FLASH_MODES,
+  TIMER_DELAYS,
+  loadCameraSettings,
+  saveCameraSettings,
+} from '../lib/cameraSettings';
+import PhotoEditor from '../components/PhotoEditor';
+import EditedImage, { useEditingImage } from '../components/EditedImage';
 
 const { width } = Dimensions.get('window');
+const log = createLogger('CameraScreen');
+// Pause in editing before the composition is saved as a draft
+const DRAFT_SAVE_DELAY_MS = 1000;
+// Pause in typing an @mention before usernames are looked up
+const MENTION_SEARCH_DELAY_MS = 250;
+// Spreading two fingers this far (in points) zooms all the way in
+const PINCH_ZOOM_DISTANCE = 300;
+// Fingers that move less than this still count as a tap (to focus)
+const TAP_SLOP = 10;
+const FOCUS_INDICATOR_MS = 1000;
+// How long autofocus stays off before it's turned back on to refocus
+const FOCUS_RESET_MS = 100;
+
+const FLASH_LABELS = {
+  off: 'Flash off',
+  on: 'Flash on',
+  auto: 'Flash auto',
+  torch: 'Torch on',
+};
+
+const FLASH_ICONS = {
+  off: 'flash-off',
+  on: 'flash',
+  auto: 'flash-outline',
+  torch: 'flashlight',
+};
+
+// Zoom change per screen reader swipe on the slider
+const ZOOM_STEP = 0.1;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// --- VIDEO PREVIEW ---
+const PreviewVideo = ({ uri }) => {
+  const player = useVideoPlayer(uri, player => {
+    player.loop = true;
+    player.play();
+  });
+
+  return (
+    <VideoView
+      style={styles.previewImage}
+      player={player}
+      nativeControls
+      contentFit="cover"
+      accessibilityLabel="Video preview"
+    />
+  );
+};
+
+// --- ZOOM SLIDER ---
+// 0 (widest) to 1 (the device's maximum zoom), like CameraView's zoom prop
+const ZoomSlider = ({ value, onChange }) => {
+  const [trackWidth, setTrackWidth] = useState(0);
+  const startRef = useRef(0);
+  const latest = useRef({});
+  latest.current = { value, onChange, trackWidth };
 
-export default function CameraScreen({ navigation }) {
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => {
+      startRef.current = latest.current.value;
+    },
+    onPanResponderMove: (_, { dx }) => {
+      const { trackWidth: width, onChange: change } = latest.current;
+      if (width) change(clamp(startRef.current + dx / width, 0, 1));
+    },
+  })).current;
+
+  return (
+    <View style={styles.zoomRow}>
+      <Ionicons name="remove" size={16} color="#000" />
+      <View
+        style={styles.zoomTrack}
+        onLayout={({ nativeEvent }) => setTrackWidth(nativeEvent.layout.width)}
+        {...panResponder.panHandlers}
+        // Swipe up or down with a screen reader to zoom in steps
+        accessible
+        accessibilityRole="adjustable"
+        accessibilityLabel="Zoom"
+        accessibilityValue={{ text: `${Math.round(value * 100)}%` }}
+        accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+        onAccessibilityAction={({ nativeEvent }) => {
+          const step = nativeEvent.actionName === 'increment' ? ZOOM_STEP : -ZOOM_STEP;
+          onChange(clamp(value + step, 0, 1));
+        }}
+      >
+        <View style={styles.zoomLine} />
+        <View style={[styles.zoomThumb, { left: value * trackWidth - 10 }]} />
+      </View>
+      <Ionicons name="add" size={16} color="#000" />
+      <Text style={styles.zoomText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>{Math.round(value * 100)}%</Text>
+    </View>
+  );
+};
+
+// --- EDITED PHOTO PREVIEW ---
+// Edits are only applied to the file when sharing; until then they're drawn
+const EditedPreview = ({ uri, edits }) => {
+  const image = useEditingImage(uri);
+  const [size, setSize] = useState(null);
+
+  return (
+    <View
+      style={[styles.previewImage, styles.editedPreview]}
+      onLayout={({ nativeEvent }) => setSize(nativeEvent.layout)}
+    >
+      {size && <EditedImage image={image} edits={edits} width={size.width} height={size.height} />}
+    </View>
+  );
+};
+
+// --- MEDIA STRIP ---
+// The post's items in order. Tap a tile to preview it; hold it, then drag
+// it sideways to move it.
+const TILE_SIZE = 64;
+const TILE_GAP = 10;
+const TILE_STEP = TILE_SIZE + TILE_GAP;
+
+const MediaStrip = ({ items, selectedId, onSelect, onMove, onAdd, disabled }) => {
+  const [drag, setDrag] = useState(null); // { from, to } as indexes
+  const dragX = useRef(new Animated.Value(0)).current;
+  const dragRef = useRef(null);
+  // Set once the strip has taken the touch over from the held tile
+  const respondingRef = useRef(false);
+  // The responder is created once; read the latest props through refs
+  const onMoveRef = useRef(onMove);
+  onMoveRef.current = onMove;
+  const countRef = useRef(items.length);
+  countRef.current = items.length;
+
+  const targetIndex = (dx) =>
+    Math.max(0, Math.min(countRef.current - 1, dragRef.current.from + Math.round(dx / TILE_STEP)));
+
+  const endDrag = (to) => {
+    const current = dragRef.current;
+    dragRef.current = null;
+    respondingRef.current = false;
+    dragX.setValue(0);
+    setDrag(null);
+    if (current && to !== null && to !== current.from) onMoveRef.current(current.from, to);
+  };
+
+  const panResponder = useRef(PanResponder.create({
+    onMoveShouldSetPanResponderCapture: () => dragRef.current !== null,
+    onPanResponderGrant: () => {
+      respondingRef.current = true;
+    },
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderMove: (_, { dx }) => {
+      dragX.setValue(dx);
+      const to = targetIndex(dx);
+      if (to !== dragRef.current.to) {
+        dragRef.current = { ...dragRef.current, to };
+        setDrag(dragRef.current);
+      }
+    },
+    onPanResponderRelease: (_, { dx }) => endDrag(targetIndex(dx)),
+    onPanResponderTerminate: () => endDrag(null),
+  })).current;
+
+  const startDrag = (from) => {
+    dragRef.current = { from, to: from };
+    setDrag(dragRef.current);
+  };
+
+  // Let go without moving: the strip never got the touch, so end it here
+  const handlePressOut = () => {
+    if (dragRef.current && !respondingRef.current) endDrag(null);
+  };
+
+  // The other tiles make room where the dragged one would land
+  const shiftFor = (index) => {
+    if (!drag || index === drag.from) return 0;
+    if (drag.from < drag.to && index > drag.from && index <= drag.to) return -TILE_STEP;
+    if (drag.from > drag.to && index >= drag.to && index < drag.from) return TILE_STEP;
+    return 0;
+  };
+
+  return (
+    <ScrollView
+      horizontal
+      scrollEnabled={!drag}
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.stripContent}
+    >
+      <View style={styles.strip} {...panResponder.panHandlers}>
+        {items.map((item, index) => (
+          <Animated.View
+            key={item.id}
+            style={drag?.from === index
+              ? [styles.draggingTile, { transform: [{ translateX: dragX }, { scale: 1.1 }] }]
+              : { transform: [{ translateX: shiftFor(index) }] }}
+          >
+            <TouchableOpacity
+              onPress={() => onSelect(item.id)}
+              onLongPress={items.length > 1 ? () => startDrag(index) : undefined}
+              onPressOut={handlePressOut}
+              delayLongPress={250}
+              disabled={disabled}
+              activeOpacity={0.8}
+              style={[styles.tile, item.id === selectedId && styles.selectedTile]}
+              accessibilityRole="button"
+              accessibilityLabel={`${item.type === 'video' ? 'Video' : 'Photo'} ${index + 1} of ${items.length}${item.edits ? ', edited' : ''}${item.altText ? `. ${item.altText}` : ''}`}
+              accessibilityState={{ selected: item.id === selectedId, disabled }}
+              // Screen readers reorder through the actions menu instead of dragging
+              accessibilityActions={[
+                index > 0 && { name: 'moveLeft', label: 'Move left' },
+                index < items.length - 1 && { name: 'moveRight', label: 'Move right' },
+              ].filter(Boolean)}
+              onAccessibilityAction={({ nativeEvent }) => {
+                if (nativeEvent.actionName === 'moveLeft') onMove(index, index - 1);
+                if (nativeEvent.actionName === 'moveRight') onMove(index, index + 1);
+              }}
+            >
+              {item.type === 'video' ? (
+                <View style={styles.videoTile}>
+                  <Ionicons name="videocam" size={20} color="#fff" />
+                  {item.duration ? (
+                    <Text style={styles.videoTileText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>
+                      {formatDuration(item.duration)}
+                    </Text>
+                  ) : null}
+                </View>
+              ) : (
+                <Image source={{ uri: item.uri }} style={styles.tileImage} resizeMode="cover" />
+              )}
+              {item.edits && (
+                <View style={styles.editedBadge}>
+                  <Ionicons name="color-wand" size={10} color="#000" />
+                </View>
+              )}
+              <View style={styles.tileNumber}>
+                <Text style={styles.tileNumberText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>{index + 1}</Text>
+              </View>
+            </TouchableOpacity>
+          </Animated.View>
+        ))}
+        {onAdd && (
+          <TouchableOpacity
+            onPress={onAdd}
+            disabled={disabled}
+            style={[styles.tile, styles.addTile]}
+            accessibilityRole="button"
+            accessibilityLabel="Add photos or videos"
+          >
+            <Ionicons name="add" size={28} color="#000" />
+          </TouchableOpacity>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+export default function CameraScreen({ navigation, route }) {
   const isFocused = useIsFocused();
+  const { createPost, cancelUpload, retryUpload, drafts, saveDraft, discardDraft, searchProfiles } = useApp();
   const [cameraPermission, requestCameraPermission] = useCameraPermissions();
+  const [microphonePermission, requestMicrophonePermission] = useMicrophonePermissions();
 
-  const [photo, setPhoto] = useState(null);
+  // The post's items in order, each
+  // { id, uri, type: 'photo' | 'video', duration (seconds), width, height, edits }
+  // (duration, width and height only for videos, and only when known;
+  // edits only for edited photos, see lib/photoEdits.js)
+  const [media, setMedia] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  // Photo open in the editor
+  const [editingId, setEditingId] = useState(null);
+  // Back in the camera to add items to the post being composed
+  const [addingMore, setAddingMore] = useState(false);
   const [caption, setCaption] = useState('');
-  const [uploading, setUploading] = useState(false);
-  const [facing, setFacing] = useState('back');
+  // Cursor position in the caption, for mention autocomplete
+  const [captionCursor, setCaptionCursor] = useState(null);
+  // Set for one render after a completed mention, to put the cursor after it
+  const [captionSelection, setCaptionSelection] = useState(undefined);
+  const [mentionSuggestions, setMentionSuggestions] = useState([]);
+  const mentionSearchRef = useRef(0);
+  // Processing the media before it is handed to the upload manager
+  const [preparing, setPreparing] = useState(false);
+  // The upload itself lives in the context and carries on if the user
+  // leaves this tab; this screen just follows it
+  const [uploadId, setUploadId] = useState(null);
+  const { job: upload, postId: uploadedPostId } = useUpload(uploadId);
+  // Flash, self-timer, grid and lens, remembered between sessions
+  const [settings, setSettings] = useState(DEFAULT_CAMERA_SETTINGS);
+  const [zoom, setZoom] = useState(0);
+  // Seconds left on the self-timer, null when it isn't running
+  const [countdown, setCountdown] = useState(null);
+  // Where the viewfinder was last tapped, while the focus square shows
+  const [focusPoint, setFocusPoint] = useState(null);
+  const [autofocus, setAutofocus] = useState('on');
+  const [recording, setRecording] = useState(false);
+  const [recordingSeconds, setRecordingSeconds] = useState(0);
 
   const cameraRef = useRef(null);
+  const recordingStartRef = useRef(null);
+  const nextMediaIdRef = useRef(1);
+  const countdownRef = useRef(null);
+  const focusTimeoutRef = useRef(null);
+  const zoomRef = useRef(0);
+  zoomRef.current = zoom;
+  // Draft the composition is saved to; picked when the first item is added
+  const draftIdRef = useRef(null);
+
+  const remaining = MAX_POST_MEDIA - media.length;
+  const selected = media.find(item => item.id === selectedId) || media[0];
+  const busy = !!upload || preparing;
+
+  // The composition as it should be saved, read by timers and on unmount.
+  // Nothing is saved once it has been handed to createPost.
+  const compositionRef = useRef(null);
+  compositionRef.current = media.length > 0 && !busy && draftIdRef.current
+    ? { id: draftIdRef.current, caption, media }
+    : null;
+
+  const saveComposition = () => {
+    if (compositionRef.current) saveDraft(compositionRef.current);
+  };
 
   useEffect(() => {
     (async () => {
       await ImagePicker.requestMediaLibraryPermissionsAsync();
     })();
+    loadCameraSettings().then(setSettings);
+    return () => {
+      clearInterval(countdownRef.current);
+      clearTimeout(focusTimeoutRef.current);
+    };
   }, []);
 
+  // Usernames for the @mention being typed, newest query wins
+  const mention = captionCursor === null ? null : mentionQueryAt(caption, captionCursor);
+  useEffect(() => {
+    const search = ++mentionSearchRef.current;
+    if (!mention?.query) {
+      setMentionSuggestions([]);
+      return;
+    }
+    const timeout = setTimeout(async () => {
+      const profiles = await searchProfiles(mention.query);
+      if (search === mentionSearchRef.current) setMentionSuggestions(profiles);
+    }, MENTION_SEARCH_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [mention?.query]);
+
+  const pickMention = (username) => {
+    const completed = completeMention(caption, mention, username);
+    const cursor = mention.start + username.length + 2; // @, name, space
+    setCaption(completed);
+    setCaptionCursor(cursor);
+    setCaptionSelection({ start: cursor, end: cursor });
+    setMentionSuggestions([]);
+  };
+
+  // Leaving the camera stops the self-timer and zooms back out
+  useEffect(() => {
+    if (isFocused) return;
+    cancelCountdown();
+    setZoom(0);
+  }, [isFocused]);
+
+  // The upload is over: it created the post, or was cancelled from the feed
+  useEffect(() => {
+    if (!uploadId || upload) return;
+    if (uploadedPostId && isFocused) {
+      Alert.alert('Success', 'Post shared!');
+      navigation.navigate('Home');
+    }
+    resetState();
+  }, [uploadId, upload, uploadedPostId]);
+
+  // Saved as a draft while it's edited, and whenever the screen loses focus
+  // or unmounts, so leaving it never loses the post
+  useEffect(() => {
+    if (!compositionRef.current) return;
+    const timeout = setTimeout(saveComposition, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [media, caption, busy]);
+
+  useEffect(() => {
+    if (!isFocused) saveComposition();
+  }, [isFocused]);
+
+  useEffect(() => () => saveComposition(), []);
+
+  // Opened from the drafts on the profile screen
+  const resumeDraftId = route.params?.draftId;
+  useEffect(() => {
+    if (!resumeDraftId) return;
+    navigation.setParams({ draftId: undefined });
+    if (resumeDraftId === draftIdRef.current) return;
+
+    const draft = drafts.find(d => d.id === resumeDraftId);
+    if (!draft) return;
+    if (preparing) {
+      Alert.alert('Still preparing', 'Open the draft again once your post is on its way.');
+      return;
+    }
+
+    // Whatever was being composed stays a draft of its own; an upload in
+    // progress carries on in the feed's banner
+    saveComposition();
+    setUploadId(null);
+    setAddingMore(false);
+    draftIdRef.current = draft.id;
+    nextMediaIdRef.current = Math.max(0, ...draft.media.map(item => item.id)) + 1;
+    setMedia(draft.media);
+    setSelectedId(draft.media[0]?.id ?? null);
+    setCaption(draft.caption);
+  }, [resumeDraftId]);
+
+  // Recording timer shown over the viewfinder
+  useEffect(() => {
+    if (!recording) return;
+    const interval = setInterval(() => {
+      setRecordingSeconds((Date.now() - recordingStartRef.current) / 1000);
+    }, 250);
+    return () => clearInterval(interval);
+  }, [recording]);
+
+  // Appends to the post and previews the first new item. Leaves the camera
+  // once the post is full. A new post opens its first photo in the editor;
+  // photos added to one are edited from the preview.
+  const addMedia = (items) => {
+    const added = items
+      .slice(0, remaining)
+      .map(item => ({ ...item, id: nextMediaIdRef.current++ }));
+    if (added.length === 0) return;
+
+    if (!draftIdRef.current) draftIdRef.current = createDraftId();
+    setMedia(current => [...current, ...added].slice(0, MAX_POST_MEDIA));
+    setSelectedId(added[0].id);
+    if (added.length >= remaining) setAddingMore(false);
+    if (!addingMore) setEditingId(added.find(item => item.type === 'photo')?.id ?? null);
+  };
+
+  const finishEditing = (edits) => {
+    setMedia(current => current.map(item => (
+      item.id === editingId ? { ...item, edits: isEdited(edits) ? edits : null } : item
+    )));
+    setEditingId(null);
+  };
+
+  const setAltText = (id, altText) => {
+    setMedia(current => current.map(item => (item.id === id ? { ...item, altText } : item)));
+  };
+
+  const moveMedia = (from, to) => {
+    setMedia(current => {
+      const next = [...current];
+      const [item] = next.splice(from, 1);
+      next.splice(to, 0, item);
+      return next;
+    });
+  };
+
+  const removeMedia = (id) => {
+    const next = media.filter(item => item.id !== id);
+    if (next.length === 0) {
+      if (draftIdRef.current) discardDraft(draftIdRef.current);
+      resetState();
+      return;
+    }
+    setMedia(next);
+    if (id === selected?.id) setSelectedId(next[0].id);
+  };
+
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveCameraSettings(next);
+  };
+
+  const cycleFlash = () => {
+    updateSettings({ flash: FLASH_MODES[(FLASH_MODES.indexOf(settings.flash) + 1) % FLASH_MODES.length] });
+  };
+
+  const cycleTimer = () => {
+    updateSettings({ timer: TIMER_DELAYS[(TIMER_DELAYS.indexOf(settings.timer) + 1) % TIMER_DELAYS.length] });
+  };
+
+  // With the self-timer on, the shutter starts (or cancels) a countdown
+  const handleShutterPress = () => {
+    if (countdown !== null) {
+      cancelCountdown();
+    } else if (settings.timer > 0) {
+      startCountdown(settings.timer);
+    } else {
+      takePicture();
+    }
+  };
+
+  const startCountdown = (seconds) => {
+    let secondsLeft = seconds;
+    setCountdown(secondsLeft);
+    countdownRef.current = setInterval(() => {
+      secondsLeft -= 1;
+      if (secondsLeft > 0) {
+        setCountdown(secondsLeft);
+        return;
+      }
+      cancelCountdown();
+      takePicture();
+    }, 1000);
+  };
+
+  const cancelCountdown = () => {
+    clearInterval(countdownRef.current);
+    countdownRef.current = null;
+    setCountdown(null);
+  };
+
+  // expo-camera has no focus-point API: turning autofocus off and on makes
+  // the camera refocus, and the square shows where the tap landed
+  const focusAt = (x, y) => {
+    clearTimeout(focusTimeoutRef.current);
+    setFocusPoint({ x, y });
+    setAutofocus('off');
+    setTimeout(() => setAutofocus('on'), FOCUS_RESET_MS);
+    focusTimeoutRef.current = setTimeout(() => setFocusPoint(null), FOCUS_INDICATOR_MS);
+  };
+
+  // One finger taps to focus, two pinch to zoom. Created once: reads zoom
+  // through zoomRef, and only calls state setters.
+  const tapRef = useRef(null);
+  const pinchRef = useRef(null);
+  const viewfinderGestures = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: ({ nativeEvent }) => {
+      tapRef.current = { x: nativeEvent.locationX, y: nativeEvent.locationY };
+      pinchRef.current = null;
+    },
+    onPanResponderMove: ({ nativeEvent }, { dx, dy }) => {
+      const { touches } = nativeEvent;
+      if (touches.length >= 2) {
+        tapRef.current = null;
+        const distance = Math.hypot(touches[0].pageX - touches[1].pageX, touches[0].pageY - touches[1].pageY);
+        if (!pinchRef.current) {
+          pinchRef.current = { distance, zoom: zoomRef.current };
+        } else {
+          setZoom(clamp(pinchRef.current.zoom + (distance - pinchRef.current.distance) / PINCH_ZOOM_DISTANCE, 0, 1));
+        }
+      } else if (Math.abs(dx) > TAP_SLOP || Math.abs(dy) > TAP_SLOP) {
+        tapRef.current = null;
+      }
+    },
+    onPanResponderRelease: () => {
+      if (tapRef.current) focusAt(tapRef.current.x, tapRef.current.y);
+      tapRef.current = null;
+      pinchRef.current = null;
+    },
+  })).current;
+
   const takePicture = async () => {
-    if (cameraRef.current) {
+    if (cameraRef.current && !recording) {
       try {
-        const photo = await cameraRef.current.takePictureAsync({ quality: 0.5 });
-        setPhoto(photo);
+        // Full quality: createPost downscales and re-encodes it once
+        const photo = await cameraRef.current.takePictureAsync({ quality: 1, exif: false });
+        addMedia([{ uri: photo.uri, type: 'photo' }]);
       } catch (error) {
+        log.error('Error taking picture', error);
         Alert.alert('Error', 'Failed to take picture');
       }
     }
   };
 
+  // Hold the shutter to record; releasing it (or hitting the max duration)
+  // ends the clip
+  const startRecording = async () => {
+    if (!cameraRef.current || recording || countdown !== null) return;
+
+    // The finger is usually off the shutter once the prompt is answered,
+    // so a first-time grant just arms the next hold
+    if (!microphonePermission?.granted) {
+      const { granted } = await requestMicrophonePermission();
+      if (!granted) {
+        Alert.alert('Microphone needed', 'Allow microphone access to record videos.');
+      }
+      return;
+    }
+
+    recordingStartRef.current = Date.now();
+    setRecordingSeconds(0);
+    setRecording(true);
+    try {
+      const video = await cameraRef.current.recordAsync({ maxDuration: MAX_VIDEO_DURATION });
+      const duration = Math.min((Date.now() - recordingStartRef.current) / 1000, MAX_VIDEO_DURATION);
+      if (video?.uri) {
+        addMedia([{ uri: video.uri, type: 'video', duration: Math.round(duration) }]);
+      }
+    } catch (error) {
+      log.error('Error recording video', error);
+      Alert.alert('Error', 'Failed to record video');
+    } finally {
+      recordingStartRef.current = null;
+      setRecording(false);
+    }
+  };
+
+  // Reads the ref: the press can end before the recording state re-renders
+  const stopRecording = () => {
+    if (recordingStartRef.current) cameraRef.current?.stopRecording();
+  };
+
+  // Picks up to the room left in the post, in the order they were tapped
   const pickFromGallery = async () => {
     try {
       const result = await ImagePicker.launchImageLibraryAsync({
-        mediaTypes: ['images'],
+        mediaTypes: ['images', 'videos'],
         allowsEditing: false,
-        quality: 0.7,
+        allowsMultipleSelection: true,
+        selectionLimit: remaining,
+        orderedSelection: true,
+        quality: 1,
+        exif: false,
+        videoMaxDuration: MAX_VIDEO_DURATION,
+      });
+      if (result.canceled) return;
+
+      let tooLong = 0;
+      const picked = result.assets.flatMap(asset => {
+        if (asset.type !== 'video') return [{ uri: asset.uri, type: 'photo' }];
+
+        // The picker reports milliseconds
+        const duration = (asset.duration || 0) / 1000;
+        if (duration > MAX_VIDEO_DURATION) {
+          tooLong++;
+          return [];
+        }
+        return [{
+          uri: asset.uri,
+          type: 'video',
+          duration: Math.round(duration) || null,
+          width: asset.width || null,
+          height: asset.height || null,
+        }];
       });
 
-      if (!result.canceled) {
-        const asset = result.assets[0];
-        setPhoto(asset);
+      if (tooLong > 0) {
+        Alert.alert(
+          'Video too long',
+          `Videos can be up to ${formatDuration(MAX_VIDEO_DURATION)} long` +
+            (picked.length > 0 ? `; ${tooLong} of your picks ${tooLong === 1 ? 'was' : 'were'} left out.` : '.')
+        );
       }
+      addMedia(picked);
+      setAddingMore(false);
     } catch (error) {
-      Alert.alert('Error', 'Failed to pick image');
+      log.error('Error picking media', error);
+      Alert.alert('Error', 'Failed to pick media');
     }
   };
 
   const toggleCameraFacing = () => {
-    setFacing(current => (current === 'back' ? 'front' : 'back'));
+    updateSettings({ facing: settings.facing === 'back' ? 'front' : 'back' });
+    setZoom(0);
   };
 
   const uploadPost = async () => {
-    if (!photo || !caption.trim()) {
+    if (media.length === 0 || !caption.trim()) {
       Alert.alert('Error', 'Please add a caption');
       return;
     }
 
     Keyboard.dismiss();
-    setUploading(true);
-
-    try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) throw new Error("No user found");
+    setPreparing(true);
 
-      const mediaUri = photo.uri;
-      const fileExtension = 'jpg';
-      const fileName = `${user.id}/${Date.now()}.${fileExtension}`;
-      const mimeType = 'image/jpeg';
-
-      const base64 = await FileSystem.readAsStringAsync(mediaUri, {
-        encoding: 'base64',
-      });
-      const arrayBuffer = decode(base64);
+    const result = await createPost({ media, caption });
 
-      const { error: uploadError } = await supabase.storage
-        .from('posts')
-        .upload(fileName, arrayBuffer, {
-          contentType: mimeType,
-          upsert: false,
-        });
-
-      if (uploadError) throw uploadError;
-
-      const { data: { publicUrl } } = supabase.storage
-        .from('posts')
-        .getPublicUrl(fileName);
-
-      const { error: dbError } = await supabase
-        .from('posts')
-        .insert([{
-          user_id: user.id,
-          caption: caption,
-          media_type: 'photo',
-          image_url: publicUrl,
-          video_duration: null
-        }]);
-
-      if (dbError) throw dbError;
+    setPreparing(false);
+    if (result.success) {
+      // The upload job has its own copy of the media now
+      if (draftIdRef.current) discardDraft(draftIdRef.current);
+      draftIdRef.current = null;
+      setUploadId(result.uploadId);
+    } else {
+      Alert.alert('Upload failed', result.error || 'Failed to upload post');
+    }
+  };
 
-      Alert.alert('Success', 'Post shared!');
-      resetState();
-      navigation.navigate('Home');
+  const handleCancelUpload = async () => {
+    await cancelUpload(uploadId);
+    resetState();
+  };
 
-    } catch (error) {
-      console.error('Error uploading:', error);
-      Alert.alert('Error', 'Failed to upload post');
-    } finally {
-      setUploading(false);
-    }
+  // Back arrow on the preview: keep the post as a draft or drop it
+  const handleBack = () => {
+    Alert.alert(
+      'Save draft?',
+      'Drafts are kept on this device. Find them on your profile.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => {
+            if (draftIdRef.current) discardDraft(draftIdRef.current);
+            draftIdRef.current = null;
+            resetState();
+          },
+        },
+        {
+          text: 'Save draft',
+          onPress: () => {
+            saveComposition();
+            resetState();
+          },
+        },
+      ]
+    );
   };
 
   const resetState = () => {
-    setPhoto(null);
+    draftIdRef.current = null;
+    setMedia([]);
+    setSelectedId(null);
+    setEditingId(null);
+    setAddingMore(false);
     setCaption('');
-    setUploading(false);
+    setPreparing(false);
+    setUploadId(null);
+  };
+
+  const shareLabel = () => {
+    if (preparing) return 'PREPARING...';
+    if (!upload) return 'SHARE_NOW';
+    switch (upload.status) {
+      case 'uploading':
+        return `POSTING... ${Math.round(upload.progress * 100)}%`;
+      case 'waiting':
+        return upload.error ? 'RETRYING_SOON...' : 'WAITING_FOR_NETWORK';
+      case 'failed':
+        return 'RETRY_UPLOAD';
+      default:
+        return 'POSTING...';
+    }
   };
 
   if (!cameraPermission || !cameraPermission.granted) {
@@ -150,26 +791,139 @@ export default function CameraScreen({ navigation }) {
     );
   }
 
+  // --- EDITOR ---
+  const editingItem = !busy && media.find(item => item.id === editingId);
+  if (editingItem) {
+    return (
+      <PhotoEditor
+        key={editingItem.id}
+        uri={editingItem.uri}
+        initialEdits={editingItem.edits}
+        onDone={finishEditing}
+        onCancel={() => setEditingId(null)}
+      />
+    );
+  }
+
   // --- PREVIEW SCREEN ---
-  if (photo) {
+  if (media.length > 0 && !addingMore) {
     return (
       <SafeAreaView style={styles.container} edges={['top']}>
         <View style={styles.header}>
-          <TouchableOpacity onPress={resetState} style={styles.backBtn}>
+          <TouchableOpacity
+            onPress={handleBack}
+            disabled={busy}
+            style={[styles.backBtn, busy && styles.disabledBtn]}
+            accessibilityRole="button"
+            accessibilityLabel="Back"
+            accessibilityState={{ disabled: busy }}
+          >
             <Ionicons name="arrow-back" size={28} color="#000" />
           </TouchableOpacity>
-          <Text style={styles.headerTitle}>NEW_POST</Text>
-          <View style={{ width: 40 }} />
+          <Text style={styles.headerTitle} accessibilityRole="header">NEW_POST</Text>
+          <View style={styles.countBadge} accessible accessibilityLabel={`${media.length} of ${MAX_POST_MEDIA} items`}>
+            <Text style={styles.countText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>{media.length}/{MAX_POST_MEDIA}</Text>
+          </View>
         </View>
 
-        <ScrollView contentContainerStyle={styles.scrollContent}>
+        <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
           <View style={styles.previewCard}>
-            <Image source={{ uri: photo.uri }} style={styles.previewImage} resizeMode="cover" />
+            <View>
+              {selected.type === 'video' ? (
+                <>
+                  {/* Keyed so picking another video swaps the player */}
+                  <PreviewVideo key={selected.id} uri={selected.uri} />
+                  {selected.duration ? (
+                    <View style={styles.durationBadge}>
+                      <Text style={styles.durationText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>
+                        {formatDuration(selected.duration)}
+                      </Text>
+                    </View>
+                  ) : null}
+                </>
+              ) : selected.edits ? (
+                <EditedPreview key={selected.id} uri={selected.uri} edits={selected.edits} />
+              ) : (
+                <Image
+                  source={{ uri: selected.uri }}
+                  style={styles.previewImage}
+                  resizeMode="cover"
+                  accessible
+                  accessibilityLabel={selected.altText || 'Photo preview'}
+                />
+              )}
+              {!busy && (
+                <View style={styles.previewActions}>
+                  <TouchableOpacity
+                    onPress={() => removeMedia(selected.id)}
+                    style={styles.removeBtn}
+                    accessibilityRole="button"
+                    accessibilityLabel={selected.type === 'video' ? 'Remove video' : 'Remove photo'}
+                  >
+                    <Ionicons name="trash-outline" size={18} color="#000" />
+                  </TouchableOpacity>
+                  {selected.type === 'photo' && (
+                    <TouchableOpacity
+                      onPress={() => setEditingId(selected.id)}
+                      style={styles.editBtn}
+                      accessibilityRole="button"
+                      accessibilityLabel="Edit photo"
+                    >
+                      <Ionicons name="color-wand-outline" size={18} color="#000" />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
+            </View>
+
+            <View style={styles.stripBox}>
+              <MediaStrip
+                items={media}
+                selectedId={selected.id}
+                onSelect={setSelectedId}
+                onMove={moveMedia}
+                onAdd={remaining > 0 && !busy ? () => setAddingMore(true) : null}
+                disabled={busy}
+              />
+              {media.length > 1 && !busy && (
+                <Text style={styles.stripHint} importantForAccessibility="no" accessibilityElementsHidden>
+                  HOLD & DRAG TO REORDER
+                </Text>
+              )}
+            </View>
+
+            {/* Read out by screen readers in place of the selected item */}
+            <View style={styles.altTextBox}>
+              <TextInput
+                placeholder={selected.type === 'video' ? 'DESCRIBE_VIDEO (OPTIONAL)...' : 'DESCRIBE_PHOTO (OPTIONAL)...'}
+                value={selected.altText || ''}
+                onChangeText={(text) => setAltText(selected.id, text)}
+                editable={!busy}
+                maxLength={MAX_ALT_TEXT_LENGTH}
+                accessibilityLabel={`Alt text for ${selected.type === 'video' ? 'video' : 'photo'} ${media.indexOf(selected) + 1}`}
+                accessibilityHint="Describes it for people using screen readers"
+                style={styles.altTextInput}
+                multiline
+                underlineColor="transparent"
+                activeUnderlineColor="transparent"
+                placeholderTextColor="#666"
+                theme={{ colors: { background: '#fff' } }}
+              />
+            </View>
+
             <View style={styles.captionBox}>
               <TextInput
                 placeholder="WRITE_CAPTION..."
                 value={caption}
                 onChangeText={setCaption}
+                selection={captionSelection}
+                onSelectionChange={({ nativeEvent }) => {
+                  setCaptionCursor(nativeEvent.selection.end);
+                  setCaptionSelection(undefined);
+                }}
+                onBlur={() => setCaptionCursor(null)}
+                accessibilityLabel="Caption"
+                accessibilityHint="Type # for tags and @ to mention someone"
                 style={styles.captionInput}
                 multiline
                 underlineColor="transparent"
@@ -177,16 +931,66 @@ export default function CameraScreen({ navigation }) {
                 placeholderTextColor="#666"
                 theme={{ colors: { background: '#fff' } }}
               />
+              {mention && mentionSuggestions.length > 0 && (
+                <ScrollView
+                  horizontal
+                  keyboardShouldPersistTaps="handled"
+                  showsHorizontalScrollIndicator={false}
+                  contentContainerStyle={styles.mentionRow}
+                >
+                  {mentionSuggestions.map(profile => (
+                    <TouchableOpacity
+                      key={profile.id}
+                      onPress={() => pickMention(profile.username)}
+                      style={styles.mentionChip}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Mention @${profile.username}`}
+                    >
+                      <Text style={styles.mentionChipText}>@{profile.username}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+              )}
             </View>
           </View>
 
           <TouchableOpacity
-            onPress={uploadPost}
-            disabled={uploading}
-            style={[styles.shareBtn, uploading && styles.disabledBtn]}
+            onPress={upload?.status === 'failed' ? () => retryUpload(uploadId) : uploadPost}
+            disabled={preparing || (!!upload && upload.status !== 'failed')}
+            style={[styles.shareBtn, (preparing || (upload && upload.status !== 'failed')) && styles.disabledBtn]}
+            accessibilityRole="button"
+            accessibilityLabel={upload?.status === 'failed' ? 'Retry upload' : 'Share post'}
+            accessibilityState={{
+              disabled: preparing || (!!upload && upload.status !== 'failed'),
+              busy: preparing || (!!upload && upload.status !== 'failed'),
+            }}
+            accessibilityValue={upload && upload.status !== 'failed' ? { min: 0, max: 100, now: Math.round(upload.progress * 100) } : undefined}
           >
-            <Text style={styles.shareBtnText}>{uploading ? 'POSTING...' : 'SHARE_NOW'}</Text>
+            {upload && (
+              <View style={[styles.shareProgress, { width: `${Math.round(upload.progress * 100)}%` }]} />
+            )}
+            <Text style={styles.shareBtnText}>{shareLabel()}</Text>
           </TouchableOpacity>
+
+          {upload && (
+            <View style={styles.uploadStatus}>
+              <Text style={styles.uploadHint}>
+                {upload.status === 'failed'
+                  ? upload.error || 'The upload failed.'
+                  : upload.status === 'waiting' && !upload.error
+                    ? "You're offline. Your post will upload once you're back online."
+                    : 'You can leave this screen; the upload keeps going.'}
+              </Text>
+              <TouchableOpacity
+                onPress={handleCancelUpload}
+                style={styles.cancelUploadBtn}
+                accessibilityRole="button"
+                accessibilityLabel="Cancel upload"
+              >
+                <Text style={styles.cancelUploadText}>CANCEL_UPLOAD</Text>
+              </TouchableOpacity>
+            </View>
+          )}
         </ScrollView>
       </SafeAreaView>
     );
@@ -197,33 +1001,193 @@ export default function CameraScreen({ navigation }) {
     <View style={styles.container}>
       {isFocused && (
         <View style={styles.cameraContainer}>
+          {/* Video mode so a long press can record; stills work in it too */}
           <CameraView
             style={styles.camera}
             ref={cameraRef}
-            facing={facing}
-            mode="picture"
+            facing={settings.facing}
+            mode="video"
+            flash={settings.flash === 'torch' ? 'off' : settings.flash}
+            enableTorch={settings.flash === 'torch'}
+            zoom={zoom}
+            autofocus={autofocus}
+          />
+
+          {/* Tap to focus, pinch to zoom (the zoom slider covers both for screen readers) */}
+          <View
+            style={StyleSheet.absoluteFill}
+            {...viewfinderGestures.panHandlers}
+            importantForAccessibility="no"
+            accessibilityElementsHidden
           />
+
+          {settings.grid && (
+            <View style={StyleSheet.absoluteFill} pointerEvents="none">
+              <View style={[styles.gridLine, { left: '33.3%', top: 0, bottom: 0, width: 2 }]} />
+              <View style={[styles.gridLine, { left: '66.6%', top: 0, bottom: 0, width: 2 }]} />
+              <View style={[styles.gridLine, { top: '33.3%', left: 0, right: 0, height: 2 }]} />
+              <View style={[styles.gridLine, { top: '66.6%', left: 0, right: 0, height: 2 }]} />
+            </View>
+          )}
+
+          {focusPoint && (
+            <View
+              pointerEvents="none"
+              style={[styles.focusSquare, { left: focusPoint.x - 35, top: focusPoint.y - 35 }]}
+            />
+          )}
+
+          {countdown !== null && (
+            <View style={styles.countdownOverlay} pointerEvents="none">
+              <View style={styles.countdownBox} accessibilityLiveRegion="assertive">
+                <Text style={styles.countdownText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>{countdown}</Text>
+              </View>
+            </View>
+          )}
+
           <SafeAreaView style={styles.cameraUiContainer} pointerEvents="box-none">
             {/* Top Controls */}
             <View style={styles.topControls}>
-              <TouchableOpacity onPress={() => navigation.navigate('Home')} style={styles.closeBtn}>
-                <Ionicons name="close" size={28} color="#000" />
+              {/* While adding to a post, closing goes back to its preview */}
+              <TouchableOpacity
+                onPress={() => (addingMore ? setAddingMore(false) : navigation.navigate('Home'))}
+                disabled={recording}
+                style={styles.closeBtn}
+                accessibilityRole="button"
+                accessibilityLabel={addingMore ? 'Back to post' : 'Close camera'}
+                accessibilityState={{ disabled: recording }}
+              >
+                <Ionicons name={addingMore ? 'arrow-back' : 'close'} size={28} color="#000" />
               </TouchableOpacity>
+              {recording && (
+                <View style={styles.recordingBadge} accessible accessibilityLabel={`Recording, ${formatDuration(recordingSeconds)}`}>
+                  <View style={styles.recordingDot} />
+                  <Text style={styles.recordingText}>
+                    REC {formatDuration(recordingSeconds)} / {formatDuration(MAX_VIDEO_DURATION)}
+                  </Text>
+                </View>
+              )}
+              {addingMore && !recording && (
+                <TouchableOpacity
+                  onPress={() => setAddingMore(false)}
+                  style={styles.doneBtn}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Done, ${media.length} of ${MAX_POST_MEDIA} items`}
+                >
+                  <Text style={styles.doneText}>DONE {media.length}/{MAX_POST_MEDIA}</Text>
+                </TouchableOpacity>
+              )}
             </View>
 
-            {/* Bottom Controls */}
-            <View style={styles.bottomControls}>
-              <TouchableOpacity onPress={pickFromGallery} style={styles.galleryButton}>
-                <Ionicons name="images" size={24} color="#000" />
-              </TouchableOpacity>
+            {/* Settings */}
+            {!recording && (
+              <View style={styles.sideControls}>
+                <TouchableOpacity
+                  onPress={cycleFlash}
+                  style={[styles.sideBtn, settings.flash !== 'off' && styles.sideBtnActive]}
+                  accessibilityRole="button"
+                  accessibilityLabel={FLASH_LABELS[settings.flash]}
+                  accessibilityHint="Switches to the next flash mode"
+                >
+                  <Ionicons name={FLASH_ICONS[settings.flash]} size={22} color="#000" />
+                  <Text style={styles.sideBtnText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>{settings.flash.toUpperCase()}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={cycleTimer}
+                  disabled={countdown !== null}
+                  style={[styles.sideBtn, settings.timer > 0 && styles.sideBtnActive]}
+                  accessibilityRole="button"
+                  accessibilityLabel={settings.timer > 0 ? `Self-timer ${settings.timer} seconds` : 'Self-timer off'}
+                  accessibilityHint="Switches to the next delay"
+                  accessibilityState={{ disabled: countdown !== null }}
+                >
+                  <Ionicons name="timer-outline" size={22} color="#000" />
+                  <Text style={styles.sideBtnText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>{settings.timer > 0 ? `${settings.timer}S` : 'OFF'}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => updateSettings({ grid: !settings.grid })}
+                  style={[styles.sideBtn, settings.grid && styles.sideBtnActive]}
+                  accessibilityRole="switch"
+                  accessibilityLabel="Grid"
+                  accessibilityState={{ checked: settings.grid }}
+                >
+                  <Ionicons name="grid-outline" size={22} color="#000" />
+                  <Text style={styles.sideBtnText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>GRID</Text>
+                </TouchableOpacity>
+              </View>
+            )}
 
-              <TouchableOpacity onPress={takePicture} style={styles.captureButtonOuter}>
-                <View style={styles.captureButtonInner} />
-              </TouchableOpacity>
+            <View style={styles.bottomArea} pointerEvents="box-none">
+              <ZoomSlider value={zoom} onChange={setZoom} />
 
-              <TouchableOpacity onPress={toggleCameraFacing} style={styles.flipButton}>
-                <Ionicons name="camera-reverse" size={28} color="#000" />
-              </TouchableOpacity>
+              {/* Bottom Controls */}
+              <View style={styles.bottomControls}>
+                <TouchableOpacity
+                  onPress={pickFromGallery}
+                  disabled={recording || countdown !== null}
+                  style={[styles.galleryButton, recording && styles.hiddenControl]}
+                  accessibilityRole="button"
+                  accessibilityLabel="Choose from gallery"
+                  accessibilityState={{ disabled: recording || countdown !== null }}
+                  accessibilityElementsHidden={recording}
+                  importantForAccessibility={recording ? 'no-hide-descendants' : 'auto'}
+                >
+                  <Ionicons name="images" size={24} color="#000" />
+                </TouchableOpacity>
+
+                <View style={styles.captureColumn}>
+                  <Pressable
+                    onPress={handleShutterPress}
+                    onLongPress={startRecording}
+                    onPressOut={stopRecording}
+                    delayLongPress={300}
+                    style={styles.captureButtonOuter}
+                    accessibilityRole="button"
+                    accessibilityLabel={recording ? 'Stop recording' : countdown !== null ? 'Cancel self-timer' : 'Take photo'}
+                    accessibilityHint={recording || countdown !== null ? undefined : 'Hold to record a video'}
+                    // Holding is hard with a screen reader: recording also
+                    // starts and stops from the actions menu
+                    accessibilityActions={[
+                      { name: 'activate' },
+                      { name: 'record', label: recording ? 'Stop recording' : 'Record video' },
+                    ]}
+                    onAccessibilityAction={({ nativeEvent }) => {
+                      if (nativeEvent.actionName === 'record') {
+                        if (recording) stopRecording();
+                        else startRecording();
+                      } else if (recording) {
+                        stopRecording();
+                      } else {
+                        handleShutterPress();
+                      }
+                    }}
+                  >
+                    <View style={recording ? styles.captureButtonRecording : styles.captureButtonInner} />
+                  </Pressable>
+                  <Text style={styles.captureHint} importantForAccessibility="no" accessibilityElementsHidden>
+                    {recording
+                      ? 'RELEASE_TO_STOP'
+                      : countdown !== null
+                        ? 'TAP_TO_CANCEL'
+                        : settings.timer > 0
+                          ? `TAP_PHOTO IN ${settings.timer}S`
+                          : 'TAP_PHOTO · HOLD_VIDEO'}
+                  </Text>
+                </View>
+
+                <TouchableOpacity
+                  onPress={toggleCameraFacing}
+                  disabled={recording || countdown !== null}
+                  style={[styles.flipButton, recording && styles.hiddenControl]}
+                  accessibilityRole="button"
+                  accessibilityLabel={settings.facing === 'back' ? 'Switch to front camera' : 'Switch to back camera'}
+                  accessibilityState={{ disabled: recording || countdown !== null }}
+                  accessibilityElementsHidden={recording}
+                  importantForAccessibility={recording ? 'no-hide-descendants' : 'auto'}
+                >
+                  <Ionicons name="camera-reverse" size={28} color="#000" />
+                </TouchableOpacity>
+              </View>
             </View>
           </SafeAreaView>
         </View>
@@ -276,8 +1240,117 @@ const styles = StyleSheet.create({
     shadowRadius: 0,
   },
   previewImage: { width: '100%', height: 300, borderBottomWidth: 3, borderBottomColor: '#000' },
+  durationBadge: {
+    position: 'absolute',
+    top: 10,
+    right: 10,
+    backgroundColor: '#FFD700',
+    borderWidth: 2,
+    borderColor: '#000',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  durationText: { fontSize: 12, fontWeight: '900', color: '#000' },
+  countBadge: {
+    width: 40,
+    alignItems: 'center',
+    paddingVertical: 2,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#000',
+  },
+  countText: { fontSize: 11, fontWeight: '900', color: '#000' },
+  editedPreview: { backgroundColor: '#000', overflow: 'hidden' },
+  previewActions: {
+    position: 'absolute',
+    top: 10,
+    left: 10,
+    flexDirection: 'row',
+    gap: 8,
+  },
+  editBtn: {
+    width: 34,
+    height: 34,
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 2,
+    borderColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  removeBtn: {
+    width: 34,
+    height: 34,
+    backgroundColor: '#FF69B4', // Pink
+    borderWidth: 2,
+    borderColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stripBox: { borderBottomWidth: 3, borderBottomColor: '#000', paddingVertical: 10 },
+  stripContent: { paddingHorizontal: 10 },
+  strip: { flexDirection: 'row', gap: TILE_GAP },
+  tile: {
+    width: TILE_SIZE,
+    height: TILE_SIZE,
+    borderWidth: 2,
+    borderColor: '#000',
+    backgroundColor: '#eee',
+  },
+  selectedTile: { borderWidth: 4, borderColor: '#4169E1' },
+  draggingTile: {
+    zIndex: 1,
+    elevation: 4,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  tileImage: { width: '100%', height: '100%' },
+  videoTile: { flex: 1, backgroundColor: '#000', justifyContent: 'center', alignItems: 'center' },
+  videoTileText: { fontSize: 10, fontWeight: '900', color: '#fff', marginTop: 2 },
+  tileNumber: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    minWidth: 18,
+    alignItems: 'center',
+    backgroundColor: '#FFD700', // Yellow
+    borderRightWidth: 2,
+    borderBottomWidth: 2,
+    borderColor: '#000',
+  },
+  editedBadge: {
+    position: 'absolute',
+    bottom: 0,
+    right: 0,
+    padding: 2,
+    backgroundColor: '#FFD700', // Yellow
+    borderLeftWidth: 2,
+    borderTopWidth: 2,
+    borderColor: '#000',
+  },
+  tileNumberText: { fontSize: 10, fontWeight: '900', color: '#000' },
+  addTile: { backgroundColor: '#fff', borderStyle: 'dashed', justifyContent: 'center', alignItems: 'center' },
+  stripHint: { marginTop: 8, textAlign: 'center', fontSize: 11, fontWeight: '900', color: '#666' },
+  altTextBox: { paddingHorizontal: 10, paddingTop: 10, borderTopWidth: 3, borderTopColor: '#000' },
+  altTextInput: { fontSize: 14, fontFamily: Platform.OS === 'ios' ? 'Courier New' : 'monospace' },
   captionBox: { padding: 10 },
   captionInput: { fontSize: 16, fontWeight: 'bold', fontFamily: Platform.OS === 'ios' ? 'Courier New' : 'monospace' },
+  mentionRow: { gap: 8, paddingTop: 10 },
+  mentionChip: {
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 2,
+    borderColor: '#000',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 2, height: 2 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  mentionChipText: { fontSize: 13, fontWeight: '900', color: '#000' },
 
   shareBtn: {
     backgroundColor: '#4169E1', // Blue
@@ -298,12 +1371,76 @@ const styles = StyleSheet.create({
     letterSpacing: 1,
   },
   disabledBtn: { opacity: 0.7 },
+  shareProgress: {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    bottom: 0,
+    backgroundColor: '#000',
+    opacity: 0.35,
+  },
+  uploadStatus: { marginTop: 20, alignItems: 'center', gap: 12 },
+  uploadHint: { fontSize: 13, fontWeight: 'bold', color: '#000', textAlign: 'center' },
+  cancelUploadBtn: {
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#000',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  cancelUploadText: { fontSize: 14, fontWeight: '900', color: '#000', letterSpacing: 1 },
 
   // Camera Styles
   cameraContainer: { flex: 1 },
   camera: { ...StyleSheet.absoluteFillObject },
   cameraUiContainer: { ...StyleSheet.absoluteFillObject, justifyContent: 'space-between' },
-  topControls: { padding: 20, alignItems: 'flex-start' },
+  topControls: { padding: 20, flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' },
+  recordingBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#000',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  recordingDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#FF3040',
+    marginRight: 8,
+  },
+  recordingText: {
+    fontSize: 14,
+    fontWeight: '900',
+    color: '#000',
+    fontFamily: Platform.OS === 'ios' ? 'Courier New' : 'monospace',
+  },
+  doneBtn: {
+    paddingHorizontal: 14,
+    height: 44,
+    backgroundColor: '#4169E1', // Blue
+    borderWidth: 3,
+    borderColor: '#000',
+    justifyContent: 'center',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 4, height: 4 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  doneText: { fontSize: 14, fontWeight: '900', color: '#fff', letterSpacing: 1 },
   closeBtn: {
     width: 44,
     height: 44,
@@ -318,6 +1455,77 @@ const styles = StyleSheet.create({
     shadowOpacity: 1,
     shadowRadius: 0,
   },
+  sideControls: { alignSelf: 'flex-end', marginRight: 20, gap: 12 },
+  sideBtn: {
+    width: 52,
+    height: 52,
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  sideBtnActive: { backgroundColor: '#FFD700' },
+  sideBtnText: { fontSize: 9, fontWeight: '900', color: '#000' },
+  gridLine: { position: 'absolute', backgroundColor: 'rgba(255,255,255,0.7)' },
+  focusSquare: {
+    position: 'absolute',
+    width: 70,
+    height: 70,
+    borderWidth: 3,
+    borderColor: '#FFD700',
+  },
+  countdownOverlay: { ...StyleSheet.absoluteFillObject, justifyContent: 'center', alignItems: 'center' },
+  countdownBox: {
+    minWidth: 120,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: '#FFD700',
+    borderWidth: 4,
+    borderColor: '#000',
+    alignItems: 'center',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 6, height: 6 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  countdownText: { fontSize: 80, fontWeight: '900', color: '#000' },
+  bottomArea: { gap: 16 },
+  zoomRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    width: '80%',
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#000',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    gap: 8,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  zoomTrack: { flex: 1, height: 28, justifyContent: 'center' },
+  zoomLine: { height: 4, backgroundColor: '#000' },
+  zoomThumb: {
+    position: 'absolute',
+    width: 20,
+    height: 20,
+    top: 4,
+    backgroundColor: '#FFD700',
+    borderWidth: 3,
+    borderColor: '#000',
+  },
+  zoomText: { width: 40, textAlign: 'right', fontSize: 12, fontWeight: '900', color: '#000' },
   bottomControls: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -348,6 +1556,26 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#000',
   },
+  captureButtonRecording: {
+    width: 34,
+    height: 34,
+    backgroundColor: '#FF3040', // Square while recording
+    borderWidth: 2,
+    borderColor: '#000',
+  },
+  captureColumn: { alignItems: 'center' },
+  captureHint: {
+    marginTop: 10,
+    fontSize: 11,
+    fontWeight: '900',
+    color: '#000',
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#000',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  hiddenControl: { opacity: 0 },
   galleryButton: {
     width: 50,
     height: 50,
@@ -5,7 +5,6 @@ import {
   StyleSheet,
   FlatList,
   RefreshControl,
-  Dimensions,
   TouchableOpacity,
   Platform,
   Animated,
@@ -14,19 +13,32 @@ import {
 import { Avatar, Text } from 'react-native-paper';
 import { Image } from 'expo-image'; // Use expo-image
 import { VideoView, useVideoPlayer } from 'expo-video';
-import { supabase } from '../supabase';
+import { useEvent } from 'expo';
 import { useNavigation } from '@react-navigation/native';
-import { useApp } from '../context/AppContext';
+import { useApp, useFeedPosts } from '../context/AppContext';
 import { Ionicons } from '@expo/vector-icons';
+import { createLogger } from '../lib/logger';
+import { mediaAspectRatio, postMediaItems, postMediaAccessibilityLabel, FEED_ASPECT_RANGE } from '../lib/media';
+import { MAX_BADGE_FONT_SCALE } from '../lib/accessibility';
+import MediaCarousel from '../components/MediaCarousel';
+import CaptionText from '../components/CaptionText';
+import PostActionSheet from '../components/PostActionSheet';
 
-const { width } = Dimensions.get('window');
+const log = createLogger('HomeScreen');
 
 // --- FEED VIDEO COMPONENT ---
-const FeedVideo = React.memo(({ uri }) => {
+// The poster frame covers the player until the first frame can be shown
+const FeedVideo = React.memo(({ uri, posterUri, active = true }) => {
   const player = useVideoPlayer(uri, player => {
     player.loop = true;
     player.muted = true;
   });
+  const { status } = useEvent(player, 'statusChange', { status: player.status });
+
+  // Carousel pages swiped away stop playing
+  useEffect(() => {
+    if (!active) player.pause();
+  }, [active]);
 
   return (
     <View style={styles.mediaContainer}>
@@ -36,52 +48,129 @@ const FeedVideo = React.memo(({ uri }) => {
         nativeControls={false}
         contentFit="cover"
       />
+      {posterUri && status !== 'readyToPlay' && (
+        <Image
+          source={{ uri: posterUri }}
+          style={StyleSheet.absoluteFill}
+          contentFit="cover"
+          cachePolicy="memory-disk"
+        />
+      )}
     </View>
   );
 });
 
+// --- UPLOAD BANNER ---
+// One row per post still on its way up, so progress stays visible after
+// leaving the camera
+const UPLOAD_LABELS = {
+  queued: () => 'UPLOAD_QUEUED',
+  uploading: (job) => `UPLOADING ${Math.round(job.progress * 100)}%`,
+  waiting: (job) => (job.error ? 'RETRYING_SOON...' : 'WAITING_FOR_NETWORK'),
+  failed: () => 'UPLOAD_FAILED',
+};
+
+const UploadBanner = ({ uploads, onCancel, onRetry }) => (
+  <View style={styles.uploadBanner}>
+    {uploads.map(job => (
+      <View key={job.id} style={styles.uploadRow}>
+        <View style={styles.uploadInfo}>
+          <Text style={styles.uploadText}>{UPLOAD_LABELS[job.status](job)}</Text>
+          <View
+            style={styles.uploadTrack}
+            accessible
+            accessibilityRole="progressbar"
+            accessibilityLabel="Upload progress"
+            accessibilityValue={{ min: 0, max: 100, now: Math.round(job.progress * 100) }}
+          >
+            <View style={[styles.uploadFill, { width: `${Math.round(job.progress * 100)}%` }]} />
+          </View>
+        </View>
+        {job.status === 'failed' && (
+          <TouchableOpacity
+            onPress={() => onRetry(job.id)}
+            style={styles.uploadAction}
+            accessibilityRole="button"
+            accessibilityLabel="Retry upload"
+          >
+            <Ionicons name="refresh" size={16} color="#000" />
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          onPress={() => onCancel(job.id)}
+          style={styles.uploadAction}
+          accessibilityRole="button"
+          accessibilityLabel="Cancel upload"
+        >
+          <Ionicons name="close" size={16} color="#000" />
+        </TouchableOpacity>
+      </View>
+    ))}
+  </View>
+);
+
 export default function HomeScreen() {
   const navigation = useNavigation();
   const {
     user,
-    posts: contextPosts,
     fetchPosts,
     toggleLike: contextToggleLike,
     hasMore,
+    nextCursor,
     loadingMore,
-    loading
+    loading,
+    feedStale,
+    feedSynced,
+    pendingPostIds,
+    newPostsCount,
+    showNewPosts,
+    subscribeToFeed,
+    uploads,
+    cancelUpload,
+    retryUpload
   } = useApp();
 
   const [refreshing, setRefreshing] = useState(false);
-  const [posts, setPosts] = useState([]);
+  // The post whose menu is open
+  const [menuPost, setMenuPost] = useState(null);
+  const posts = useFeedPosts();
 
   // Animation Refs
   const scaleAnims = useRef({}).current;
+  const listRef = useRef(null);
 
   useEffect(() => {
-    setPosts(contextPosts);
-  }, [contextPosts]);
+    // Fetch posts when user becomes available (cached posts still need a refresh)
+    if (user && !feedSynced) {
+      fetchPosts(true);
+    }
+  }, [user]);
 
   useEffect(() => {
-    // Fetch posts when user becomes available
-    if (user && contextPosts.length === 0) {
-      fetchPosts(true, user);
-    }
+    // Live post/like updates while the feed is mounted
+    if (!user) return;
+    return subscribeToFeed();
   }, [user]);
 
+  const handleShowNewPosts = () => {
+    showNewPosts();
+    listRef.current?.scrollToOffset({ offset: 0, animated: true });
+  };
+
   const onRefresh = useCallback(() => {
     setRefreshing(true);
-    fetchPosts(true, user).then(() => setRefreshing(false));
-  }, [fetchPosts, user]);
+    fetchPosts(true).then(() => setRefreshing(false));
+  }, [fetchPosts]);
 
   const loadMore = useCallback(() => {
-    if (!loadingMore && hasMore) {
-      fetchPosts(false, user);
+    // Only page forward from a server-issued cursor
+    if (!loadingMore && hasMore && nextCursor) {
+      fetchPosts(false);
     }
-  }, [loadingMore, hasMore, fetchPosts, user]);
+  }, [loadingMore, hasMore, nextCursor, fetchPosts]);
 
   // --- BOUNCY LIKE ANIMATION ---
-  const handleLike = async (postId, currentlyLiked) => {
+  const handleLike = (postId, currentlyLiked) => {
     if (!user) return;
 
     // Trigger bounce
@@ -100,54 +189,92 @@ export default function HomeScreen() {
       }),
     ]).start();
 
-    const result = await contextToggleLike(postId, currentlyLiked);
+    // Optimistic: the context flips the heart and rolls back on failure
+    const result = contextToggleLike(postId, currentlyLiked);
     if (!result?.success) {
-      console.error('Failed to toggle like:', result?.error);
+      log.warn('Failed to toggle like', result?.error, { postId });
     }
   };
 
   const renderPost = useCallback(({ item }) => {
     if (!scaleAnims[item.id]) scaleAnims[item.id] = new Animated.Value(1);
+    // Local posts waiting for upload can't be liked or opened yet
+    const isLocal = !!item.pending;
+    const isPending = pendingPostIds.has(item.id);
 
     return (
       <View style={styles.cardContainer}>
         {/* Header Box */}
         <View style={styles.cardHeader}>
           <View style={styles.userInfo}>
-            <View style={styles.avatarBox}>
+            <View style={styles.avatarBox} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
               <Avatar.Icon size={36} icon="account" style={styles.avatar} color="#000" />
             </View>
-            <Text style={styles.username}>@{item.profiles?.username || 'user'}</Text>
+            <Text style={styles.username} accessibilityRole="header">@{item.profiles?.username || 'user'}</Text>
+            {isPending && (
+              <View style={styles.pendingBadge}>
+                <Ionicons name="time-outline" size={12} color="#000" />
+                <Text style={styles.pendingText}>{isLocal ? 'UPLOAD_PENDING' : 'SYNC_PENDING'}</Text>
+              </View>
+            )}
           </View>
-          <View style={styles.moreBtn}>
+          <TouchableOpacity
+            style={styles.moreBtn}
+            onPress={() => setMenuPost(item)}
+            disabled={isLocal}
+            accessibilityRole="button"
+            accessibilityLabel={`More options for @${item.profiles?.username || 'user'}'s post`}
+            accessibilityState={{ disabled: isLocal }}
+          >
             <Ionicons name="ellipsis-horizontal" size={20} color="#000" />
-          </View>
+          </TouchableOpacity>
         </View>
 
         {/* Media Box */}
         <TouchableOpacity
           activeOpacity={0.9}
           onPress={() => navigation.navigate('PostDetail', { postId: item.id })}
+          disabled={isLocal}
           style={styles.mediaWrapper}
+          // One stop for the whole carousel, describing every item
+          accessibilityRole="imagebutton"
+          accessibilityLabel={postMediaAccessibilityLabel(item)}
+          accessibilityHint={isLocal ? undefined : 'Opens the post'}
+          accessibilityState={{ disabled: isLocal }}
         >
-          {item.media_type === 'video' ? (
-            <FeedVideo uri={item.image_url} />
-          ) : (
-            <Image
-              source={{ uri: item.image_url }}
-              style={styles.media}
-              contentFit="cover"
-              transition={200} // Fade in
-              placeholder={require('../assets/adaptive-icon.png')} // Optional placeholder if you have one, or just color
-              placeholderContentFit="cover"
-            />
-          )}
+          {/* Every page takes the cover's frame */}
+          <MediaCarousel
+            items={postMediaItems(item)}
+            style={{ aspectRatio: mediaAspectRatio(item, FEED_ASPECT_RANGE) }}
+            renderItem={(media, index, active) => (
+              media.media_type === 'video' ? (
+                <FeedVideo uri={media.image_url} posterUri={media.poster_url} active={active} />
+              ) : (
+                <Image
+                  source={{ uri: media.image_url }}
+                  style={styles.media}
+                  contentFit="cover"
+                  transition={200} // Fade in
+                  cachePolicy="memory-disk" // Cached feed renders offline
+                  // Thumbnail while the full image loads
+                  placeholder={media.thumbnail_url ? { uri: media.thumbnail_url } : require('../assets/adaptive-icon.png')}
+                  placeholderContentFit="cover"
+                />
+              )
+            )}
+          />
         </TouchableOpacity>
 
         {/* Action Bar */}
         <View style={styles.actionBar}>
           <View style={styles.leftActions}>
-            <TouchableOpacity onPress={() => handleLike(item.id, item.user_has_liked)}>
+            <TouchableOpacity
+              onPress={() => handleLike(item.id, item.user_has_liked)}
+              disabled={isLocal}
+              accessibilityRole="button"
+              accessibilityLabel={item.user_has_liked ? 'Liked' : 'Like'}
+              accessibilityState={{ selected: !!item.user_has_liked, disabled: isLocal }}
+            >
               <Animated.View style={[styles.actionBtn, { transform: [{ scale: scaleAnims[item.id] }], backgroundColor: item.user_has_liked ? '#FF69B4' : '#fff' }]}>
                 <Ionicons
                   name={item.user_has_liked ? "heart" : "heart-outline"}
@@ -157,26 +284,49 @@ export default function HomeScreen() {
               </Animated.View>
             </TouchableOpacity>
 
-            <TouchableOpacity style={styles.actionBtn} onPress={() => navigation.navigate('PostDetail', { postId: item.id })}>
+            <TouchableOpacity
+              style={styles.actionBtn}
+              onPress={() => navigation.navigate('PostDetail', { postId: item.id, focusComments: true })}
+              disabled={isLocal}
+              accessibilityRole="button"
+              accessibilityLabel={`${item.comments_count || 0} ${item.comments_count === 1 ? 'comment' : 'comments'}`}
+              accessibilityHint="Opens the comments"
+              accessibilityState={{ disabled: isLocal }}
+            >
               <Ionicons name="chatbubble-outline" size={24} color="#000" />
+              {item.comments_count > 0 && (
+                <View style={styles.commentCount}>
+                  <Text style={styles.commentCountText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>
+                    {item.comments_count > 99 ? '99+' : item.comments_count}
+                  </Text>
+                </View>
+              )}
             </TouchableOpacity>
           </View>
 
-          <View style={styles.likesBox}>
+          <TouchableOpacity
+            style={styles.likesBox}
+            onPress={() => navigation.navigate('Likers', { postId: item.id })}
+            disabled={isLocal}
+            accessibilityRole="button"
+            accessibilityLabel={`${item.likes_count || 0} ${item.likes_count === 1 ? 'like' : 'likes'}`}
+            accessibilityHint="Shows who liked the post"
+            accessibilityState={{ disabled: isLocal }}
+          >
             <Text style={styles.likesText}>{item.likes_count || 0} LIKES</Text>
-          </View>
+          </TouchableOpacity>
         </View>
 
         {/* Caption */}
         <View style={styles.captionBox}>
           <Text style={styles.captionText}>
             <Text style={styles.captionUser}>{item.profiles?.username}: </Text>
-            {item.caption}
+            <CaptionText caption={item.caption} />
           </Text>
         </View>
       </View>
     );
-  }, [navigation, contextToggleLike]);
+  }, [navigation, contextToggleLike, pendingPostIds]);
 
   const renderFooter = () => {
     if (!loadingMore) return null;
@@ -200,15 +350,44 @@ export default function HomeScreen() {
     <View style={styles.container}>
       {/* Neo Header */}
       <View style={styles.appHeader}>
-        <Text style={styles.headerTitle}>SOCIAL_APP</Text>
-        <TouchableOpacity style={styles.headerBtn}>
+        <Text style={styles.headerTitle} accessibilityRole="header">SOCIAL_APP</Text>
+        <TouchableOpacity style={styles.headerBtn} accessibilityRole="button" accessibilityLabel="Notifications">
           <Ionicons name="notifications-outline" size={24} color="#000" />
         </TouchableOpacity>
       </View>
 
+      {feedStale && (
+        <View style={styles.staleBanner}>
+          <Ionicons name="cloud-offline-outline" size={16} color="#000" />
+          <Text style={styles.staleText}>
+            {loading ? 'SYNCING_FEED...' : 'SAVED_FEED · PULL TO REFRESH'}
+          </Text>
+        </View>
+      )}
+
+      {uploads.length > 0 && (
+        <UploadBanner uploads={uploads} onCancel={cancelUpload} onRetry={retryUpload} />
+      )}
+
+      {newPostsCount > 0 && (
+        <TouchableOpacity
+          style={styles.newPostsPill}
+          onPress={handleShowNewPosts}
+          accessibilityRole="button"
+          accessibilityLabel={`Show ${newPostsCount} new ${newPostsCount === 1 ? 'post' : 'posts'}`}
+        >
+          <Ionicons name="arrow-up" size={16} color="#000" />
+          <Text style={styles.newPostsText}>
+            {newPostsCount} NEW {newPostsCount === 1 ? 'POST' : 'POSTS'}
+          </Text>
+        </TouchableOpacity>
+      )}
+
       <FlatList
+        ref={listRef}
         data={posts}
         renderItem={renderPost}
+        extraData={pendingPostIds}
         keyExtractor={(item) => item.id.toString()}
         refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor="#000" />}
         onEndReached={loadMore}
@@ -217,6 +396,12 @@ export default function HomeScreen() {
         showsVerticalScrollIndicator={false}
         contentContainerStyle={styles.listContent}
       />
+
+      <PostActionSheet
+        post={menuPost}
+        onDismiss={() => setMenuPost(null)}
+        onEdit={(post) => navigation.navigate('PostDetail', { postId: post.id, startEditing: true })}
+      />
     </View>
   );
 }
@@ -258,6 +443,90 @@ const styles = StyleSheet.create({
     shadowOpacity: 1,
     shadowRadius: 0,
   },
+  staleBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 6,
+    backgroundColor: '#FF69B4', // Pink
+    borderBottomWidth: 3,
+    borderBottomColor: '#000',
+  },
+  staleText: {
+    fontSize: 12,
+    fontWeight: '900',
+    color: '#000',
+    letterSpacing: 1,
+  },
+  uploadBanner: {
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    gap: 8,
+    backgroundColor: '#4169E1', // Blue
+    borderBottomWidth: 3,
+    borderBottomColor: '#000',
+  },
+  uploadRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  uploadInfo: {
+    flex: 1,
+    gap: 4,
+  },
+  uploadText: {
+    fontSize: 12,
+    fontWeight: '900',
+    color: '#fff',
+    letterSpacing: 1,
+  },
+  uploadTrack: {
+    height: 8,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#000',
+  },
+  uploadFill: {
+    height: '100%',
+    backgroundColor: '#FFD700',
+  },
+  uploadAction: {
+    width: 28,
+    height: 28,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  newPostsPill: {
+    position: 'absolute',
+    top: Platform.OS === 'ios' ? 130 : 120,
+    alignSelf: 'center',
+    zIndex: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 3,
+    borderColor: '#000',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+    elevation: 4,
+  },
+  newPostsText: {
+    fontSize: 12,
+    fontWeight: '900',
+    color: '#000',
+    letterSpacing: 1,
+  },
   listContent: {
     padding: 20,
     paddingBottom: 100, // Space for floating dock
@@ -303,12 +572,27 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#000',
   },
+  pendingBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 3,
+    marginLeft: 8,
+    paddingHorizontal: 5,
+    paddingVertical: 2,
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 2,
+    borderColor: '#000',
+  },
+  pendingText: {
+    fontSize: 10,
+    fontWeight: '900',
+    color: '#000',
+  },
   moreBtn: {
     padding: 5,
   },
   mediaWrapper: {
-    width: '100%',
-    height: width - 46, // Adjust for borders/padding
+    width: '100%', // Height follows the cover's aspect ratio
     backgroundColor: '#000',
     borderBottomWidth: 3,
     borderBottomColor: '#000',
@@ -349,6 +633,22 @@ const styles = StyleSheet.create({
     shadowOpacity: 1,
     shadowRadius: 0,
   },
+  commentCount: {
+    position: 'absolute',
+    top: -8,
+    right: -8,
+    minWidth: 20,
+    paddingHorizontal: 3,
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 2,
+    borderColor: '#000',
+    alignItems: 'center',
+  },
+  commentCountText: {
+    fontSize: 10,
+    fontWeight: '900',
+    color: '#000',
+  },
   likesBox: {
     backgroundColor: '#4169E1', // Royal Blue
     paddingHorizontal: 12,
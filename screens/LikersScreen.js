@@ -0,0 +1,229 @@
+// screens/LikersScreen.js
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, FlatList, ActivityIndicator, TouchableOpacity } from 'react-native';
+import { Avatar, Text } from 'react-native-paper';
+import { useApp, useLikers } from '../context/AppContext';
+
+// Everyone who liked a post, newest like first, loaded a page at a time
+export default function LikersScreen({ route, navigation }) {
+  const { postId } = route.params;
+  const { user, fetchLikers, toggleFollow } = useApp();
+  const { likers, hasMore, loaded } = useLikers(postId);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  // Users whose follow request is in flight
+  const [followingIds, setFollowingIds] = useState(() => new Set());
+
+  useEffect(() => {
+    loadFirstPage();
+  }, [postId]);
+
+  const loadFirstPage = async () => {
+    setRefreshing(true);
+    setError(null);
+    const { success, error } = await fetchLikers(postId, true);
+    if (!success) setError(error || 'Failed to load likes');
+    setRefreshing(false);
+  };
+
+  const loadMore = async () => {
+    if (loadingMore || refreshing || !hasMore) return;
+    setLoadingMore(true);
+    await fetchLikers(postId);
+    setLoadingMore(false);
+  };
+
+  const handleFollow = async (liker) => {
+    setFollowingIds(current => new Set(current).add(liker.id));
+    await toggleFollow(liker.id, liker.viewer_follows);
+    setFollowingIds(current => {
+      const next = new Set(current);
+      next.delete(liker.id);
+      return next;
+    });
+  };
+
+  const renderLiker = ({ item }) => {
+    const busy = followingIds.has(item.id);
+    return (
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={styles.userLink}
+          onPress={() => navigation.navigate('UserProfile', { username: item.username })}
+          accessibilityRole="link"
+          accessibilityLabel={`@${item.username}`}
+          accessibilityHint="Opens their profile"
+        >
+          <View style={styles.avatarBox} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+            <Avatar.Icon size={36} icon="account" style={styles.avatar} color="#000" />
+          </View>
+          <Text style={styles.username} numberOfLines={1}>@{item.username}</Text>
+        </TouchableOpacity>
+
+        {item.id !== user?.id && (
+          <TouchableOpacity
+            onPress={() => handleFollow(item)}
+            disabled={busy}
+            style={[styles.followBtn, item.viewer_follows && styles.followingBtn, busy && styles.disabledBtn]}
+            accessibilityRole="button"
+            accessibilityLabel={item.viewer_follows ? `Following @${item.username}` : `Follow @${item.username}`}
+            accessibilityState={{ selected: !!item.viewer_follows, disabled: busy }}
+          >
+            <Text style={[styles.followText, item.viewer_follows && styles.followingText]}>
+              {item.viewer_follows ? 'FOLLOWING' : 'FOLLOW'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  if (!loaded && error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity onPress={loadFirstPage} style={styles.retryBtn} accessibilityRole="button" accessibilityLabel="Retry">
+          <Text style={styles.retryText}>RETRY</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!loaded) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#000" />
+      </View>
+    );
+  }
+
+  return (
+    <FlatList
+      data={likers}
+      renderItem={renderLiker}
+      keyExtractor={(item) => item.id.toString()}
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshing={refreshing}
+      onRefresh={loadFirstPage}
+      onEndReached={loadMore}
+      onEndReachedThreshold={0.5}
+      ListEmptyComponent={<Text style={styles.emptyText}>NO_LIKES_YET</Text>}
+      ListFooterComponent={loadingMore ? <ActivityIndicator size="large" color="#000" /> : null}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f0f0',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+    gap: 12,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f0f0f0',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#000',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 4, height: 4 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  userLink: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  avatarBox: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#000',
+    backgroundColor: '#FFD700', // Yellow
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  avatar: {
+    backgroundColor: 'transparent',
+  },
+  username: {
+    flexShrink: 1,
+    fontSize: 16,
+    fontWeight: '900',
+    color: '#000',
+  },
+  followBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    backgroundColor: '#4169E1', // Blue
+    borderWidth: 2,
+    borderColor: '#000',
+    // Small Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 2, height: 2 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  followingBtn: {
+    backgroundColor: '#fff',
+  },
+  disabledBtn: {
+    opacity: 0.5,
+  },
+  followText: {
+    fontSize: 12,
+    fontWeight: '900',
+    color: '#fff',
+  },
+  followingText: {
+    color: '#000',
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: '900',
+    color: '#000',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  errorText: {
+    fontSize: 16,
+    fontWeight: '900',
+    color: '#000',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  retryBtn: {
+    backgroundColor: '#FFD700',
+    borderWidth: 3,
+    borderColor: '#000',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 4, height: 4 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  retryText: {
+    fontWeight: '900',
+    color: '#000',
+  },
+});
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { View, StyleSheet, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
 import { TextInput, Button, Text, Title, Snackbar } from 'react-native-paper';
-import { supabase } from '../supabase';
+import { backend } from '../data';
 
 export default function LoginScreen({ navigation }) {
   const [email, setEmail] = useState('');
@@ -18,12 +18,12 @@ export default function LoginScreen({ navigation }) {
     }
 
     setLoading(true);
-    const { error } = await supabase.auth.signInWithPassword({
-      email: email,
-      password: password,
-    });
-
-    if (error) {
+    try {
+      await backend.auth.signIn({
+        email: email,
+        password: password,
+      });
+    } catch (error) {
       setMessage(error.message);
       setVisible(true);
     }
@@ -37,7 +37,7 @@ export default function LoginScreen({ navigation }) {
     >
       <ScrollView contentContainerStyle={styles.scrollContent}>
         <View style={styles.content}>
-          <Title style={styles.title}>Welcome Back</Title>
+          <Title style={styles.title} accessibilityRole="header">Welcome Back</Title>
           <Text style={styles.subtitle}>Login to your account</Text>
 
           <TextInput
@@ -48,6 +48,8 @@ export default function LoginScreen({ navigation }) {
             style={styles.input}
             autoCapitalize="none"
             keyboardType="email-address"
+            autoComplete="email"
+            textContentType="emailAddress"
           />
 
           <TextInput
@@ -56,6 +58,8 @@ export default function LoginScreen({ navigation }) {
             onChangeText={setPassword}
             mode="outlined"
             secureTextEntry
+            autoComplete="current-password"
+            textContentType="password"
             style={styles.input}
           />
 
@@ -1,43 +1,103 @@
 // screens/PostDetailScreen.js
-import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, ScrollView, Dimensions, TouchableOpacity, Platform } from 'react-native';
-import { Avatar, Text, IconButton } from 'react-native-paper';
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, Platform, Alert, ActivityIndicator } from 'react-native';
+import { Avatar, Text, IconButton, TextInput } from 'react-native-paper';
 import { Image } from 'expo-image'; // Use expo-image
 import { VideoView, useVideoPlayer } from 'expo-video';
-import { useApp } from '../context/AppContext';
+import { useEvent } from 'expo';
+import { useApp, usePost, useComments } from '../context/AppContext';
 import { Ionicons } from '@expo/vector-icons';
+import { createLogger } from '../lib/logger';
+import { mediaAspectRatio, postMediaItems, mediaAccessibilityLabel } from '../lib/media';
+import MediaCarousel from '../components/MediaCarousel';
+import CaptionText from '../components/CaptionText';
+import CommentThread from '../components/CommentThread';
+import PostActionSheet from '../components/PostActionSheet';
+import { MAX_COMMENT_LENGTH } from '../lib/comments';
 
-const { width } = Dimensions.get('window');
+const log = createLogger('PostDetailScreen');
 
-const PostVideoPlayer = ({ uri }) => {
+// Plays while it is the carousel page on screen
+const PostVideoPlayer = ({ uri, posterUri, accessibilityLabel, active = true }) => {
   const player = useVideoPlayer(uri, player => {
     player.loop = true;
-    player.play();
   });
+  const { status } = useEvent(player, 'statusChange', { status: player.status });
+
+  useEffect(() => {
+    if (active) player.play();
+    else player.pause();
+  }, [active]);
 
   return (
     <View style={styles.mediaContainer}>
       <VideoView
         style={styles.fullVideo}
         player={player}
+        accessibilityLabel={accessibilityLabel}
         nativeControls
         allowsFullscreen
         contentFit="contain"
       />
+      {posterUri && status !== 'readyToPlay' && (
+        <Image
+          source={{ uri: posterUri }}
+          style={StyleSheet.absoluteFill}
+          contentFit="contain"
+          accessibilityElementsHidden
+          importantForAccessibility="no"
+        />
+      )}
     </View>
   );
 };
 
-export default function PostDetailScreen({ route }) {
-  const { postId } = route.params;
-  const { user, loading: userLoading, fetchPostWithLikes, toggleLike: contextToggleLike } = useApp();
-  const [post, setPost] = useState(null);
+export default function PostDetailScreen({ route, navigation }) {
+  const { postId, focusComments, startEditing } = route.params;
+  const {
+    user,
+    loading: userLoading,
+    fetchPostWithLikes,
+    toggleLike: contextToggleLike,
+    fetchComments,
+    addComment,
+    deleteComment,
+    pinComment,
+    toggleCommentLike,
+    subscribeToComments,
+    editCaption,
+  } = useApp();
+  // Same entity the feed and profile grid render
+  const post = usePost(postId);
+  const { comments, pinned, hasMore: hasMoreComments, loaded: commentsLoaded } = useComments(postId);
   const [pageLoading, setPageLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [commentsError, setCommentsError] = useState(null);
+  const [loadingMoreComments, setLoadingMoreComments] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  // The top-level comment being replied to, if any
+  const [replyTo, setReplyTo] = useState(null);
+  // Ids of the threads whose replies are shown
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  // The caption being edited, or null when not editing
+  const [captionDraft, setCaptionDraft] = useState(null);
+  const [savingCaption, setSavingCaption] = useState(false);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const scrollRef = useRef(null);
+  const inputRef = useRef(null);
+  // The feed's comment button lands on the composer, once
+  const focusedRef = useRef(!focusComments);
+  // The feed menu's edit action lands in the caption editor, once
+  const startedEditingRef = useRef(!startEditing);
 
   useEffect(() => {
-    console.log('PostDetailScreen effect. PostID:', postId, 'User:', user?.id, 'UserLoading:', userLoading);
+    if (startedEditingRef.current || !post || post.user_id !== user?.id) return;
+    startedEditingRef.current = true;
+    setCaptionDraft(post.caption || '');
+  }, [post?.id, user?.id]);
 
+  useEffect(() => {
     // Wait for user to be loaded before fetching post
     if (userLoading) {
       return; // Still waiting for auth
@@ -52,44 +112,140 @@ export default function PostDetailScreen({ route }) {
     }
   }, [user, userLoading, postId]);
 
+  useEffect(() => {
+    if (!user) return;
+    loadComments();
+    return subscribeToComments(postId);
+  }, [user, postId]);
+
   const loadPost = async () => {
-    console.log('Starting loadPost for post:', postId);
     try {
       setPageLoading(true);
       setError(null);
 
       const postData = await fetchPostWithLikes(postId);
 
-      console.log('Post data fetched:', postData ? 'Success' : 'Null');
-      if (postData) {
-        console.log('Post Liked Status:', postData.user_has_liked);
-        setPost(postData);
-      } else {
+      if (!postData) {
         setError('Post not found');
       }
     } catch (error) {
-      console.error('Error fetching post detail:', error);
+      log.error('Error fetching post detail', error, { postId });
       setError('Failed to load post: ' + error.message);
     } finally {
       setPageLoading(false);
     }
   };
 
-  const toggleLike = async () => {
-    if (!post || !user) return;
+  const loadComments = async () => {
+    setCommentsError(null);
+    const { success, error } = await fetchComments(postId, true);
+    if (!success) setCommentsError(error || 'Failed to load comments');
+  };
 
-    // Call context function and wait for result
-    const result = await contextToggleLike(post.id, post.user_has_liked);
+  const loadMoreComments = async () => {
+    if (loadingMoreComments) return;
+    setLoadingMoreComments(true);
+    await fetchComments(postId);
+    setLoadingMoreComments(false);
+  };
 
-    if (result && result.success) {
-      setPost(prev => ({
-        ...prev,
-        user_has_liked: result.liked,
-        likes_count: result.liked ? (prev.likes_count || 0) + 1 : Math.max(0, (prev.likes_count || 1) - 1)
-      }));
+  const sendComment = async () => {
+    if (sending || !draft.trim()) return;
+    setSending(true);
+    const { success, error } = await addComment(postId, draft, replyTo?.id);
+    setSending(false);
+    if (success) {
+      setDraft('');
+      if (replyTo) {
+        setExpanded(replyTo.id, true);
+        setReplyTo(null);
+      }
     } else {
-      console.error('Failed to toggle like:', result?.error);
-      // Optionally show a snackbar or alert here
+      Alert.alert('Error', error || 'Failed to post comment');
+    }
+  };
+
+  const setExpanded = (commentId, expanded) => {
+    setExpandedIds(current => {
+      const next = new Set(current);
+      if (expanded) next.add(commentId);
+      else next.delete(commentId);
+      return next;
+    });
+  };
+
+  // Replies stay one level deep: replying to a reply answers its thread
+  // and mentions the reply's author
+  const startReply = (thread, target) => {
+    setReplyTo(thread);
+    if (target.id !== thread.id && target.profiles?.username && !draft.trim()) {
+      setDraft(`@${target.profiles.username} `);
+    }
+    inputRef.current?.focus();
+  };
+
+  const cancelReply = () => {
+    setReplyTo(null);
+    setDraft('');
+  };
+
+  const handleCommentLike = (comment) => {
+    const result = toggleCommentLike(comment.id, comment.user_has_liked);
+    if (!result?.success) {
+      log.warn('Failed to toggle comment like', result?.error, { commentId: comment.id });
+    }
+  };
+
+  const saveCaption = async () => {
+    setSavingCaption(true);
+    const { success, error } = await editCaption(postId, captionDraft);
+    setSavingCaption(false);
+    if (success) setCaptionDraft(null);
+    else Alert.alert('Error', error || 'Failed to save caption.');
+  };
+
+  const handlePinComment = async (comment) => {
+    const { success, error } = await pinComment(postId, comment.id, !comment.pinned_at);
+    if (!success) Alert.alert('Error', error || 'Failed to pin comment.');
+  };
+
+  // Authors delete their own comments; owners anything on their post
+  const canDeleteComment = (comment) =>
+    comment.user_id === user?.id || post?.user_id === user?.id;
+
+  const confirmDeleteComment = (comment) => {
+    Alert.alert(
+      "Delete Comment",
+      "Are you sure you want to delete this comment?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            const { success, error } = await deleteComment(comment.id);
+            if (!success) Alert.alert("Error", error || "Failed to delete comment.");
+            else if (replyTo?.id === comment.id) setReplyTo(null);
+          }
+        }
+      ]
+    );
+  };
+
+  const handleCommentsLayout = ({ nativeEvent }) => {
+    if (focusedRef.current) return;
+    focusedRef.current = true;
+    scrollRef.current?.scrollTo({ y: nativeEvent.layout.y, animated: true });
+    inputRef.current?.focus();
+  };
+
+  const toggleLike = () => {
+    if (!post || !user) return;
+
+    // Optimistic: the context updates this post and the feed together
+    const result = contextToggleLike(post.id, post.user_has_liked);
+    if (!result?.success) {
+      log.warn('Failed to toggle like', result?.error, { postId: post.id });
     }
   };
 
@@ -105,7 +261,7 @@ export default function PostDetailScreen({ route }) {
     return (
       <View style={styles.loadingContainer}>
         <Text style={styles.errorText}>{error || 'POST_NOT_FOUND'}</Text>
-        <TouchableOpacity onPress={loadPost} style={styles.retryBtn}>
+        <TouchableOpacity onPress={loadPost} style={styles.retryBtn} accessibilityRole="button" accessibilityLabel="Retry">
           <Text style={styles.retryText}>RETRY</Text>
         </TouchableOpacity>
       </View>
@@ -113,67 +269,252 @@ export default function PostDetailScreen({ route }) {
   }
 
   return (
-    <ScrollView style={styles.container} contentContainerStyle={{ paddingBottom: 40 }}>
+    <ScrollView
+      ref={scrollRef}
+      style={styles.container}
+      contentContainerStyle={{ paddingBottom: 40 }}
+      keyboardShouldPersistTaps="handled"
+      automaticallyAdjustKeyboardInsets
+    >
       {/* Neo-Brutalist Card */}
       <View style={styles.card}>
         {/* Header */}
         <View style={styles.header}>
-          <View style={styles.avatarBox}>
+          <View style={styles.avatarBox} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
             <Avatar.Icon icon="account" size={40} style={styles.avatar} color="#000" />
           </View>
           <View style={styles.userInfo}>
-            <Text style={styles.username}>@{post.profiles?.username || 'user'}</Text>
+            <Text style={styles.username} accessibilityRole="header">@{post.profiles?.username || 'user'}</Text>
             <Text style={styles.timestamp}>
               {new Date(post.created_at).toLocaleDateString()}
+              {post.edited_at ? ' · EDITED' : ''}
+              {post.archived_at ? ' · ARCHIVED' : ''}
             </Text>
           </View>
+          {captionDraft === null && (
+            <TouchableOpacity
+              onPress={() => setMenuOpen(true)}
+              style={styles.menuBtn}
+              accessibilityRole="button"
+              accessibilityLabel="More options"
+            >
+              <Ionicons name="ellipsis-horizontal" size={20} color="#000" />
+            </TouchableOpacity>
+          )}
         </View>
 
-        {/* Media */}
+        {/* Media: the cover's full frame; other pages are letterboxed into it */}
         <View style={styles.mediaWrapper}>
-          {post.media_type === 'video' ? (
-            <PostVideoPlayer uri={post.image_url} />
-          ) : (
-            <Image
-              source={{ uri: post.image_url }}
-              style={styles.fullImage}
-              contentFit="contain"
-              transition={200}
-              placeholder={require('../assets/adaptive-icon.png')}
-            />
-          )}
+          <MediaCarousel
+            items={postMediaItems(post)}
+            style={{ aspectRatio: mediaAspectRatio(post) }}
+            renderItem={(media, index, active) => (
+              media.media_type === 'video' ? (
+                <PostVideoPlayer
+                  uri={media.image_url}
+                  posterUri={media.poster_url}
+                  accessibilityLabel={mediaAccessibilityLabel(media, index, postMediaItems(post).length)}
+                  active={active}
+                />
+              ) : (
+                <Image
+                  source={{ uri: media.image_url }}
+                  style={styles.fullImage}
+                  contentFit="contain"
+                  transition={200}
+                  accessible
+                  accessibilityRole="image"
+                  accessibilityLabel={mediaAccessibilityLabel(media, index, postMediaItems(post).length)}
+                  placeholder={media.thumbnail_url ? { uri: media.thumbnail_url } : require('../assets/adaptive-icon.png')}
+                />
+              )
+            )}
+          />
         </View>
 
         {/* Actions */}
         <View style={styles.actionRow}>
-          <TouchableOpacity onPress={toggleLike} style={[styles.actionBtn, post.user_has_liked && styles.likedBtn]}>
+          <TouchableOpacity
+            onPress={toggleLike}
+            style={[styles.actionBtn, post.user_has_liked && styles.likedBtn]}
+            accessibilityRole="button"
+            accessibilityLabel={post.user_has_liked ? 'Liked' : 'Like'}
+            accessibilityState={{ selected: !!post.user_has_liked }}
+          >
             <Ionicons
               name={post.user_has_liked ? "heart" : "heart-outline"}
               size={28}
               color={post.user_has_liked ? "#fff" : "#000"}
             />
           </TouchableOpacity>
-          <View style={styles.likesBox}>
+          <TouchableOpacity
+            style={styles.likesBox}
+            onPress={() => navigation.navigate('Likers', { postId: post.id })}
+            accessibilityRole="button"
+            accessibilityLabel={`${post.likes_count || 0} ${post.likes_count === 1 ? 'like' : 'likes'}`}
+            accessibilityHint="Shows who liked the post"
+          >
             <Text style={styles.likesText}>{post.likes_count || 0} LIKES</Text>
-          </View>
+          </TouchableOpacity>
         </View>
 
         {/* Caption */}
-        <View style={styles.captionBox}>
-          <Text style={styles.captionText}>
-            <Text style={styles.captionUser}>{post.profiles?.username}: </Text>
-            {post.caption}
-          </Text>
-        </View>
+        {captionDraft !== null ? (
+          <View style={styles.captionBox}>
+            <TextInput
+              value={captionDraft}
+              onChangeText={setCaptionDraft}
+              editable={!savingCaption}
+              placeholder="WRITE_A_CAPTION..."
+              accessibilityLabel="Caption"
+              style={styles.composerInput}
+              multiline
+              autoFocus
+              underlineColor="transparent"
+              activeUnderlineColor="transparent"
+              placeholderTextColor="#666"
+              theme={{ colors: { background: '#fff' } }}
+            />
+            <View style={styles.captionActions}>
+              <TouchableOpacity
+                onPress={() => setCaptionDraft(null)}
+                disabled={savingCaption}
+                style={[styles.cancelBtn, savingCaption && styles.disabledBtn]}
+                accessibilityRole="button"
+                accessibilityLabel="Cancel editing"
+                accessibilityState={{ disabled: savingCaption }}
+              >
+                <Text style={styles.sendText}>CANCEL</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={saveCaption}
+                disabled={savingCaption}
+                style={[styles.sendBtn, savingCaption && styles.disabledBtn]}
+                accessibilityRole="button"
+                accessibilityLabel="Save caption"
+                accessibilityState={{ disabled: savingCaption, busy: savingCaption }}
+              >
+                {savingCaption ? (
+                  <ActivityIndicator color="#000" />
+                ) : (
+                  <Text style={styles.sendText}>SAVE</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        ) : (
+          <View style={styles.captionBox}>
+            <Text style={styles.captionText}>
+              <Text style={styles.captionUser}>{post.profiles?.username}: </Text>
+              <CaptionText caption={post.caption} />
+            </Text>
+          </View>
+        )}
       </View>
 
-      {/* Comments Placeholder */}
-      <View style={styles.commentsSection}>
-        <Text style={styles.sectionTitle}>COMMENTS</Text>
-        <View style={styles.placeholderBox}>
-          <Text style={styles.placeholderText}>COMING_SOON</Text>
+      {/* Comments: composer on top, newest first */}
+      <View style={styles.commentsSection} onLayout={handleCommentsLayout}>
+        <Text style={styles.sectionTitle} accessibilityRole="header">
+          COMMENTS ({post.comments_count || 0})
+        </Text>
+
+        {replyTo && (
+          <View style={styles.replyBar}>
+            <Text style={styles.replyBarText} numberOfLines={1}>
+              REPLYING_TO @{replyTo.profiles?.username || 'user'}
+            </Text>
+            <TouchableOpacity onPress={cancelReply} accessibilityRole="button" accessibilityLabel="Cancel reply">
+              <Ionicons name="close" size={20} color="#000" />
+            </TouchableOpacity>
+          </View>
+        )}
+        <View style={styles.composer}>
+          <TextInput
+            ref={inputRef}
+            placeholder={replyTo ? 'ADD_A_REPLY...' : 'ADD_A_COMMENT...'}
+            value={draft}
+            onChangeText={setDraft}
+            editable={!sending}
+            maxLength={MAX_COMMENT_LENGTH}
+            accessibilityLabel={replyTo ? `Reply to @${replyTo.profiles?.username || 'user'}` : 'Comment'}
+            style={styles.composerInput}
+            multiline
+            underlineColor="transparent"
+            activeUnderlineColor="transparent"
+            placeholderTextColor="#666"
+            theme={{ colors: { background: '#fff' } }}
+          />
+          <TouchableOpacity
+            onPress={sendComment}
+            disabled={sending || !draft.trim()}
+            style={[styles.sendBtn, (sending || !draft.trim()) && styles.disabledBtn]}
+            accessibilityRole="button"
+            accessibilityLabel={replyTo ? 'Post reply' : 'Post comment'}
+            accessibilityState={{ disabled: sending || !draft.trim(), busy: sending }}
+          >
+            {sending ? (
+              <ActivityIndicator color="#000" />
+            ) : (
+              <Text style={styles.sendText}>POST</Text>
+            )}
+          </TouchableOpacity>
         </View>
+
+        {!commentsLoaded && commentsError ? (
+          <View style={styles.placeholderBox}>
+            <Text style={styles.placeholderText}>{commentsError}</Text>
+            <TouchableOpacity onPress={loadComments} style={[styles.retryBtn, styles.commentsRetryBtn]} accessibilityRole="button" accessibilityLabel="Retry loading comments">
+              <Text style={styles.retryText}>RETRY</Text>
+            </TouchableOpacity>
+          </View>
+        ) : !commentsLoaded ? (
+          <ActivityIndicator size="large" color="#000" />
+        ) : comments.length === 0 && !pinned ? (
+          <View style={styles.placeholderBox}>
+            <Text style={styles.placeholderText}>NO_COMMENTS_YET</Text>
+          </View>
+        ) : (
+          <View style={styles.commentList}>
+            {/* The pinned comment always comes first */}
+            {[pinned, ...comments].filter(Boolean).map(comment => (
+              <CommentThread
+                key={comment.id}
+                comment={comment}
+                expanded={expandedIds.has(comment.id)}
+                onToggleReplies={() => setExpanded(comment.id, !expandedIds.has(comment.id))}
+                onLike={handleCommentLike}
+                onReply={startReply}
+                onPin={post.user_id === user?.id ? handlePinComment : null}
+                onDelete={confirmDeleteComment}
+                canDelete={canDeleteComment}
+              />
+            ))}
+            {hasMoreComments && (
+              <TouchableOpacity
+                onPress={loadMoreComments}
+                disabled={loadingMoreComments}
+                style={styles.loadMoreBtn}
+                accessibilityRole="button"
+                accessibilityLabel="Load older comments"
+                accessibilityState={{ disabled: loadingMoreComments, busy: loadingMoreComments }}
+              >
+                {loadingMoreComments ? (
+                  <ActivityIndicator color="#000" />
+                ) : (
+                  <Text style={styles.loadMoreText}>LOAD_OLDER</Text>
+                )}
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
       </View>
+
+      <PostActionSheet
+        post={menuOpen ? post : null}
+        onDismiss={() => setMenuOpen(false)}
+        onEdit={() => setCaptionDraft(post.caption || '')}
+        onDeleted={() => navigation.goBack()}
+      />
     </ScrollView>
   );
 }
@@ -225,16 +566,29 @@ const styles = StyleSheet.create({
   userInfo: { flex: 1 },
   username: { fontSize: 18, fontWeight: '900', color: '#000' },
   timestamp: { fontSize: 12, color: '#666', fontWeight: 'bold' },
+  menuBtn: {
+    width: 40,
+    height: 40,
+    borderWidth: 3,
+    borderColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
 
   mediaWrapper: {
     width: '100%',
     backgroundColor: '#000',
     borderBottomWidth: 3,
     borderBottomColor: '#000',
-    minHeight: width, // Ensure square minimum
   },
-  mediaContainer: { width: '100%', aspectRatio: 1 },
-  fullImage: { width: '100%', aspectRatio: 1, backgroundColor: '#f0f0f0' },
+  mediaContainer: { width: '100%', height: '100%' },
+  fullImage: { width: '100%', height: '100%', backgroundColor: '#f0f0f0' },
   fullVideo: { width: '100%', height: '100%' },
 
   actionRow: {
@@ -279,6 +633,22 @@ const styles = StyleSheet.create({
   captionBox: { padding: 15 },
   captionText: { fontSize: 16, lineHeight: 22, color: '#000' },
   captionUser: { fontWeight: '900' },
+  captionActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 10,
+  },
+  cancelBtn: {
+    minWidth: 70,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#000',
+  },
 
   commentsSection: { marginTop: 10 },
   sectionTitle: { fontSize: 20, fontWeight: '900', marginBottom: 10 },
@@ -291,4 +661,64 @@ const styles = StyleSheet.create({
     borderStyle: 'dashed',
   },
   placeholderText: { fontSize: 18, fontWeight: '900', color: '#999' },
+  commentsRetryBtn: { marginTop: 15 },
+
+  replyBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 8,
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 2,
+    borderColor: '#000',
+  },
+  replyBarText: { flex: 1, fontSize: 12, fontWeight: '900', color: '#000', marginRight: 10 },
+  composer: {
+    flexDirection: 'row',
+    alignItems: 'stretch',
+    gap: 10,
+    marginBottom: 15,
+  },
+  composerInput: {
+    flex: 1,
+    borderWidth: 3,
+    borderColor: '#000',
+    backgroundColor: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+    fontFamily: Platform.OS === 'ios' ? 'Courier New' : 'monospace',
+  },
+  sendBtn: {
+    minWidth: 70,
+    paddingHorizontal: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 3,
+    borderColor: '#000',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  disabledBtn: { opacity: 0.5 },
+  sendText: { fontWeight: '900', color: '#000' },
+
+  commentList: { gap: 10 },
+  loadMoreBtn: {
+    padding: 12,
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#000',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  loadMoreText: { fontWeight: '900', color: '#000' },
 });
\ No newline at end of file
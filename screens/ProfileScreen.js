@@ -3,106 +3,85 @@ import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   StyleSheet,
-  FlatList,
   ScrollView,
-  Dimensions,
   TouchableOpacity,
   Platform,
   Alert
 } from 'react-native';
 import { Avatar, Text } from 'react-native-paper';
 import { Image } from 'expo-image'; // Use expo-image
-import { supabase } from '../supabase';
+import { backend } from '../data';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
-import { useApp } from '../context/AppContext';
+import { useApp, useProfile, useProfilePosts } from '../context/AppContext';
 import { Ionicons } from '@expo/vector-icons';
+import { createLogger, sendDiagnostics } from '../lib/logger';
+import { MAX_BADGE_FONT_SCALE } from '../lib/accessibility';
+import PostGrid from '../components/PostGrid';
 
-const { width } = Dimensions.get('window');
-const COLUMN_COUNT = 2; // Chunky 2-column grid
-const IMAGE_SIZE = (width - 60) / COLUMN_COUNT; // Adjust for padding
+const log = createLogger('ProfileScreen');
 
 export default function ProfileScreen() {
   const navigation = useNavigation();
-  const { deletePost: contextDeletePost } = useApp();
-  const [profile, setProfile] = useState(null);
-  const [posts, setPosts] = useState([]);
+  const {
+    user,
+    fetchProfile: contextFetchProfile,
+    fetchUserPosts,
+    drafts,
+    discardDraft
+  } = useApp();
+  // Shared store: deleting or liking anywhere updates this screen too
+  const profile = useProfile(user?.id);
+  const posts = useProfilePosts(user?.id);
+  const [sendingDiagnostics, setSendingDiagnostics] = useState(false);
 
   useEffect(() => {
-    fetchProfile();
-  }, []);
+    if (user) fetchProfile();
+  }, [user?.id]);
 
   useFocusEffect(
     useCallback(() => {
-      fetchUserPosts();
-    }, [])
+      if (user) fetchUserPosts(user.id);
+    }, [user?.id])
   );
 
   const fetchProfile = async (retries = 3) => {
-    try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) return;
+    const data = await contextFetchProfile(user.id);
 
-      const { data, error } = await supabase
-        .from('profiles')
-        .select('*')
-        .eq('id', user.id)
-        .maybeSingle(); // Use maybeSingle to avoid error on 0 rows
-
-      if (error) throw error;
-
-      if (!data) {
-        // Profile not found yet
-        if (retries > 0) {
-          console.log(`Profile not found, retrying... (${retries} left)`);
-          setTimeout(() => fetchProfile(retries - 1), 1000); // Wait 1s and retry
-        } else {
-          console.error('Profile not found after retries');
-        }
-        return;
+    if (!data) {
+      // Profile not found yet
+      if (retries > 0) {
+        log.debug('Profile not found, retrying', { retriesLeft: retries });
+        setTimeout(() => fetchProfile(retries - 1), 1000); // Wait 1s and retry
+      } else {
+        log.error('Profile not found after retries');
       }
-
-      setProfile(data);
-    } catch (error) {
-      console.error('Error fetching profile:', error);
-    }
-  };
-
-  const fetchUserPosts = async () => {
-    try {
-      const { data: { user } } = await supabase.auth.getUser();
-      const { data, error } = await supabase
-        .from('posts')
-        .select('*')
-        .eq('user_id', user.id)
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      setPosts(data || []);
-    } catch (error) {
-      console.error('Error fetching posts:', error);
     }
   };
 
   const handleLogout = async () => {
-    await supabase.auth.signOut();
+    await backend.auth.signOut();
   };
 
-  const handleDeletePost = (post) => {
+  // Uploads the device's recent (redacted) logs so support can look up
+  // what failed by the reference shown here
+  const handleSendDiagnostics = () => {
     Alert.alert(
-      "Delete Post",
-      "Are you sure you want to delete this post?",
+      "Send Diagnostics",
+      "Send recent app logs to support? Personal identifiers are removed first.",
       [
         { text: "Cancel", style: "cancel" },
         {
-          text: "Delete",
-          style: "destructive",
+          text: "Send",
           onPress: async () => {
-            const { success, error } = await contextDeletePost(post.id, post.image_url);
-            if (success) {
-              setPosts(prev => prev.filter(p => p.id !== post.id));
-              Alert.alert("Deleted", "Post has been deleted.");
-            } else {
-              Alert.alert("Error", error || "Failed to delete post.");
+            setSendingDiagnostics(true);
+            try {
+              const reference = await sendDiagnostics();
+              Alert.alert("Diagnostics Sent", `Quote reference ${reference} when contacting support.`);
+            } catch (error) {
+              log.error('Error sending diagnostics', error);
+              Alert.alert("Error", error.message || "Failed to send diagnostics.");
+            } finally {
+              setSendingDiagnostics(false);
             }
           }
         }
@@ -110,36 +89,88 @@ export default function ProfileScreen() {
     );
   };
 
-  const renderPost = ({ item }) => (
-    <TouchableOpacity
-      style={styles.gridItem}
-      onPress={() => navigation.navigate('PostDetail', { postId: item.id })}
-      onLongPress={() => handleDeletePost(item)} // Add Delete on Long Press
-      activeOpacity={0.9}
-    >
-      <Image
-        source={{ uri: item.image_url }}
-        style={styles.gridImage}
-        contentFit="cover"
-        transition={200}
-        placeholder={require('../assets/adaptive-icon.png')}
-      />
-      {item.media_type === 'video' && (
-        <View style={styles.videoBadge}>
-          <Ionicons name="play" size={16} color="#000" />
-        </View>
-      )}
-    </TouchableOpacity>
-  );
+  const handleDiscardDraft = (draft) => {
+    Alert.alert(
+      "Discard Draft",
+      "This draft and its photos and videos will be removed from this device.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Discard", style: "destructive", onPress: () => discardDraft(draft.id) }
+      ]
+    );
+  };
+
+  // Opens the draft in the camera tab's preview, where it can be edited
+  // and posted
+  const renderDraft = (draft) => {
+    const cover = draft.media[0];
+    return (
+      <TouchableOpacity
+        key={draft.id}
+        style={styles.draftCard}
+        onPress={() => navigation.navigate('Camera', { draftId: draft.id })}
+        activeOpacity={0.9}
+        accessibilityRole="button"
+        accessibilityLabel={`Draft with ${draft.media.length} ${draft.media.length === 1 ? 'item' : 'items'}${draft.caption.trim() ? `: ${draft.caption.trim()}` : ', no caption'}`}
+        accessibilityHint="Opens the draft in the camera"
+        // The discard button is reached through the actions menu
+        accessibilityActions={[{ name: 'discard', label: 'Discard draft' }]}
+        onAccessibilityAction={({ nativeEvent }) => {
+          if (nativeEvent.actionName === 'discard') handleDiscardDraft(draft);
+        }}
+      >
+        {cover?.type === 'video' ? (
+          <View style={styles.draftVideo}>
+            <Ionicons name="videocam" size={28} color="#fff" />
+          </View>
+        ) : (
+          <Image source={cover ? { uri: cover.uri } : null} style={styles.draftImage} contentFit="cover" />
+        )}
+        {draft.media.length > 1 && (
+          <View style={styles.draftCount}>
+            <Text style={styles.draftCountText} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>{draft.media.length}</Text>
+          </View>
+        )}
+        <TouchableOpacity
+          onPress={() => handleDiscardDraft(draft)}
+          style={styles.draftDiscardBtn}
+          accessibilityRole="button"
+          accessibilityLabel="Discard draft"
+        >
+          <Ionicons name="close" size={14} color="#000" />
+        </TouchableOpacity>
+        <Text style={styles.draftCaption} numberOfLines={1} maxFontSizeMultiplier={MAX_BADGE_FONT_SCALE}>
+          {draft.caption.trim() || 'NO_CAPTION'}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
 
   return (
     <View style={styles.container}>
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.headerTitle}>PROFILE_ID</Text>
-        <TouchableOpacity onPress={handleLogout} style={styles.logoutBtn}>
-          <Ionicons name="log-out-outline" size={24} color="#000" />
-        </TouchableOpacity>
+        <Text style={styles.headerTitle} accessibilityRole="header">PROFILE_ID</Text>
+        <View style={styles.headerActions}>
+          <TouchableOpacity
+            onPress={handleSendDiagnostics}
+            disabled={sendingDiagnostics}
+            style={[styles.diagnosticsBtn, sendingDiagnostics && styles.headerBtnDisabled]}
+            accessibilityRole="button"
+            accessibilityLabel="Send diagnostics"
+            accessibilityState={{ disabled: sendingDiagnostics, busy: sendingDiagnostics }}
+          >
+            <Ionicons name="bug-outline" size={24} color="#000" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={handleLogout}
+            style={styles.logoutBtn}
+            accessibilityRole="button"
+            accessibilityLabel="Log out"
+          >
+            <Ionicons name="log-out-outline" size={24} color="#000" />
+          </TouchableOpacity>
+        </View>
       </View>
 
       <ScrollView showsVerticalScrollIndicator={false} contentContainerStyle={styles.scrollContent}>
@@ -151,7 +182,7 @@ export default function ProfileScreen() {
           </View>
 
           <View style={styles.idContent}>
-            <View style={styles.avatarBox}>
+            <View style={styles.avatarBox} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
               <Avatar.Icon size={80} icon="account" style={styles.avatar} color="#000" />
             </View>
             <View style={styles.idInfo}>
@@ -174,21 +205,34 @@ export default function ProfileScreen() {
           </View>
         </View>
 
+        {/* Drafts (this device only) */}
+        {drafts.length > 0 && (
+          <>
+            <View style={styles.gridHeader}>
+              <Text style={styles.gridTitle} accessibilityRole="header">DRAFTS</Text>
+              <View style={styles.gridLine} />
+            </View>
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              style={styles.draftsScroll}
+              contentContainerStyle={styles.draftsRow}
+            >
+              {drafts.map(renderDraft)}
+            </ScrollView>
+          </>
+        )}
+
         {/* Grid Header */}
         <View style={styles.gridHeader}>
-          <Text style={styles.gridTitle}>GALLERY</Text>
+          <Text style={styles.gridTitle} accessibilityRole="header">GALLERY</Text>
           <View style={styles.gridLine} />
         </View>
 
         {/* Grid */}
-        <FlatList
-          data={posts}
-          renderItem={renderPost}
-          keyExtractor={(item) => item.id.toString()}
-          numColumns={COLUMN_COUNT}
+        <PostGrid
+          posts={posts}
           scrollEnabled={false}
-          contentContainerStyle={styles.gridContainer}
-          columnWrapperStyle={styles.gridColumnWrapper}
         />
       </ScrollView>
     </View>
@@ -217,6 +261,24 @@ const styles = StyleSheet.create({
     color: '#000',
     fontFamily: Platform.OS === 'ios' ? 'Courier New' : 'monospace',
   },
+  headerActions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  diagnosticsBtn: {
+    padding: 5,
+    borderWidth: 2,
+    borderColor: '#000',
+    backgroundColor: '#FFD700', // Yellow
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 3, height: 3 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  headerBtnDisabled: {
+    opacity: 0.5,
+  },
   logoutBtn: {
     padding: 5,
     borderWidth: 2,
@@ -350,40 +412,70 @@ const styles = StyleSheet.create({
     height: 3,
     backgroundColor: '#000',
   },
-  gridContainer: {
-    gap: 15,
+  draftsScroll: {
+    marginHorizontal: -20, // Scroll edge to edge
+    marginBottom: 20,
   },
-  gridColumnWrapper: {
+  draftsRow: {
+    paddingHorizontal: 20,
+    paddingBottom: 6, // Room for the shadow
     gap: 15,
   },
-  gridItem: {
-    width: IMAGE_SIZE,
-    height: IMAGE_SIZE,
+  draftCard: {
+    width: 110,
     borderWidth: 3,
     borderColor: '#000',
     backgroundColor: '#fff',
-    marginBottom: 15,
     // Hard Shadow
     shadowColor: '#000',
     shadowOffset: { width: 4, height: 4 },
     shadowOpacity: 1,
     shadowRadius: 0,
   },
-  gridImage: {
+  draftImage: {
     width: '100%',
-    height: '100%',
+    height: 110,
     backgroundColor: '#eee',
   },
-  videoBadge: {
+  draftVideo: {
+    width: '100%',
+    height: 110,
+    backgroundColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  draftCount: {
     position: 'absolute',
     top: 5,
-    right: 5,
-    backgroundColor: '#fff',
+    left: 5,
+    paddingHorizontal: 6,
+    backgroundColor: '#FFD700', // Yellow
     borderWidth: 2,
     borderColor: '#000',
+  },
+  draftCountText: {
+    fontSize: 11,
+    fontWeight: '900',
+    color: '#000',
+  },
+  draftDiscardBtn: {
+    position: 'absolute',
+    top: 5,
+    right: 5,
     width: 24,
     height: 24,
+    backgroundColor: '#FF69B4', // Pink
+    borderWidth: 2,
+    borderColor: '#000',
     justifyContent: 'center',
     alignItems: 'center',
   },
-});
\ No newline at end of file
+  draftCaption: {
+    padding: 6,
+    fontSize: 11,
+    fontWeight: '900',
+    color: '#000',
+    borderTopWidth: 3,
+    borderTopColor: '#000',
+  },
+});
@@ -1,7 +1,10 @@
 import React, { useState } from 'react';
 import { View, StyleSheet, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
 import { TextInput, Button, Text, Title, Snackbar } from 'react-native-paper';
-import { supabase } from '../supabase';
+import { backend } from '../data';
+import { createLogger } from '../lib/logger';
+
+const log = createLogger('SignupScreen');
 
 export default function SignupScreen({ navigation }) {
   const [email, setEmail] = useState('');
@@ -13,16 +16,10 @@ export default function SignupScreen({ navigation }) {
 
   const checkUsername = async (usernameToCheck) => {
     try {
-      const { data, error } = await supabase
-        .from('profiles')
-        .select('username')
-        .eq('username', usernameToCheck)
-        .maybeSingle();
-
-      if (error) throw error;
+      const data = await backend.profiles.getByUsername(usernameToCheck);
       return !!data; // Returns true if username exists
     } catch (error) {
-      console.error('Error checking username:', error);
+      log.error('Error checking username', error);
       return false;
     }
   };
@@ -46,45 +43,40 @@ export default function SignupScreen({ navigation }) {
     }
 
     // 2. Sign Up
-    const { data, error } = await supabase.auth.signUp({
-      email: email,
-      password: password,
-      options: {
-        data: {
-          username: username,
-        }
-      }
-    });
-
-    if (error) {
+    let data;
+    try {
+      data = await backend.auth.signUp({
+        email: email,
+        password: password,
+        username: username,
+      });
+    } catch (error) {
       // Handle "User already registered" specifically if needed, though error.message is usually good
       setMessage(error.message);
       setVisible(true);
-    } else {
-      // 3. Create user profile
-      if (data?.user) {
-        const { error: profileError } = await supabase
-          .from('profiles')
-          .insert([
-            {
-              id: data.user.id,
-              username: username,
-              email: email
-            }
-          ]);
-
-        if (profileError) {
-          console.error('Profile creation error:', profileError);
-          // If profile creation fails (e.g. constraint violation), show error
-          setMessage('Account created but profile setup failed: ' + profileError.message);
-          setVisible(true);
-        } else {
-          setMessage('Account created successfully!');
-          setVisible(true);
-
-          // If session exists, App.js will automatically switch to MainTabs
-          // No need to navigate manually
-        }
+      setLoading(false);
+      return;
+    }
+
+    // 3. Create user profile
+    if (data?.user) {
+      try {
+        await backend.profiles.create({
+          id: data.user.id,
+          username: username,
+          email: email
+        });
+
+        setMessage('Account created successfully!');
+        setVisible(true);
+
+        // If session exists, App.js will automatically switch to MainTabs
+        // No need to navigate manually
+      } catch (profileError) {
+        log.error('Profile creation error', profileError);
+        // If profile creation fails (e.g. constraint violation), show error
+        setMessage('Account created but profile setup failed: ' + profileError.message);
+        setVisible(true);
       }
     }
     setLoading(false);
@@ -97,7 +89,7 @@ export default function SignupScreen({ navigation }) {
     >
       <ScrollView contentContainerStyle={styles.scrollContent}>
         <View style={styles.content}>
-          <Title style={styles.title}>Create Account</Title>
+          <Title style={styles.title} accessibilityRole="header">Create Account</Title>
           <Text style={styles.subtitle}>Sign up to get started</Text>
 
           <TextInput
@@ -107,6 +99,8 @@ export default function SignupScreen({ navigation }) {
             mode="outlined"
             style={styles.input}
             autoCapitalize="none"
+            autoComplete="username-new"
+            textContentType="username"
           />
 
           <TextInput
@@ -117,6 +111,8 @@ export default function SignupScreen({ navigation }) {
             style={styles.input}
             autoCapitalize="none"
             keyboardType="email-address"
+            autoComplete="email"
+            textContentType="emailAddress"
           />
 
           <TextInput
@@ -125,6 +121,8 @@ export default function SignupScreen({ navigation }) {
             onChangeText={setPassword}
             mode="outlined"
             secureTextEntry
+            autoComplete="new-password"
+            textContentType="newPassword"
             style={styles.input}
           />
 
@@ -0,0 +1,153 @@
+// screens/TagFeedScreen.js
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ActivityIndicator, TouchableOpacity } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useApp, useTagPosts } from '../context/AppContext';
+import PostGrid from '../components/PostGrid';
+
+// Every post tagged #tag, newest first, loaded a page at a time
+export default function TagFeedScreen({ route }) {
+  const { tag } = route.params;
+  const { fetchTagPosts } = useApp();
+  const { posts, hasMore, loaded } = useTagPosts(tag);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadFirstPage();
+  }, [tag]);
+
+  const loadFirstPage = async () => {
+    setRefreshing(true);
+    setError(null);
+    const { success, error } = await fetchTagPosts(tag, true);
+    if (!success) setError(error || 'Failed to load posts');
+    setRefreshing(false);
+  };
+
+  const loadMore = async () => {
+    if (loadingMore || refreshing || !hasMore) return;
+    setLoadingMore(true);
+    await fetchTagPosts(tag);
+    setLoadingMore(false);
+  };
+
+  if (!loaded && error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity onPress={loadFirstPage} style={styles.retryBtn} accessibilityRole="button" accessibilityLabel="Retry">
+          <Text style={styles.retryText}>RETRY</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!loaded) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#000" />
+      </View>
+    );
+  }
+
+  return (
+    <PostGrid
+      posts={posts}
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshing={refreshing}
+      onRefresh={loadFirstPage}
+      onEndReached={loadMore}
+      onEndReachedThreshold={0.5}
+      ListHeaderComponent={
+        <View style={styles.tagCard}>
+          <Text style={styles.tagText} accessibilityRole="header">#{tag}</Text>
+          <Text style={styles.countText}>
+            {posts.length}{hasMore ? '+' : ''} {posts.length === 1 && !hasMore ? 'POST' : 'POSTS'}
+          </Text>
+        </View>
+      }
+      ListEmptyComponent={<Text style={styles.emptyText}>NO_POSTS_YET</Text>}
+      ListFooterComponent={loadingMore ? <ActivityIndicator size="large" color="#000" /> : null}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f0f0',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+    gap: 15,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f0f0f0',
+  },
+  tagCard: {
+    backgroundColor: '#4169E1', // Blue
+    borderWidth: 3,
+    borderColor: '#000',
+    padding: 20,
+    marginBottom: 15,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 6, height: 6 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  tagText: {
+    fontSize: 28,
+    fontWeight: '900',
+    color: '#fff',
+  },
+  countText: {
+    fontSize: 12,
+    fontWeight: '900',
+    color: '#000',
+    backgroundColor: '#FFD700', // Yellow
+    borderWidth: 2,
+    borderColor: '#000',
+    alignSelf: 'flex-start',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginTop: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: '900',
+    color: '#000',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  errorText: {
+    fontSize: 16,
+    fontWeight: '900',
+    color: '#000',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  retryBtn: {
+    backgroundColor: '#FFD700',
+    borderWidth: 3,
+    borderColor: '#000',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 4, height: 4 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  retryText: {
+    fontWeight: '900',
+    color: '#000',
+  },
+});
@@ -0,0 +1,267 @@
+// screens/UserProfileScreen.js
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, ActivityIndicator, TouchableOpacity } from 'react-native';
+import { Avatar, Text } from 'react-native-paper';
+import { useApp, useProfile, useProfilePosts } from '../context/AppContext';
+import PostGrid from '../components/PostGrid';
+
+// Another user's profile, opened from an @mention. The viewer's own
+// username goes to the Profile tab instead.
+export default function UserProfileScreen({ route, navigation }) {
+  const { username } = route.params;
+  const { user, fetchProfileByUsername, fetchUserPosts } = useApp();
+  const [profileId, setProfileId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  // Shared store: the same profile and posts the rest of the app shows
+  const profile = useProfile(profileId);
+  const posts = useProfilePosts(profileId);
+
+  useEffect(() => {
+    loadProfile();
+  }, [username]);
+
+  const loadProfile = async () => {
+    setLoading(true);
+    setNotFound(false);
+    const found = await fetchProfileByUsername(username);
+
+    if (!found) {
+      setNotFound(true);
+      setLoading(false);
+      return;
+    }
+    if (found.id === user?.id) {
+      navigation.navigate('MainTabs', { screen: 'Profile' });
+      return;
+    }
+
+    setProfileId(found.id);
+    navigation.setOptions({ title: `@${found.username}` });
+    await fetchUserPosts(found.id);
+    setLoading(false);
+  };
+
+  if (notFound) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>USER_NOT_FOUND</Text>
+        <TouchableOpacity onPress={loadProfile} style={styles.retryBtn} accessibilityRole="button" accessibilityLabel="Retry">
+          <Text style={styles.retryText}>RETRY</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (loading && !profile) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#000" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.scrollContent}>
+      {/* ID Card Box */}
+      <View style={styles.idCard}>
+        <View style={styles.idHeader}>
+          <Text style={styles.idLabel}>IDENTIFICATION</Text>
+          <View style={styles.idHole} />
+        </View>
+
+        <View style={styles.idContent}>
+          <View style={styles.avatarBox} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+            <Avatar.Icon size={80} icon="account" style={styles.avatar} color="#000" />
+          </View>
+          <View style={styles.idInfo}>
+            <Text style={styles.username}>@{profile?.username || username}</Text>
+            <Text style={styles.role}>CREATOR</Text>
+          </View>
+        </View>
+      </View>
+
+      {/* Stats Row */}
+      <View style={styles.statsRow}>
+        <View style={[styles.statBox, { backgroundColor: '#FFD700' }]}>
+          <Text style={styles.statNumber}>{posts.length}</Text>
+          <Text style={styles.statLabel}>POSTS</Text>
+        </View>
+      </View>
+
+      {/* Grid Header */}
+      <View style={styles.gridHeader}>
+        <Text style={styles.gridTitle} accessibilityRole="header">GALLERY</Text>
+        <View style={styles.gridLine} />
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="large" color="#000" />
+      ) : (
+        <PostGrid
+          posts={posts}
+          scrollEnabled={false}
+          ListEmptyComponent={<Text style={styles.emptyText}>NO_POSTS_YET</Text>}
+        />
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f0f0',
+  },
+  scrollContent: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f0f0f0',
+  },
+  idCard: {
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#000',
+    marginBottom: 20,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 6, height: 6 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  idHeader: {
+    backgroundColor: '#4169E1', // Blue
+    padding: 8,
+    borderBottomWidth: 3,
+    borderBottomColor: '#000',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  idLabel: {
+    color: '#fff',
+    fontWeight: '900',
+    fontSize: 12,
+    letterSpacing: 1,
+  },
+  idHole: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#000',
+  },
+  idContent: {
+    padding: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  avatarBox: {
+    width: 84,
+    height: 84,
+    borderRadius: 42,
+    borderWidth: 3,
+    borderColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f0f0f0',
+    marginRight: 20,
+  },
+  avatar: {
+    backgroundColor: 'transparent',
+  },
+  idInfo: {
+    flex: 1,
+  },
+  username: {
+    fontSize: 20,
+    fontWeight: '900',
+    color: '#000',
+    marginBottom: 4,
+  },
+  role: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#fff',
+    backgroundColor: '#000',
+    alignSelf: 'flex-start',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    gap: 15,
+    marginBottom: 30,
+  },
+  statBox: {
+    flex: 1,
+    borderWidth: 3,
+    borderColor: '#000',
+    padding: 15,
+    alignItems: 'center',
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 4, height: 4 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  statNumber: {
+    fontSize: 24,
+    fontWeight: '900',
+    color: '#000',
+  },
+  statLabel: {
+    fontSize: 12,
+    fontWeight: '900',
+    color: '#000',
+    marginTop: 4,
+  },
+  gridHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  gridTitle: {
+    fontSize: 18,
+    fontWeight: '900',
+    color: '#000',
+    marginRight: 10,
+  },
+  gridLine: {
+    flex: 1,
+    height: 3,
+    backgroundColor: '#000',
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: '900',
+    color: '#000',
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 16,
+    fontWeight: '900',
+    color: '#000',
+    marginBottom: 20,
+  },
+  retryBtn: {
+    backgroundColor: '#FFD700',
+    borderWidth: 3,
+    borderColor: '#000',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    // Hard Shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 4, height: 4 },
+    shadowOpacity: 1,
+    shadowRadius: 0,
+  },
+  retryText: {
+    fontWeight: '900',
+    color: '#000',
+  },
+});